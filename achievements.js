@@ -0,0 +1,197 @@
+// achievements.js
+// Achievement rules evaluated against a collector's plates after each addition
+
+const { Achievement, spottedFilter, verifiedFilter } = require("./models");
+const { findPlates } = require("./plates");
+const { specialPlateTypes } = require("./scoring");
+const { getCountry, DEFAULT_COUNTRY } = require("./countries");
+
+// Provinces of the Marmara region
+const MARMARA_PROVINCES = [
+  "10", // Balıkesir
+  "11", // Bilecik
+  "16", // Bursa
+  "17", // Çanakkale
+  "22", // Edirne
+  "34", // Istanbul
+  "39", // Kırklareli
+  "41", // Kocaeli
+  "54", // Sakarya
+  "59", // Tekirdağ
+  "77", // Yalova
+];
+
+// Turkish special plate types, excluding regular civilian plates
+const SPECIAL_TYPES = Object.keys(specialPlateTypes).filter(
+  (type) => type !== "STANDARD"
+);
+
+// Achievement definitions; their names and goals are in the i18n catalogues
+// under achievements.list. progress() receives the stats from buildStats()
+// and returns { current, target }; the achievement unlocks once current
+// reaches target.
+const achievements = [
+  {
+    id: "first_plate",
+    emoji: "🚗",
+    progress: (stats) => ({ current: stats.plateCount, target: 1 }),
+  },
+  {
+    id: "collector_50",
+    emoji: "📚",
+    progress: (stats) => ({ current: stats.plateCount, target: 50 }),
+  },
+  {
+    id: "busy_day",
+    emoji: "⚡",
+    progress: (stats) => ({ current: stats.bestDayCount, target: 10 }),
+  },
+  {
+    id: "palindrome",
+    emoji: "🔁",
+    progress: (stats) => ({ current: stats.palindromeCount, target: 1 }),
+  },
+  {
+    id: "marmara",
+    emoji: "🌊",
+    progress: (stats) => ({
+      current: MARMARA_PROVINCES.filter((code) => stats.provinces.has(code))
+        .length,
+      target: MARMARA_PROVINCES.length,
+    }),
+  },
+  {
+    id: "special_types",
+    emoji: "🚨",
+    progress: (stats) => ({
+      current: SPECIAL_TYPES.filter((type) => stats.specialTypes.has(type))
+        .length,
+      target: SPECIAL_TYPES.length,
+    }),
+  },
+  {
+    id: "all_provinces",
+    emoji: "🇹🇷",
+    progress: (stats) => {
+      const provinces = Object.keys(getCountry(DEFAULT_COUNTRY).regions);
+      return {
+        current: provinces.filter((code) => stats.provinces.has(code)).length,
+        target: provinces.length,
+      };
+    },
+  },
+  {
+    id: "globetrotter",
+    emoji: "🌍",
+    progress: (stats) => ({ current: stats.countries.size, target: 3 }),
+  },
+];
+
+/**
+ * Summarise a collector's plates for the achievement rules
+ * @param {Object[]} plates - The collector's counted plates
+ * @returns {Object} Collection stats
+ */
+function buildStats(plates) {
+  const provinces = new Set();
+  const specialTypes = new Set();
+  const countries = new Set();
+  const platesPerDay = {};
+  let palindromeCount = 0;
+
+  plates.forEach((plate) => {
+    const country = plate.country || DEFAULT_COUNTRY;
+    countries.add(country);
+
+    // Province and type goals are about Turkish plates
+    if (country === DEFAULT_COUNTRY) {
+      provinces.add(plate.provinceCode);
+      specialTypes.add(plate.plateType);
+    }
+
+    const day = plate.dateSpotted.toISOString().slice(0, 10);
+    platesPerDay[day] = (platesPerDay[day] || 0) + 1;
+
+    if (isPalindrome(plate.plateText)) palindromeCount++;
+  });
+
+  return {
+    plateCount: plates.length,
+    provinces,
+    specialTypes,
+    countries,
+    bestDayCount: Math.max(0, ...Object.values(platesPerDay)),
+    palindromeCount,
+  };
+}
+
+/**
+ * Check whether a plate reads the same backwards, ignoring separators
+ * @param {string} plateText - The plate text
+ * @returns {boolean} True for palindromes such as "12A21"
+ */
+function isPalindrome(plateText) {
+  const text = plateText.replace(/[^A-Z0-9]/g, "");
+  return text.length > 1 && text === text.split("").reverse().join("");
+}
+
+/**
+ * Get every achievement with the collector's progress and unlock state
+ * @param {string} guildId - The guild the collection belongs to
+ * @param {string} userId - The collector
+ * @returns {Promise<Object[]>} Achievements with { current, target, unlockedAt }
+ */
+async function getAchievementProgress(guildId, userId) {
+  const [plates, unlocked] = await Promise.all([
+    findPlates({ guildId, userId, ...verifiedFilter, ...spottedFilter }),
+    Achievement.find({ guildId, userId }),
+  ]);
+
+  const stats = buildStats(plates);
+  const unlockedAt = {};
+  unlocked.forEach((a) => {
+    unlockedAt[a.achievementId] = a.unlockedAt;
+  });
+
+  return achievements.map((achievement) => {
+    const { current, target } = achievement.progress(stats);
+    return {
+      ...achievement,
+      current: Math.min(current, target),
+      target,
+      unlockedAt: unlockedAt[achievement.id] || null,
+    };
+  });
+}
+
+/**
+ * Evaluate the rules for a collector and store newly reached achievements
+ * @param {string} guildId - The guild the collection belongs to
+ * @param {string} userId - The collector
+ * @returns {Promise<Object[]>} Achievements unlocked by this check
+ */
+async function checkAchievements(guildId, userId) {
+  const progress = await getAchievementProgress(guildId, userId);
+  const newlyUnlocked = progress.filter(
+    (a) => !a.unlockedAt && a.current >= a.target
+  );
+
+  if (newlyUnlocked.length > 0) {
+    // Unordered so a concurrent check that already stored one doesn't block the rest
+    await Achievement.insertMany(
+      newlyUnlocked.map((a) => ({ guildId, userId, achievementId: a.id })),
+      { ordered: false }
+    ).catch((err) => {
+      if (err.code !== 11000) throw err;
+    });
+  }
+
+  return newlyUnlocked;
+}
+
+module.exports = {
+  achievements,
+  buildStats,
+  getAchievementProgress,
+  checkAchievements,
+};
@@ -0,0 +1,160 @@
+// activityChart.js
+// Renders a collector's plates per day as a bar chart above a calendar of
+// the days they went spotting
+
+const {
+  parseColor,
+  interpolateColor,
+  createImage,
+  fillRect,
+  measureText,
+  drawText,
+  encodePng,
+} = require("./png");
+const { toDayKey } = require("./streaks");
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const MARGIN = 16;
+const AXIS_WIDTH = 36;
+const CHART_WIDTH = 540;
+const CHART_HEIGHT = 160;
+const LABEL_HEIGHT = 20;
+const SECTION_GAP = 24;
+const CELL_SIZE = 12;
+const CELL_GAP = 3;
+
+const BACKGROUND = parseColor("#2B2D31");
+const GRID_LINE = parseColor("#3F4147");
+const TEXT = parseColor("#DCDDDE");
+const BAR = parseColor("#57F287");
+const EMPTY_CELL = parseColor("#4E5058");
+
+// Calendar colour scale from one plate to the busiest day
+const CALENDAR_COLORS = ["#9BE9A8", "#40C463", "#30A14E", "#216E39"];
+
+/**
+ * List the UTC days of a period
+ * @param {Date} end - Any moment of the last day
+ * @param {number} count - Number of days
+ * @returns {string[]} Days like "2026-10-19", earliest first
+ */
+function listDays(end, count) {
+  const last = Date.parse(toDayKey(end));
+  return Array.from({ length: count }, (_, i) =>
+    toDayKey(new Date(last - (count - 1 - i) * DAY))
+  );
+}
+
+/**
+ * Render plates per day and the activity calendar as a PNG
+ * @param {Object} counts - Plates by UTC day (e.g. { "2026-10-19": 3 })
+ * @param {Object} [options] - { end: last day shown, days: days in the bar
+ * chart, weeks: weeks in the calendar }
+ * @returns {Buffer} PNG file contents
+ */
+function renderActivityChart(
+  counts,
+  { end = new Date(), days = 30, weeks = 26 } = {}
+) {
+  const calendarWidth = weeks * (CELL_SIZE + CELL_GAP) - CELL_GAP;
+  const calendarHeight = 7 * (CELL_SIZE + CELL_GAP) - CELL_GAP;
+  const width = MARGIN * 2 + AXIS_WIDTH + CHART_WIDTH;
+  const height =
+    MARGIN * 2 + CHART_HEIGHT + LABEL_HEIGHT + SECTION_GAP + calendarHeight;
+  const image = createImage(width, height, BACKGROUND);
+
+  drawBarChart(image, counts, listDays(end, days));
+  drawCalendar(
+    image,
+    counts,
+    end,
+    weeks,
+    MARGIN + AXIS_WIDTH + (CHART_WIDTH - calendarWidth) / 2,
+    MARGIN + CHART_HEIGHT + LABEL_HEIGHT + SECTION_GAP
+  );
+
+  return encodePng(image);
+}
+
+/**
+ * Draw one bar per day, with the highest count on the axis and the day of
+ * the month under every seventh bar counting back from the last
+ * @param {Object} image - Image to draw on
+ * @param {Object} counts - Plates by UTC day
+ * @param {string[]} days - The days to draw, earliest first
+ */
+function drawBarChart(image, counts, days) {
+  const left = MARGIN + AXIS_WIDTH;
+  const bottom = MARGIN + CHART_HEIGHT;
+  const step = CHART_WIDTH / days.length;
+  const barWidth = Math.max(1, step - Math.max(1, Math.round(step / 5)));
+  const max = Math.max(1, ...days.map((day) => counts[day] || 0));
+
+  fillRect(image, left, MARGIN, CHART_WIDTH, 1, GRID_LINE);
+  fillRect(image, left, bottom, CHART_WIDTH, 1, GRID_LINE);
+
+  const maxLabel = String(max);
+  drawText(
+    image,
+    maxLabel,
+    left - 8 - measureText(maxLabel, 2),
+    MARGIN - 4,
+    2,
+    TEXT
+  );
+  drawText(image, "0", left - 8 - measureText("0", 2), bottom - 8, 2, TEXT);
+
+  days.forEach((day, i) => {
+    const x = left + i * step;
+    const barHeight = ((counts[day] || 0) / max) * (CHART_HEIGHT - 1);
+    fillRect(image, x, bottom - barHeight, barWidth, barHeight, BAR);
+
+    if ((days.length - 1 - i) % 7 === 0) {
+      const label = String(Number(day.slice(8)));
+      drawText(
+        image,
+        label,
+        x + (barWidth - measureText(label, 2)) / 2,
+        bottom + 6,
+        2,
+        TEXT
+      );
+    }
+  });
+}
+
+/**
+ * Draw a calendar of weeks from Monday to Sunday, each day coloured by its
+ * plates
+ * @param {Object} image - Image to draw on
+ * @param {Object} counts - Plates by UTC day
+ * @param {Date} end - Any moment of the last day
+ * @param {number} weeks - Number of weeks, the last one containing end
+ * @param {number} x - Left edge
+ * @param {number} y - Top edge
+ */
+function drawCalendar(image, counts, end, weeks, x, y) {
+  const last = Date.parse(toDayKey(end));
+  // getUTCDay() is 0 on Sunday
+  const lastWeekday = (new Date(last).getUTCDay() + 6) % 7;
+  const first = last - ((weeks - 1) * 7 + lastWeekday) * DAY;
+  const max = Math.max(1, ...Object.values(counts));
+
+  for (let time = first; time <= last; time += DAY) {
+    const index = Math.round((time - first) / DAY);
+    const count = counts[toDayKey(new Date(time))] || 0;
+    fillRect(
+      image,
+      x + Math.floor(index / 7) * (CELL_SIZE + CELL_GAP),
+      y + (index % 7) * (CELL_SIZE + CELL_GAP),
+      CELL_SIZE,
+      CELL_SIZE,
+      count
+        ? interpolateColor(CALENDAR_COLORS, Math.sqrt(count / max))
+        : EMPTY_CELL
+    );
+  }
+}
+
+module.exports = { renderActivityChart };
@@ -0,0 +1,394 @@
+// api.js
+// Read-only JSON API for the companion website and dashboards
+
+const express = require("express");
+const { verifiedFilter } = require("./models");
+const {
+  countPlates,
+  findPlates,
+  getLeaderboard,
+  getPlateHistory,
+  getProvinceTotals,
+} = require("./plates");
+const {
+  calculatePlateScore,
+  getPlateTypeDisplay,
+  getRuleset,
+  currentRuleset,
+} = require("./scoring");
+const { getCountry, getRegionDisplay, validatePlate } = require("./countries");
+const {
+  findCurrentSeason,
+  getSeasonFilter,
+  getSeasonName,
+} = require("./seasons");
+const { parseLocation } = require("./locations");
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+
+const PLATE_SORTS = {
+  score: { totalScore: -1, dateSpotted: -1 },
+  newest: { dateSpotted: -1 },
+  oldest: { dateSpotted: 1 },
+};
+
+/**
+ * Read the API tokens from API_TOKENS, a comma separated list of
+ * "token:guildId" pairs. "token:*" grants access to every guild.
+ * @returns {Map<string, string>} Guild ID (or "*") by token
+ */
+function loadApiTokens() {
+  const tokens = new Map();
+
+  (process.env.API_TOKENS || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .forEach((entry) => {
+      const separator = entry.lastIndexOf(":");
+      if (separator <= 0) {
+        console.warn("Ignoring API token without a guild scope");
+        return;
+      }
+      tokens.set(entry.slice(0, separator), entry.slice(separator + 1));
+    });
+
+  return tokens;
+}
+
+/**
+ * Error with the HTTP status it should be answered with
+ */
+class ApiError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * Read page and limit query parameters
+ * @param {Object} query - Express request query
+ * @returns {Object} { page, limit, skip }
+ */
+function getPagination(query) {
+  const page = Math.max(1, parseInt(query.page, 10) || 1);
+  const limit = Math.min(
+    MAX_PAGE_SIZE,
+    Math.max(1, parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE)
+  );
+  return { page, limit, skip: (page - 1) * limit };
+}
+
+/**
+ * Read the country query parameter
+ * @param {Object} query - Express request query
+ * @returns {Object} The country module, Turkey when none is given
+ */
+function getRequestCountry(query) {
+  const country = getCountry(query.country ? String(query.country) : null);
+  if (!country) {
+    throw new ApiError(400, `Unknown country "${query.country}"`);
+  }
+  return country;
+}
+
+/**
+ * Read the sort query parameter
+ * @param {Object} query - Express request query
+ * @returns {Object} Mongo sort, by score when none is given
+ */
+function getPlateSort(query) {
+  if (!query.sort) return PLATE_SORTS.score;
+  if (!Object.hasOwn(PLATE_SORTS, query.sort)) {
+    throw new ApiError(400, `Unknown sort "${query.sort}"`);
+  }
+  return PLATE_SORTS[query.sort];
+}
+
+/**
+ * Build the optional country filter for collection and ranking endpoints
+ * @param {Object} query - Express request query
+ * @returns {Object} Mongo filter to merge into plate queries
+ */
+function getCountryFilter(query) {
+  if (!query.country) return {};
+  return { country: getRequestCountry(query).code };
+}
+
+/**
+ * Public representation of a stored plate
+ * @param {Object} plate - The plate document
+ * @returns {Object} JSON-safe plate
+ */
+function serializePlate(plate) {
+  return {
+    id: plate._id,
+    plateText: plate.plateText,
+    country: plate.country,
+    provinceCode: plate.provinceCode,
+    region: getRegionDisplay(plate.country, plate.provinceCode),
+    plateType: plate.plateType,
+    plateTypeName: getPlateTypeDisplay(plate.plateType, plate.country),
+    totalScore: plate.totalScore,
+    breakdown: {
+      province: plate.provinceScore,
+      letters: plate.letterScore,
+      digits: plate.digitScore,
+      special: plate.specialScore,
+      farFromHome: plate.farFromHomeScore,
+      bonus: plate.bonusScore,
+    },
+    spottedProvince: plate.spottedProvince,
+    rulesetVersion: plate.rulesetVersion,
+    userId: plate.userId,
+    username: plate.username,
+    dateSpotted: plate.dateSpotted,
+    photoUrl: plate.photoUrl,
+  };
+}
+
+/**
+ * Middleware requiring a valid "Authorization: Bearer <token>" header
+ * @param {Map<string, string>} tokens - Tokens from loadApiTokens()
+ * @returns {Function} Express middleware
+ */
+function authenticate(tokens) {
+  return (req, res, next) => {
+    const match = (req.get("authorization") || "").match(/^Bearer (.+)$/);
+    const scope = match ? tokens.get(match[1]) : undefined;
+
+    if (!scope) {
+      return res.status(401).json({ error: "Missing or invalid API token" });
+    }
+
+    req.tokenScope = scope;
+    next();
+  };
+}
+
+/**
+ * Middleware that only lets tokens read the guild they were issued for
+ * @param {Request} req - Express request
+ * @param {Response} res - Express response
+ * @param {Function} next - Continue with the next handler
+ */
+function authorizeGuild(req, res, next) {
+  if (req.tokenScope !== "*" && req.tokenScope !== req.params.guildId) {
+    return res
+      .status(403)
+      .json({ error: "This token can't read data from that guild" });
+  }
+  next();
+}
+
+/**
+ * Build the API router
+ * @returns {express.Router} Router to mount under /api
+ */
+function createApiRouter() {
+  const router = express.Router();
+  const tokens = loadApiTokens();
+
+  router.use(authenticate(tokens));
+  router.use("/guilds/:guildId", authorizeGuild);
+
+  // A collector's plates
+  router.get("/guilds/:guildId/users/:userId/plates", async (req, res) => {
+    const { page, limit, skip } = getPagination(req.query);
+    const sort = getPlateSort(req.query);
+    const filter = {
+      guildId: req.params.guildId,
+      userId: req.params.userId,
+      ...getCountryFilter(req.query),
+      ...verifiedFilter,
+    };
+
+    const [plates, total] = await Promise.all([
+      findPlates(filter, { sort }).skip(skip).limit(limit),
+      countPlates(filter),
+    ]);
+
+    res.json({ data: plates.map(serializePlate), page, limit, total });
+  });
+
+  // Collectors ranked by score, for the current season or all time
+  router.get("/guilds/:guildId/leaderboard", async (req, res) => {
+    const { page, limit, skip } = getPagination(req.query);
+    const season =
+      req.query.period === "all"
+        ? null
+        : await findCurrentSeason(req.params.guildId);
+
+    const leaderboard = await getLeaderboard({
+      guildId: req.params.guildId,
+      ...getCountryFilter(req.query),
+      ...(season ? getSeasonFilter(season) : {}),
+    });
+
+    res.json({
+      data: leaderboard.slice(skip, skip + limit).map((entry, i) => ({
+        rank: skip + i + 1,
+        userId: entry._id.userId,
+        username: entry._id.username,
+        totalScore: entry.totalScore,
+        plateCount: entry.plateCount,
+        highestScore: entry.highestScore,
+        uniqueProvinces: entry.uniqueProvinces.length,
+        uniqueCountries: entry.uniqueCountries.length,
+        uniqueTypes: entry.uniqueTypes.length,
+      })),
+      season: season
+        ? {
+            name: getSeasonName(season),
+            startDate: season.startDate,
+            endDate: season.endDate,
+          }
+        : null,
+      page,
+      limit,
+      total: leaderboard.length,
+    });
+  });
+
+  // Every sighting of a plate by any collector, oldest first
+  router.get("/guilds/:guildId/plates/:plateText/spots", async (req, res) => {
+    const { page, limit, skip } = getPagination(req.query);
+    const country = getRequestCountry(req.query);
+    const { plateText, error } = validatePlate(country, req.params.plateText);
+
+    if (error) {
+      throw new ApiError(
+        400,
+        `Not a valid ${country.name} plate: ${error.message}`
+      );
+    }
+
+    const history = await getPlateHistory(
+      { guildId: req.params.guildId },
+      country.code,
+      plateText
+    );
+    const { plates } = history;
+    // The history lists sightings newest first
+    const sightings = [...history.sightings].reverse();
+
+    res.json({
+      data: sightings.slice(skip, skip + limit).map((sighting) => ({
+        id: sighting._id,
+        plateId: sighting.plateId,
+        userId: sighting.userId,
+        username: sighting.username,
+        channelId: sighting.channelId,
+        spottedAt: sighting.spottedAt,
+        location: sighting.location,
+        provinceCode: sighting.provinceCode,
+        latitude: sighting.latitude,
+        longitude: sighting.longitude,
+        note: sighting.note,
+        photoUrl: sighting.photoUrl,
+      })),
+      plates: plates.map(serializePlate),
+      page,
+      limit,
+      total: sightings.length,
+    });
+  });
+
+  // Plate counts and scores per province
+  router.get("/guilds/:guildId/provinces", async (req, res) => {
+    const country = getRequestCountry(req.query);
+    const filter = { guildId: req.params.guildId, country: country.code };
+    if (req.query.userId) filter.userId = String(req.query.userId);
+
+    const totals = await getProvinceTotals(filter);
+    const byCode = {};
+    totals.forEach((province) => {
+      byCode[province._id] = province;
+    });
+
+    res.json({
+      data: Object.keys(country.regions).map((code) => ({
+        provinceCode: code,
+        name: country.regions[code],
+        plateCount: byCode[code] ? byCode[code].plateCount : 0,
+        totalScore: byCode[code] ? byCode[code].totalScore : 0,
+        collectors: byCode[code] ? byCode[code].collectors : 0,
+      })),
+      country: country.code,
+    });
+  });
+
+  // What a plate would score, without saving anything
+  router.get("/score/:plateText", (req, res) => {
+    const country = getRequestCountry(req.query);
+    const { plateText, error } = validatePlate(country, req.params.plateText);
+
+    if (error) {
+      throw new ApiError(
+        400,
+        `Not a valid ${country.name} plate: ${error.message}`
+      );
+    }
+
+    const ruleset = req.query.ruleset
+      ? getRuleset(parseInt(req.query.ruleset, 10))
+      : currentRuleset;
+    if (!ruleset) {
+      throw new ApiError(400, `Unknown ruleset "${req.query.ruleset}"`);
+    }
+    if (!ruleset.countries[country.code]) {
+      throw new ApiError(
+        400,
+        `Ruleset v${ruleset.version} doesn't score ${country.name} plates`
+      );
+    }
+
+    // ?location= previews the far-from-home bonus
+    if (
+      req.query.location !== undefined &&
+      typeof req.query.location !== "string"
+    ) {
+      throw new ApiError(400, "location must be given once");
+    }
+    const location = parseLocation(req.query.location);
+
+    const result = calculatePlateScore(plateText, {
+      country: country.code,
+      ruleset,
+      spottedIn: location ? location.provinceCode : null,
+    });
+
+    res.json({
+      data: {
+        plateText,
+        country: country.code,
+        region: getRegionDisplay(country.code, result.parsed.provinceCode),
+        plateType: result.plateType,
+        plateTypeName: getPlateTypeDisplay(result.plateType, country.code),
+        totalScore: result.totalScore,
+        breakdown: result.breakdown,
+        distanceKm: result.distanceKm,
+        rulesetVersion: result.rulesetVersion,
+      },
+    });
+  });
+
+  router.use((req, res) => {
+    res.status(404).json({ error: "Not found" });
+  });
+
+  // Express 5 forwards errors from async handlers here
+  router.use((err, req, res, next) => {
+    if (err instanceof ApiError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error("Error handling API request:", err);
+    res.status(500).json({ error: "Internal server error" });
+  });
+
+  return router;
+}
+
+module.exports = { createApiRouter };
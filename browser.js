@@ -0,0 +1,350 @@
+// browser.js
+// Interactive, paginated browser for a collector's plates
+
+const {
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  EmbedBuilder,
+  StringSelectMenuBuilder,
+} = require("discord.js");
+const { getCollection } = require("./plates");
+const { getPlateTypeDisplay, getScoreEmoji } = require("./scoring");
+const { getCountry, getRegionDisplay } = require("./countries");
+const { t } = require("./i18n");
+
+const PAGE_SIZE = 10;
+
+// Sessions end after this long without a click...
+const IDLE_TIMEOUT = 5 * 60 * 1000;
+// ...and always before the 15 minute interaction token expires
+const MAX_SESSION = 14 * 60 * 1000;
+
+// Discord allows 25 options per select menu; one is used for "All"
+const MAX_FILTER_OPTIONS = 24;
+
+// Sort orders by key; their labels are the browse.sorts messages
+const SORTS = {
+  score: {
+    compare: (a, b) => b.totalScore - a.totalScore,
+  },
+  newest: {
+    compare: (a, b) => b.dateSpotted - a.dateSpotted,
+  },
+  oldest: {
+    compare: (a, b) => a.dateSpotted - b.dateSpotted,
+  },
+  province: {
+    compare: (a, b) =>
+      `${a.country}:${a.provinceCode}`.localeCompare(
+        `${b.country}:${b.provinceCode}`
+      ) || b.totalScore - a.totalScore,
+  },
+};
+
+/**
+ * Key identifying a province across countries
+ * @param {Object} plate - A plate document
+ * @returns {string} e.g. "TR:34"
+ */
+function getProvinceKey(plate) {
+  return `${plate.country}:${plate.provinceCode}`;
+}
+
+/**
+ * Apply the session's filters and sort order
+ * @param {Object[]} plates - All plates in the session
+ * @param {Object} state - Session state
+ * @returns {Object[]} The plates to show
+ */
+function getVisiblePlates(plates, state) {
+  return plates
+    .filter((plate) => !state.type || plate.plateType === state.type)
+    .filter(
+      (plate) => !state.province || getProvinceKey(plate) === state.province
+    )
+    .sort(SORTS[state.sort].compare);
+}
+
+/**
+ * Build the embed and components for the current page
+ * @param {Object[]} plates - All plates in the session
+ * @param {Object} state - Session state, with the locale of its texts
+ * @returns {Object} Message payload { embeds, components }
+ */
+function renderPage(plates, state) {
+  const { locale } = state;
+  const visible = getVisiblePlates(plates, state);
+  const pageCount = Math.max(1, Math.ceil(visible.length / PAGE_SIZE));
+  state.page = Math.min(state.page, pageCount - 1);
+
+  const start = state.page * PAGE_SIZE;
+  const lines = visible.slice(start, start + PAGE_SIZE).map((plate, i) => {
+    const country = getCountry(plate.country);
+    return (
+      `**${start + i + 1}.** ${country ? country.flag : ""} ${
+        plate.plateText
+      } - ${t(locale, "common.pts", {
+        score: plate.totalScore,
+      })} ${getScoreEmoji(plate.totalScore)}\n` +
+      `${getRegionDisplay(plate.country, plate.provinceCode, locale)} • ` +
+      `${getPlateTypeDisplay(plate.plateType, plate.country, locale)} • ` +
+      `${plate.dateSpotted.toLocaleDateString(locale)}`
+    );
+  });
+
+  const filters = [];
+  if (state.type) {
+    const example = plates.find((plate) => plate.plateType === state.type);
+    filters.push(
+      getPlateTypeDisplay(state.type, example && example.country, locale)
+    );
+  }
+  if (state.province) {
+    const [countryCode, provinceCode] = state.province.split(":");
+    filters.push(getRegionDisplay(countryCode, provinceCode, locale));
+  }
+
+  const embed = new EmbedBuilder()
+    .setTitle(`📖 ${state.title}`)
+    .setDescription(
+      [
+        t(locale, "common.plateCount", { count: visible.length }),
+        t(locale, "browse.sortedBy", {
+          sort: t(locale, `browse.sorts.${state.sort}`).toLocaleLowerCase(
+            locale
+          ),
+        }),
+        ...(filters.length
+          ? [t(locale, "browse.filteredTo", { filters: filters.join(", ") })]
+          : []),
+      ].join(" • ") +
+        `\n\n${lines.join("\n\n") || t(locale, "browse.noMatches")}`
+    )
+    .setFooter({
+      text: t(locale, "browse.page", {
+        page: state.page + 1,
+        count: pageCount,
+      }),
+    })
+    .setColor("#0099ff");
+
+  return {
+    embeds: [embed],
+    components: buildComponents(plates, state, pageCount),
+  };
+}
+
+/**
+ * Build the navigation buttons and sort/filter menus
+ * @param {Object[]} plates - All plates in the session
+ * @param {Object} state - Session state
+ * @param {number} pageCount - Number of pages with the current filters
+ * @returns {ActionRowBuilder[]} Component rows
+ */
+function buildComponents(plates, state, pageCount) {
+  const { locale } = state;
+  const navigation = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId("first")
+      .setEmoji("⏮️")
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(state.page === 0),
+    new ButtonBuilder()
+      .setCustomId("prev")
+      .setEmoji("◀️")
+      .setStyle(ButtonStyle.Primary)
+      .setDisabled(state.page === 0),
+    new ButtonBuilder()
+      .setCustomId("next")
+      .setEmoji("▶️")
+      .setStyle(ButtonStyle.Primary)
+      .setDisabled(state.page >= pageCount - 1),
+    new ButtonBuilder()
+      .setCustomId("last")
+      .setEmoji("⏭️")
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(state.page >= pageCount - 1)
+  );
+
+  const sortMenu = new StringSelectMenuBuilder()
+    .setCustomId("sort")
+    .setPlaceholder(t(locale, "browse.sortPlaceholder"))
+    .addOptions(
+      Object.keys(SORTS).map((value) => ({
+        label: t(locale, `browse.sorts.${value}`),
+        value,
+        default: state.sort === value,
+      }))
+    );
+
+  // Offer the types and provinces that actually appear in the collection
+  const typeCounts = countBy(plates, (plate) => plate.plateType);
+  const typeCountry = {};
+  plates.forEach((plate) => {
+    typeCountry[plate.plateType] = plate.country;
+  });
+  const typeMenu = new StringSelectMenuBuilder()
+    .setCustomId("type")
+    .setPlaceholder(t(locale, "browse.typePlaceholder"))
+    .addOptions(
+      {
+        label: t(locale, "browse.allTypes"),
+        value: "all",
+        default: !state.type,
+      },
+      ...typeCounts.slice(0, MAX_FILTER_OPTIONS).map(([type, count]) => ({
+        label: `${getPlateTypeDisplay(
+          type,
+          typeCountry[type],
+          locale
+        )} (${count})`,
+        value: type,
+        default: state.type === type,
+      }))
+    );
+
+  const provinceCounts = countBy(plates, getProvinceKey);
+  const provinceMenu = new StringSelectMenuBuilder()
+    .setCustomId("province")
+    .setPlaceholder(
+      provinceCounts.length > MAX_FILTER_OPTIONS
+        ? t(locale, "browse.provincePlaceholderTop", {
+            count: MAX_FILTER_OPTIONS,
+          })
+        : t(locale, "browse.provincePlaceholder")
+    )
+    .addOptions(
+      {
+        label: t(locale, "browse.allProvinces"),
+        value: "all",
+        default: !state.province,
+      },
+      ...provinceCounts.slice(0, MAX_FILTER_OPTIONS).map(([key, count]) => {
+        const [countryCode, provinceCode] = key.split(":");
+        const country = getCountry(countryCode);
+        return {
+          label: `${getRegionDisplay(
+            countryCode,
+            provinceCode,
+            locale
+          )} (${count})`,
+          value: key,
+          emoji: country ? country.flag : undefined,
+          default: state.province === key,
+        };
+      })
+    );
+
+  return [
+    navigation,
+    new ActionRowBuilder().addComponents(sortMenu),
+    new ActionRowBuilder().addComponents(typeMenu),
+    new ActionRowBuilder().addComponents(provinceMenu),
+  ];
+}
+
+/**
+ * Count items by key, most common first
+ * @param {Object[]} items - Items to count
+ * @param {Function} getKey - Returns the key for an item
+ * @returns {Array[]} [key, count] pairs
+ */
+function countBy(items, getKey) {
+  const counts = {};
+  items.forEach((item) => {
+    const key = getKey(item);
+    counts[key] = (counts[key] || 0) + 1;
+  });
+  return Object.entries(counts).sort((a, b) => b[1] - a[1]);
+}
+
+/**
+ * Open a plate browser as a reply to an interaction. Only the user who
+ * opened it can use the controls; the session ends after IDLE_TIMEOUT
+ * without interaction and its controls are removed.
+ * @param {Interaction} interaction - Slash command or button interaction
+ * @param {Object} options - Browser options
+ * @param {string} options.userId - The collector whose plates are shown
+ * @param {Object} options.filter - Scope and other conditions on the plates
+ * @param {string} options.title - Embed title
+ * @param {string} options.locale - Locale code of the texts
+ * @param {string} [options.sort] - Initial sort key from SORTS
+ * @param {string} [options.type] - Initial plate type filter
+ * @param {string} [options.province] - Initial province filter, as "TR:34"
+ * @param {boolean} [options.ephemeral] - Reply only visible to the user
+ */
+async function openPlateBrowser(interaction, options) {
+  const plates = await getCollection(options.userId, options.filter);
+
+  if (plates.length === 0) {
+    return interaction.reply({
+      content: t(options.locale, "common.noPlatesYet"),
+      ephemeral: true,
+    });
+  }
+
+  const state = {
+    title: options.title,
+    locale: options.locale,
+    page: 0,
+    sort: SORTS[options.sort] ? options.sort : "score",
+    type: options.type || null,
+    province: options.province || null,
+  };
+
+  const response = await interaction.reply({
+    ...renderPage(plates, state),
+    ephemeral: Boolean(options.ephemeral),
+  });
+
+  const collector = response.createMessageComponentCollector({
+    filter: (i) => {
+      if (i.user.id === interaction.user.id) return true;
+      i.reply({
+        content: t(options.locale, "browse.notYours"),
+        ephemeral: true,
+      }).catch(() => {});
+      return false;
+    },
+    idle: IDLE_TIMEOUT,
+    time: MAX_SESSION,
+  });
+
+  collector.on("collect", async (i) => {
+    if (i.customId === "first") state.page = 0;
+    else if (i.customId === "prev") state.page = Math.max(0, state.page - 1);
+    else if (i.customId === "next") state.page++;
+    else if (i.customId === "last") state.page = Number.MAX_SAFE_INTEGER;
+    else if (i.customId === "sort") {
+      state.sort = i.values[0];
+      state.page = 0;
+    } else if (i.customId === "type") {
+      state.type = i.values[0] === "all" ? null : i.values[0];
+      state.page = 0;
+    } else if (i.customId === "province") {
+      state.province = i.values[0] === "all" ? null : i.values[0];
+      state.page = 0;
+    }
+
+    try {
+      await i.update(renderPage(plates, state));
+    } catch (err) {
+      console.error("Error updating plate browser:", err);
+    }
+  });
+
+  collector.on("end", async () => {
+    try {
+      const { embeds } = renderPage(plates, state);
+      embeds[0].setFooter({
+        text: t(state.locale, "browse.expired"),
+      });
+      await interaction.editReply({ embeds, components: [] });
+    } catch (err) {
+      // The message may have been deleted in the meantime
+    }
+  });
+}
+
+module.exports = { openPlateBrowser, SORTS };
@@ -0,0 +1,219 @@
+// challenges.js
+// Daily and weekly challenges: picking targets and awarding bonus points
+
+const { Challenge } = require("./models");
+const {
+  DEFAULT_COUNTRY,
+  getCountry,
+  getRegionDisplay,
+} = require("./countries");
+const { getPlateTypeDisplay } = require("./scoring");
+const { t } = require("./i18n");
+
+// Bonus points for completing a challenge
+const CHALLENGE_BONUS = {
+  daily: 25,
+  weekly: 100,
+};
+
+// Kinds of challenge each period picks from. Weekly challenges are harder.
+const PERIOD_KINDS = {
+  daily: ["province", "digitSum", "palindrome"],
+  weekly: ["province", "type", "palindrome"],
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Pick a random element of an array
+ * @param {Array} items - The candidates
+ * @returns {*} One of them
+ */
+function randomItem(items) {
+  return items[Math.floor(Math.random() * items.length)];
+}
+
+/**
+ * Add up the digits of a plate number
+ * @param {string} digits - e.g. "1234"
+ * @returns {number} e.g. 10
+ */
+function sumDigits(digits) {
+  return (digits || "")
+    .split("")
+    .reduce((sum, digit) => sum + (parseInt(digit, 10) || 0), 0);
+}
+
+// How each kind of challenge picks a target, describes it in a language and
+// checks plates. Province and type targets are Turkish.
+const CHALLENGE_KINDS = {
+  province: {
+    pick: () => randomItem(Object.keys(getCountry(DEFAULT_COUNTRY).regions)),
+    describe: (target, locale) =>
+      t(locale, "challenges.kinds.province", {
+        province: getRegionDisplay(DEFAULT_COUNTRY, target, locale),
+      }),
+    matches: (plate, target) =>
+      plate.country === DEFAULT_COUNTRY && plate.provinceCode === target,
+  },
+  type: {
+    pick: () =>
+      randomItem(
+        Object.keys(getCountry(DEFAULT_COUNTRY).typeNames).filter(
+          (type) => type !== "STANDARD"
+        )
+      ),
+    describe: (target, locale) =>
+      t(locale, "challenges.kinds.type", {
+        type: getPlateTypeDisplay(target, DEFAULT_COUNTRY, locale),
+      }),
+    matches: (plate, target) =>
+      plate.country === DEFAULT_COUNTRY && plate.plateType === target,
+  },
+  digitSum: {
+    pick: () => 10 + Math.floor(Math.random() * 16),
+    describe: (target, locale) =>
+      t(locale, "challenges.kinds.digitSum", { target }),
+    matches: (plate, target) => sumDigits(plate.digits) === target,
+  },
+  palindrome: {
+    // Minimum number of digits
+    pick: (period) => (period === "weekly" ? 4 : 3),
+    describe: (target, locale) =>
+      t(locale, "challenges.kinds.palindrome", {
+        target,
+        example: target === 4 ? "1221" : "474",
+      }),
+    matches: (plate, target) =>
+      (plate.digits || "").length >= target &&
+      plate.digits === plate.digits.split("").reverse().join(""),
+  },
+};
+
+/**
+ * Get the UTC day or Monday-to-Monday UTC week containing a date
+ * @param {string} period - "daily" or "weekly"
+ * @param {Date} date - Any moment in the period
+ * @returns {Object} { start, end } with an exclusive end
+ */
+function getPeriodRange(period, date) {
+  const start = new Date(
+    Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate())
+  );
+
+  if (period === "weekly") {
+    // getUTCDay() is 0 on Sunday
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+    return { start, end: new Date(start.getTime() + 7 * DAY) };
+  }
+
+  return { start, end: new Date(start.getTime() + DAY) };
+}
+
+/**
+ * Get the running daily and weekly challenges of a guild, picking new
+ * targets for periods that don't have one yet
+ * @param {string} guildId - The Discord guild ID
+ * @param {Date} [now] - Moment to look up, defaults to the current time
+ * @returns {Promise<Object[]>} The daily and the weekly challenge
+ */
+function getActiveChallenges(guildId, now = new Date()) {
+  return Promise.all(
+    Object.keys(PERIOD_KINDS).map(async (period) => {
+      const { start, end } = getPeriodRange(period, now);
+      const existing = await Challenge.findOne({
+        guildId,
+        period,
+        startDate: start,
+      });
+      if (existing) return existing;
+
+      const kind = randomItem(PERIOD_KINDS[period]);
+
+      try {
+        return await Challenge.create({
+          guildId,
+          period,
+          kind,
+          target: CHALLENGE_KINDS[kind].pick(period),
+          bonus: CHALLENGE_BONUS[period],
+          startDate: start,
+          endDate: end,
+        });
+      } catch (err) {
+        // Another command picked this period's challenge first
+        if (err.code !== 11000) throw err;
+        return Challenge.findOne({ guildId, period, startDate: start });
+      }
+    })
+  );
+}
+
+/**
+ * Describe what a challenge asks for
+ * @param {Object} challenge - The challenge document
+ * @param {string} [locale] - Locale code, defaults to English
+ * @returns {string} e.g. "A plate from 75 Ardahan"
+ */
+function describeChallenge(challenge, locale) {
+  return CHALLENGE_KINDS[challenge.kind].describe(challenge.target, locale);
+}
+
+/**
+ * Award the challenges a newly counted plate completes. Each collector can
+ * complete a challenge once; the bonus is added to the plate's score.
+ * @param {Object} plate - The saved, verified plate document
+ * @returns {Promise<Object[]>} The challenges completed by this plate
+ */
+async function awardChallenges(plate) {
+  // Make sure today's and this week's challenges exist before checking them
+  await getActiveChallenges(plate.guildId);
+
+  const open = await Challenge.find({
+    guildId: plate.guildId,
+    startDate: { $lte: plate.dateSpotted },
+    endDate: { $gt: plate.dateSpotted },
+    "completions.userId": { $ne: plate.userId },
+  });
+
+  const completed = [];
+  for (const challenge of open) {
+    if (!CHALLENGE_KINDS[challenge.kind].matches(plate, challenge.target)) {
+      continue;
+    }
+
+    // Two plates added at once must not both complete the challenge
+    const updated = await Challenge.findOneAndUpdate(
+      { _id: challenge._id, "completions.userId": { $ne: plate.userId } },
+      {
+        $push: {
+          completions: {
+            userId: plate.userId,
+            username: plate.username,
+            plateId: plate._id,
+            plateText: plate.plateText,
+            completedAt: new Date(),
+          },
+        },
+      },
+      { new: true }
+    );
+    if (updated) completed.push(updated);
+  }
+
+  const bonus = completed.reduce((sum, challenge) => sum + challenge.bonus, 0);
+  if (bonus > 0) {
+    plate.bonusScore = (plate.bonusScore || 0) + bonus;
+    plate.totalScore += bonus;
+    await plate.save();
+  }
+
+  return completed;
+}
+
+module.exports = {
+  CHALLENGE_BONUS,
+  getActiveChallenges,
+  describeChallenge,
+  awardChallenges,
+};
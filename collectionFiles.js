@@ -0,0 +1,410 @@
+// collectionFiles.js
+// Exporting collections to CSV or JSON files and importing plates from them
+
+const { addPlates, findPlates } = require("./plates");
+const { startSession } = require("./storage");
+const { calculatePlateScore, getPlateTypeDisplay } = require("./scoring");
+const { getCountry, validatePlate } = require("./countries");
+const { parseLocation } = require("./locations");
+
+// Columns of an exported collection, in order
+const EXPORT_COLUMNS = [
+  "country",
+  "plateText",
+  "plateType",
+  "plateTypeName",
+  "provinceCode",
+  "regionName",
+  "letters",
+  "digits",
+  "provinceScore",
+  "letterScore",
+  "digitScore",
+  "specialScore",
+  "farFromHomeScore",
+  "bonusScore",
+  "totalScore",
+  "rulesetVersion",
+  "spottedProvince",
+  "dateSpotted",
+  "status",
+  "guildId",
+];
+
+// Columns an imported file may have, by the names they go by. Exported
+// files can be imported again.
+const IMPORT_COLUMNS = {
+  plate: ["plate", "platetext"],
+  country: ["country"],
+  date: ["date", "datespotted"],
+  location: ["location", "spottedprovince"],
+  note: ["note"],
+};
+
+// Largest file /import reads, and the most plates it adds at once
+const MAX_IMPORT_BYTES = 512 * 1024;
+const MAX_IMPORT_ROWS = 1000;
+
+/**
+ * Flatten a plate into an export row
+ * @param {Object} plate - The plate document
+ * @returns {Object} Values by EXPORT_COLUMNS name
+ */
+function getExportRow(plate) {
+  const country = getCountry(plate.country);
+
+  return {
+    country: plate.country,
+    plateText: plate.plateText,
+    plateType: plate.plateType,
+    plateTypeName: getPlateTypeDisplay(plate.plateType, plate.country),
+    provinceCode: plate.provinceCode,
+    regionName: (country && country.regions[plate.provinceCode]) || "",
+    letters: plate.letters,
+    digits: plate.digits,
+    provinceScore: plate.provinceScore,
+    letterScore: plate.letterScore,
+    digitScore: plate.digitScore,
+    specialScore: plate.specialScore,
+    farFromHomeScore: plate.farFromHomeScore,
+    bonusScore: plate.bonusScore,
+    totalScore: plate.totalScore,
+    rulesetVersion: plate.rulesetVersion,
+    spottedProvince: plate.spottedProvince || "",
+    dateSpotted: plate.dateSpotted.toISOString(),
+    status: plate.status,
+    guildId: plate.guildId || "",
+  };
+}
+
+/**
+ * Write rows as CSV, quoting values where needed
+ * @param {string[]} columns - Column names, written as the header
+ * @param {Object[]} rows - Values by column name
+ * @returns {string} The CSV text
+ */
+function toCsv(columns, rows) {
+  const escape = (value) => {
+    const text = value == null ? "" : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  return [columns, ...rows.map((row) => columns.map((column) => row[column]))]
+    .map((values) => values.map(escape).join(","))
+    .join("\r\n");
+}
+
+/**
+ * Read CSV text into rows of values. Spreadsheets set up for Turkish use
+ * semicolons between values, so a header without commas switches to them.
+ * @param {string} text - The CSV text
+ * @returns {string[][]} Rows of values, header first
+ */
+function parseCsv(text) {
+  const header = text.split(/\r?\n/, 1)[0];
+  const separator = header.includes(",") || !header.includes(";") ? "," : ";";
+  const rows = [];
+  let row = [];
+  let value = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        value += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === separator) {
+      row.push(value);
+      value = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(value);
+      rows.push(row);
+      row = [];
+      value = "";
+    } else {
+      value += char;
+    }
+  }
+  row.push(value);
+  rows.push(row);
+
+  return rows;
+}
+
+/**
+ * Write a collection to a file
+ * @param {Object[]} plates - The plate documents
+ * @param {string} format - "csv" or "json"
+ * @returns {Buffer} The file contents
+ */
+function exportPlates(plates, format) {
+  const rows = plates.map(getExportRow);
+
+  return Buffer.from(
+    format === "json"
+      ? JSON.stringify(rows, null, 2)
+      : // A byte order mark makes spreadsheets read the file as UTF-8
+        `\uFEFF${toCsv(EXPORT_COLUMNS, rows)}`
+  );
+}
+
+/**
+ * Find which IMPORT_COLUMNS field a column name stands for
+ * @param {string} name - Column name or JSON key, e.g. "Plate Text"
+ * @returns {string|undefined} e.g. "plate"
+ */
+function getImportField(name) {
+  const key = String(name)
+    .toLowerCase()
+    .replace(/[^a-z]/g, "");
+  return Object.keys(IMPORT_COLUMNS).find((field) =>
+    IMPORT_COLUMNS[field].includes(key)
+  );
+}
+
+/**
+ * Read the plates listed in an imported file
+ * @param {string} text - The file contents
+ * @param {string} format - "csv" or "json"
+ * @returns {Object} { rows } with { row, plate, country, date, location, note }
+ * per plate, where row is the line or list position to report problems at,
+ * otherwise { error: { code, ... } }
+ */
+function readPlateFile(text, format) {
+  const content = text.replace(/^\uFEFF/, "");
+  let rows;
+
+  if (format === "json") {
+    let data;
+    try {
+      data = JSON.parse(content);
+    } catch (err) {
+      return { error: { code: "BAD_JSON", reason: err.message } };
+    }
+
+    // Either a list of plates or an object holding one
+    const list = Array.isArray(data) ? data : data && data.plates;
+    if (!Array.isArray(list)) {
+      return { error: { code: "BAD_JSON", reason: "expected a list" } };
+    }
+
+    rows = list.map((item, index) => {
+      const row = { row: index + 1 };
+      if (typeof item === "string") {
+        row.plate = item;
+      } else if (item && typeof item === "object") {
+        Object.entries(item).forEach(([key, value]) => {
+          const field = getImportField(key);
+          if (field && value != null) row[field] = String(value);
+        });
+      }
+      return row;
+    });
+  } else {
+    const [header = [], ...lines] = parseCsv(content);
+    const fields = header.map(getImportField);
+
+    if (!fields.includes("plate")) {
+      return { error: { code: "NO_PLATE_COLUMN" } };
+    }
+
+    // Rows are numbered like in a spreadsheet, the header being row 1
+    rows = lines
+      .map((values, index) => {
+        const row = { row: index + 2 };
+        fields.forEach((field, column) => {
+          if (field && values[column] !== undefined) {
+            row[field] = values[column];
+          }
+        });
+        return { row, blank: values.every((value) => !value.trim()) };
+      })
+      .filter(({ blank }) => !blank)
+      .map(({ row }) => row);
+  }
+
+  if (rows.length === 0) return { error: { code: "EMPTY" } };
+  if (rows.length > MAX_IMPORT_ROWS) {
+    return {
+      error: {
+        code: "TOO_MANY_ROWS",
+        count: rows.length,
+        max: MAX_IMPORT_ROWS,
+      },
+    };
+  }
+  return { rows };
+}
+
+/**
+ * Check and score one imported row
+ * @param {Object} row - A row from readPlateFile()
+ * @param {Object} settings - The guild's settings
+ * @returns {Object} { plate, location, note } with the fields of the new
+ * plate and its first sighting, or { error: { code, ... } } saying why the
+ * row is rejected
+ */
+function checkImportRow(row, settings) {
+  const input = (row.plate || "").trim();
+  if (!input) return { error: { code: "MISSING_PLATE" } };
+
+  const countryCode = (row.country || "").trim();
+  const country = getCountry(countryCode);
+  if (!country) {
+    return { error: { code: "UNKNOWN_COUNTRY", country: countryCode } };
+  }
+  if (!settings.isCountryEnabled(country.code)) {
+    return { error: { code: "COUNTRY_DISABLED", country: country.code } };
+  }
+
+  // Turkish plates are checked with parseTurkishPlate, others by their country
+  const { plateText, error } = validatePlate(country, input);
+  if (error) {
+    return {
+      error: {
+        code: "INVALID_PLATE",
+        country: country.code,
+        plateError: error,
+      },
+    };
+  }
+
+  const date = (row.date || "").trim();
+  const dateSpotted = date ? new Date(date) : new Date();
+  if (isNaN(dateSpotted) || dateSpotted > new Date()) {
+    return { error: { code: "BAD_DATE", date } };
+  }
+
+  const location = parseLocation(row.location);
+  const spottedProvince = location ? location.provinceCode : null;
+  const { totalScore, plateType, breakdown, parsed, rulesetVersion } =
+    calculatePlateScore(plateText, {
+      country: country.code,
+      spottedIn: spottedProvince,
+    });
+
+  if (!settings.isPlateTypeEnabled(plateType)) {
+    return {
+      error: { code: "TYPE_DISABLED", type: plateType, country: country.code },
+    };
+  }
+
+  return {
+    plate: {
+      country: country.code,
+      plateText,
+      provinceCode: parsed.provinceCode,
+      letters: parsed.letters,
+      digits: parsed.digits,
+      plateType,
+      provinceScore: breakdown.province,
+      letterScore: breakdown.letters,
+      digitScore: breakdown.digits,
+      specialScore: breakdown.special,
+      spottedProvince,
+      farFromHomeScore: breakdown.farFromHome,
+      totalScore,
+      dateSpotted,
+      rulesetVersion,
+    },
+    location,
+    note: (row.note || "").trim() || null,
+  };
+}
+
+/**
+ * Add the plates of an imported file to a collection. Plates already in the
+ * collection, or listed twice, are skipped. Imported plates count as verified
+ * toward all-time scores, but their dates are the collector's word, so they
+ * stay out of seasons, streaks, achievements and challenges.
+ * @param {Object[]} rows - Rows from readPlateFile()
+ * @param {Object} collector - { guildId, channelId, user } the plates go to
+ * @param {Object} settings - The guild's settings
+ * @returns {Promise<Object>} { imported, skipped, rejected }, where imported
+ * holds the new plates and skipped and rejected hold { row, plate, error }
+ */
+async function importPlates(rows, collector, settings) {
+  const { guildId, channelId, user } = collector;
+  const existing = await findPlates({ guildId, userId: user.id });
+  const collected = new Set(
+    existing.map((plate) => `${plate.country}:${plate.plateText}`)
+  );
+  const listed = new Set();
+
+  const accepted = [];
+  const skipped = [];
+  const rejected = [];
+
+  for (const row of rows) {
+    const checked = checkImportRow(row, settings);
+    const entry = { row: row.row, plate: row.plate || "" };
+
+    if (checked.error) {
+      rejected.push({ ...entry, error: checked.error });
+      continue;
+    }
+
+    const key = `${checked.plate.country}:${checked.plate.plateText}`;
+    if (collected.has(key)) {
+      skipped.push({ ...entry, error: { code: "ALREADY_COLLECTED" } });
+    } else if (listed.has(key)) {
+      skipped.push({ ...entry, error: { code: "DUPLICATE_ROW" } });
+    } else {
+      listed.add(key);
+      accepted.push(checked);
+    }
+  }
+
+  // Each plate starts its sighting timeline on the date it was spotted, and
+  // either every accepted plate is imported with its sighting or none is
+  const entries = accepted.map(({ plate, location, note }) => ({
+    plate: {
+      ...plate,
+      guildId,
+      channelId,
+      userId: user.id,
+      username: user.username,
+      status: "verified",
+      imported: true,
+    },
+    sighting: {
+      channelId,
+      location: location ? location.label : null,
+      provinceCode: location ? location.provinceCode : null,
+      latitude: location ? location.latitude : null,
+      longitude: location ? location.longitude : null,
+      note,
+    },
+  }));
+
+  const session = await startSession();
+  let imported;
+  try {
+    await session.withTransaction(async () => {
+      imported = await addPlates(entries, session);
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  return { imported, skipped, rejected };
+}
+
+module.exports = {
+  MAX_IMPORT_BYTES,
+  MAX_IMPORT_ROWS,
+  toCsv,
+  exportPlates,
+  readPlateFile,
+  importPlates,
+};
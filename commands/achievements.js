@@ -0,0 +1,84 @@
+// commands/achievements.js
+// /achievements: unlocked badges and progress toward the rest
+
+const { EmbedBuilder, SlashCommandBuilder } = require("discord.js");
+const { formatAchievement, getProgressBar } = require("./helpers");
+const { getAchievementProgress } = require("../achievements");
+const { t } = require("../i18n");
+
+const data = new SlashCommandBuilder()
+  .setName("achievements")
+  .setDescription("View achievements and progress toward locked ones")
+  .addUserOption((option) =>
+    option
+      .setName("user")
+      .setDescription("Collector to look at (defaults to you)")
+      .setRequired(false)
+  );
+
+/**
+ * View achievements and progress toward locked ones
+ * @param {ChatInputCommandInteraction} interaction - The slash command interaction
+ * @param {Object} context - Reply locale, see commands/index.js
+ */
+async function execute(interaction, { locale }) {
+  const { options } = interaction;
+
+  const user = options.getUser("user") || interaction.user;
+
+  try {
+    const progress = await getAchievementProgress(interaction.guildId, user.id);
+    const unlocked = progress.filter((a) => a.unlockedAt);
+    const locked = progress.filter((a) => !a.unlockedAt);
+
+    const embed = new EmbedBuilder()
+      .setTitle(t(locale, "achievements.title", { user: user.username }))
+      .setDescription(
+        t(locale, "achievements.description", {
+          unlocked: unlocked.length,
+          count: progress.length,
+          server: interaction.guild.name,
+        })
+      )
+      .addFields(
+        {
+          name: t(locale, "achievements.unlocked"),
+          value:
+            unlocked
+              .map(
+                (a) =>
+                  `${formatAchievement(
+                    a,
+                    locale
+                  )} (${a.unlockedAt.toLocaleDateString(locale)})`
+              )
+              .join("\n") || t(locale, "achievements.noneYet"),
+        },
+        {
+          name: t(locale, "achievements.inProgress"),
+          value:
+            locked
+              .map(
+                (a) =>
+                  `${formatAchievement(a, locale)}\n${getProgressBar(
+                    a.current,
+                    a.target
+                  )}`
+              )
+              .join("\n") || t(locale, "achievements.allUnlocked"),
+        }
+      )
+      .setColor("#F1C40F")
+      .setThumbnail(user.displayAvatarURL());
+
+    interaction.reply({ embeds: [embed] });
+  } catch (err) {
+    console.error("Error retrieving achievements:", err);
+    interaction.reply({
+      content: t(locale, "achievements.error"),
+      ephemeral: true,
+    });
+  }
+}
+
+module.exports = { data, execute };
@@ -0,0 +1,601 @@
+// commands/addplate.js
+// /addplate: add a plate to a collection, with photo review for servers that require it
+
+const {
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  EmbedBuilder,
+  PermissionFlagsBits,
+  SlashCommandBuilder,
+} = require("discord.js");
+const { countryOption } = require("./options");
+const {
+  announceAchievements,
+  getCountryFlag,
+  getUserLocale,
+} = require("./helpers");
+const { getGuildSettings } = require("../models");
+const {
+  addPlate,
+  addSighting,
+  deletePlate,
+  findCollectedPlate,
+  findPlate,
+} = require("../plates");
+const {
+  calculatePlateScore,
+  getPlateTypeDisplay,
+  getScoreColor,
+  getScoreEmoji,
+} = require("../scoring");
+const {
+  DEFAULT_COUNTRY,
+  describePlateError,
+  getCountry,
+  getCountryName,
+  getRegionDisplay,
+  validatePlate,
+} = require("../countries");
+const { t } = require("../i18n");
+const { awardChallenges, describeChallenge } = require("../challenges");
+const { awardStreakBonus } = require("../streaks");
+const { parseLocation, suggestLocations } = require("../locations");
+
+const data = new SlashCommandBuilder()
+  .setName("addplate")
+  .setDescription("Add a license plate to your collection")
+  .addStringOption((option) =>
+    option
+      .setName("plate")
+      .setDescription("The license plate (e.g., 34ABC123)")
+      .setRequired(true)
+  )
+  .addAttachmentOption((option) =>
+    option
+      .setName("photo")
+      .setDescription("A photo of the plate as evidence")
+      .setRequired(false)
+  )
+  .addStringOption(countryOption)
+  .addStringOption((option) =>
+    option
+      .setName("location")
+      .setDescription(
+        'Province, "Province, place" or coordinates where you saw the plate'
+      )
+      .setRequired(false)
+      .setMaxLength(100)
+      .setAutocomplete(true)
+  )
+  .addStringOption((option) =>
+    option
+      .setName("note")
+      .setDescription("Anything worth remembering about this sighting")
+      .setRequired(false)
+      .setMaxLength(200)
+  );
+
+/**
+ * Add a new plate
+ * @param {ChatInputCommandInteraction} interaction - The slash command interaction
+ * @param {Object} context - Reply locale and query scope, see commands/index.js
+ */
+async function execute(interaction, { locale }) {
+  const { options } = interaction;
+
+  const country = getCountry(options.getString("country"));
+
+  // Validate the plate has the correct format for its country
+  const input = options.getString("plate");
+  const { plateText, corrections, error } = validatePlate(country, input);
+  if (error) {
+    return interaction.reply({
+      content: describePlateError(country, input, error, locale),
+      ephemeral: true,
+    });
+  }
+
+  // Say which look-alike characters were swapped, so a misread plate is noticed
+  const correctionNote =
+    corrections.length > 0
+      ? `\n${t(locale, "addplate.corrected", {
+          input,
+          plate: plateText,
+          swaps: corrections
+            .map(({ from, to }) => `${from} → ${to}`)
+            .join(", "),
+        })}`
+      : "";
+
+  // Optional photo evidence
+  const photo = options.getAttachment("photo");
+  if (photo && !(photo.contentType || "").startsWith("image/")) {
+    return interaction.reply({
+      content: t(locale, "addplate.badPhoto"),
+      ephemeral: true,
+    });
+  }
+
+  // Where the plate was seen, which can earn a far-from-home bonus
+  const location = parseLocation(options.getString("location"));
+  const spottedProvince = location ? location.provinceCode : null;
+
+  // Calculate score with the country's rules
+  const result = calculatePlateScore(plateText, {
+    country: country.code,
+    spottedIn: spottedProvince,
+  });
+  const { totalScore, plateType, breakdown, parsed } = result;
+
+  // Optional details about where and how the plate was seen
+  const sightingDetails = {
+    channelId: interaction.channelId,
+    location: location ? location.label : null,
+    provinceCode: spottedProvince,
+    latitude: location ? location.latitude : null,
+    longitude: location ? location.longitude : null,
+    note: options.getString("note"),
+    photoUrl: photo ? photo.url : null,
+  };
+
+  try {
+    const settings = await getGuildSettings(interaction.guildId);
+
+    if (
+      !interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild) &&
+      !settings.canSubmitPlates(interaction.member)
+    ) {
+      return interaction.reply({
+        content: t(locale, "addplate.noSubmitRole"),
+        ephemeral: true,
+      });
+    }
+
+    if (!settings.isCountryEnabled(country.code)) {
+      return interaction.reply({
+        content: t(locale, "common.countryDisabled", {
+          country: getCountryName(country, locale),
+        }),
+        ephemeral: true,
+      });
+    }
+
+    if (!settings.isPlateTypeEnabled(plateType)) {
+      return interaction.reply({
+        content: t(locale, "addplate.typeDisabled", {
+          type: getPlateTypeDisplay(plateType, country.code, locale),
+        }),
+        ephemeral: true,
+      });
+    }
+
+    // Check if plate already exists in user's collection
+    const existingPlate = await findCollectedPlate(
+      { guildId: interaction.guildId, userId: interaction.user.id },
+      country.code,
+      plateText
+    );
+
+    if (existingPlate && existingPlate.status === "pending") {
+      return interaction.reply({
+        content:
+          t(locale, "addplate.pending", { plate: plateText }) + correctionNote,
+        ephemeral: true,
+      });
+    }
+
+    // Seeing a collected plate again is recorded, but only the first catch scores
+    if (existingPlate) {
+      const sightingCount = await addSighting(existingPlate, sightingDetails);
+
+      return interaction.reply({
+        content:
+          t(locale, "addplate.spottedAgain", {
+            plate: plateText,
+            count: sightingCount,
+            score: existingPlate.totalScore,
+          }) + correctionNote,
+        ephemeral: true,
+      });
+    }
+
+    const needsReview = settings.verificationMode === "required";
+
+    if (needsReview && !photo) {
+      return interaction.reply({
+        content: t(locale, "addplate.photoRequired"),
+        ephemeral: true,
+      });
+    }
+
+    const reviewChannel = needsReview
+      ? await getReviewChannel(interaction.guild, settings)
+      : null;
+
+    if (needsReview && !reviewChannel) {
+      return interaction.reply({
+        content: t(locale, "addplate.noReviewChannel"),
+        ephemeral: true,
+      });
+    }
+
+    // Create new plate entry with parsed components
+    const newPlate = await addPlate(
+      {
+        guildId: interaction.guildId,
+        channelId: interaction.channelId,
+        userId: interaction.user.id,
+        username: interaction.user.username,
+        country: country.code,
+        plateText: plateText,
+        provinceCode: parsed.provinceCode,
+        letters: parsed.letters,
+        digits: parsed.digits,
+        plateType: plateType,
+        provinceScore: breakdown.province,
+        letterScore: breakdown.letters,
+        digitScore: breakdown.digits,
+        specialScore: breakdown.special,
+        spottedProvince,
+        farFromHomeScore: breakdown.farFromHome,
+        totalScore: totalScore,
+        rulesetVersion: result.rulesetVersion,
+        status: needsReview ? "pending" : "verified",
+        photoUrl: photo ? photo.url : null,
+      },
+      sightingDetails
+    );
+
+    // Queue the plate for moderators instead of announcing it
+    if (needsReview) {
+      try {
+        await postReviewRequest(
+          reviewChannel,
+          newPlate,
+          photo,
+          settings.locale
+        );
+      } catch (err) {
+        // Without its review message nobody could approve the plate, and it
+        // would block adding the plate again
+        await deletePlate(newPlate);
+        throw err;
+      }
+
+      return interaction.reply({
+        content:
+          t(locale, "addplate.submitted", { plate: plateText }) +
+          correctionNote,
+        ephemeral: true,
+      });
+    }
+
+    // Challenge and streak bonuses are added to the plate's total score
+    const completedChallenges = await awardChallenges(newPlate);
+    const streak = await awardStreakBonus(newPlate, settings);
+
+    // Create a rich embed for better display
+    const embed = new EmbedBuilder()
+      .setTitle(
+        t(locale, "addplate.title", { flag: country.flag, plate: plateText })
+      )
+      .setDescription(
+        t(locale, "addplate.description", {
+          region: getRegionDisplay(country.code, parsed.provinceCode, locale),
+          regionLabel: t(locale, `regionLabels.${country.regionLabel}`, {
+            count: 1,
+          }),
+        }) + correctionNote
+      )
+      .addFields(
+        {
+          name: t(locale, "fields.totalScore"),
+          value: `${t(locale, "common.points", {
+            score: newPlate.totalScore,
+          })} ${getScoreEmoji(newPlate.totalScore)}`,
+          inline: true,
+        },
+        {
+          name: t(locale, "fields.plateType"),
+          value: getPlateTypeDisplay(plateType, country.code, locale),
+          inline: true,
+        },
+        {
+          name: t(locale, "fields.scoreBreakdown"),
+          value:
+            t(locale, "addplate.breakdown", {
+              region: breakdown.province,
+              letters: breakdown.letters,
+              digits: breakdown.digits,
+              digitSum: breakdown.digitsum,
+              special: breakdown.special,
+            }) +
+            (breakdown.farFromHome !== 1
+              ? `\n${t(locale, "addplate.breakdownFarFromHome", {
+                  farFromHome: breakdown.farFromHome,
+                })}`
+              : ""),
+        },
+        {
+          name: t(locale, "fields.scoreCalculation"),
+          value:
+            `((${breakdown.letters} + ${breakdown.digitsum}) × ${breakdown.digits}) × ${breakdown.province} × ${breakdown.special}` +
+            (breakdown.farFromHome !== 1 ? ` × ${breakdown.farFromHome}` : ""),
+        }
+      )
+      .setColor(getScoreColor(newPlate.totalScore))
+      .setFooter({
+        text: t(locale, "addplate.footer", {
+          version: result.rulesetVersion,
+        }),
+      });
+
+    if (completedChallenges.length > 0) {
+      embed.addFields({
+        name: t(locale, "addplate.challengeComplete"),
+        value: completedChallenges
+          .map((c) =>
+            t(locale, "addplate.challengeBonus", {
+              challenge: describeChallenge(c, locale),
+              bonus: c.bonus,
+            })
+          )
+          .join("\n"),
+      });
+    }
+
+    if (streak.bonus > 0) {
+      embed.addFields({
+        name: t(locale, "addplate.streak"),
+        value: t(locale, "addplate.streakBonus", {
+          days: streak.days,
+          bonus: streak.bonus,
+        }),
+      });
+    }
+
+    if (breakdown.farFromHome !== 1) {
+      embed.addFields({
+        name: t(locale, "addplate.farFromHome"),
+        value: t(locale, "addplate.farFromHomeValue", {
+          province: getRegionDisplay(DEFAULT_COUNTRY, spottedProvince, locale),
+          distance: Math.round(result.distanceKm),
+          multiplier: breakdown.farFromHome,
+        }),
+      });
+    }
+
+    if (photo) embed.setThumbnail(photo.url);
+
+    await interaction.reply({ embeds: [embed] });
+
+    await announceAchievements(
+      interaction.channel,
+      interaction.guildId,
+      interaction.user.id,
+      settings.locale
+    );
+  } catch (err) {
+    console.error("Error saving plate:", err);
+    interaction.reply({
+      content: t(locale, "addplate.error"),
+      ephemeral: true,
+    });
+  }
+}
+
+/**
+ * Suggest provinces while a location is typed
+ * @param {AutocompleteInteraction} interaction - The autocomplete interaction
+ * @param {Object} focused - The option being typed, { name, value }
+ * @returns {Object[]} Choices { name, value }
+ */
+function autocomplete(interaction, focused) {
+  return focused.name === "location" ? suggestLocations(focused.value) : [];
+}
+
+/**
+ * Resolve the configured review channel for a guild
+ * @param {Guild} guild - The Discord guild
+ * @param {Object} settings - The guild settings document
+ * @returns {Promise<TextChannel|null>} The review channel, or null if unusable
+ */
+async function getReviewChannel(guild, settings) {
+  if (!settings.reviewChannelId) return null;
+
+  try {
+    const channel = await guild.channels.fetch(settings.reviewChannelId);
+    return channel && channel.isTextBased() ? channel : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Post a pending plate to the moderator review channel with approve/reject
+ * buttons. The photo is re-uploaded so it outlives the original attachment.
+ * @param {TextChannel} channel - The review channel
+ * @param {Document} plate - The pending plate document
+ * @param {Attachment} photo - The photo attached to /addplate
+ * @param {string} locale - Locale code of the server, which moderators read
+ */
+async function postReviewRequest(channel, plate, photo, locale) {
+  const fileName = `plate-${plate._id}${getAttachmentExtension(photo)}`;
+
+  const embed = new EmbedBuilder()
+    .setTitle(
+      t(locale, "addplate.review.title", {
+        flag: getCountryFlag(plate.country),
+        plate: plate.plateText,
+      })
+    )
+    .setDescription(
+      t(locale, "addplate.review.description", { user: `<@${plate.userId}>` })
+    )
+    .addFields(
+      {
+        name: t(locale, "fields.score"),
+        value: `${t(locale, "common.points", {
+          score: plate.totalScore,
+        })} ${getScoreEmoji(plate.totalScore)}`,
+        inline: true,
+      },
+      {
+        name: t(locale, "fields.plateType"),
+        value: getPlateTypeDisplay(plate.plateType, plate.country, locale),
+        inline: true,
+      }
+    )
+    .setImage(`attachment://${fileName}`)
+    .setColor("#E67E22")
+    .setTimestamp(plate.dateSpotted);
+
+  const buttons = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`verify:approve:${plate._id}`)
+      .setLabel(t(locale, "addplate.review.approve"))
+      .setStyle(ButtonStyle.Success),
+    new ButtonBuilder()
+      .setCustomId(`verify:reject:${plate._id}`)
+      .setLabel(t(locale, "addplate.review.reject"))
+      .setStyle(ButtonStyle.Danger)
+  );
+
+  await channel.send({
+    embeds: [embed],
+    components: [buttons],
+    files: [{ attachment: photo.url, name: fileName }],
+  });
+}
+
+/**
+ * File extension of an attachment, including the dot
+ * @param {Attachment} attachment - The Discord attachment
+ * @returns {string} Extension such as ".png", or "" if there is none
+ */
+function getAttachmentExtension(attachment) {
+  const match = (attachment.name || "").match(/\.[A-Za-z0-9]+$/);
+  return match ? match[0].toLowerCase() : "";
+}
+
+/**
+ * Handle the approve/reject buttons on a review request.
+ * Approved plates become verified; rejected plates are removed so the
+ * collector can submit them again with a better photo. The review message
+ * and announcements use the server's language, the result DM the
+ * collector's own.
+ * @param {ButtonInteraction} interaction - The button interaction
+ * @param {Object} context - The clicker's locale, see commands/index.js
+ */
+async function handleVerificationButton(interaction, { locale }) {
+  const [, action, plateId] = interaction.customId.split(":");
+
+  if (!interaction.memberPermissions?.has(PermissionFlagsBits.ManageMessages)) {
+    return interaction.reply({
+      content: t(locale, "addplate.review.moderatorsOnly"),
+      ephemeral: true,
+    });
+  }
+
+  try {
+    const settings = await getGuildSettings(interaction.guildId);
+    const plate = await findPlate(plateId);
+    const embed = EmbedBuilder.from(interaction.message.embeds[0]);
+
+    if (!plate || plate.status !== "pending") {
+      embed.setFooter({
+        text: t(settings.locale, "addplate.review.notPending"),
+      });
+      return interaction.update({ embeds: [embed], components: [] });
+    }
+
+    const collectorLocale = await getUserLocale(plate.userId, plate.guildId);
+    let outcome;
+    if (action === "approve") {
+      plate.status = "verified";
+      plate.verifiedBy = interaction.user.id;
+      plate.verifiedAt = new Date();
+      await plate.save();
+
+      // Challenges running when the plate was spotted count once it's verified
+      const completed = await awardChallenges(plate);
+      const streak = await awardStreakBonus(plate, settings);
+
+      outcome = [
+        t(collectorLocale, "addplate.review.approved", {
+          plate: plate.plateText,
+          score: plate.totalScore,
+        }),
+        ...completed.map(
+          (c) =>
+            `🎯 ${t(collectorLocale, "addplate.challengeBonus", {
+              challenge: describeChallenge(c, collectorLocale),
+              bonus: c.bonus,
+            })}`
+        ),
+        ...(streak.bonus > 0
+          ? [
+              `🔥 ${t(collectorLocale, "addplate.streakBonus", {
+                days: streak.days,
+                bonus: streak.bonus,
+              })}`,
+            ]
+          : []),
+      ].join("\n");
+      embed.setColor("#2ECC71").setFooter({
+        text: t(settings.locale, "addplate.review.approvedBy", {
+          user: interaction.user.username,
+        }),
+      });
+    } else {
+      await deletePlate(plate);
+
+      outcome = t(collectorLocale, "addplate.review.rejected", {
+        plate: plate.plateText,
+      });
+      embed.setColor("#E74C3C").setFooter({
+        text: t(settings.locale, "addplate.review.rejectedBy", {
+          user: interaction.user.username,
+        }),
+      });
+    }
+
+    await interaction.update({ embeds: [embed], components: [] });
+
+    // Approved plates can complete achievements; announce them where the plate was added
+    if (action === "approve") {
+      const channel = plate.channelId
+        ? await interaction.client.channels
+            .fetch(plate.channelId)
+            .catch(() => null)
+        : null;
+      await announceAchievements(
+        channel,
+        plate.guildId,
+        plate.userId,
+        settings.locale
+      );
+    }
+
+    // Let the collector know; they may have DMs closed
+    try {
+      await interaction.client.users.send(plate.userId, outcome);
+    } catch (err) {
+      console.warn(`Could not DM verification result to ${plate.userId}`);
+    }
+  } catch (err) {
+    console.error("Error verifying plate:", err);
+    interaction.reply({
+      content: t(locale, "addplate.review.error"),
+      ephemeral: true,
+    });
+  }
+}
+
+module.exports = {
+  data,
+  execute,
+  autocomplete,
+  buttons: { verify: handleVerificationButton },
+};
@@ -0,0 +1,82 @@
+// commands/auditlog.js
+// /auditlog: recent plate removals and corrections (moderators only)
+
+const {
+  EmbedBuilder,
+  PermissionFlagsBits,
+  SlashCommandBuilder,
+} = require("discord.js");
+const { AuditLog } = require("../models");
+const { t } = require("../i18n");
+
+const data = new SlashCommandBuilder()
+  .setName("auditlog")
+  .setDescription("See recent plate removals and corrections (moderators only)")
+  .setDefaultMemberPermissions(PermissionFlagsBits.ManageMessages)
+  .addUserOption((option) =>
+    option
+      .setName("user")
+      .setDescription("Only show changes to this collector's plates")
+      .setRequired(false)
+  );
+
+/**
+ * Recent plate removals and corrections (moderators only)
+ * @param {ChatInputCommandInteraction} interaction - The slash command interaction
+ * @param {Object} context - Reply locale, see commands/index.js
+ */
+async function execute(interaction, { locale }) {
+  const { options } = interaction;
+
+  const user = options.getUser("user");
+
+  try {
+    const filter = { guildId: interaction.guildId };
+    if (user) filter.targetUserId = user.id;
+
+    const entries = await AuditLog.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(15);
+
+    if (entries.length === 0) {
+      return interaction.reply({
+        content: t(locale, "auditlog.empty"),
+        ephemeral: true,
+      });
+    }
+
+    const lines = entries.map((entry) => {
+      // Changes to the moderator's own collection don't name the collector
+      const key =
+        entry.actorId === entry.targetUserId
+          ? `auditlog.${entry.action}`
+          : `auditlog.${entry.action}Other`;
+      const change = t(locale, key, {
+        time: `<t:${Math.floor(entry.createdAt.getTime() / 1000)}:R>`,
+        actor: entry.actorName,
+        user: entry.targetUsername,
+        plate: entry.before.plateText,
+        score: entry.before.totalScore,
+        newPlate: entry.after && entry.after.plateText,
+        newScore: entry.after && entry.after.totalScore,
+      });
+
+      return change + (entry.reason ? `\n↳ ${entry.reason}` : "");
+    });
+
+    const embed = new EmbedBuilder()
+      .setTitle(t(locale, "auditlog.title"))
+      .setDescription(lines.join("\n"))
+      .setColor("#95A5A6");
+
+    interaction.reply({ embeds: [embed], ephemeral: true });
+  } catch (err) {
+    console.error("Error retrieving audit log:", err);
+    interaction.reply({
+      content: t(locale, "auditlog.error"),
+      ephemeral: true,
+    });
+  }
+}
+
+module.exports = { data, execute };
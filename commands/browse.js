@@ -0,0 +1,125 @@
+// commands/browse.js
+// /browse: paging through a whole collection
+
+const {
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  SlashCommandBuilder,
+} = require("discord.js");
+const { countryFilterOption, globalOption } = require("./options");
+const { t } = require("../i18n");
+const { openPlateBrowser } = require("../browser");
+
+const data = new SlashCommandBuilder()
+  .setName("browse")
+  .setDescription("Page through your whole collection with sorting and filters")
+  .addStringOption((option) =>
+    option
+      .setName("sort")
+      .setDescription("Initial sort order (defaults to highest score)")
+      .setRequired(false)
+      .addChoices(
+        { name: "Highest score", value: "score" },
+        { name: "Newest first", value: "newest" },
+        { name: "Oldest first", value: "oldest" },
+        { name: "Province", value: "province" }
+      )
+  )
+  .addBooleanOption(globalOption)
+  .addStringOption(countryFilterOption);
+
+/**
+ * Browse the full collection page by page
+ * @param {ChatInputCommandInteraction} interaction - The slash command interaction
+ * @param {Object} context - Reply locale and query scope, see commands/index.js
+ */
+async function execute(
+  interaction,
+  { locale, scope, scopeLabel, countryFilter }
+) {
+  const { options } = interaction;
+
+  try {
+    await openPlateBrowser(interaction, {
+      userId: interaction.user.id,
+      filter: { ...scope, ...countryFilter },
+      title: t(locale, "browse.title", {
+        user: interaction.user.username,
+        scope: scopeLabel,
+      }),
+      locale,
+      sort: options.getString("sort"),
+    });
+  } catch (err) {
+    console.error("Error opening plate browser:", err);
+    interaction.reply({
+      content: t(locale, "browse.error"),
+      ephemeral: true,
+    });
+  }
+}
+
+/**
+ * Build the "Browse all" button shown under collection summaries. The
+ * customId carries the summary's sort, scope and country so the browser
+ * opens on the same plates: browse:open:<sort>:<global>:<country>
+ * @param {Interaction} interaction - The slash command interaction
+ * @param {string} locale - Locale code of the button label
+ * @param {string} sort - Initial browser sort key
+ * @param {string} [countryCode] - Country the summary is limited to
+ * @returns {ActionRowBuilder} Row with the button
+ */
+function getBrowseButtons(interaction, locale, sort, countryCode) {
+  const global = interaction.options.getBoolean("global") ? "1" : "0";
+  const country = countryCode || interaction.options.getString("country");
+
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`browse:open:${sort}:${global}:${country || ""}`)
+      .setLabel(t(locale, "common.browseAll"))
+      .setEmoji("📖")
+      .setStyle(ButtonStyle.Secondary)
+  );
+}
+
+/**
+ * Open a private plate browser for whoever clicked a "Browse all" button
+ * @param {ButtonInteraction} interaction - The button interaction
+ * @param {Object} context - The clicker's locale, see commands/index.js
+ */
+async function handleBrowseButton(interaction, { locale }) {
+  const [, , sort, global, country] = interaction.customId.split(":");
+
+  const filter = {};
+  if (global !== "1") filter.guildId = interaction.guildId;
+  if (country) filter.country = country;
+
+  try {
+    await openPlateBrowser(interaction, {
+      userId: interaction.user.id,
+      filter,
+      title: t(locale, "browse.title", {
+        user: interaction.user.username,
+        scope:
+          global === "1" ? t(locale, "scope.global") : interaction.guild.name,
+      }),
+      locale,
+      sort,
+      ephemeral: true,
+    });
+  } catch (err) {
+    console.error("Error opening plate browser:", err);
+    interaction.reply({
+      content: t(locale, "browse.error"),
+      ephemeral: true,
+    });
+  }
+}
+
+module.exports = {
+  data,
+  execute,
+  getBrowseButtons,
+  buttons: { browse: handleBrowseButton },
+};
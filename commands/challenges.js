@@ -0,0 +1,79 @@
+// commands/challenges.js
+// /challenges: daily and weekly challenges
+
+const { EmbedBuilder, SlashCommandBuilder } = require("discord.js");
+const { Challenge } = require("../models");
+const { describeChallenge, getActiveChallenges } = require("../challenges");
+const { t } = require("../i18n");
+
+const data = new SlashCommandBuilder()
+  .setName("challenges")
+  .setDescription("Daily and weekly challenges for bonus points")
+  .addSubcommand((subcommand) =>
+    subcommand
+      .setName("current")
+      .setDescription("Show the running challenges and who completed them")
+  );
+
+/**
+ * Daily and weekly challenges
+ * @param {ChatInputCommandInteraction} interaction - The slash command interaction
+ * @param {Object} context - Reply locale, see commands/index.js
+ */
+async function execute(interaction, { locale }) {
+  const { options } = interaction;
+
+  const subcommand = options.getSubcommand();
+
+  try {
+    if (subcommand === "current") {
+      const [challenges, completedCount] = await Promise.all([
+        getActiveChallenges(interaction.guildId),
+        Challenge.countDocuments({
+          guildId: interaction.guildId,
+          "completions.userId": interaction.user.id,
+        }),
+      ]);
+
+      const embed = new EmbedBuilder()
+        .setTitle(t(locale, "challenges.title"))
+        .setDescription(t(locale, "challenges.description"))
+        .addFields(
+          challenges.map((challenge) => {
+            const done = challenge.completions.some(
+              (c) => c.userId === interaction.user.id
+            );
+            const completions = challenge.completions
+              .map((c) => `${c.username} (${c.plateText})`)
+              .join(", ");
+
+            return {
+              name: `${done ? "✅" : "⬜"} ${t(locale, "challenges.heading", {
+                period: t(locale, `challenges.periods.${challenge.period}`),
+                bonus: challenge.bonus,
+              })}`,
+              value: t(locale, "challenges.details", {
+                challenge: describeChallenge(challenge, locale),
+                time: `<t:${Math.floor(challenge.endDate.getTime() / 1000)}:R>`,
+                completions: completions || t(locale, "challenges.nobody"),
+              }).slice(0, 1024),
+            };
+          })
+        )
+        .setFooter({
+          text: t(locale, "challenges.footer", { count: completedCount }),
+        })
+        .setColor("#E67E22");
+
+      interaction.reply({ embeds: [embed] });
+    }
+  } catch (err) {
+    console.error("Error handling challenges command:", err);
+    interaction.reply({
+      content: t(locale, "challenges.error"),
+      ephemeral: true,
+    });
+  }
+}
+
+module.exports = { data, execute };
@@ -0,0 +1,393 @@
+// commands/config.js
+// /config: per-server settings (admins only)
+
+const {
+  ChannelType,
+  EmbedBuilder,
+  PermissionFlagsBits,
+  SlashCommandBuilder,
+} = require("discord.js");
+const {
+  countryChoices,
+  localeChoices,
+  plateTypeChoices,
+} = require("./options");
+const { resolveLocale } = require("./helpers");
+const { getGuildSettings } = require("../models");
+const { getPlateTypeDisplay } = require("../scoring");
+const { STREAK_BONUS_MAX_DAYS } = require("../streaks");
+const { getCountryName, listCountries } = require("../countries");
+const { getLocale, t } = require("../i18n");
+
+// Settings fields of the channels /config can set, by the value of its "setting" option
+const CONFIG_CHANNELS = {
+  announcements: "announcementChannelId",
+  challenges: "challengeChannelId",
+  digest: "digestChannelId",
+  review: "reviewChannelId",
+};
+
+// Days of the week for the recap, as JavaScript numbers them
+const WEEKDAYS = [
+  "Sunday",
+  "Monday",
+  "Tuesday",
+  "Wednesday",
+  "Thursday",
+  "Friday",
+  "Saturday",
+];
+
+const data = new SlashCommandBuilder()
+  .setName("config")
+  .setDescription("Configure the bot for this server (admins only)")
+  .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+  .addSubcommand((subcommand) =>
+    subcommand
+      .setName("show")
+      .setDescription("Show the current server settings")
+  )
+  .addSubcommand((subcommand) =>
+    subcommand
+      .setName("channel")
+      .setDescription("Set or clear one of the bot's channels")
+      .addStringOption((option) =>
+        option
+          .setName("setting")
+          .setDescription("Which channel to set")
+          .setRequired(true)
+          .addChoices(
+            { name: "Season results", value: "announcements" },
+            { name: "Challenges", value: "challenges" },
+            { name: "Weekly recap", value: "digest" },
+            { name: "Plate review", value: "review" }
+          )
+      )
+      .addChannelOption((option) =>
+        option
+          .setName("channel")
+          .setDescription("The channel (leave out to clear the setting)")
+          .addChannelTypes(ChannelType.GuildText)
+          .setRequired(false)
+      )
+  )
+  .addSubcommand((subcommand) =>
+    subcommand
+      .setName("digest")
+      .setDescription("Choose when the weekly recap is posted")
+      .addIntegerOption((option) =>
+        option
+          .setName("day")
+          .setDescription("Day of the week")
+          .setRequired(true)
+          .addChoices(...WEEKDAYS.map((name, value) => ({ name, value })))
+      )
+      .addIntegerOption((option) =>
+        option
+          .setName("hour")
+          .setDescription("Hour of the day, in UTC")
+          .setRequired(true)
+          .setMinValue(0)
+          .setMaxValue(23)
+      )
+  )
+  .addSubcommand((subcommand) =>
+    subcommand
+      .setName("streak")
+      .setDescription("Reward daily spotting streaks with bonus points")
+      .addIntegerOption((option) =>
+        option
+          .setName("bonus")
+          .setDescription(
+            "Bonus points per day of a streak on the first plate of each day (0 turns it off)"
+          )
+          .setRequired(true)
+          .setMinValue(0)
+          .setMaxValue(100)
+      )
+  )
+  .addSubcommand((subcommand) =>
+    subcommand
+      .setName("verification")
+      .setDescription(
+        "Choose whether plates need a photo and moderator approval"
+      )
+      .addStringOption((option) =>
+        option
+          .setName("mode")
+          .setDescription("Verification mode")
+          .setRequired(true)
+          .addChoices(
+            { name: "Optional", value: "optional" },
+            { name: "Required", value: "required" }
+          )
+      )
+  )
+  .addSubcommand((subcommand) =>
+    subcommand
+      .setName("locale")
+      .setDescription("Choose the language the bot replies in")
+      .addStringOption((option) =>
+        option
+          .setName("language")
+          .setDescription("Reply language")
+          .setRequired(true)
+          .addChoices(...localeChoices)
+      )
+  )
+  .addSubcommand((subcommand) =>
+    subcommand
+      .setName("submitters")
+      .setDescription("Choose which roles can add plates")
+      .addStringOption((option) =>
+        option
+          .setName("action")
+          .setDescription(
+            "Allow or disallow a role, or let everyone add plates"
+          )
+          .setRequired(true)
+          .addChoices(
+            { name: "Allow role", value: "add" },
+            { name: "Disallow role", value: "remove" },
+            { name: "Allow everyone", value: "everyone" }
+          )
+      )
+      .addRoleOption((option) =>
+        option
+          .setName("role")
+          .setDescription("The role to allow or disallow")
+          .setRequired(false)
+      )
+  )
+  .addSubcommand((subcommand) =>
+    subcommand
+      .setName("country")
+      .setDescription("Enable or disable plates from a country")
+      .addStringOption((option) =>
+        option
+          .setName("country")
+          .setDescription("Plate country")
+          .setRequired(true)
+          .addChoices(...countryChoices)
+      )
+      .addBooleanOption((option) =>
+        option
+          .setName("enabled")
+          .setDescription("Whether these plates can be added")
+          .setRequired(true)
+      )
+  )
+  .addSubcommand((subcommand) =>
+    subcommand
+      .setName("type")
+      .setDescription("Enable or disable a plate type")
+      .addStringOption((option) =>
+        option
+          .setName("type")
+          .setDescription("Plate type")
+          .setRequired(true)
+          .addChoices(...plateTypeChoices)
+      )
+      .addBooleanOption((option) =>
+        option
+          .setName("enabled")
+          .setDescription("Whether these plates can be added")
+          .setRequired(true)
+      )
+  );
+
+/**
+ * Server configuration (admins only)
+ * @param {ChatInputCommandInteraction} interaction - The slash command interaction
+ * @param {Object} context - Reply locale and query scope, see commands/index.js
+ */
+async function execute(interaction, { locale }) {
+  const { options } = interaction;
+
+  const subcommand = options.getSubcommand();
+
+  try {
+    const settings = await getGuildSettings(interaction.guildId);
+
+    if (subcommand === "channel") {
+      const setting = options.getString("setting");
+      const channel = options.getChannel("channel");
+      settings[CONFIG_CHANNELS[setting]] = channel ? channel.id : null;
+
+      if (
+        setting === "review" &&
+        !channel &&
+        settings.verificationMode === "required"
+      ) {
+        return interaction.reply({
+          content: t(locale, "config.reviewChannelRequired"),
+          ephemeral: true,
+        });
+      }
+    } else if (subcommand === "digest") {
+      settings.digestDay = options.getInteger("day");
+      settings.digestHour = options.getInteger("hour");
+    } else if (subcommand === "streak") {
+      settings.streakBonus = options.getInteger("bonus");
+    } else if (subcommand === "verification") {
+      settings.verificationMode = options.getString("mode");
+
+      if (
+        settings.verificationMode === "required" &&
+        !settings.reviewChannelId
+      ) {
+        return interaction.reply({
+          content: t(locale, "config.needsReviewChannel"),
+          ephemeral: true,
+        });
+      }
+    } else if (subcommand === "locale") {
+      settings.locale = options.getString("language");
+    } else if (subcommand === "submitters") {
+      const action = options.getString("action");
+      const role = options.getRole("role");
+
+      if (action === "everyone") {
+        settings.submitRoleIds = [];
+      } else if (!role) {
+        return interaction.reply({
+          content: t(locale, "config.needsRole"),
+          ephemeral: true,
+        });
+      } else if (action === "add") {
+        settings.submitRoleIds.addToSet(role.id);
+      } else {
+        settings.submitRoleIds.pull(role.id);
+      }
+    } else if (subcommand === "country") {
+      const code = options.getString("country");
+
+      if (options.getBoolean("enabled")) {
+        settings.disabledCountries.pull(code);
+      } else if (
+        listCountries().every(
+          (c) => c.code === code || !settings.isCountryEnabled(c.code)
+        )
+      ) {
+        return interaction.reply({
+          content: t(locale, "config.lastCountry"),
+          ephemeral: true,
+        });
+      } else {
+        settings.disabledCountries.addToSet(code);
+      }
+    } else if (subcommand === "type") {
+      const type = options.getString("type");
+
+      if (options.getBoolean("enabled")) {
+        settings.disabledPlateTypes.pull(type);
+      } else {
+        settings.disabledPlateTypes.addToSet(type);
+      }
+    }
+
+    if (subcommand !== "show") await settings.save();
+
+    // A new server language applies to this reply already
+    const replyLocale =
+      subcommand === "locale" ? await resolveLocale(interaction) : locale;
+
+    interaction.reply({
+      embeds: [buildSettingsEmbed(settings, replyLocale)],
+      ephemeral: true,
+    });
+  } catch (err) {
+    console.error("Error updating server settings:", err);
+    interaction.reply({
+      content: t(locale, "config.error"),
+      ephemeral: true,
+    });
+  }
+}
+
+/**
+ * Describe a guild's settings for /config
+ * @param {Object} settings - The guild settings document
+ * @param {string} locale - Locale code of the reply
+ * @returns {EmbedBuilder} The settings embed
+ */
+function buildSettingsEmbed(settings, locale) {
+  const channels = Object.entries(CONFIG_CHANNELS)
+    .map(
+      ([setting, field]) =>
+        `${t(locale, `config.channels.${setting}`)}: ${
+          settings[field] ? `<#${settings[field]}>` : t(locale, "config.notSet")
+        }`
+    )
+    .join("\n");
+
+  const disabledTypes = settings.disabledPlateTypes.map((type) =>
+    getPlateTypeDisplay(type, null, locale)
+  );
+
+  return new EmbedBuilder()
+    .setTitle(t(locale, "config.title"))
+    .addFields(
+      { name: t(locale, "config.channelsField"), value: channels },
+      {
+        name: t(locale, "config.digest"),
+        value: t(locale, "config.digestSchedule", {
+          // 7 January 2024 was a Sunday
+          day: new Date(
+            Date.UTC(2024, 0, 7 + settings.digestDay)
+          ).toLocaleDateString(locale, { weekday: "long", timeZone: "UTC" }),
+          hour: String(settings.digestHour).padStart(2, "0"),
+        }),
+      },
+      {
+        name: t(locale, "config.streakBonus"),
+        value: settings.streakBonus
+          ? t(locale, "config.streakBonusValue", {
+              bonus: settings.streakBonus,
+              max: STREAK_BONUS_MAX_DAYS,
+            })
+          : t(locale, "config.streakBonusOff"),
+      },
+      {
+        name: t(locale, "config.verification"),
+        value: t(
+          locale,
+          `config.verificationModes.${settings.verificationMode}`
+        ),
+      },
+      {
+        name: t(locale, "config.language"),
+        value: getLocale(settings.locale).name,
+        inline: true,
+      },
+      {
+        name: t(locale, "config.submitters"),
+        value:
+          settings.submitRoleIds.length > 0
+            ? settings.submitRoleIds.map((id) => `<@&${id}>`).join(", ")
+            : t(locale, "config.everyone"),
+        inline: true,
+      },
+      {
+        name: t(locale, "fields.countries"),
+        value: listCountries()
+          .map(
+            (c) =>
+              `${settings.isCountryEnabled(c.code) ? "✅" : "🚫"} ${
+                c.flag
+              } ${getCountryName(c, locale)}`
+          )
+          .join("\n"),
+      },
+      {
+        name: t(locale, "config.disabledTypes"),
+        value:
+          disabledTypes.length > 0
+            ? disabledTypes.join(", ")
+            : t(locale, "common.none"),
+      }
+    )
+    .setColor("#607D8B");
+}
+
+module.exports = { data, execute };
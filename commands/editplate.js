@@ -0,0 +1,258 @@
+// commands/editplate.js
+// /editplate: correct a plate in a collection
+
+const { EmbedBuilder, SlashCommandBuilder } = require("discord.js");
+const { countryChoices, countryOption } = require("./options");
+const {
+  announceAchievements,
+  askForConfirmation,
+  describeCollection,
+  getManagedCollector,
+  notifyCollector,
+  replyWithError,
+} = require("./helpers");
+const { getGuildSettings } = require("../models");
+const { findCollectedPlate, findPlate } = require("../plates");
+const { getPlateTypeDisplay } = require("../scoring");
+const {
+  describePlateError,
+  getCountry,
+  getCountryName,
+  validatePlate,
+} = require("../countries");
+const { t } = require("../i18n");
+const { editPlate, scoreCorrection } = require("../plateEdits");
+
+const data = new SlashCommandBuilder()
+  .setName("editplate")
+  .setDescription("Correct a plate in your collection")
+  .addStringOption((option) =>
+    option
+      .setName("plate")
+      .setDescription("The license plate as it was added")
+      .setRequired(true)
+  )
+  .addStringOption((option) =>
+    option
+      .setName("new_plate")
+      .setDescription("The corrected license plate")
+      .setRequired(true)
+  )
+  .addStringOption(countryOption)
+  .addStringOption((option) =>
+    option
+      .setName("new_country")
+      .setDescription(
+        "The corrected plate country (defaults to the current one)"
+      )
+      .setRequired(false)
+      .addChoices(...countryChoices)
+  )
+  .addUserOption((option) =>
+    option
+      .setName("user")
+      .setDescription(
+        "Correct the plate of this collector instead (moderators only)"
+      )
+      .setRequired(false)
+  )
+  .addStringOption((option) =>
+    option
+      .setName("reason")
+      .setDescription("Why the plate is corrected, kept in the audit log")
+      .setRequired(false)
+      .setMaxLength(200)
+  );
+
+/**
+ * Correct a plate in a collection
+ * @param {ChatInputCommandInteraction} interaction - The slash command interaction
+ * @param {Object} context - Reply locale and query scope, see commands/index.js
+ */
+async function execute(interaction, { locale }) {
+  const { options } = interaction;
+
+  const country = getCountry(options.getString("country"));
+  const newCountry = getCountry(
+    options.getString("new_country") || country.code
+  );
+  const plateText = country.normalize(options.getString("plate"));
+  const newInput = options.getString("new_plate");
+  const { plateText: newPlateText, error } = validatePlate(
+    newCountry,
+    newInput
+  );
+  const collector = getManagedCollector(interaction);
+
+  if (!collector) {
+    return interaction.reply({
+      content: t(locale, "editplate.moderatorsOnly"),
+      ephemeral: true,
+    });
+  }
+
+  if (error) {
+    return interaction.reply({
+      content: describePlateError(newCountry, newInput, error, locale),
+      ephemeral: true,
+    });
+  }
+
+  if (plateText === newPlateText && country.code === newCountry.code) {
+    return interaction.reply({
+      content: t(locale, "editplate.unchanged"),
+      ephemeral: true,
+    });
+  }
+
+  const collectionName = describeCollection(interaction, collector, locale);
+
+  try {
+    if (newCountry.code !== country.code) {
+      const settings = await getGuildSettings(interaction.guildId);
+      if (!settings.isCountryEnabled(newCountry.code)) {
+        return interaction.reply({
+          content: t(locale, "common.countryDisabled", {
+            country: getCountryName(newCountry, locale),
+          }),
+          ephemeral: true,
+        });
+      }
+    }
+
+    const collection = {
+      guildId: interaction.guildId,
+      userId: collector.id,
+    };
+    const [plate, duplicate] = await Promise.all([
+      plateText
+        ? findCollectedPlate(collection, country.code, plateText)
+        : null,
+      findCollectedPlate(collection, newCountry.code, newPlateText),
+    ]);
+
+    if (!plate) {
+      return interaction.reply({
+        content: t(locale, "common.notInCollection", {
+          country: getCountryName(country, locale),
+          plate: options.getString("plate"),
+          collection: collectionName,
+        }),
+        ephemeral: true,
+      });
+    }
+
+    if (duplicate) {
+      return interaction.reply({
+        content: t(locale, "editplate.duplicate", {
+          plate: newPlateText,
+          collection: collectionName,
+        }),
+        ephemeral: true,
+      });
+    }
+
+    const preview = scoreCorrection(plate, {
+      country: newCountry.code,
+      plateText: newPlateText,
+    });
+
+    const embed = new EmbedBuilder()
+      .setTitle(
+        t(locale, "editplate.title", {
+          flag: country.flag,
+          plate: plate.plateText,
+          newFlag: newCountry.flag,
+          newPlate: newPlateText,
+        })
+      )
+      .addFields(
+        {
+          name: t(locale, "fields.score"),
+          value: t(locale, "editplate.scoreChange", {
+            before: plate.totalScore,
+            after: preview.totalScore,
+          }),
+          inline: true,
+        },
+        {
+          name: t(locale, "fields.plateType"),
+          value: `${getPlateTypeDisplay(
+            plate.plateType,
+            plate.country,
+            locale
+          )} → ${getPlateTypeDisplay(
+            preview.plateType,
+            newCountry.code,
+            locale
+          )}`,
+          inline: true,
+        }
+      )
+      .setFooter({ text: t(locale, "editplate.footer") })
+      .setColor("#3498DB");
+
+    const confirmation = await askForConfirmation(
+      interaction,
+      embed,
+      t(locale, "editplate.confirm"),
+      locale
+    );
+    if (!confirmation) return;
+
+    const current = await findPlate(plate._id);
+    if (!current) {
+      return confirmation.update({
+        content: t(locale, "editplate.removed"),
+        embeds: [],
+        components: [],
+      });
+    }
+
+    await editPlate(
+      current,
+      { country: newCountry.code, plateText: newPlateText },
+      { actor: interaction.user, reason: options.getString("reason") }
+    );
+
+    await confirmation.update({
+      content: t(locale, "editplate.saved", {
+        plate: plate.plateText,
+        newPlate: current.plateText,
+        score: current.totalScore,
+      }),
+      embeds: [],
+      components: [],
+    });
+
+    await notifyCollector(interaction, collector, "editplate.notification", {
+      plate: plate.plateText,
+      newPlate: current.plateText,
+    });
+
+    // A corrected plate can complete achievements, announced to the channel
+    // in the server's language
+    if (current.status !== "pending") {
+      const settings = await getGuildSettings(interaction.guildId);
+      await announceAchievements(
+        interaction.channel,
+        interaction.guildId,
+        collector.id,
+        settings.locale
+      );
+    }
+  } catch (err) {
+    console.error("Error editing plate:", err);
+    replyWithError(
+      interaction,
+      err.code === 11000
+        ? t(locale, "editplate.addedMeanwhile", {
+            plate: newPlateText,
+            collection: collectionName,
+          })
+        : t(locale, "editplate.error")
+    );
+  }
+}
+
+module.exports = { data, execute };
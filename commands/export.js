@@ -0,0 +1,84 @@
+// commands/export.js
+// /export: a collection as a CSV or JSON file
+
+const { SlashCommandBuilder } = require("discord.js");
+const { globalOption } = require("./options");
+const { findPlates } = require("../plates");
+const { t } = require("../i18n");
+const { exportPlates } = require("../collectionFiles");
+
+const data = new SlashCommandBuilder()
+  .setName("export")
+  .setDescription(
+    "Get a file of your plates with their full score breakdown by DM"
+  )
+  .addStringOption((option) =>
+    option
+      .setName("format")
+      .setDescription("File format (defaults to CSV)")
+      .setRequired(false)
+      .addChoices(
+        { name: "CSV (spreadsheets)", value: "csv" },
+        { name: "JSON", value: "json" }
+      )
+  )
+  .addBooleanOption(globalOption);
+
+/**
+ * Send the collection as a file
+ * @param {ChatInputCommandInteraction} interaction - The slash command interaction
+ * @param {Object} context - Reply locale and query scope, see commands/index.js
+ */
+async function execute(interaction, { locale, scope, scopeLabel }) {
+  const { options } = interaction;
+
+  const format = options.getString("format") || "csv";
+
+  try {
+    const plates = await findPlates(
+      { ...scope, userId: interaction.user.id },
+      { sort: { dateSpotted: 1 } }
+    );
+
+    if (plates.length === 0) {
+      return interaction.reply({
+        content: t(locale, "common.noPlatesYet"),
+        ephemeral: true,
+      });
+    }
+
+    const file = {
+      attachment: exportPlates(plates, format),
+      name: `plates-${interaction.user.username}.${format}`,
+    };
+    const content = t(locale, "export.dm", {
+      count: plates.length,
+      scope: scopeLabel,
+    });
+
+    // Hand the file over here instead if the collector has DMs closed
+    try {
+      await interaction.user.send({ content, files: [file] });
+    } catch (err) {
+      console.warn(`Could not DM export to ${interaction.user.id}`);
+      return interaction.reply({
+        content: `${t(locale, "export.dmClosed")}\n${content}`,
+        files: [file],
+        ephemeral: true,
+      });
+    }
+
+    interaction.reply({
+      content: t(locale, "export.sent"),
+      ephemeral: true,
+    });
+  } catch (err) {
+    console.error("Error exporting collection:", err);
+    interaction.reply({
+      content: t(locale, "export.error"),
+      ephemeral: true,
+    });
+  }
+}
+
+module.exports = { data, execute };
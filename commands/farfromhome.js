@@ -0,0 +1,116 @@
+// commands/farfromhome.js
+// /farfromhome: plates caught outside their home province
+
+const { EmbedBuilder, SlashCommandBuilder } = require("discord.js");
+const { globalOption } = require("./options");
+const { getCountryFlag } = require("./helpers");
+const { getCollection } = require("../plates");
+const {
+  DEFAULT_COUNTRY,
+  getCountry,
+  getRegionDisplay,
+} = require("../countries");
+const { t } = require("../i18n");
+const { getRegionDistance } = require("../locations");
+
+const data = new SlashCommandBuilder()
+  .setName("farfromhome")
+  .setDescription("See plates caught outside their home province")
+  .addUserOption((option) =>
+    option
+      .setName("user")
+      .setDescription("Show this collector instead of yourself")
+      .setRequired(false)
+  )
+  .addBooleanOption(globalOption);
+
+/**
+ * Plates caught outside their home province
+ * @param {ChatInputCommandInteraction} interaction - The slash command interaction
+ * @param {Object} context - Reply locale and query scope, see commands/index.js
+ */
+async function execute(interaction, { locale, scope, scopeLabel }) {
+  const { options } = interaction;
+
+  const user = options.getUser("user") || interaction.user;
+
+  try {
+    const plates = await getCollection(user.id, {
+      ...scope,
+      spottedProvince: { $ne: null },
+      $expr: { $ne: ["$spottedProvince", "$provinceCode"] },
+    });
+
+    if (plates.length === 0) {
+      return interaction.reply({
+        content: t(locale, "farfromhome.empty", {
+          user: user.username,
+          scope: scopeLabel,
+        }),
+        ephemeral: true,
+      });
+    }
+
+    // Furthest from home first
+    const caught = plates
+      .map((plate) => ({
+        plate,
+        distanceKm: getRegionDistance(
+          getCountry(plate.country),
+          plate.provinceCode,
+          plate.spottedProvince
+        ),
+      }))
+      .sort((a, b) => (b.distanceKm || 0) - (a.distanceKm || 0));
+
+    const bonusPoints = plates.reduce(
+      (sum, plate) =>
+        sum + plate.totalScore - plate.totalScore / plate.farFromHomeScore,
+      0
+    );
+
+    const lines = caught.slice(0, 15).map(
+      ({ plate, distanceKm }, index) =>
+        `**${index + 1}.** ${getCountryFlag(plate.country)} ${t(
+          locale,
+          "farfromhome.line",
+          {
+            plate: plate.plateText,
+            home: getRegionDisplay(plate.country, plate.provinceCode, locale),
+            spotted: getRegionDisplay(
+              DEFAULT_COUNTRY,
+              plate.spottedProvince,
+              locale
+            ),
+          }
+        )}` +
+        (distanceKm !== null ? ` (~${Math.round(distanceKm)} km)` : "") +
+        (plate.farFromHomeScore !== 1 ? ` ×${plate.farFromHomeScore}` : "")
+    );
+
+    const embed = new EmbedBuilder()
+      .setTitle(t(locale, "farfromhome.title", { user: user.username }))
+      .setDescription(
+        t(locale, "farfromhome.description", {
+          count: plates.length,
+          scope: scopeLabel,
+          bonus: Math.round(bonusPoints),
+        })
+      )
+      .addFields({
+        name: t(locale, "farfromhome.furthest"),
+        value: lines.join("\n"),
+      })
+      .setColor("#16A085");
+
+    interaction.reply({ embeds: [embed] });
+  } catch (err) {
+    console.error("Error retrieving far from home plates:", err);
+    interaction.reply({
+      content: t(locale, "farfromhome.error"),
+      ephemeral: true,
+    });
+  }
+}
+
+module.exports = { data, execute };
@@ -0,0 +1,106 @@
+// commands/heatmap.js
+// /heatmap: where the whole community has spotted plates
+
+const { EmbedBuilder, SlashCommandBuilder } = require("discord.js");
+const { globalOption, metricOption } = require("./options");
+const { getProvinceTotals } = require("../plates");
+const {
+  DEFAULT_COUNTRY,
+  getCountry,
+  getRegionDisplay,
+} = require("../countries");
+const { t } = require("../i18n");
+const { renderProvinceMap } = require("../provinceMap");
+
+const data = new SlashCommandBuilder()
+  .setName("heatmap")
+  .setDescription(
+    "See a map of where everyone on the server has spotted Turkish plates"
+  )
+  .addStringOption(metricOption)
+  .addBooleanOption(globalOption);
+
+/**
+ * Where the community has spotted plates
+ * @param {ChatInputCommandInteraction} interaction - The slash command interaction
+ * @param {Object} context - Reply locale and query scope, see commands/index.js
+ */
+async function execute(interaction, { locale, scope, scopeLabel }) {
+  const { options } = interaction;
+
+  const metric = options.getString("metric") || "count";
+
+  try {
+    const totals = await getProvinceTotals({
+      ...scope,
+      country: DEFAULT_COUNTRY,
+    });
+
+    if (totals.length === 0) {
+      return interaction.reply({
+        content: t(locale, "heatmap.empty"),
+        ephemeral: true,
+      });
+    }
+
+    const values = {};
+    totals.forEach((province) => {
+      values[province._id] =
+        metric === "score" ? province.totalScore : province.plateCount;
+    });
+
+    const hotspots = [...totals]
+      .sort((a, b) => values[b._id] - values[a._id])
+      .slice(0, 5)
+      .map(
+        (province) =>
+          `${getRegionDisplay(DEFAULT_COUNTRY, province._id, locale)}: ${t(
+            locale,
+            "heatmap.hotspot",
+            {
+              plates: t(locale, "common.plateCount", {
+                count: province.plateCount,
+              }),
+              score: t(locale, "common.pts", { score: province.totalScore }),
+              collectors: t(locale, "common.collectorCount", {
+                count: province.collectors,
+              }),
+            }
+          )}`
+      );
+
+    const totalProvinces = Object.keys(
+      getCountry(DEFAULT_COUNTRY).regions
+    ).length;
+
+    const embed = new EmbedBuilder()
+      .setTitle(t(locale, "heatmap.title"))
+      .setDescription(
+        t(locale, "heatmap.description", {
+          scope: scopeLabel,
+          collected: totals.length,
+          total: totalProvinces,
+        })
+      )
+      .addFields({
+        name: t(locale, "heatmap.hotspots"),
+        value: hotspots.join("\n"),
+      })
+      .setImage("attachment://heatmap.png")
+      .setColor("#E05A47")
+      .setFooter({ text: t(locale, `maps.footer.${metric}`) });
+
+    interaction.reply({
+      embeds: [embed],
+      files: [{ attachment: renderProvinceMap(values), name: "heatmap.png" }],
+    });
+  } catch (err) {
+    console.error("Error rendering heatmap:", err);
+    interaction.reply({
+      content: t(locale, "heatmap.error"),
+      ephemeral: true,
+    });
+  }
+}
+
+module.exports = { data, execute };
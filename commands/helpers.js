@@ -0,0 +1,306 @@
+// commands/helpers.js
+// Helpers shared by the command modules: reply locale and scope, confirmations,
+// achievement announcements and text formatting
+
+const {
+  EmbedBuilder,
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  PermissionFlagsBits,
+} = require("discord.js");
+const { UserSettings, getGuildSettings } = require("../models");
+const { checkAchievements } = require("../achievements");
+const { getCountry, getRegionDisplay } = require("../countries");
+const { DEFAULT_LOCALE, t } = require("../i18n");
+
+// How long /removeplate and /editplate wait for the confirm button
+const CONFIRMATION_TIMEOUT = 60 * 1000;
+
+/**
+ * Get the language a user reads the bot in: their own choice from
+ * /language, otherwise the server's from /config
+ * @param {string} userId - The Discord user ID
+ * @param {string} guildId - The guild the message is about
+ * @returns {Promise<string>} Locale code
+ */
+async function getUserLocale(userId, guildId) {
+  const [userSettings, guildSettings] = await Promise.all([
+    UserSettings.findOne({ userId }),
+    getGuildSettings(guildId),
+  ]);
+  return (userSettings && userSettings.locale) || guildSettings.locale;
+}
+
+/**
+ * Pick the language to reply to an interaction in, see getUserLocale()
+ * @param {Interaction} interaction - The Discord interaction
+ * @returns {Promise<string>} Locale code, the default one if settings can't be read
+ */
+async function resolveLocale(interaction) {
+  try {
+    return await getUserLocale(interaction.user.id, interaction.guildId);
+  } catch (err) {
+    console.error("Error resolving locale:", err);
+    return DEFAULT_LOCALE;
+  }
+}
+
+/**
+ * Build the plate query filter for an interaction. Plates are scoped to the
+ * guild the command was used in unless the user opted into the global view.
+ * @param {Interaction} interaction - The slash command interaction
+ * @returns {Object} Mongo filter to merge into plate queries
+ */
+function getScopeFilter(interaction) {
+  if (interaction.options.getBoolean("global")) return {};
+  return { guildId: interaction.guildId };
+}
+
+/**
+ * Human-readable name of the scope used by getScopeFilter
+ * @param {Interaction} interaction - The slash command interaction
+ * @param {string} locale - Locale code of the label
+ * @returns {string} The guild name, or "all servers" for the global view
+ */
+function getScopeLabel(interaction, locale) {
+  if (interaction.options.getBoolean("global")) {
+    return t(locale, "scope.global");
+  }
+  return interaction.guild ? interaction.guild.name : t(locale, "scope.server");
+}
+
+/**
+ * Build the optional country filter for collection and ranking commands
+ * @param {Interaction} interaction - The slash command interaction
+ * @returns {Object} Mongo filter to merge into plate queries
+ */
+function getCountryFilter(interaction) {
+  const code = interaction.options.getString("country");
+  return code ? { country: code } : {};
+}
+
+/**
+ * Report an error privately, whether or not the interaction was answered
+ * @param {Interaction} interaction - The interaction that failed
+ * @param {string} content - The error message
+ */
+function replyWithError(interaction, content) {
+  const reply = { content, ephemeral: true };
+  return interaction.replied || interaction.deferred
+    ? interaction.followUp(reply)
+    : interaction.reply(reply);
+}
+
+/**
+ * Collector whose plate /removeplate or /editplate should change. Changing
+ * someone else's collection needs the Manage Messages permission.
+ * @param {Interaction} interaction - The slash command interaction
+ * @returns {User|null} The collector, or null if the user isn't allowed
+ */
+function getManagedCollector(interaction) {
+  const user = interaction.options.getUser("user") || interaction.user;
+  if (user.id === interaction.user.id) return user;
+
+  return interaction.memberPermissions?.has(PermissionFlagsBits.ManageMessages)
+    ? user
+    : null;
+}
+
+/**
+ * Name a collection for replies about a managed collector's plate
+ * @param {Interaction} interaction - The slash command interaction
+ * @param {User} collector - The collector from getManagedCollector()
+ * @param {string} locale - Locale code of the reply
+ * @returns {string} e.g. "your collection" or "Ayse's collection"
+ */
+function describeCollection(interaction, collector, locale) {
+  return collector.id === interaction.user.id
+    ? t(locale, "common.ownCollection")
+    : t(locale, "common.userCollection", { user: collector.username });
+}
+
+/**
+ * Ask the user to confirm a change with buttons on a private reply
+ * @param {Interaction} interaction - The slash command interaction
+ * @param {EmbedBuilder} embed - Description of the change
+ * @param {string} confirmLabel - Label of the confirm button
+ * @param {string} locale - Locale code of the other texts
+ * @returns {Promise<ButtonInteraction|null>} The confirm click, which still
+ * needs a response, or null if the user cancelled or didn't answer
+ */
+async function askForConfirmation(interaction, embed, confirmLabel, locale) {
+  const buttons = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId("confirm")
+      .setLabel(confirmLabel)
+      .setStyle(ButtonStyle.Danger),
+    new ButtonBuilder()
+      .setCustomId("cancel")
+      .setLabel(t(locale, "common.cancel"))
+      .setStyle(ButtonStyle.Secondary)
+  );
+
+  const response = await interaction.reply({
+    embeds: [embed],
+    components: [buttons],
+    ephemeral: true,
+  });
+
+  try {
+    const click = await response.awaitMessageComponent({
+      filter: (i) => i.user.id === interaction.user.id,
+      time: CONFIRMATION_TIMEOUT,
+    });
+    if (click.customId === "confirm") return click;
+
+    await click.update({
+      content: t(locale, "common.cancelled"),
+      embeds: [],
+      components: [],
+    });
+  } catch (err) {
+    // No click before the timeout
+    await interaction.editReply({
+      content: t(locale, "common.noAnswer"),
+      embeds: [],
+      components: [],
+    });
+  }
+
+  return null;
+}
+
+/**
+ * Let a collector know a moderator changed their collection, in the
+ * collector's own language
+ * @param {Interaction} interaction - The moderator's interaction
+ * @param {User} collector - The collector
+ * @param {string} key - Message key saying what happened
+ * @param {Object} vars - Placeholder values; {server} is filled in here
+ */
+async function notifyCollector(interaction, collector, key, vars) {
+  if (collector.id === interaction.user.id) return;
+
+  try {
+    const locale = await getUserLocale(collector.id, interaction.guildId);
+    await collector.send(
+      t(locale, key, { ...vars, server: interaction.guild.name })
+    );
+  } catch (err) {
+    console.warn(`Could not DM plate change to ${collector.id}`);
+  }
+}
+
+/**
+ * Describe an achievement with its name and goal
+ * @param {Object} achievement - An entry of achievements in achievements.js
+ * @param {string} locale - Locale code of the texts
+ * @returns {string} e.g. "🚗 **First Catch** - Collect your first plate"
+ */
+function formatAchievement(achievement, locale) {
+  return t(locale, "achievements.line", {
+    emoji: achievement.emoji,
+    name: t(locale, `achievements.list.${achievement.id}.name`),
+    description: t(locale, `achievements.list.${achievement.id}.description`),
+  });
+}
+
+/**
+ * Check a collector's achievements and announce new unlocks in a channel
+ * @param {TextChannel|null} channel - Where to announce, skipped if null
+ * @param {string} guildId - The guild the collection belongs to
+ * @param {string} userId - The collector
+ * @param {string} locale - Locale code of the announcement
+ */
+async function announceAchievements(channel, guildId, userId, locale) {
+  try {
+    const unlocked = await checkAchievements(guildId, userId);
+    if (unlocked.length === 0 || !channel) return;
+
+    const embed = new EmbedBuilder()
+      .setTitle(t(locale, "achievements.announcement"))
+      .setDescription(
+        `${t(locale, "achievements.earned", { user: `<@${userId}>` })}\n` +
+          unlocked.map((a) => formatAchievement(a, locale)).join("\n")
+      )
+      .setColor("#F1C40F");
+
+    await channel.send({ embeds: [embed] });
+  } catch (err) {
+    console.error("Error checking achievements:", err);
+  }
+}
+
+/**
+ * List regions by name, cut short to fit in an embed field
+ * @param {Object} country - The country module
+ * @param {string[]} codes - The region codes
+ * @param {string} locale - Locale code of the names
+ * @returns {string} e.g. "34 İstanbul, 35 İzmir and 12 more"
+ */
+function formatRegionList(country, codes, locale) {
+  const names = codes.map((code) =>
+    getRegionDisplay(country.code, code, locale)
+  );
+  const format = (shown) =>
+    names.slice(0, shown).join(", ") +
+    (shown < names.length
+      ? ` ${t(locale, "common.andMore", { count: names.length - shown })}`
+      : "");
+
+  // Embed fields hold at most 1024 characters
+  let shown = names.length;
+  while (shown > 1 && format(shown).length > 1024) shown--;
+  return format(shown);
+}
+
+/**
+ * Render a text progress bar
+ * @param {number} current - Progress so far
+ * @param {number} target - Progress needed
+ * @returns {string} e.g. "▰▰▰▱▱▱▱▱▱▱ 3/10"
+ */
+function getProgressBar(current, target) {
+  const filled = Math.round((current / target) * 10);
+  return `${"▰".repeat(filled)}${"▱".repeat(10 - filled)} ${current}/${target}`;
+}
+
+/**
+ * Flag emoji for a country code
+ * @param {string} code - The country code
+ * @returns {string} The flag, or the code itself for unknown countries
+ */
+function getCountryFlag(code) {
+  const country = getCountry(code);
+  return country ? country.flag : code;
+}
+
+/**
+ * Capitalize the first letter of a word
+ * @param {string} word - The word
+ * @param {string} [locale] - Locale code, so Turkish "il" becomes "İl"
+ * @returns {string} The capitalized word
+ */
+function capitalize(word, locale) {
+  return word.charAt(0).toLocaleUpperCase(locale) + word.slice(1);
+}
+
+module.exports = {
+  getUserLocale,
+  resolveLocale,
+  getScopeFilter,
+  getScopeLabel,
+  getCountryFilter,
+  replyWithError,
+  getManagedCollector,
+  describeCollection,
+  askForConfirmation,
+  notifyCollector,
+  formatAchievement,
+  announceAchievements,
+  formatRegionList,
+  getProgressBar,
+  getCountryFlag,
+  capitalize,
+};
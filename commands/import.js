@@ -0,0 +1,180 @@
+// commands/import.js
+// /import: plates added from a CSV or JSON file
+
+const {
+  EmbedBuilder,
+  PermissionFlagsBits,
+  SlashCommandBuilder,
+} = require("discord.js");
+const { replyWithError } = require("./helpers");
+const { getGuildSettings } = require("../models");
+const { getPlateTypeDisplay } = require("../scoring");
+const {
+  describePlateProblem,
+  getCountry,
+  getCountryName,
+} = require("../countries");
+const { t } = require("../i18n");
+const {
+  MAX_IMPORT_BYTES,
+  importPlates,
+  readPlateFile,
+  toCsv,
+} = require("../collectionFiles");
+
+const data = new SlashCommandBuilder()
+  .setName("import")
+  .setDescription("Add plates to your collection from a CSV or JSON file")
+  .addAttachmentOption((option) =>
+    option
+      .setName("file")
+      .setDescription(
+        "CSV with plate, country, date, location and note columns, or a JSON list"
+      )
+      .setRequired(true)
+  );
+
+/**
+ * Add plates from a CSV or JSON file
+ * @param {ChatInputCommandInteraction} interaction - The slash command interaction
+ * @param {Object} context - Reply locale and query scope, see commands/index.js
+ */
+async function execute(interaction, { locale, scopeLabel }) {
+  const { options } = interaction;
+
+  const file = options.getAttachment("file");
+
+  if (file.size > MAX_IMPORT_BYTES) {
+    return interaction.reply({
+      content: t(locale, "import.tooLarge", {
+        size: MAX_IMPORT_BYTES / 1024,
+      }),
+      ephemeral: true,
+    });
+  }
+
+  try {
+    const settings = await getGuildSettings(interaction.guildId);
+
+    if (
+      !interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild) &&
+      !settings.canSubmitPlates(interaction.member)
+    ) {
+      return interaction.reply({
+        content: t(locale, "addplate.noSubmitRole"),
+        ephemeral: true,
+      });
+    }
+
+    // Imported plates come without photos for moderators to check
+    if (settings.verificationMode === "required") {
+      return interaction.reply({
+        content: t(locale, "import.verificationRequired"),
+        ephemeral: true,
+      });
+    }
+
+    // Downloading and checking every row can outlast Discord's reply window
+    await interaction.deferReply({ ephemeral: true });
+
+    const format =
+      file.name.toLowerCase().endsWith(".json") ||
+      (file.contentType || "").includes("json")
+        ? "json"
+        : "csv";
+    const response = await fetch(file.url);
+    if (!response.ok) {
+      console.error(`Error downloading ${file.url}: HTTP ${response.status}`);
+      return interaction.editReply({ content: t(locale, "import.error") });
+    }
+    const { rows, error } = readPlateFile(await response.text(), format);
+
+    if (error) {
+      return interaction.editReply({
+        content: t(locale, `import.badFile.${error.code}`, error),
+      });
+    }
+
+    const { imported, skipped, rejected } = await importPlates(
+      rows,
+      {
+        guildId: interaction.guildId,
+        channelId: interaction.channelId,
+        user: interaction.user,
+      },
+      settings
+    );
+
+    const describeReason = ({ code, country, type, plateError, ...vars }) =>
+      t(locale, `import.reasons.${code}`, {
+        ...vars,
+        country: getCountry(country)
+          ? getCountryName(getCountry(country), locale)
+          : country,
+        type: type && getPlateTypeDisplay(type, country, locale),
+        reason:
+          plateError &&
+          describePlateProblem(getCountry(country), plateError, locale),
+      });
+
+    const embed = new EmbedBuilder()
+      .setTitle(t(locale, "import.title"))
+      .setDescription(
+        t(locale, "import.description", {
+          plates: t(locale, "common.plateCount", { count: imported.length }),
+          scope: scopeLabel,
+          score: imported.reduce((sum, plate) => sum + plate.totalScore, 0),
+        })
+      )
+      .addFields(
+        {
+          name: t(locale, "import.imported"),
+          value: String(imported.length),
+          inline: true,
+        },
+        {
+          name: t(locale, "import.skipped"),
+          value: String(skipped.length),
+          inline: true,
+        },
+        {
+          name: t(locale, "import.rejected"),
+          value: String(rejected.length),
+          inline: true,
+        }
+      )
+      .setColor(rejected.length ? "#E67E22" : "#2ECC71");
+
+    // Every row that wasn't imported goes into a report, in file order
+    const files = [];
+    const notImported = [...skipped, ...rejected].sort((a, b) => a.row - b.row);
+    if (notImported.length > 0) {
+      const columns = ["row", "plate", "reason"].map((column) =>
+        t(locale, `import.reportColumns.${column}`)
+      );
+      const [rowColumn, plateColumn, reasonColumn] = columns;
+
+      files.push({
+        attachment: Buffer.from(
+          toCsv(
+            columns,
+            notImported.map((entry) => ({
+              [rowColumn]: entry.row,
+              [plateColumn]: entry.plate,
+              [reasonColumn]: describeReason(entry.error),
+            }))
+          )
+        ),
+        name: "import-report.csv",
+      });
+      embed.setFooter({ text: t(locale, "import.report") });
+    }
+
+    await interaction.editReply({ embeds: [embed], files });
+  } catch (err) {
+    console.error("Error importing plates:", err);
+    replyWithError(interaction, t(locale, "import.error"));
+  }
+}
+
+module.exports = { data, execute };
@@ -0,0 +1,213 @@
+// commands/index.js
+// Registry of the bot's slash commands. Each command module supplies:
+//   data                               - SlashCommandBuilder with the name, description and options
+//   execute(interaction, context)      - runs the command; context holds the reply locale and
+//                                        the query scope, { locale, scope, scopeLabel, countryFilter }
+//   autocomplete(interaction, focused, context)
+//                                      - optional, choices for the option being typed;
+//                                        context holds the user's { locale }
+//   buttons                            - optional handlers for the buttons the command posts, by the
+//                                        first part of their customId ("verify" for "verify:approve:<id>");
+//                                        called as handler(interaction, { locale }) with the clicker's locale
+// /platehelp lists every registered command that isn't limited to moderators or admins.
+
+require("dotenv").config();
+const { REST, Routes } = require("discord.js");
+const { localizeCommand, findDiscordLocale, t } = require("../i18n");
+const {
+  resolveLocale,
+  getScopeFilter,
+  getScopeLabel,
+  getCountryFilter,
+} = require("./helpers");
+
+const commands = {};
+const buttonHandlers = {};
+
+/**
+ * Add a command to the registry
+ * @param {Object} command - The command module
+ */
+function registerCommand(command) {
+  commands[command.data.name] = command;
+  Object.entries(command.buttons || {}).forEach(([prefix, handler]) => {
+    buttonHandlers[prefix] = handler;
+  });
+}
+
+[
+  require("./addplate"),
+  require("./removeplate"),
+  require("./editplate"),
+  require("./mycollection"),
+  require("./leaderboard"),
+  require("./plateinfo"),
+  require("./provinces"),
+  require("./region"),
+  require("./heatmap"),
+  require("./types"),
+  require("./rare"),
+  require("./farfromhome"),
+  require("./stats"),
+  require("./browse"),
+  require("./achievements"),
+  require("./config"),
+  require("./language"),
+  require("./season"),
+  require("./challenges"),
+  require("./export"),
+  require("./import"),
+  require("./trade"),
+  require("./auditlog"),
+  require("./invalidplates"),
+  require("./rescore"),
+  require("./platehelp"),
+].forEach(registerCommand);
+
+/**
+ * Look up a command by name
+ * @param {string} name - The slash command name, e.g. "addplate"
+ * @returns {Object|null} The command module, or null if unknown
+ */
+function getCommand(name) {
+  return commands[name] || null;
+}
+
+/**
+ * List all registered commands
+ * @returns {Object[]} The command modules in registration order
+ */
+function listCommands() {
+  return Object.values(commands);
+}
+
+/**
+ * Build the JSON Discord receives for every command, with the names and
+ * descriptions it shows in other languages
+ * @returns {Object[]} Command JSON
+ */
+function getCommandsData() {
+  return listCommands().map((command) =>
+    localizeCommand(command.data.toJSON())
+  );
+}
+
+/**
+ * Register slash commands with Discord's API
+ */
+async function registerCommands() {
+  const rest = new REST({ version: "10" }).setToken(process.env.DISCORD_TOKEN);
+  const commandsData = getCommandsData();
+
+  try {
+    console.log("Started refreshing application (/) commands.");
+
+    // For global commands (all servers the bot is in)
+    if (process.env.CLIENT_ID) {
+      await rest.put(Routes.applicationCommands(process.env.CLIENT_ID), {
+        body: commandsData,
+      });
+      console.log("Successfully registered global application commands.");
+    } else {
+      console.warn(
+        "CLIENT_ID not set in environment variables. Skipping global command registration."
+      );
+    }
+
+    // For guild-specific commands (testing in a specific server)
+    if (process.env.GUILD_ID && process.env.CLIENT_ID) {
+      await rest.put(
+        Routes.applicationGuildCommands(
+          process.env.CLIENT_ID,
+          process.env.GUILD_ID
+        ),
+        { body: commandsData }
+      );
+      console.log(
+        `Successfully registered guild commands for guild ID: ${process.env.GUILD_ID}`
+      );
+    }
+
+    console.log("Command registration complete!");
+  } catch (error) {
+    console.error("Error registering commands:", error);
+  }
+}
+
+/**
+ * Answer autocomplete requests with the choices of the command being typed
+ * @param {AutocompleteInteraction} interaction - The autocomplete interaction
+ */
+async function handleAutocomplete(interaction) {
+  const command = getCommand(interaction.commandName);
+  const focused = interaction.options.getFocused(true);
+
+  try {
+    await interaction.respond(
+      command && command.autocomplete
+        ? await command.autocomplete(interaction, focused, {
+            locale: await resolveLocale(interaction),
+          })
+        : []
+    );
+  } catch (err) {
+    // The user may have kept typing and made this request stale
+    console.error("Error answering autocomplete:", err);
+  }
+}
+
+/**
+ * Route an interaction to the command it belongs to
+ * @param {Interaction} interaction - Any interaction the bot receives
+ */
+async function handleInteraction(interaction) {
+  // Buttons on messages a command posted. Confirmation buttons are awaited
+  // by the command itself and have no handler here.
+  if (interaction.isButton()) {
+    const handler = buttonHandlers[interaction.customId.split(":")[0]];
+    return (
+      handler &&
+      handler(interaction, { locale: await resolveLocale(interaction) })
+    );
+  }
+
+  if (interaction.isAutocomplete()) {
+    return handleAutocomplete(interaction);
+  }
+
+  // Only process slash commands
+  if (!interaction.isCommand()) return;
+
+  const command = getCommand(interaction.commandName);
+  if (!command) return;
+
+  // Collections are kept per guild, so commands can't be used in DMs
+  if (!interaction.inGuild()) {
+    const clientLocale = findDiscordLocale(interaction.locale);
+    return interaction.reply({
+      content: t(clientLocale && clientLocale.code, "common.guildOnly"),
+      ephemeral: true,
+    });
+  }
+
+  // Language of the replies: the user's own choice, then the server's
+  const locale = await resolveLocale(interaction);
+
+  return command.execute(interaction, {
+    locale,
+    // Guild or global query scope, depending on the optional "global" flag
+    scope: getScopeFilter(interaction),
+    scopeLabel: getScopeLabel(interaction, locale),
+    // Optional country filter for collection and ranking views
+    countryFilter: getCountryFilter(interaction),
+  });
+}
+
+module.exports = {
+  registerCommand,
+  getCommand,
+  listCommands,
+  getCommandsData,
+  registerCommands,
+  handleInteraction,
+};
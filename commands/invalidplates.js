@@ -0,0 +1,85 @@
+// commands/invalidplates.js
+// /invalidplates: stored plates that break the format rules (moderators only)
+
+const {
+  EmbedBuilder,
+  PermissionFlagsBits,
+  SlashCommandBuilder,
+} = require("discord.js");
+const { getCountryFlag } = require("./helpers");
+const { describePlateProblem, getCountry } = require("../countries");
+const { t } = require("../i18n");
+const { findInvalidPlates } = require("../plateEdits");
+
+const data = new SlashCommandBuilder()
+  .setName("invalidplates")
+  .setDescription(
+    "List stored plates that break the current plate format rules (moderators only)"
+  )
+  .setDefaultMemberPermissions(PermissionFlagsBits.ManageMessages);
+
+/**
+ * Stored plates that break the current format rules (moderators only)
+ * @param {ChatInputCommandInteraction} interaction - The slash command interaction
+ * @param {Object} context - Reply locale and query scope, see commands/index.js
+ */
+async function execute(interaction, { locale }) {
+  // Every plate in the server is parsed, so answer within Discord's window first
+  await interaction.deferReply({ ephemeral: true });
+
+  try {
+    const invalid = await findInvalidPlates({ guildId: interaction.guildId });
+
+    if (invalid.length === 0) {
+      return interaction.editReply({
+        content: t(locale, "invalidplates.allValid"),
+      });
+    }
+
+    const lines = invalid.map(({ plate, error, plateText }) =>
+      t(locale, "invalidplates.line", {
+        flag: getCountryFlag(plate.country),
+        plate: plate.plateText,
+        user: plate.username,
+        score: plate.totalScore,
+        reason: error
+          ? describePlateProblem(getCountry(plate.country), error, locale)
+          : t(locale, "invalidplates.nowRead", { plate: plateText }),
+      })
+    );
+
+    // The embed shows the first plates, the attachment has all of them
+    const shown = [];
+    for (const line of lines) {
+      if (shown.join("\n").length + line.length + 1 > 4000) break;
+      shown.push(line);
+    }
+
+    const embed = new EmbedBuilder()
+      .setTitle(t(locale, "invalidplates.title"))
+      .setDescription(shown.join("\n"))
+      .setFooter({
+        text: t(locale, "invalidplates.footer", {
+          plates: t(locale, "common.plateCount", { count: invalid.length }),
+        }),
+      })
+      .setColor("#E67E22");
+
+    interaction.editReply({
+      embeds: [embed],
+      files: [
+        {
+          attachment: Buffer.from(lines.join("\n")),
+          name: "invalid-plates.txt",
+        },
+      ],
+    });
+  } catch (err) {
+    console.error("Error checking stored plates:", err);
+    interaction.editReply({
+      content: t(locale, "invalidplates.error"),
+    });
+  }
+}
+
+module.exports = { data, execute };
@@ -0,0 +1,59 @@
+// commands/language.js
+// /language: personal reply language
+
+const { SlashCommandBuilder } = require("discord.js");
+const { localeChoices } = require("./options");
+const { resolveLocale } = require("./helpers");
+const { UserSettings } = require("../models");
+const { getLocale, t } = require("../i18n");
+
+const data = new SlashCommandBuilder()
+  .setName("language")
+  .setDescription("Choose the language the bot replies to you in")
+  .addStringOption((option) =>
+    option
+      .setName("language")
+      .setDescription("Reply language")
+      .setRequired(true)
+      .addChoices(...localeChoices, { name: "Server default", value: "server" })
+  );
+
+/**
+ * Personal reply language
+ * @param {ChatInputCommandInteraction} interaction - The slash command interaction
+ * @param {Object} context - Reply locale and query scope, see commands/index.js
+ */
+async function execute(interaction, { locale }) {
+  const { options } = interaction;
+
+  const language = options.getString("language");
+
+  try {
+    await UserSettings.updateOne(
+      { userId: interaction.user.id },
+      { $set: { locale: language === "server" ? null : language } },
+      { upsert: true }
+    );
+
+    const replyLocale = await resolveLocale(interaction);
+    interaction.reply({
+      content:
+        language === "server"
+          ? t(replyLocale, "language.server", {
+              language: getLocale(replyLocale).name,
+            })
+          : t(replyLocale, "language.set", {
+              language: getLocale(replyLocale).name,
+            }),
+      ephemeral: true,
+    });
+  } catch (err) {
+    console.error("Error saving language:", err);
+    interaction.reply({
+      content: t(locale, "language.error"),
+      ephemeral: true,
+    });
+  }
+}
+
+module.exports = { data, execute };
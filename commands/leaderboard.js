@@ -0,0 +1,160 @@
+// commands/leaderboard.js
+// /leaderboard: top collectors of the season or of all time
+
+const { EmbedBuilder, SlashCommandBuilder } = require("discord.js");
+const { countryFilterOption, globalOption } = require("./options");
+const { getLeaderboard } = require("../plates");
+const { getCountry, getCountryName } = require("../countries");
+const { t } = require("../i18n");
+const {
+  getActiveSeason,
+  getSeasonFilter,
+  getSeasonName,
+} = require("../seasons");
+
+const data = new SlashCommandBuilder()
+  .setName("leaderboard")
+  .setDescription("View the top license plate collectors")
+  .addBooleanOption(globalOption)
+  .addStringOption(countryFilterOption)
+  .addBooleanOption((option) =>
+    option
+      .setName("all_time")
+      .setDescription(
+        "Rank by every plate ever collected instead of the current season"
+      )
+      .setRequired(false)
+  );
+
+/**
+ * View leaderboard
+ * @param {ChatInputCommandInteraction} interaction - The slash command interaction
+ * @param {Object} context - Reply locale and query scope, see commands/index.js
+ */
+async function execute(
+  interaction,
+  { locale, scope, scopeLabel, countryFilter }
+) {
+  const { options } = interaction;
+
+  try {
+    // Seasons are kept per server, so the global view is always all-time
+    const season =
+      options.getBoolean("all_time") || options.getBoolean("global")
+        ? null
+        : await getActiveSeason(interaction.guildId);
+
+    // Aggregate to count plates and sum scores per user
+    const leaderboard = await getLeaderboard(
+      {
+        ...scope,
+        ...countryFilter,
+        ...(season ? getSeasonFilter(season) : {}),
+      },
+      10
+    );
+    const country = countryFilter.country
+      ? getCountry(countryFilter.country)
+      : null;
+
+    if (leaderboard.length === 0) {
+      return interaction.reply({
+        content: season
+          ? t(locale, "leaderboard.emptySeason", {
+              season: getSeasonName(season, locale),
+            })
+          : t(locale, "common.noPlatesCollected"),
+        ephemeral: true,
+      });
+    }
+
+    const embed = new EmbedBuilder()
+      .setTitle(
+        season
+          ? t(locale, "leaderboard.seasonTitle", {
+              season: getSeasonName(season, locale),
+            })
+          : t(locale, "leaderboard.title")
+      )
+      .setDescription(
+        t(locale, "leaderboard.description", { scope: scopeLabel }) +
+          (country
+            ? t(locale, "leaderboard.forCountry", {
+                flag: country.flag,
+                country: getCountryName(country, locale),
+              })
+            : "") +
+          (season
+            ? `\n${t(locale, "leaderboard.seasonEnds", {
+                time: `<t:${Math.floor(season.endDate.getTime() / 1000)}:R>`,
+              })}`
+            : t(locale, "leaderboard.allTime"))
+      )
+      .addFields(
+        {
+          name: t(locale, "leaderboard.rank"),
+          value: leaderboard.map((entry, i) => `#${i + 1}`).join("\n"),
+          inline: true,
+        },
+        {
+          name: t(locale, "leaderboard.user"),
+          value: leaderboard.map((entry) => entry._id.username).join("\n"),
+          inline: true,
+        },
+        {
+          name: t(locale, "leaderboard.stats"),
+          value: leaderboard
+            .map(
+              (entry) =>
+                `${t(locale, "common.pts", {
+                  score: entry.totalScore,
+                })} | ${t(locale, "common.plateCount", {
+                  count: entry.plateCount,
+                })} | ${getRegionProgress(entry, country, locale)}`
+            )
+            .join("\n"),
+          inline: true,
+        }
+      )
+      .setColor("#FFD700")
+      .setFooter({
+        text: t(locale, "leaderboard.footer", {
+          time: new Date().toLocaleString(locale),
+        }),
+      });
+
+    interaction.reply({ embeds: [embed] });
+  } catch (err) {
+    console.error("Error retrieving leaderboard:", err);
+    interaction.reply({
+      content: t(locale, "leaderboard.error"),
+      ephemeral: true,
+    });
+  }
+}
+
+/**
+ * Summarise how many regions a leaderboard entry has collected
+ * @param {Object} entry - Leaderboard entry from getLeaderboard()
+ * @param {Object|null} country - Country the leaderboard is filtered to
+ * @param {string} locale - Locale code of the summary
+ * @returns {string} e.g. "12/81 provinces" or "3 countries"
+ */
+function getRegionProgress(entry, country, locale) {
+  // Mixed collections are summarised by country count instead
+  if (!country && entry.uniqueCountries.length > 1) {
+    return t(locale, "common.countryCount", {
+      count: entry.uniqueCountries.length,
+    });
+  }
+
+  const regionCountry = country || getCountry(entry.uniqueCountries[0]);
+  const total = Object.keys(regionCountry.regions).length;
+  return `${entry.uniqueProvinces.length}/${total} ${t(
+    locale,
+    `regionLabels.${regionCountry.regionLabel}`,
+    { count: total }
+  )}`;
+}
+
+module.exports = { data, execute };
@@ -0,0 +1,196 @@
+// commands/mycollection.js
+// /mycollection: summary of a collection
+
+const { EmbedBuilder, SlashCommandBuilder } = require("discord.js");
+const { countryFilterOption, globalOption } = require("./options");
+const { capitalize } = require("./helpers");
+const { getBrowseButtons } = require("./browse");
+const { getCollection } = require("../plates");
+const { getStreaks, toDayKey } = require("../streaks");
+const { getPlateTypeDisplay, getScoreEmoji } = require("../scoring");
+const {
+  getCountry,
+  getCountryName,
+  getRegionDisplay,
+} = require("../countries");
+const { t } = require("../i18n");
+
+const data = new SlashCommandBuilder()
+  .setName("mycollection")
+  .setDescription("View your license plate collection and stats")
+  .addBooleanOption(globalOption)
+  .addStringOption(countryFilterOption);
+
+/**
+ * View your collection
+ * @param {ChatInputCommandInteraction} interaction - The slash command interaction
+ * @param {Object} context - Reply locale and query scope, see commands/index.js
+ */
+async function execute(
+  interaction,
+  { locale, scope, scopeLabel, countryFilter }
+) {
+  const { options } = interaction;
+
+  try {
+    const collection = { ...scope, ...countryFilter };
+    const plates = await getCollection(interaction.user.id, collection);
+    const pending = await getCollection(interaction.user.id, collection, {
+      pending: true,
+    });
+    const pendingCount = pending.length;
+
+    if (plates.length === 0) {
+      return interaction.reply({
+        content: pendingCount
+          ? t(locale, "mycollection.onlyPending", { count: pendingCount })
+          : t(locale, "common.noPlatesYet"),
+        ephemeral: true,
+      });
+    }
+
+    // Count total score
+    const totalScore = plates.reduce((sum, plate) => sum + plate.totalScore, 0);
+    const avgScore = Math.round((totalScore / plates.length) * 10) / 10;
+
+    // Days in a row with at least one plate
+    const streaks = getStreaks(
+      plates.map((plate) => toDayKey(plate.dateSpotted))
+    );
+
+    // Count by country
+    const countryCount = {};
+    plates.forEach((plate) => {
+      countryCount[plate.country] = (countryCount[plate.country] || 0) + 1;
+    });
+
+    // Format country counts
+    const countriesList = Object.entries(countryCount)
+      .sort((a, b) => b[1] - a[1])
+      .map(([code, count]) => {
+        const country = getCountry(code);
+        return country
+          ? `${country.flag} ${getCountryName(country, locale)}: ${count}`
+          : `${code}: ${count}`;
+      });
+
+    // Count by province, for the filtered country or Turkey by default
+    const regionCountry = getCountry(options.getString("country"));
+    const provinceCount = {};
+    plates
+      .filter((plate) => plate.country === regionCountry.code)
+      .forEach((plate) => {
+        provinceCount[plate.provinceCode] =
+          (provinceCount[plate.provinceCode] || 0) + 1;
+      });
+
+    // Format province counts
+    const provincesCollected = Object.keys(provinceCount).length;
+    const totalRegions = Object.keys(regionCountry.regions).length;
+    const topProvinces = Object.entries(provinceCount)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 5)
+      .map(
+        ([province, count]) =>
+          `${getRegionDisplay(regionCountry.code, province, locale)}: ${count}`
+      );
+
+    // Group by plate type
+    const typeCount = {};
+    const typeCountry = {};
+    plates.forEach((plate) => {
+      typeCount[plate.plateType] = (typeCount[plate.plateType] || 0) + 1;
+      typeCountry[plate.plateType] = plate.country;
+    });
+
+    // Format plate types
+    const plateTypes = Object.entries(typeCount)
+      .sort((a, b) => b[1] - a[1])
+      .map(
+        ([type, count]) =>
+          `${getPlateTypeDisplay(type, typeCountry[type], locale)}: ${count}`
+      );
+
+    const formatPlate = (p) =>
+      `${p.plateText} (${t(locale, "common.pts", {
+        score: p.totalScore,
+      })} ${getScoreEmoji(p.totalScore)})`;
+
+    // Recent additions
+    const recentPlates = [...plates]
+      .sort((a, b) => b.dateSpotted - a.dateSpotted)
+      .slice(0, 5)
+      .map(formatPlate);
+
+    // Highest scoring plates
+    const topScoringPlates = [...plates]
+      .sort((a, b) => b.totalScore - a.totalScore)
+      .slice(0, 3)
+      .map(formatPlate);
+
+    const none = t(locale, "common.none");
+    const embed = new EmbedBuilder()
+      .setTitle(
+        t(locale, "mycollection.title", {
+          user: interaction.user.username,
+        })
+      )
+      .setDescription(
+        t(locale, "mycollection.description", {
+          scope: scopeLabel,
+          count: plates.length,
+          score: totalScore,
+          average: avgScore,
+        }) +
+          `\n${t(locale, "mycollection.streak", {
+            current: t(locale, "common.dayCount", { count: streaks.current }),
+            longest: t(locale, "common.dayCount", { count: streaks.longest }),
+          })}` +
+          (pendingCount
+            ? `\n${t(locale, "mycollection.pending", {
+                count: pendingCount,
+              })}`
+            : "")
+      )
+      .addFields(
+        {
+          name: t(locale, "mycollection.recent"),
+          value: recentPlates.join("\n") || none,
+        },
+        {
+          name: t(locale, "mycollection.highest"),
+          value: topScoringPlates.join("\n") || none,
+        },
+        {
+          name: t(locale, "fields.countries"),
+          value: countriesList.join("\n") || none,
+        },
+        {
+          name: `${regionCountry.flag} ${capitalize(
+            t(locale, `regionLabels.${regionCountry.regionLabel}`),
+            locale
+          )} (${provincesCollected}/${totalRegions})`,
+          value: topProvinces.join("\n") || none,
+        },
+        {
+          name: t(locale, "fields.plateTypes"),
+          value: plateTypes.join("\n") || none,
+        }
+      )
+      .setColor("#0099ff")
+      .setThumbnail(interaction.user.displayAvatarURL());
+
+    interaction.reply({
+      embeds: [embed],
+      components: [getBrowseButtons(interaction, locale, "newest")],
+    });
+  } catch (err) {
+    console.error("Error retrieving collection:", err);
+    interaction.reply({
+      content: t(locale, "mycollection.error"),
+      ephemeral: true,
+    });
+  }
+}
+
+module.exports = { data, execute };
@@ -0,0 +1,102 @@
+// commands/options.js
+// Slash command options and choices shared by several commands
+
+const {
+  listCountries,
+  getCountryName,
+  DEFAULT_COUNTRY,
+  getCountry,
+  getGeographicRegionName,
+} = require("../countries");
+const { getPlateTypeDisplay } = require("../scoring");
+const { listLocales, getDiscordLocalizations } = require("../i18n");
+
+// Shared option for commands that can look beyond the current server
+const globalOption = (option) =>
+  option
+    .setName("global")
+    .setDescription("Include plates from every server the bot is in")
+    .setRequired(false);
+
+// Supported plate countries as slash command choices
+const countryChoices = listCountries().map((country) => ({
+  name: country.name,
+  name_localizations: getDiscordLocalizations((locale) =>
+    getCountryName(country, locale.code)
+  ),
+  value: country.code,
+}));
+
+// Plate types of every country as slash command choices, named after the first country that has them
+const plateTypeChoices = [];
+for (const country of listCountries()) {
+  for (const [type, name] of Object.entries(country.typeNames)) {
+    if (!plateTypeChoices.some((choice) => choice.value === type)) {
+      plateTypeChoices.push({
+        name,
+        name_localizations: getDiscordLocalizations((locale) =>
+          getPlateTypeDisplay(type, country.code, locale.code)
+        ),
+        value: type,
+      });
+    }
+  }
+}
+
+// Geographic regions of Turkey as slash command choices
+const turkey = getCountry(DEFAULT_COUNTRY);
+const geographicRegionChoices = Object.entries(turkey.geographicRegions).map(
+  ([key, name]) => ({
+    name,
+    name_localizations: getDiscordLocalizations((locale) =>
+      getGeographicRegionName(turkey, key, locale.code)
+    ),
+    value: key,
+  })
+);
+
+// Shared option to pick which country's plates a command is about
+const countryOption = (option) =>
+  option
+    .setName("country")
+    .setDescription("Plate country (defaults to Turkey)")
+    .setRequired(false)
+    .addChoices(...countryChoices);
+
+// Shared option to narrow collection and ranking views to one country
+const countryFilterOption = (option) =>
+  option
+    .setName("country")
+    .setDescription("Only include plates from this country")
+    .setRequired(false)
+    .addChoices(...countryChoices);
+
+// Shared option to pick what a province map is coloured by
+const metricOption = (option) =>
+  option
+    .setName("metric")
+    .setDescription(
+      "Colour the map by plate count or total score (defaults to count)"
+    )
+    .setRequired(false)
+    .addChoices(
+      { name: "Plate count", value: "count" },
+      { name: "Total score", value: "score" }
+    );
+
+// Supported reply languages as slash command choices, each named in its own language
+const localeChoices = listLocales().map((locale) => ({
+  name: locale.name,
+  value: locale.code,
+}));
+
+module.exports = {
+  globalOption,
+  countryChoices,
+  plateTypeChoices,
+  geographicRegionChoices,
+  countryOption,
+  countryFilterOption,
+  metricOption,
+  localeChoices,
+};
@@ -0,0 +1,120 @@
+// commands/platehelp.js
+// /platehelp: help generated from the command registry
+
+const {
+  ApplicationCommandOptionType,
+  EmbedBuilder,
+  SlashCommandBuilder,
+} = require("discord.js");
+const { getGuildSettings } = require("../models");
+const { currentRuleset } = require("../scoring");
+const { getCountryName, listCountries } = require("../countries");
+const { getLocale, t } = require("../i18n");
+
+const data = new SlashCommandBuilder()
+  .setName("platehelp")
+  .setDescription("Get help with using the License Plate Collector bot");
+
+/**
+ * Describe a command the way /platehelp lists it, e.g. "`/addplate <plate> [photo]`
+ * - Add a license plate to your collection", in the names Discord shows the
+ * user. Options are <required> or [optional], subcommands are separated by |.
+ * @param {Object} command - Localized command JSON
+ * @param {string} discordLocale - Discord locale, e.g. "tr"
+ * @returns {string} One line of the help text
+ */
+function describeCommand(command, discordLocale) {
+  const localized = (item, field) =>
+    (item[`${field}_localizations`] || {})[discordLocale] || item[field];
+  const options = command.options || [];
+  const subcommands = options.filter(
+    (option) => option.type === ApplicationCommandOptionType.Subcommand
+  );
+
+  const usage = subcommands.length
+    ? [subcommands.map((option) => localized(option, "name")).join("|")]
+    : options.map((option) => {
+        const name = localized(option, "name");
+        return option.required ? `<${name}>` : `[${name}]`;
+      });
+
+  return `\`/${[localized(command, "name"), ...usage].join(
+    " "
+  )}\` - ${localized(command, "description")}`;
+}
+
+/**
+ * Show help for every command members can use
+ * @param {ChatInputCommandInteraction} interaction - The slash command interaction
+ * @param {Object} context - Reply locale and query scope, see commands/index.js
+ */
+async function execute(interaction, { locale }) {
+  let settings;
+  try {
+    settings = await getGuildSettings(interaction.guildId);
+  } catch (err) {
+    console.error("Error fetching server settings:", err);
+    return interaction.reply({
+      content: t(locale, "help.error"),
+      ephemeral: true,
+    });
+  }
+
+  // Required here rather than at the top, as the registry loads this module
+  const { getCommandsData } = require(".");
+  const discordLocale = getLocale(locale).discordLocales[0];
+  const commandLines = getCommandsData()
+    // Commands limited to moderators and admins aren't listed
+    .filter((command) => !command.default_member_permissions)
+    .map((command) => describeCommand(command, discordLocale));
+
+  const embed = new EmbedBuilder()
+    .setTitle(t(locale, "help.title"))
+    .setDescription(
+      [t(locale, "help.description"), "", ...commandLines].join("\n")
+    )
+    .addFields(
+      {
+        name: t(locale, "fields.countries"),
+        value:
+          t(locale, "help.countries") +
+          "\n" +
+          listCountries()
+            .filter((c) => settings.isCountryEnabled(c.code))
+            .map(
+              (c) =>
+                `${c.flag} ${getCountryName(c, locale)} - ${t(
+                  locale,
+                  "help.example",
+                  { example: c.example }
+                )}`
+            )
+            .join("\n"),
+      },
+      {
+        name: t(locale, "help.specialTypes.name"),
+        value: t(locale, "help.specialTypes.value"),
+      },
+      {
+        name: t(locale, "help.scoring.name"),
+        value: t(locale, "help.scoring.value", {
+          version: currentRuleset.version,
+          name: currentRuleset.name,
+        }),
+      },
+      {
+        name: t(locale, "help.verification.name"),
+        value: t(locale, `help.verification.${settings.verificationMode}`),
+      },
+      {
+        name: t(locale, "help.scope.name"),
+        value: t(locale, "help.scope.value"),
+      }
+    )
+    .setColor("#2ECC71")
+    .setFooter({ text: t(locale, "help.footer") });
+
+  interaction.reply({ embeds: [embed] });
+}
+
+module.exports = { data, execute };
@@ -0,0 +1,250 @@
+// commands/plateinfo.js
+// /plateinfo: who collected a plate and when it was seen
+
+const { EmbedBuilder, SlashCommandBuilder } = require("discord.js");
+const { countryOption, globalOption } = require("./options");
+const { capitalize } = require("./helpers");
+const { findPopularPlates, getPlateHistory } = require("../plates");
+const {
+  calculatePlateScore,
+  getPlateTypeDisplay,
+  getScoreColor,
+  getScoreEmoji,
+  provinces,
+} = require("../scoring");
+const {
+  DEFAULT_COUNTRY,
+  describePlateError,
+  getCountry,
+  getGeographicRegionName,
+  getRegionDisplay,
+  validatePlate,
+} = require("../countries");
+const { cleanPlateInput } = require("../countries/input");
+const { t } = require("../i18n");
+
+const data = new SlashCommandBuilder()
+  .setName("plateinfo")
+  .setDescription("View information about a specific plate")
+  .addStringOption((option) =>
+    option
+      .setName("plate")
+      .setDescription("The license plate to lookup (e.g., 34ABC123)")
+      .setRequired(true)
+      .setAutocomplete(true)
+  )
+  .addBooleanOption(globalOption)
+  .addStringOption(countryOption);
+
+/**
+ * View info about a specific plate
+ * @param {ChatInputCommandInteraction} interaction - The slash command interaction
+ * @param {Object} context - Reply locale and query scope, see commands/index.js
+ */
+async function execute(interaction, { locale, scope, scopeLabel }) {
+  const { options } = interaction;
+
+  const country = getCountry(options.getString("country"));
+  const input = options.getString("plate");
+  const { plateText, error } = validatePlate(country, input);
+
+  if (error) {
+    return interaction.reply({
+      content: describePlateError(country, input, error, locale),
+      ephemeral: true,
+    });
+  }
+
+  try {
+    // Everyone who collected this plate, and every sighting newest first
+    const { plates, sightings } = await getPlateHistory(
+      scope,
+      country.code,
+      plateText
+    );
+
+    if (plates.length === 0) {
+      const result = calculatePlateScore(plateText, {
+        country: country.code,
+      });
+
+      return interaction.reply(
+        t(locale, "plateinfo.notCollected", {
+          plate: plateText,
+          scope: scopeLabel,
+          score: result.totalScore,
+          type: getPlateTypeDisplay(result.plateType, country.code, locale),
+        })
+      );
+    }
+
+    // Get the first person who spotted this plate
+    const firstSpotter = plates[0];
+
+    // Count how many people have this plate
+    const spotCount = plates.length;
+
+    // Parse the plate
+    const { provinceCode } = country.parse(plateText);
+
+    // Turkish provinces also show their geographic region
+    const province =
+      country.code === DEFAULT_COUNTRY ? provinces[provinceCode] : null;
+
+    const embed = new EmbedBuilder()
+      .setTitle(
+        t(locale, "plateinfo.title", { flag: country.flag, plate: plateText })
+      )
+      .setDescription(
+        t(locale, "plateinfo.description", {
+          count: spotCount,
+          scope: scopeLabel,
+        })
+      )
+      .addFields(
+        {
+          name: capitalize(
+            t(locale, `regionLabels.${country.regionLabel}`, { count: 1 }),
+            locale
+          ),
+          value:
+            getRegionDisplay(country.code, provinceCode, locale) +
+            (province && province.region
+              ? ` (${getGeographicRegionName(
+                  country,
+                  province.region,
+                  locale
+                )})`
+              : ""),
+          inline: true,
+        },
+        {
+          name: t(locale, "fields.plateType"),
+          value: getPlateTypeDisplay(
+            firstSpotter.plateType,
+            country.code,
+            locale
+          ),
+          inline: true,
+        },
+        {
+          name: t(locale, "fields.score"),
+          value: `${t(locale, "common.points", {
+            score: firstSpotter.totalScore,
+          })} ${getScoreEmoji(firstSpotter.totalScore)}`,
+          inline: true,
+        },
+        {
+          name: t(locale, "plateinfo.firstSpottedBy"),
+          value: firstSpotter.username,
+          inline: true,
+        },
+        {
+          name: t(locale, "plateinfo.firstSpottedOn"),
+          value: firstSpotter.dateSpotted.toLocaleDateString(locale),
+          inline: true,
+        },
+        {
+          name: t(locale, "plateinfo.sightings"),
+          value: t(locale, "plateinfo.sightingCount", {
+            count: sightings.length,
+            date: (sightings.length
+              ? sightings[0].spottedAt
+              : firstSpotter.dateSpotted
+            ).toLocaleDateString(locale),
+          }),
+          inline: true,
+        }
+      )
+      .setColor(getScoreColor(firstSpotter.totalScore));
+
+    // Sightings name who saw the plate and where, so even the global view
+    // only lists this server's
+    const localSightings = sightings.filter(
+      (sighting) => sighting.guildId === interaction.guildId
+    );
+    if (localSightings.length > 0) {
+      embed.addFields({
+        name: t(locale, "plateinfo.recentSightings"),
+        value: formatSightingTimeline(localSightings.slice(0, 10), locale),
+      });
+    }
+
+    interaction.reply({ embeds: [embed] });
+  } catch (err) {
+    console.error("Error retrieving plate info:", err);
+    interaction.reply({
+      content: t(locale, "plateinfo.error"),
+      ephemeral: true,
+    });
+  }
+}
+
+/**
+ * Suggest plates collected on this server while a plate is typed
+ * @param {AutocompleteInteraction} interaction - The autocomplete interaction
+ * @param {Object} focused - The option being typed, { name, value }
+ * @param {Object} context - The user's locale, see commands/index.js
+ * @returns {Promise<Object[]>|Object[]} Choices { name, value }
+ */
+function autocomplete(interaction, focused, { locale }) {
+  return focused.name === "plate"
+    ? suggestCollectedPlates(interaction, focused.value, locale)
+    : [];
+}
+
+/**
+ * Plates collected on this server that start with what the user typed, most
+ * collected first
+ * @param {AutocompleteInteraction} interaction - The /plateinfo autocomplete
+ * @param {string} query - The plate typed so far
+ * @param {string} locale - Locale code of the choice labels
+ * @returns {Promise<Object[]>} Choices { name, value }
+ */
+async function suggestCollectedPlates(interaction, query, locale) {
+  const country = getCountry(interaction.options.getString("country"));
+
+  // Stored plates may keep separators (e.g. "B-AB1234"), so allow them
+  // between the typed characters
+  const prefix = cleanPlateInput(query)
+    .split("")
+    .map((char) => char.replace(/[^A-Z0-9]/, "\\$&"))
+    .join("-?");
+
+  const plates = await findPopularPlates(
+    { guildId: interaction.guildId, country: country.code },
+    `^${prefix}`
+  );
+
+  return plates.map((plate) => ({
+    name: t(locale, "plateinfo.autocompleteLabel", {
+      flag: country.flag,
+      plate: plate._id,
+      count: plate.collectors,
+    }),
+    value: plate._id,
+  }));
+}
+
+/**
+ * Format sightings as timeline lines that fit in an embed field
+ * @param {Object[]} sightings - Sightings, newest first
+ * @param {string} [locale] - Locale code for the dates
+ * @returns {string} One line per sighting
+ */
+function formatSightingTimeline(sightings, locale) {
+  const lines = sightings.map(
+    (sighting) =>
+      `${sighting.spottedAt.toLocaleDateString(locale)} • ${
+        sighting.username
+      }` +
+      (sighting.location ? ` • 📍 ${sighting.location}` : "") +
+      (sighting.note ? ` • "${sighting.note}"` : "")
+  );
+
+  // Embed fields hold at most 1024 characters
+  while (lines.length > 1 && lines.join("\n").length > 1024) lines.pop();
+  return lines.join("\n").slice(0, 1024);
+}
+
+module.exports = { data, execute, autocomplete };
@@ -0,0 +1,162 @@
+// commands/provinces.js
+// /provinces: a collection by region, with a map of Turkey
+
+const { EmbedBuilder, SlashCommandBuilder } = require("discord.js");
+const { countryOption, globalOption, metricOption } = require("./options");
+const { capitalize, formatRegionList } = require("./helpers");
+const { getBrowseButtons } = require("./browse");
+const { getCollection } = require("../plates");
+const {
+  DEFAULT_COUNTRY,
+  getCountry,
+  getCountryName,
+  getRegionDisplay,
+} = require("../countries");
+const { t } = require("../i18n");
+const { renderProvinceMap } = require("../provinceMap");
+
+const data = new SlashCommandBuilder()
+  .setName("provinces")
+  .setDescription("View your plates grouped by province")
+  .addBooleanOption(globalOption)
+  .addStringOption(countryOption)
+  .addStringOption(metricOption);
+
+/**
+ * Get province statistics
+ * @param {ChatInputCommandInteraction} interaction - The slash command interaction
+ * @param {Object} context - Reply locale and query scope, see commands/index.js
+ */
+async function execute(interaction, { locale, scope, scopeLabel }) {
+  const { options } = interaction;
+
+  // Regions belong to one country, Turkey unless another is picked
+  const country = getCountry(options.getString("country"));
+  const regionLabel = capitalize(
+    t(locale, `regionLabels.${country.regionLabel}`),
+    locale
+  );
+
+  try {
+    const plates = await getCollection(interaction.user.id, {
+      ...scope,
+      country: country.code,
+    });
+
+    if (plates.length === 0) {
+      return interaction.reply({
+        content: t(locale, "provinces.empty", {
+          country: getCountryName(country, locale),
+        }),
+        ephemeral: true,
+      });
+    }
+
+    // Count plates by province
+    const provinceCount = {};
+    const provinceScore = {};
+
+    plates.forEach((plate) => {
+      provinceCount[plate.provinceCode] =
+        (provinceCount[plate.provinceCode] || 0) + 1;
+      provinceScore[plate.provinceCode] =
+        (provinceScore[plate.provinceCode] || 0) + plate.totalScore;
+    });
+
+    // Sort provinces by count
+    const sortedProvinces = Object.entries(provinceCount).sort(
+      (a, b) => b[1] - a[1]
+    );
+
+    // Format province data
+    const provincesList = sortedProvinces
+      .slice(0, 15)
+      .map(
+        ([province, count]) =>
+          `${getRegionDisplay(country.code, province, locale)}: ${t(
+            locale,
+            "common.plateCount",
+            { count }
+          )} (${t(locale, "common.pts", { score: provinceScore[province] })})`
+      )
+      .join("\n");
+
+    // Get total number of regions in the country
+    const totalProvinces = Object.keys(country.regions).length;
+    const collectedProvinces = Object.keys(provinceCount).length;
+
+    const embed = new EmbedBuilder()
+      .setTitle(
+        t(locale, "provinces.title", {
+          user: interaction.user.username,
+          flag: country.flag,
+          regionLabel: capitalize(
+            t(locale, `regionLabels.${country.regionLabel}`, { count: 1 }),
+            locale
+          ),
+        })
+      )
+      .setDescription(
+        t(locale, "provinces.description", {
+          collected: collectedProvinces,
+          total: totalProvinces,
+          regionLabel: t(locale, `regionLabels.${country.regionLabel}`, {
+            count: totalProvinces,
+          }),
+          percent: Math.round((collectedProvinces / totalProvinces) * 100),
+          scope: scopeLabel,
+        })
+      )
+      .addFields({
+        name: t(locale, "provinces.top", { regionLabel }),
+        value: provincesList || t(locale, "common.none"),
+      })
+      .setColor("#3498DB");
+
+    // List every missing province by name
+    const missingProvinces = Object.keys(country.regions).filter(
+      (provinceCode) => !provinceCount[provinceCode]
+    );
+
+    if (missingProvinces.length > 0) {
+      embed.addFields({
+        name: t(locale, "provinces.missing", {
+          regionLabel,
+          count: missingProvinces.length,
+        }),
+        value: formatRegionList(country, missingProvinces, locale),
+      });
+    }
+
+    // The province map only covers Turkey
+    const files = [];
+    if (country.code === DEFAULT_COUNTRY) {
+      const metric = options.getString("metric") || "count";
+      files.push({
+        attachment: renderProvinceMap(
+          metric === "score" ? provinceScore : provinceCount
+        ),
+        name: "provinces.png",
+      });
+      embed.setImage("attachment://provinces.png").setFooter({
+        text: t(locale, `maps.footer.${metric}`),
+      });
+    }
+
+    interaction.reply({
+      embeds: [embed],
+      files,
+      components: [
+        getBrowseButtons(interaction, locale, "province", country.code),
+      ],
+    });
+  } catch (err) {
+    console.error("Error retrieving province statistics:", err);
+    interaction.reply({
+      content: t(locale, "provinces.error"),
+      ephemeral: true,
+    });
+  }
+}
+
+module.exports = { data, execute };
@@ -0,0 +1,73 @@
+// commands/rare.js
+// /rare: the highest-scoring plates collected so far
+
+const { EmbedBuilder, SlashCommandBuilder } = require("discord.js");
+const { countryFilterOption, globalOption } = require("./options");
+const { getCountryFlag } = require("./helpers");
+const { getTopPlates } = require("../plates");
+const { getPlateTypeDisplay, getScoreEmoji } = require("../scoring");
+const { t } = require("../i18n");
+
+const data = new SlashCommandBuilder()
+  .setName("rare")
+  .setDescription("See the highest-scoring plates collected so far")
+  .addBooleanOption(globalOption)
+  .addStringOption(countryFilterOption);
+
+/**
+ * View rarest plates
+ * @param {ChatInputCommandInteraction} interaction - The slash command interaction
+ * @param {Object} context - Reply locale and query scope, see commands/index.js
+ */
+async function execute(
+  interaction,
+  { locale, scope, scopeLabel, countryFilter }
+) {
+  try {
+    // Get the rarest plates globally
+    const rarestPlates = await getTopPlates({ ...scope, ...countryFilter }, 10);
+
+    if (rarestPlates.length === 0) {
+      return interaction.reply({
+        content: t(locale, "common.noPlatesCollected"),
+        ephemeral: true,
+      });
+    }
+
+    const embed = new EmbedBuilder()
+      .setTitle(t(locale, "rare.title"))
+      .setDescription(t(locale, "rare.description", { scope: scopeLabel }))
+      .setColor("#9B59B6");
+
+    // Format plates list
+    const platesList = rarestPlates
+      .map(
+        (plate, index) =>
+          `**${index + 1}.** ${getCountryFlag(plate.country)} ${
+            plate.plateText
+          } - ${t(locale, "common.pts", {
+            score: plate.totalScore,
+          })} ${getScoreEmoji(plate.totalScore)} (${t(
+            locale,
+            "rare.collectedBy",
+            {
+              type: getPlateTypeDisplay(plate.plateType, plate.country, locale),
+              user: plate.username,
+            }
+          )})`
+      )
+      .join("\n");
+
+    embed.addFields({ name: t(locale, "rare.top"), value: platesList });
+
+    interaction.reply({ embeds: [embed] });
+  } catch (err) {
+    console.error("Error retrieving rarest plates:", err);
+    interaction.reply({
+      content: t(locale, "rare.error"),
+      ephemeral: true,
+    });
+  }
+}
+
+module.exports = { data, execute };
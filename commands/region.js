@@ -0,0 +1,167 @@
+// commands/region.js
+// /region: province completion per geographic region of Turkey
+
+const { EmbedBuilder, SlashCommandBuilder } = require("discord.js");
+const { geographicRegionChoices, globalOption } = require("./options");
+const { formatRegionList, getProgressBar } = require("./helpers");
+const { getCollection } = require("../plates");
+const { provinces } = require("../scoring");
+const {
+  DEFAULT_COUNTRY,
+  getCountry,
+  getGeographicRegionName,
+  getRegionDisplay,
+} = require("../countries");
+const { t } = require("../i18n");
+
+const data = new SlashCommandBuilder()
+  .setName("region")
+  .setDescription(
+    "See how many provinces of each region of Turkey you have collected"
+  )
+  .addStringOption((option) =>
+    option
+      .setName("region")
+      .setDescription("List the provinces of one region")
+      .setRequired(false)
+      .addChoices(...geographicRegionChoices)
+  )
+  .addBooleanOption(globalOption);
+
+/**
+ * Province completion per geographic region of Turkey
+ * @param {ChatInputCommandInteraction} interaction - The slash command interaction
+ * @param {Object} context - Reply locale and query scope, see commands/index.js
+ */
+async function execute(interaction, { locale, scope, scopeLabel }) {
+  const { options } = interaction;
+
+  const country = getCountry(DEFAULT_COUNTRY);
+  const regionKey = options.getString("region");
+
+  try {
+    const plates = await getCollection(interaction.user.id, {
+      ...scope,
+      country: country.code,
+    });
+
+    // Count plates by province
+    const provinceCount = {};
+    plates.forEach((plate) => {
+      provinceCount[plate.provinceCode] =
+        (provinceCount[plate.provinceCode] || 0) + 1;
+    });
+
+    const embed = new EmbedBuilder().setColor("#3498DB");
+    const none = t(locale, "common.none");
+
+    if (regionKey) {
+      const region = getGeographicRegionName(country, regionKey, locale);
+      const regionProvinces = Object.values(provinces)
+        .filter((province) => province.region === regionKey)
+        .map((province) => province.code);
+      const collected = regionProvinces.filter((code) => provinceCount[code]);
+      const missing = regionProvinces.filter((code) => !provinceCount[code]);
+
+      embed
+        .setTitle(
+          t(locale, "region.regionTitle", {
+            user: interaction.user.username,
+            region,
+          })
+        )
+        .setDescription(
+          `${t(locale, "region.regionDescription", {
+            collected: collected.length,
+            total: regionProvinces.length,
+            region,
+            percent: Math.round(
+              (collected.length / regionProvinces.length) * 100
+            ),
+            scope: scopeLabel,
+          })}\n${getProgressBar(collected.length, regionProvinces.length)}`
+        )
+        .addFields(
+          {
+            name: t(locale, "region.collected", { count: collected.length }),
+            value:
+              collected
+                .map(
+                  (code) =>
+                    `${getRegionDisplay(country.code, code, locale)}: ${t(
+                      locale,
+                      "common.plateCount",
+                      { count: provinceCount[code] }
+                    )}`
+                )
+                .join("\n") || none,
+          },
+          {
+            name: t(locale, "region.missing", { count: missing.length }),
+            value: formatRegionList(country, missing, locale) || none,
+          }
+        );
+    } else {
+      const total = Object.keys(provinces).length;
+      const collected = Object.keys(provinceCount).filter(
+        (code) => provinces[code]
+      ).length;
+
+      // Missing provinces next to ones already collected are the easiest to add
+      const bordering = Object.values(provinces)
+        .filter(
+          (province) =>
+            !provinceCount[province.code] &&
+            province.neighbours.some((code) => provinceCount[code])
+        )
+        .map((province) => province.code);
+
+      embed
+        .setTitle(
+          t(locale, "region.title", { user: interaction.user.username })
+        )
+        .setDescription(
+          t(locale, "region.description", {
+            collected,
+            total,
+            percent: Math.round((collected / total) * 100),
+            scope: scopeLabel,
+          })
+        )
+        .addFields(
+          Object.keys(country.geographicRegions).map((key) => {
+            const regionProvinces = Object.values(provinces).filter(
+              (province) => province.region === key
+            );
+            return {
+              name: getGeographicRegionName(country, key, locale),
+              value: getProgressBar(
+                regionProvinces.filter(
+                  (province) => provinceCount[province.code]
+                ).length,
+                regionProvinces.length
+              ),
+              inline: true,
+            };
+          })
+        );
+
+      if (bordering.length > 0) {
+        embed.addFields({
+          name: t(locale, "region.bordering"),
+          value: formatRegionList(country, bordering, locale),
+        });
+      }
+    }
+
+    interaction.reply({ embeds: [embed] });
+  } catch (err) {
+    console.error("Error retrieving region statistics:", err);
+    interaction.reply({
+      content: t(locale, "region.error"),
+      ephemeral: true,
+    });
+  }
+}
+
+module.exports = { data, execute };
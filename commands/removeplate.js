@@ -0,0 +1,142 @@
+// commands/removeplate.js
+// /removeplate: remove a plate from a collection
+
+const { EmbedBuilder, SlashCommandBuilder } = require("discord.js");
+const { countryOption } = require("./options");
+const {
+  askForConfirmation,
+  describeCollection,
+  getManagedCollector,
+  notifyCollector,
+  replyWithError,
+} = require("./helpers");
+const { findCollectedPlate, findPlate } = require("../plates");
+const { getCountry, getCountryName } = require("../countries");
+const { removePlate } = require("../plateEdits");
+const { t } = require("../i18n");
+
+const data = new SlashCommandBuilder()
+  .setName("removeplate")
+  .setDescription("Remove a plate from your collection")
+  .addStringOption((option) =>
+    option
+      .setName("plate")
+      .setDescription("The license plate to remove")
+      .setRequired(true)
+  )
+  .addStringOption(countryOption)
+  .addUserOption((option) =>
+    option
+      .setName("user")
+      .setDescription(
+        "Remove the plate from this collector instead (moderators only)"
+      )
+      .setRequired(false)
+  )
+  .addStringOption((option) =>
+    option
+      .setName("reason")
+      .setDescription("Why the plate is removed, kept in the audit log")
+      .setRequired(false)
+      .setMaxLength(200)
+  );
+
+/**
+ * Remove a plate from a collection
+ * @param {ChatInputCommandInteraction} interaction - The slash command interaction
+ * @param {Object} context - Reply locale, see commands/index.js
+ */
+async function execute(interaction, { locale }) {
+  const { options } = interaction;
+
+  const country = getCountry(options.getString("country"));
+  const plateText = country.normalize(options.getString("plate"));
+  const collector = getManagedCollector(interaction);
+
+  if (!collector) {
+    return interaction.reply({
+      content: t(locale, "removeplate.moderatorsOnly"),
+      ephemeral: true,
+    });
+  }
+
+  const collection = describeCollection(interaction, collector, locale);
+
+  try {
+    const plate = plateText
+      ? await findCollectedPlate(
+          { guildId: interaction.guildId, userId: collector.id },
+          country.code,
+          plateText
+        )
+      : null;
+
+    if (!plate) {
+      return interaction.reply({
+        content: t(locale, "common.notInCollection", {
+          country: getCountryName(country, locale),
+          plate: options.getString("plate"),
+          collection,
+        }),
+        ephemeral: true,
+      });
+    }
+
+    const embed = new EmbedBuilder()
+      .setTitle(
+        t(locale, "removeplate.title", {
+          flag: country.flag,
+          plate: plate.plateText,
+        })
+      )
+      .setDescription(
+        t(locale, "removeplate.description", {
+          score: plate.totalScore,
+          collection,
+        })
+      )
+      .setColor("#E74C3C");
+
+    const confirmation = await askForConfirmation(
+      interaction,
+      embed,
+      t(locale, "removeplate.confirm"),
+      locale
+    );
+    if (!confirmation) return;
+
+    // The plate may have changed while the question was open
+    const current = await findPlate(plate._id);
+    if (!current) {
+      return confirmation.update({
+        content: t(locale, "removeplate.alreadyRemoved"),
+        embeds: [],
+        components: [],
+      });
+    }
+
+    await removePlate(current, {
+      actor: interaction.user,
+      reason: options.getString("reason"),
+    });
+
+    await confirmation.update({
+      content: t(locale, "removeplate.removed", {
+        plate: current.plateText,
+        score: current.totalScore,
+        collection,
+      }),
+      embeds: [],
+      components: [],
+    });
+
+    await notifyCollector(interaction, collector, "removeplate.notification", {
+      plate: current.plateText,
+    });
+  } catch (err) {
+    console.error("Error removing plate:", err);
+    replyWithError(interaction, t(locale, "removeplate.error"));
+  }
+}
+
+module.exports = { data, execute };
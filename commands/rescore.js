@@ -0,0 +1,71 @@
+// commands/rescore.js
+// /rescore: rescoring the server's plates with the active ruleset (admins only)
+
+const {
+  EmbedBuilder,
+  PermissionFlagsBits,
+  SlashCommandBuilder,
+} = require("discord.js");
+const { getLeaderboard } = require("../plates");
+const { currentRuleset } = require("../scoring");
+const { describeRankingChanges, rescorePlates } = require("../rescore");
+const { t } = require("../i18n");
+
+const data = new SlashCommandBuilder()
+  .setName("rescore")
+  .setDescription(
+    "Rescore this server's plates with the current scoring rules (admins only)"
+  )
+  .setDefaultMemberPermissions(PermissionFlagsBits.Administrator);
+
+/**
+ * Rescore the server's plates with the active ruleset (admins only)
+ * @param {ChatInputCommandInteraction} interaction - The slash command interaction
+ * @param {Object} context - Reply locale, see commands/index.js
+ */
+async function execute(interaction, { locale }) {
+  // Rescoring walks the whole collection, so answer within Discord's window first
+  await interaction.deferReply();
+
+  try {
+    // Other servers may not want their rankings to change yet
+    const filter = { guildId: interaction.guildId };
+    const before = await getLeaderboard(filter);
+
+    const { scanned, updated, invalid } = await rescorePlates(
+      currentRuleset,
+      filter
+    );
+
+    const after = await getLeaderboard(filter);
+    const movements = describeRankingChanges(before, after, locale);
+
+    let description = t(locale, "rescore.description", {
+      name: currentRuleset.name,
+      plates: t(locale, "common.plateCount", { count: scanned }),
+      updated,
+    });
+    if (invalid > 0) {
+      description += `\n${t(locale, "rescore.invalid", { count: invalid })}`;
+    }
+
+    const embed = new EmbedBuilder()
+      .setTitle(t(locale, "rescore.title", { version: currentRuleset.version }))
+      .setDescription(description)
+      .addFields({
+        name: t(locale, "rescore.rankingChanges"),
+        value:
+          movements.slice(0, 10).join("\n") ||
+          t(locale, "common.noPlatesCollected"),
+      })
+      .setColor("#1ABC9C")
+      .setTimestamp();
+
+    interaction.editReply({ embeds: [embed] });
+  } catch (err) {
+    console.error("Error rescoring plates:", err);
+    interaction.editReply({ content: t(locale, "rescore.error") });
+  }
+}
+
+module.exports = { data, execute };
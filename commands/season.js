@@ -0,0 +1,213 @@
+// commands/season.js
+// /season: leaderboard seasons, their standings and podiums
+
+const {
+  EmbedBuilder,
+  PermissionFlagsBits,
+  SlashCommandBuilder,
+} = require("discord.js");
+const { Season } = require("../models");
+const { getLeaderboard } = require("../plates");
+const { rolloverSeasons } = require("../scheduler");
+const {
+  createCustomSeason,
+  endActiveSeason,
+  formatPodium,
+  formatSeasonDates,
+  getActiveSeason,
+  getSeasonFilter,
+  getSeasonName,
+  parseSeasonDate,
+} = require("../seasons");
+const { t } = require("../i18n");
+
+const data = new SlashCommandBuilder()
+  .setName("season")
+  .setDescription("Leaderboard seasons: standings, past podiums and scheduling")
+  .addSubcommand((subcommand) =>
+    subcommand
+      .setName("current")
+      .setDescription("Show the running season and its standings so far")
+  )
+  .addSubcommand((subcommand) =>
+    subcommand
+      .setName("archive")
+      .setDescription("Show the podiums of past seasons")
+  )
+  .addSubcommand((subcommand) =>
+    subcommand
+      .setName("start")
+      .setDescription("Schedule a season with custom dates (admins only)")
+      .addStringOption((option) =>
+        option
+          .setName("name")
+          .setDescription("Season name (e.g., Summer Road Trip)")
+          .setRequired(true)
+          .setMaxLength(60)
+      )
+      .addStringOption((option) =>
+        option
+          .setName("end")
+          .setDescription("Last day of the season, YYYY-MM-DD (UTC)")
+          .setRequired(true)
+      )
+      .addStringOption((option) =>
+        option
+          .setName("start")
+          .setDescription(
+            "First day of the season, YYYY-MM-DD (UTC, defaults to now)"
+          )
+          .setRequired(false)
+      )
+  )
+  .addSubcommand((subcommand) =>
+    subcommand
+      .setName("end")
+      .setDescription(
+        "End the running season now and announce the results (admins only)"
+      )
+  );
+
+/**
+ * Leaderboard seasons
+ * @param {ChatInputCommandInteraction} interaction - The slash command interaction
+ * @param {Object} context - Reply locale, see commands/index.js
+ */
+async function execute(interaction, { locale }) {
+  const { options } = interaction;
+
+  const subcommand = options.getSubcommand();
+
+  if (
+    ["start", "end"].includes(subcommand) &&
+    !interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild)
+  ) {
+    return interaction.reply({
+      content: t(locale, "season.managersOnly"),
+      ephemeral: true,
+    });
+  }
+
+  try {
+    if (subcommand === "current") {
+      const season = await getActiveSeason(interaction.guildId);
+      const standings = await getLeaderboard(getSeasonFilter(season), 3);
+
+      const embed = new EmbedBuilder()
+        .setTitle(`📅 ${getSeasonName(season, locale)}`)
+        .setDescription(
+          `${formatSeasonDates(season)}\n${t(locale, "season.ends", {
+            time: `<t:${Math.floor(season.endDate.getTime() / 1000)}:R>`,
+          })}`
+        )
+        .addFields({
+          name: t(locale, "season.standings"),
+          value: formatPodium(
+            standings.map((entry) => ({
+              username: entry._id.username,
+              totalScore: entry.totalScore,
+              plateCount: entry.plateCount,
+            })),
+            locale
+          ),
+        })
+        .setColor("#FFD700")
+        .setFooter({ text: t(locale, "season.footer") });
+
+      interaction.reply({ embeds: [embed] });
+    } else if (subcommand === "archive") {
+      const seasons = await Season.find({
+        guildId: interaction.guildId,
+        archivedAt: { $ne: null },
+      })
+        .sort({ endDate: -1 })
+        .limit(10);
+
+      if (seasons.length === 0) {
+        return interaction.reply({
+          content: t(locale, "season.noArchive"),
+          ephemeral: true,
+        });
+      }
+
+      const embed = new EmbedBuilder()
+        .setTitle(t(locale, "season.archiveTitle"))
+        .addFields(
+          seasons.map((season) => ({
+            name: getSeasonName(season, locale),
+            value: `${formatSeasonDates(season)}\n${formatPodium(
+              season.podium,
+              locale
+            )}`,
+          }))
+        )
+        .setColor("#FFD700");
+
+      interaction.reply({ embeds: [embed] });
+    } else if (subcommand === "start") {
+      const startText = options.getString("start");
+      const startDate = startText ? parseSeasonDate(startText) : new Date();
+      const lastDay = parseSeasonDate(options.getString("end"));
+
+      if (!startDate || !lastDay) {
+        return interaction.reply({
+          content: t(locale, "season.badDate"),
+          ephemeral: true,
+        });
+      }
+
+      // The end date is the last day that still counts
+      const endDate = new Date(lastDay.getTime() + 24 * 60 * 60 * 1000);
+      if (endDate <= new Date()) {
+        return interaction.reply({
+          content: t(locale, "season.endInPast"),
+          ephemeral: true,
+        });
+      }
+
+      const { season, error } = await createCustomSeason(interaction.guildId, {
+        name: options.getString("name"),
+        startDate,
+        endDate,
+        createdBy: interaction.user.id,
+      });
+
+      if (error) {
+        return interaction.reply({
+          content: t(locale, `season.errors.${error.code}`, {
+            ...error,
+            name: error.season && getSeasonName(error.season, locale),
+          }),
+          ephemeral: true,
+        });
+      }
+
+      // A trimmed monthly season may have ended already
+      await rolloverSeasons(interaction.client);
+
+      interaction.reply({
+        content: t(locale, "season.scheduled", {
+          name: getSeasonName(season, locale),
+          dates: formatSeasonDates(season),
+        }),
+      });
+    } else if (subcommand === "end") {
+      const season = await endActiveSeason(interaction.guildId);
+      await rolloverSeasons(interaction.client);
+
+      interaction.reply({
+        content: t(locale, "season.ended", {
+          name: getSeasonName(season, locale),
+        }),
+      });
+    }
+  } catch (err) {
+    console.error("Error handling season command:", err);
+    interaction.reply({
+      content: t(locale, "season.error"),
+      ephemeral: true,
+    });
+  }
+}
+
+module.exports = { data, execute };
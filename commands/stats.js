@@ -0,0 +1,140 @@
+// commands/stats.js
+// /stats: spotting streaks and a chart of plates per day
+
+const { EmbedBuilder, SlashCommandBuilder } = require("discord.js");
+const { globalOption } = require("./options");
+const { getGuildSettings } = require("../models");
+const { getDailyActivity } = require("../plates");
+const { STREAK_BONUS_MAX_DAYS, getStreaks, toDayKey } = require("../streaks");
+const { renderActivityChart } = require("../activityChart");
+const { t } = require("../i18n");
+
+// Days the chart covers unless the user picks another period
+const DEFAULT_CHART_DAYS = 30;
+
+const data = new SlashCommandBuilder()
+  .setName("stats")
+  .setDescription("See spotting streaks and a chart of plates per day")
+  .addUserOption((option) =>
+    option
+      .setName("user")
+      .setDescription("Show this collector instead of yourself")
+      .setRequired(false)
+  )
+  .addIntegerOption((option) =>
+    option
+      .setName("days")
+      .setDescription(`Days the chart covers (default: ${DEFAULT_CHART_DAYS})`)
+      .setMinValue(7)
+      .setMaxValue(90)
+      .setRequired(false)
+  )
+  .addBooleanOption(globalOption);
+
+/**
+ * Spotting streaks and activity of a collector
+ * @param {ChatInputCommandInteraction} interaction - The slash command interaction
+ * @param {Object} context - Reply locale and query scope, see commands/index.js
+ */
+async function execute(interaction, { locale, scope, scopeLabel }) {
+  const { options } = interaction;
+
+  const user = options.getUser("user") || interaction.user;
+  const chartDays = options.getInteger("days") || DEFAULT_CHART_DAYS;
+
+  try {
+    const activity = await getDailyActivity(user.id, scope);
+
+    if (activity.length === 0) {
+      return interaction.reply({
+        content:
+          user.id === interaction.user.id
+            ? t(locale, "common.noPlatesYet")
+            : t(locale, "stats.empty", { user: user.username }),
+        ephemeral: true,
+      });
+    }
+
+    const counts = Object.fromEntries(
+      activity.map((entry) => [entry._id, entry.plateCount])
+    );
+    const { current, longest } = getStreaks(Object.keys(counts));
+
+    const since = toDayKey(
+      new Date(Date.now() - (chartDays - 1) * 24 * 60 * 60 * 1000)
+    );
+    const recentPlates = activity
+      .filter((entry) => entry._id >= since)
+      .reduce((sum, entry) => sum + entry.plateCount, 0);
+
+    const busiest = activity.reduce((best, entry) =>
+      entry.plateCount > best.plateCount ? entry : best
+    );
+
+    const days = (count) => t(locale, "common.dayCount", { count });
+    const settings = await getGuildSettings(interaction.guildId);
+
+    const embed = new EmbedBuilder()
+      .setTitle(t(locale, "stats.title", { user: user.username }))
+      .setDescription(t(locale, "stats.description", { scope: scopeLabel }))
+      .addFields(
+        {
+          name: t(locale, "stats.currentStreak"),
+          value: `🔥 ${days(current)}`,
+          inline: true,
+        },
+        {
+          name: t(locale, "stats.longestStreak"),
+          value: `🏆 ${days(longest)}`,
+          inline: true,
+        },
+        {
+          name: t(locale, "stats.activeDays"),
+          value: String(activity.length),
+          inline: true,
+        },
+        {
+          name: t(locale, "stats.recent", { count: chartDays }),
+          value: t(locale, "common.plateCount", { count: recentPlates }),
+          inline: true,
+        },
+        {
+          name: t(locale, "stats.busiestDay"),
+          value: `${new Date(busiest._id).toLocaleDateString(locale, {
+            timeZone: "UTC",
+          })} - ${t(locale, "common.plateCount", {
+            count: busiest.plateCount,
+          })}`,
+          inline: true,
+        }
+      )
+      .setImage("attachment://stats.png")
+      .setColor("#57F287")
+      .setFooter({
+        text: settings.streakBonus
+          ? t(locale, "stats.streakBonus", {
+              bonus: settings.streakBonus,
+              max: STREAK_BONUS_MAX_DAYS,
+            })
+          : t(locale, "stats.footer"),
+      });
+
+    interaction.reply({
+      embeds: [embed],
+      files: [
+        {
+          attachment: renderActivityChart(counts, { days: chartDays }),
+          name: "stats.png",
+        },
+      ],
+    });
+  } catch (err) {
+    console.error("Error retrieving stats:", err);
+    interaction.reply({
+      content: t(locale, "stats.error"),
+      ephemeral: true,
+    });
+  }
+}
+
+module.exports = { data, execute };
@@ -0,0 +1,330 @@
+// commands/trade.js
+// /trade: swapping and gifting plates between collectors
+
+const {
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  EmbedBuilder,
+  SlashCommandBuilder,
+} = require("discord.js");
+const { countryOption } = require("./options");
+const { announceAchievements, replyWithError } = require("./helpers");
+const { Trade, getGuildSettings } = require("../models");
+const {
+  describePlateError,
+  getCountry,
+  getCountryName,
+} = require("../countries");
+const { t } = require("../i18n");
+const {
+  STATUS_EMOJIS,
+  closeTrade,
+  createTrade,
+  executeTrade,
+  formatTradeLogEntry,
+  formatTradePlates,
+  getTradeStatus,
+  parsePlateList,
+} = require("../trades");
+
+const data = new SlashCommandBuilder()
+  .setName("trade")
+  .setDescription("Swap or gift plates with other collectors")
+  .addSubcommand((subcommand) =>
+    subcommand
+      .setName("offer")
+      .setDescription(
+        "Offer plates to a collector, optionally for some of theirs"
+      )
+      .addUserOption((option) =>
+        option
+          .setName("user")
+          .setDescription("Collector to trade with")
+          .setRequired(true)
+      )
+      .addStringOption((option) =>
+        option
+          .setName("give")
+          .setDescription("Your plates to give, separated by commas")
+          .setRequired(true)
+          .setMaxLength(200)
+      )
+      .addStringOption((option) =>
+        option
+          .setName("want")
+          .setDescription(
+            "Their plates you want in return, separated by commas (leave out to gift)"
+          )
+          .setRequired(false)
+          .setMaxLength(200)
+      )
+      .addStringOption(countryOption)
+  )
+  .addSubcommand((subcommand) =>
+    subcommand
+      .setName("log")
+      .setDescription("Show recent trades")
+      .addUserOption((option) =>
+        option
+          .setName("user")
+          .setDescription("Collector to look at (defaults to you)")
+          .setRequired(false)
+      )
+  );
+
+/**
+ * Swap or gift plates between collectors
+ * @param {ChatInputCommandInteraction} interaction - The slash command interaction
+ * @param {Object} context - Reply locale and query scope, see commands/index.js
+ */
+async function execute(interaction, { locale }) {
+  const { options } = interaction;
+
+  const subcommand = options.getSubcommand();
+
+  try {
+    if (subcommand === "offer") {
+      const recipient = options.getUser("user");
+      const country = getCountry(options.getString("country"));
+
+      if (recipient.bot || recipient.id === interaction.user.id) {
+        return interaction.reply({
+          content: t(locale, "trade.pickCollector"),
+          ephemeral: true,
+        });
+      }
+
+      const settings = await getGuildSettings(interaction.guildId);
+      if (!settings.isCountryEnabled(country.code)) {
+        return interaction.reply({
+          content: t(locale, "common.countryDisabled", {
+            country: getCountryName(country, locale),
+          }),
+          ephemeral: true,
+        });
+      }
+
+      const give = parsePlateList(country, options.getString("give"));
+      const want = parsePlateList(country, options.getString("want"));
+      const listError = give.error || want.error;
+      if (listError || give.plateTexts.length === 0) {
+        return interaction.reply({
+          content: listError
+            ? describeTradeError(listError, locale, country)
+            : t(locale, "trade.nothingToGive"),
+          ephemeral: true,
+        });
+      }
+
+      const { trade, error } = await createTrade({
+        guildId: interaction.guildId,
+        channelId: interaction.channelId,
+        from: interaction.user,
+        to: recipient,
+        country: country.code,
+        offered: give.plateTexts,
+        requested: want.plateTexts,
+      });
+      if (error) {
+        return interaction.reply({
+          content: describeTradeError(error, locale),
+          ephemeral: true,
+        });
+      }
+
+      const buttons = new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+          .setCustomId(`trade:accept:${trade._id}`)
+          .setLabel(t(locale, "trade.accept"))
+          .setStyle(ButtonStyle.Success),
+        new ButtonBuilder()
+          .setCustomId(`trade:decline:${trade._id}`)
+          .setLabel(t(locale, "trade.decline"))
+          .setStyle(ButtonStyle.Danger),
+        new ButtonBuilder()
+          .setCustomId(`trade:cancel:${trade._id}`)
+          .setLabel(t(locale, "trade.withdraw"))
+          .setStyle(ButtonStyle.Secondary)
+      );
+
+      interaction.reply({
+        content: `<@${recipient.id}>`,
+        embeds: [buildTradeEmbed(trade, locale)],
+        components: [buttons],
+        allowedMentions: { users: [recipient.id] },
+      });
+    } else if (subcommand === "log") {
+      const user = options.getUser("user") || interaction.user;
+      const trades = await Trade.find({
+        guildId: interaction.guildId,
+        $or: [{ fromUserId: user.id }, { toUserId: user.id }],
+      })
+        .sort({ createdAt: -1 })
+        .limit(15);
+
+      if (trades.length === 0) {
+        return interaction.reply({
+          content: t(locale, "trade.emptyLog", { user: user.username }),
+          ephemeral: true,
+        });
+      }
+
+      const embed = new EmbedBuilder()
+        .setTitle(t(locale, "trade.logTitle", { user: user.username }))
+        .setDescription(
+          trades
+            .map((trade) => formatTradeLogEntry(trade, user.id, locale))
+            .join("\n")
+            .slice(0, 4096)
+        )
+        .setColor("#3498DB");
+
+      interaction.reply({ embeds: [embed], ephemeral: true });
+    }
+  } catch (err) {
+    console.error("Error handling trade:", err);
+    replyWithError(interaction, t(locale, "trade.error"));
+  }
+}
+
+/**
+ * Word why a trade can't be made or completed
+ * @param {Object} error - { code, ...vars } from trades.js
+ * @param {string} locale - Locale code of the reply
+ * @param {Object} [country] - Country module of the typed plates, needed for
+ * INVALID_PLATE
+ * @returns {string} The reason
+ */
+function describeTradeError(error, locale, country) {
+  return error.code === "INVALID_PLATE"
+    ? describePlateError(country, error.input, error.plateError, locale)
+    : t(locale, `trade.errors.${error.code}`, error);
+}
+
+/**
+ * Describe a trade offer for its message
+ * @param {Object} trade - The trade document
+ * @param {string} locale - Locale code of the texts
+ * @returns {EmbedBuilder} The offer embed
+ */
+function buildTradeEmbed(trade, locale) {
+  const gift = trade.requested.length === 0;
+
+  return new EmbedBuilder()
+    .setTitle(t(locale, gift ? "trade.giftTitle" : "trade.offerTitle"))
+    .setDescription(
+      t(locale, gift ? "trade.giftDescription" : "trade.offerDescription", {
+        from: trade.fromUsername,
+        to: trade.toUsername,
+        time: `<t:${Math.floor(trade.expiresAt.getTime() / 1000)}:R>`,
+      })
+    )
+    .addFields(
+      {
+        name: t(locale, "trade.gets", { user: trade.toUsername }),
+        value: formatTradePlates(trade.offered, locale),
+      },
+      {
+        name: t(locale, "trade.gives", { user: trade.toUsername }),
+        value: gift
+          ? t(locale, "trade.gift")
+          : formatTradePlates(trade.requested, locale),
+      }
+    )
+    .setColor("#3498DB");
+}
+
+/**
+ * Handle the accept, decline and withdraw buttons of a trade offer
+ * @param {ButtonInteraction} interaction - The button click
+ * @param {Object} context - The clicker's locale, see commands/index.js
+ */
+async function handleTradeButton(interaction, { locale }) {
+  const [, action, tradeId] = interaction.customId.split(":");
+
+  try {
+    const trade = await Trade.findById(tradeId);
+    const embed = EmbedBuilder.from(interaction.message.embeds[0]);
+
+    if (!trade) {
+      embed.setFooter({ text: t(locale, "trade.missing") });
+      return interaction.update({ embeds: [embed], components: [] });
+    }
+
+    // Only the recipient answers an offer; only the offerer withdraws it
+    const allowedId = action === "cancel" ? trade.fromUserId : trade.toUserId;
+    if (interaction.user.id !== allowedId) {
+      return interaction.reply({
+        content:
+          action === "cancel"
+            ? t(locale, "trade.onlyOfferer", { user: trade.fromUsername })
+            : t(locale, "trade.notForYou", { user: trade.toUsername }),
+        ephemeral: true,
+      });
+    }
+
+    const status = getTradeStatus(trade);
+    if (status !== "pending") {
+      if (status === "expired") await closeTrade(trade, "expired");
+      embed.setFooter({
+        text: t(locale, "trade.closed", {
+          emoji: STATUS_EMOJIS[status],
+          status: t(locale, `trade.statuses.${status}`),
+        }),
+      });
+      return interaction.update({ embeds: [embed], components: [] });
+    }
+
+    if (action === "decline" || action === "cancel") {
+      const closed = await closeTrade(
+        trade,
+        action === "decline" ? "declined" : "cancelled"
+      );
+      const text = !closed
+        ? t(locale, "trade.answered")
+        : action === "decline"
+        ? t(locale, "trade.declinedBy", { user: trade.toUsername })
+        : t(locale, "trade.withdrawnBy", { user: trade.fromUsername });
+
+      embed.setColor("#95A5A6").setFooter({ text });
+      return interaction.update({ embeds: [embed], components: [] });
+    }
+
+    const { error } = await executeTrade(trade);
+    if (error) {
+      embed.setColor("#E74C3C").setFooter({
+        text: t(locale, "trade.failed", {
+          reason: describeTradeError(error, locale),
+        }),
+      });
+      return interaction.update({ embeds: [embed], components: [] });
+    }
+
+    embed.setColor("#2ECC71").setFooter({
+      text: t(locale, "trade.acceptedBy", { user: trade.toUsername }),
+    });
+    await interaction.update({ embeds: [embed], components: [] });
+
+    // New plates can complete achievements for both collectors, announced
+    // in the server's language
+    const settings = await getGuildSettings(trade.guildId);
+    await announceAchievements(
+      interaction.channel,
+      trade.guildId,
+      trade.fromUserId,
+      settings.locale
+    );
+    await announceAchievements(
+      interaction.channel,
+      trade.guildId,
+      trade.toUserId,
+      settings.locale
+    );
+  } catch (err) {
+    console.error("Error answering trade:", err);
+    replyWithError(interaction, t(locale, "trade.error"));
+  }
+}
+
+module.exports = { data, execute, buttons: { trade: handleTradeButton } };
@@ -0,0 +1,98 @@
+// commands/types.js
+// /types: a collection by plate type
+
+const { EmbedBuilder, SlashCommandBuilder } = require("discord.js");
+const { countryFilterOption, globalOption } = require("./options");
+const { getBrowseButtons } = require("./browse");
+const { getCollection } = require("../plates");
+const { getPlateTypeDisplay } = require("../scoring");
+const { t } = require("../i18n");
+
+const data = new SlashCommandBuilder()
+  .setName("types")
+  .setDescription("View your plates grouped by plate type")
+  .addBooleanOption(globalOption)
+  .addStringOption(countryFilterOption);
+
+/**
+ * View plates by type
+ * @param {ChatInputCommandInteraction} interaction - The slash command interaction
+ * @param {Object} context - Reply locale and query scope, see commands/index.js
+ */
+async function execute(
+  interaction,
+  { locale, scope, scopeLabel, countryFilter }
+) {
+  try {
+    const plates = await getCollection(interaction.user.id, {
+      ...scope,
+      ...countryFilter,
+    });
+
+    if (plates.length === 0) {
+      return interaction.reply({
+        content: t(locale, "common.noPlatesYet"),
+        ephemeral: true,
+      });
+    }
+
+    // Group by plate type
+    const typeGroups = {};
+
+    plates.forEach((plate) => {
+      if (!typeGroups[plate.plateType]) {
+        typeGroups[plate.plateType] = [];
+      }
+      typeGroups[plate.plateType].push(plate);
+    });
+
+    // Sort types by count
+    const sortedTypes = Object.entries(typeGroups).sort(
+      (a, b) => b[1].length - a[1].length
+    );
+
+    const embed = new EmbedBuilder()
+      .setTitle(t(locale, "types.title", { user: interaction.user.username }))
+      .setDescription(
+        t(locale, "types.description", {
+          count: Object.keys(typeGroups).length,
+          scope: scopeLabel,
+        })
+      )
+      .setColor("#9B59B6");
+
+    // Add fields for each type
+    sortedTypes.forEach(([type, plates]) => {
+      const examplePlates = plates
+        .sort((a, b) => b.totalScore - a.totalScore)
+        .slice(0, 3)
+        .map(
+          (p) =>
+            `${p.plateText} (${t(locale, "common.pts", {
+              score: p.totalScore,
+            })})`
+        )
+        .join(", ");
+
+      embed.addFields({
+        name: `${getPlateTypeDisplay(type, plates[0].country, locale)} (${
+          plates.length
+        })`,
+        value: examplePlates || t(locale, "common.none"),
+      });
+    });
+
+    interaction.reply({
+      embeds: [embed],
+      components: [getBrowseButtons(interaction, locale, "score")],
+    });
+  } catch (err) {
+    console.error("Error retrieving plate types:", err);
+    interaction.reply({
+      content: t(locale, "types.error"),
+      ephemeral: true,
+    });
+  }
+}
+
+module.exports = { data, execute };
@@ -0,0 +1,157 @@
+// countries/bg.js
+// Bulgarian license plates: "СА 1234 АВ" (province code, 4 digits, 2 letters).
+// Plates only use Cyrillic letters with Latin look-alikes, so both alphabets
+// are accepted and stored in Latin form.
+
+// Cyrillic capitals that appear on plates and their Latin look-alikes
+const CYRILLIC_TO_LATIN = {
+  А: "A",
+  В: "B",
+  Е: "E",
+  К: "K",
+  М: "M",
+  Н: "H",
+  О: "O",
+  Р: "P",
+  С: "C",
+  Т: "T",
+  У: "Y",
+  Х: "X",
+};
+
+// Province names by code
+const regions = {
+  BLG: "Blagoevgrad",
+  BGS: "Burgas",
+  DOB: "Dobrich",
+  GAB: "Gabrovo",
+  HKV: "Haskovo",
+  KRZ: "Kardzhali",
+  KNL: "Kyustendil",
+  LOV: "Lovech",
+  MON: "Montana",
+  PAZ: "Pazardzhik",
+  PER: "Pernik",
+  PVN: "Pleven",
+  PDV: "Plovdiv",
+  RAZ: "Razgrad",
+  RSE: "Ruse",
+  SHU: "Shumen",
+  SLS: "Silistra",
+  SLV: "Sliven",
+  SML: "Smolyan",
+  SOF: "Sofia (city)",
+  SFO: "Sofia Province",
+  SZR: "Stara Zagora",
+  TGV: "Targovishte",
+  VAR: "Varna",
+  VTR: "Veliko Tarnovo",
+  VID: "Vidin",
+  VRC: "Vratsa",
+  JAM: "Yambol",
+};
+
+// Plate prefixes and the province they belong to
+const prefixes = {
+  A: "BGS",
+  B: "VAR",
+  BH: "VID",
+  BP: "VRC",
+  BT: "VTR",
+  C: "SOF",
+  CA: "SOF",
+  CB: "SOF",
+  CC: "SLS",
+  CH: "SLV",
+  CM: "SML",
+  CO: "SFO",
+  CT: "SZR",
+  E: "BLG",
+  EB: "GAB",
+  EH: "PVN",
+  H: "SHU",
+  K: "KRZ",
+  KH: "KNL",
+  M: "MON",
+  OB: "LOV",
+  P: "RSE",
+  PA: "PAZ",
+  PB: "PDV",
+  PK: "PER",
+  PP: "RAZ",
+  T: "TGV",
+  TX: "DOB",
+  X: "HKV",
+  Y: "JAM",
+};
+
+// Human-readable plate type names
+const typeNames = {
+  STANDARD: "Standard Civilian",
+  MILITARY: "Military",
+  DIPLOMATIC: "Diplomatic Corps",
+};
+
+/**
+ * Check the plate format and bring it into the stored form
+ * @param {string} input - Plate as typed by the user, in Cyrillic or Latin letters
+ * @returns {string|null} Plate without separators (e.g., "CA1234AB"), or null if invalid
+ */
+function normalize(input) {
+  const plateText = input
+    .toUpperCase()
+    .replace(/[\s-]/g, "")
+    .replace(/./g, (char) => CYRILLIC_TO_LATIN[char] || char);
+
+  // Army and diplomatic plates: prefix and digits only
+  if (/^(BA|CD)\d{4,6}$/.test(plateText)) return plateText;
+
+  const match = plateText.match(
+    /^([ABCEHKMOPTXY]{1,2})(\d{4})([ABCEHKMOPTXY]{2})$/
+  );
+  return match && prefixes[match[1]] ? plateText : null;
+}
+
+/**
+ * Parse a Bulgarian license plate into its components
+ * @param {string} plateText - Normalized plate text (e.g., "CA1234AB")
+ * @returns {Object} Parsed components { provinceCode, prefix, letters, digits }
+ */
+function parse(plateText) {
+  const match = plateText.match(/^([A-Z]{1,2})(\d+)([A-Z]*)$/);
+  if (!match) return { provinceCode: "", prefix: "", letters: "", digits: "" };
+
+  return {
+    provinceCode: prefixes[match[1]] || "",
+    prefix: match[1],
+    letters: match[3],
+    digits: match[2],
+  };
+}
+
+/**
+ * Detect the plate type from its prefix
+ * @param {Object} parsed - Result of parse()
+ * @returns {string} The detected plate type
+ */
+function detectType(parsed) {
+  if (parsed.prefix === "BA") return "MILITARY";
+  if (parsed.prefix === "CD") return "DIPLOMATIC";
+
+  return "STANDARD";
+}
+
+module.exports = {
+  code: "BG",
+  name: "Bulgaria",
+  flag: "🇧🇬",
+  example: "СА 1234 АВ",
+  regionLabel: "province",
+  // Letters issued on Bulgarian plates, in Cyrillic alphabetical order
+  alphabet: "ABEKMHOPCTYX",
+  regions,
+  typeNames,
+  normalize,
+  parse,
+  detectType,
+};
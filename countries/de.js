@@ -0,0 +1,171 @@
+// countries/de.js
+// German license plates: "B-AB 1234" (district code, 1-2 letters, 1-4 digits,
+// optional E/H suffix). The district and letters can't be told apart without
+// a separator, so input needs one: "B AB 1234" or "B-AB1234".
+
+// District names by plate code (major cities and a selection of rural districts)
+const regions = {
+  A: "Augsburg",
+  AC: "Aachen",
+  AUR: "Aurich",
+  B: "Berlin",
+  BGL: "Berchtesgadener Land",
+  BI: "Bielefeld",
+  BN: "Bonn",
+  BO: "Bochum",
+  BS: "Braunschweig",
+  C: "Chemnitz",
+  CUX: "Cuxhaven",
+  D: "Düsseldorf",
+  DA: "Darmstadt",
+  DAN: "Lüchow-Dannenberg",
+  DD: "Dresden",
+  DO: "Dortmund",
+  DU: "Duisburg",
+  E: "Essen",
+  EF: "Erfurt",
+  EMD: "Emden",
+  F: "Frankfurt am Main",
+  FR: "Freiburg im Breisgau",
+  FRI: "Friesland",
+  GAP: "Garmisch-Partenkirchen",
+  GE: "Gelsenkirchen",
+  H: "Hannover",
+  HB: "Bremen",
+  HD: "Heidelberg",
+  HEI: "Dithmarschen",
+  HH: "Hamburg",
+  HL: "Lübeck",
+  HRO: "Rostock",
+  HSK: "Hochsauerlandkreis",
+  K: "Köln",
+  KA: "Karlsruhe",
+  KI: "Kiel",
+  KLE: "Kleve",
+  KS: "Kassel",
+  L: "Leipzig",
+  LER: "Leer",
+  LÖ: "Lörrach",
+  LU: "Ludwigshafen am Rhein",
+  M: "München",
+  MA: "Mannheim",
+  MD: "Magdeburg",
+  MS: "Münster",
+  MSP: "Main-Spessart",
+  MÜ: "Mühldorf am Inn",
+  MZ: "Mainz",
+  N: "Nürnberg",
+  NF: "Nordfriesland",
+  OA: "Oberallgäu",
+  OB: "Oberhausen",
+  OS: "Osnabrück",
+  P: "Potsdam",
+  PR: "Prignitz",
+  R: "Regensburg",
+  ROW: "Rotenburg (Wümme)",
+  S: "Stuttgart",
+  SB: "Saarbrücken",
+  SLF: "Saalfeld-Rudolstadt",
+  SN: "Schwerin",
+  SOK: "Saale-Orla-Kreis",
+  SÜW: "Südliche Weinstraße",
+  TÜ: "Tübingen",
+  UE: "Uelzen",
+  UL: "Ulm",
+  UM: "Uckermark",
+  VG: "Vorpommern-Greifswald",
+  W: "Wuppertal",
+  WI: "Wiesbaden",
+  WTM: "Wittmund",
+  WUG: "Weißenburg-Gunzenhausen",
+  WÜ: "Würzburg",
+};
+
+// Human-readable plate type names
+const typeNames = {
+  STANDARD: "Standard Civilian",
+  ELECTRIC: "Electric Vehicle",
+  HISTORIC: "Historic Vehicle",
+  DIPLOMATIC: "Diplomatic Corps",
+  BUNDESWEHR: "Bundeswehr",
+  FEDERAL_POLICE: "Federal Police",
+  THW: "Technical Relief (THW)",
+};
+
+// Authorities whose plates are a prefix followed by digits only
+const AUTHORITY_PREFIXES = {
+  Y: "BUNDESWEHR",
+  BP: "FEDERAL_POLICE",
+  THW: "THW",
+  0: "DIPLOMATIC",
+};
+
+/**
+ * Check the plate format and bring it into the stored form
+ * @param {string} input - Plate as typed by the user
+ * @returns {string|null} Plate as "B-AB1234", or null if invalid
+ */
+function normalize(input) {
+  const text = input.toUpperCase().trim();
+
+  // Authority plates: Y-123456, BP 12-345, THW-80123, 0-123-4
+  const authorityMatch = text
+    .replace(/[\s-]/g, "")
+    .match(/^(Y|BP|THW|0)(\d{1,6})$/);
+  if (authorityMatch) return `${authorityMatch[1]}-${authorityMatch[2]}`;
+
+  const match = text.match(
+    /^([A-ZÄÖÜ]{1,3})[\s-]+([A-Z]{1,2})[\s-]*(\d{1,4})([EH]?)$/
+  );
+  if (!match) return null;
+
+  return `${match[1]}-${match[2]}${match[3]}${match[4]}`;
+}
+
+/**
+ * Parse a German license plate into its components
+ * @param {string} plateText - Normalized plate text (e.g., "B-AB1234")
+ * @returns {Object} Parsed components { provinceCode, letters, digits, suffix }
+ */
+function parse(plateText) {
+  const [district, rest = ""] = plateText.split("-");
+  const match = rest.match(/^([A-Z]*)(\d*)([EH]?)$/) || ["", "", "", ""];
+
+  return {
+    provinceCode: district,
+    letters: match[1],
+    digits: match[2],
+    suffix: match[3],
+  };
+}
+
+/**
+ * Detect the plate type from the district code and suffix
+ * @param {Object} parsed - Result of parse()
+ * @returns {string} The detected plate type
+ */
+function detectType(parsed) {
+  if (AUTHORITY_PREFIXES[parsed.provinceCode]) {
+    return AUTHORITY_PREFIXES[parsed.provinceCode];
+  } else if (parsed.suffix === "H") {
+    return "HISTORIC";
+  } else if (parsed.suffix === "E") {
+    return "ELECTRIC";
+  }
+
+  return "STANDARD";
+}
+
+module.exports = {
+  code: "DE",
+  name: "Germany",
+  flag: "🇩🇪",
+  example: "B-AB 1234",
+  regionLabel: "district",
+  alphabet: "ABCDEFGHIJKLMNOPQRSTUVWXYZ",
+  regions,
+  typeNames,
+  normalize,
+  parse,
+  detectType,
+};
@@ -0,0 +1,25 @@
+// countries/errors.js
+// Errors raised while parsing plates
+
+/**
+ * A plate that breaks its country's format rules
+ */
+class PlateParseError extends Error {
+  /**
+   * @param {string} code - Machine-readable reason, e.g. "UNKNOWN_PROVINCE"
+   * @param {string} part - Part of the plate at fault: "province", "letters",
+   * "digits" or "format"
+   * @param {string} message - Explanation in English, e.g. for the API
+   * @param {Object} [details] - Values the explanation names, so the bot can
+   * word it in the user's language (see plateErrors in i18n/)
+   */
+  constructor(code, part, message, details = {}) {
+    super(message);
+    this.name = "PlateParseError";
+    this.code = code;
+    this.part = part;
+    this.details = details;
+  }
+}
+
+module.exports = { PlateParseError };
@@ -0,0 +1,61 @@
+// countries/ge.js
+// Georgian license plates: "AB-123-CD" (2 letters, 3 digits, 2 letters).
+// Current Georgian plates carry no regional code, so the whole country is
+// a single region.
+
+const { cleanPlateInput, applyShape } = require("./input");
+
+const regions = {
+  GE: "Georgia",
+};
+
+// Human-readable plate type names
+const typeNames = {
+  STANDARD: "Standard Civilian",
+};
+
+/**
+ * Check the plate format and bring it into the stored form
+ * @param {string} input - Plate as typed by the user
+ * @returns {string|null} Plate without separators (e.g., "AB123CD"), or null if invalid
+ */
+function normalize(input) {
+  // Every plate has the same shape, so look-alike characters can be swapped
+  const reading = applyShape(cleanPlateInput(input), "LLDDDLL");
+  return reading ? reading.text : null;
+}
+
+/**
+ * Parse a Georgian license plate into its components
+ * @param {string} plateText - Normalized plate text (e.g., "AB123CD")
+ * @returns {Object} Parsed components { provinceCode, letters, digits }
+ */
+function parse(plateText) {
+  return {
+    provinceCode: "GE",
+    letters: plateText.replace(/\d/g, ""),
+    digits: plateText.replace(/\D/g, ""),
+  };
+}
+
+/**
+ * Georgian civilian plates have no special series
+ * @returns {string} The detected plate type
+ */
+function detectType() {
+  return "STANDARD";
+}
+
+module.exports = {
+  code: "GE",
+  name: "Georgia",
+  flag: "🇬🇪",
+  example: "AB-123-CD",
+  regionLabel: "region",
+  alphabet: "ABCDEFGHIJKLMNOPQRSTUVWXYZ",
+  regions,
+  typeNames,
+  normalize,
+  parse,
+  detectType,
+};
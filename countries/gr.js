@@ -0,0 +1,167 @@
+// countries/gr.js
+// Greek license plates: "ΗΡΑ-1234" (3 letters, 4 digits). Only letters that
+// look the same in Greek and Latin are issued, so both alphabets are accepted
+// and stored in Latin form. The first one or two letters identify the region.
+
+// Greek capitals that appear on plates and their Latin look-alikes
+const GREEK_TO_LATIN = {
+  Α: "A",
+  Β: "B",
+  Ε: "E",
+  Ζ: "Z",
+  Η: "H",
+  Ι: "I",
+  Κ: "K",
+  Μ: "M",
+  Ν: "N",
+  Ο: "O",
+  Ρ: "P",
+  Τ: "T",
+  Υ: "Y",
+  Χ: "X",
+};
+
+// Region names by code
+const regions = {
+  ATT: "Attica",
+  THE: "Thessaloniki",
+  ACH: "Achaea",
+  CHA: "Chania",
+  CHI: "Chios",
+  COR: "Corfu",
+  DOD: "Dodecanese",
+  EUB: "Euboea",
+  EVR: "Evros",
+  FTH: "Phthiotis",
+  HER: "Heraklion",
+  ILE: "Elis",
+  IMA: "Imathia",
+  IOA: "Ioannina",
+  KAR: "Karditsa",
+  KAS: "Kastoria",
+  KAV: "Kavala",
+  KEF: "Kefalonia",
+  KIL: "Kilkis",
+  KOZ: "Kozani",
+  LAK: "Laconia",
+  LAR: "Larissa",
+  LAS: "Lasithi",
+  LES: "Lesbos",
+  MAG: "Magnesia",
+  MES: "Messenia",
+  ARK: "Arcadia",
+  PIE: "Pieria",
+  FLO: "Florina",
+  RET: "Rethymno",
+  SAM: "Samos",
+  SER: "Serres",
+  TRI: "Trikala",
+  ZAK: "Zakynthos",
+};
+
+// Plate prefixes and the region they belong to. Two-letter prefixes are
+// checked before single letters, so "IN" is Ioannina while "IA" is Attica.
+const prefixes = {
+  AK: "LAK",
+  AN: "LAS",
+  AX: "ACH",
+  EB: "EVR",
+  EP: "SER",
+  HA: "ILE",
+  HM: "IMA",
+  HP: "HER",
+  IN: "IOA",
+  KA: "KAR",
+  KB: "KAV",
+  KE: "KEF",
+  KI: "KIL",
+  KM: "MES",
+  KN: "PIE",
+  KP: "COR",
+  KT: "KAS",
+  KZ: "KOZ",
+  BO: "MAG",
+  MI: "FTH",
+  MO: "SAM",
+  MY: "LES",
+  PA: "FLO",
+  PE: "RET",
+  PI: "LAR",
+  PO: "DOD",
+  TK: "TRI",
+  TP: "ARK",
+  XA: "EUB",
+  XI: "CHI",
+  XN: "CHA",
+  ZA: "ZAK",
+  N: "THE",
+  I: "ATT",
+  Y: "ATT",
+  Z: "ATT",
+};
+
+// Human-readable plate type names
+const typeNames = {
+  STANDARD: "Standard Civilian",
+  DIPLOMATIC: "Diplomatic Corps",
+  MACHINERY: "Construction Machinery",
+};
+
+/**
+ * Check the plate format and bring it into the stored form
+ * @param {string} input - Plate as typed by the user, in Greek or Latin letters
+ * @returns {string|null} Plate without separators (e.g., "HPA1234"), or null if invalid
+ */
+function normalize(input) {
+  const plateText = input
+    .toUpperCase()
+    .replace(/[\s-]/g, "")
+    .replace(/./g, (char) => GREEK_TO_LATIN[char] || char);
+
+  if (/^CD\d{3,4}$/.test(plateText)) return plateText;
+  if (/^ME\d{5,6}$/.test(plateText)) return plateText;
+
+  return /^[ABEZHIKMNOPTYX]{3}[1-9]\d{3}$/.test(plateText) ? plateText : null;
+}
+
+/**
+ * Parse a Greek license plate into its components
+ * @param {string} plateText - Normalized plate text (e.g., "HPA1234")
+ * @returns {Object} Parsed components { provinceCode, letters, digits }
+ */
+function parse(plateText) {
+  const match = plateText.match(/^([A-Z]*)(\d*)$/) || ["", "", ""];
+  const letters = match[1];
+
+  const provinceCode =
+    prefixes[letters.substring(0, 2)] || prefixes[letters.charAt(0)] || "";
+
+  return { provinceCode, letters, digits: match[2] };
+}
+
+/**
+ * Detect the plate type from its letters
+ * @param {Object} parsed - Result of parse()
+ * @returns {string} The detected plate type
+ */
+function detectType(parsed) {
+  if (parsed.letters === "CD") return "DIPLOMATIC";
+  if (parsed.letters === "ME") return "MACHINERY";
+
+  return "STANDARD";
+}
+
+module.exports = {
+  code: "GR",
+  name: "Greece",
+  flag: "🇬🇷",
+  example: "ΗΡΑ-1234",
+  regionLabel: "region",
+  // Letters issued on Greek plates, in Greek alphabetical order
+  alphabet: "ABEZHIKMNOPTYX",
+  regions,
+  typeNames,
+  normalize,
+  parse,
+  detectType,
+};
@@ -0,0 +1,176 @@
+// countries/index.js
+// Registry of supported plate formats. Each country module supplies:
+//   code, name, flag, example    - identification and display
+//   regionLabel, regions         - what the region part is called and its names
+//   regionCoordinates            - optional [lat, lon] of each region's capital
+//   geographicRegions            - optional names of wider geographic regions by key
+//   regionGeography              - optional geographicRegions key of each region
+//   regionNeighbours             - optional codes of the regions bordering each region
+//   typeNames                    - display names of the special plate types
+//   alphabet                     - letter order used for sequential-letter bonuses
+//   normalize(input)             - stored plate text, or null if the format is invalid
+//   validate(input)              - optional, { plateText, corrections } or { error }
+//                                  naming the wrong part, with a code from plateErrors
+//                                  in i18n/ and an optional suggested plate
+//   parse(plateText)             - { provinceCode, letters, digits, ... }; may throw
+//                                  a PlateParseError (errors.js) for broken rules
+//   detectType(parsed)           - plate type key from typeNames
+// Region rarity tiers and type multipliers are scoring rules, kept per
+// country in the rulesets (see scoring.js).
+
+const { getLocalizedName, t } = require("../i18n");
+
+// Country used when a command doesn't name one, and for plates stored
+// before multi-country support
+const DEFAULT_COUNTRY = "TR";
+
+const countries = {};
+
+/**
+ * Add a country to the registry
+ * @param {Object} country - The country module
+ */
+function registerCountry(country) {
+  countries[country.code] = country;
+}
+
+[
+  require("./tr"),
+  require("./de"),
+  require("./gr"),
+  require("./bg"),
+  require("./ge"),
+].forEach(registerCountry);
+
+/**
+ * Look up a country by code
+ * @param {string} [code] - Country code such as "TR", defaults to DEFAULT_COUNTRY
+ * @returns {Object|null} The country module, or null if unsupported
+ */
+function getCountry(code) {
+  return countries[(code || DEFAULT_COUNTRY).toUpperCase()] || null;
+}
+
+/**
+ * List all registered countries
+ * @returns {Object[]} The country modules
+ */
+function listCountries() {
+  return Object.values(countries);
+}
+
+/**
+ * Get the name of a country in a language
+ * @param {Object} country - The country module
+ * @param {string} [locale] - Locale code, defaults to English
+ * @returns {string} e.g. "Germany", or "Almanya" in Turkish
+ */
+function getCountryName(country, locale) {
+  return getLocalizedName(locale, "countries", country.code) || country.name;
+}
+
+/**
+ * Get the display name of a region
+ * @param {string} countryCode - The country code
+ * @param {string} regionCode - The region code stored as provinceCode
+ * @param {string} [locale] - Locale code, defaults to English
+ * @returns {string} "34 Istanbul", or the bare code if the region is unknown
+ */
+function getRegionDisplay(countryCode, regionCode, locale) {
+  const country = getCountry(countryCode);
+  const name =
+    country &&
+    (getLocalizedName(locale, "regions", country.code, regionCode) ||
+      country.regions[regionCode]);
+  return name ? `${regionCode} ${name}` : regionCode || "Unknown";
+}
+
+/**
+ * Get the display name of a geographic region
+ * @param {Object} country - The country module
+ * @param {string} key - The geographicRegions key, e.g. "EGE"
+ * @param {string} [locale] - Locale code, defaults to English
+ * @returns {string} e.g. "Aegean", or "Ege" in Turkish
+ */
+function getGeographicRegionName(country, key, locale) {
+  return (
+    getLocalizedName(locale, "geographicRegions", country.code, key) ||
+    country.geographicRegions[key]
+  );
+}
+
+/**
+ * Check a plate as typed by a user against a country's format
+ * @param {Object} country - The country module
+ * @param {string} input - Plate as typed by the user
+ * @returns {Object} { plateText, corrections } if valid, with a { from, to }
+ * per look-alike character the country swapped, otherwise
+ * { error: { code, part, message, details, suggestion } } where part is
+ * "province", "letters", "digits" or "format" and suggestion is a plate the
+ * user may have meant, or null
+ */
+function validatePlate(country, input) {
+  if (country.validate) return country.validate(input);
+
+  const plateText = country.normalize(input);
+  return plateText
+    ? { plateText, corrections: [] }
+    : {
+        error: {
+          code: "INVALID_FORMAT",
+          part: "format",
+          message: `it doesn't match the ${country.name} plate format`,
+          details: {},
+          suggestion: null,
+        },
+      };
+}
+
+/**
+ * Say what is wrong with a plate
+ * @param {Object} country - The country module
+ * @param {Object} error - The error from validatePlate()
+ * @param {string} [locale] - Locale code, defaults to English
+ * @returns {string} e.g. "it must end with 2 to 5 digits"
+ */
+function describePlateProblem(country, error, locale) {
+  return t(locale, `plateErrors.${error.code}`, {
+    country: getCountryName(country, locale),
+    ...error.details,
+  });
+}
+
+/**
+ * Explain why a plate was rejected, and which plate was maybe meant
+ * @param {Object} country - The country module
+ * @param {string} input - Plate as typed by the user
+ * @param {Object} error - The error from validatePlate()
+ * @param {string} [locale] - Locale code, defaults to English
+ * @returns {string} Message for the user
+ */
+function describePlateError(country, input, error, locale) {
+  const message = t(locale, "plateErrors.invalid", {
+    input,
+    country: getCountryName(country, locale),
+    reason: describePlateProblem(country, error, locale),
+    example: country.example,
+  });
+  return error.suggestion
+    ? `${message} ${t(locale, "plateErrors.suggestion", {
+        plate: error.suggestion,
+      })}`
+    : message;
+}
+
+module.exports = {
+  DEFAULT_COUNTRY,
+  registerCountry,
+  getCountry,
+  listCountries,
+  getCountryName,
+  getRegionDisplay,
+  getGeographicRegionName,
+  validatePlate,
+  describePlateProblem,
+  describePlateError,
+};
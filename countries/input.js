@@ -0,0 +1,96 @@
+// countries/input.js
+// Shared clean-up of plates as users type them, before a country checks its format
+
+// Turkish letters never appear on Latin-alphabet plates, but Turkish
+// keyboards produce them (and lowercase "i" uppercases to "İ" on them)
+const TURKISH_LETTERS = {
+  Ç: "C",
+  Ğ: "G",
+  İ: "I",
+  Ö: "O",
+  Ş: "S",
+  Ü: "U",
+};
+
+// Characters that look the same on a plate. These are swapped without asking
+// where the wrong kind appears.
+const LOOK_ALIKES = {
+  letterToDigit: { O: "0", I: "1" },
+  digitToLetter: { 0: "O", 1: "I" },
+};
+
+// Characters that are easily mixed up when reading or OCRing a plate. A
+// reading that needs one of these changes the plate, so it is only ever
+// suggested to the user.
+const MIX_UPS = {
+  letterToDigit: {
+    ...LOOK_ALIKES.letterToDigit,
+    D: "0",
+    Q: "0",
+    L: "1",
+    Z: "2",
+    S: "5",
+    G: "6",
+    T: "7",
+    B: "8",
+  },
+  digitToLetter: {
+    ...LOOK_ALIKES.digitToLetter,
+    2: "Z",
+    5: "S",
+    6: "G",
+    7: "T",
+    8: "B",
+  },
+};
+
+/**
+ * Uppercase a plate, fold Turkish letters and drop separators
+ * @param {string} input - Plate as typed by the user
+ * @returns {string} e.g. "34 çşi-12" → "34CSI12"
+ */
+function cleanPlateInput(input) {
+  return input
+    .toLocaleUpperCase("tr")
+    .replace(/[ÇĞİÖŞÜ]/g, (char) => TURKISH_LETTERS[char])
+    .replace(/[\s\-.·_]/g, "");
+}
+
+/**
+ * Read a cleaned plate as a sequence of letters and digits, swapping
+ * look-alike characters where the wrong kind appears
+ * @param {string} text - Plate from cleanPlateInput()
+ * @param {string} shape - "L" for a letter, "D" for a digit at each position
+ * @param {Object} [swaps] - LOOK_ALIKES, or MIX_UPS to find a suggestion
+ * @returns {Object|null} { text, corrections } with a { from, to } per swapped
+ * character, or null if a character can't be read as the kind the shape needs
+ */
+function applyShape(text, shape, swaps = LOOK_ALIKES) {
+  if (text.length !== shape.length) return null;
+
+  const corrections = [];
+  let result = "";
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    const wantsDigit = shape[i] === "D";
+    const fits = wantsDigit ? /\d/.test(char) : /[A-Z]/.test(char);
+
+    if (fits) {
+      result += char;
+      continue;
+    }
+
+    const swapped = wantsDigit
+      ? swaps.letterToDigit[char]
+      : swaps.digitToLetter[char];
+    if (!swapped) return null;
+
+    result += swapped;
+    corrections.push({ from: char, to: swapped });
+  }
+
+  return { text: result, corrections };
+}
+
+module.exports = { MIX_UPS, cleanPlateInput, applyShape };
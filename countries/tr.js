@@ -0,0 +1,631 @@
+// countries/tr.js
+// Turkish license plates: "34 ABC 123" (province code, 1-3 letters, 2-5 digits)
+
+const { MIX_UPS, cleanPlateInput, applyShape } = require("./input");
+const { PlateParseError } = require("./errors");
+
+// Province names by plate code
+const regions = {
+  "01": "Adana",
+  "02": "Adıyaman",
+  "03": "Afyonkarahisar",
+  "04": "Ağrı",
+  "05": "Amasya",
+  "06": "Ankara",
+  "07": "Antalya",
+  "08": "Artvin",
+  "09": "Aydın",
+  "10": "Balıkesir",
+  "11": "Bilecik",
+  "12": "Bingöl",
+  "13": "Bitlis",
+  "14": "Bolu",
+  "15": "Burdur",
+  "16": "Bursa",
+  "17": "Çanakkale",
+  "18": "Çankırı",
+  "19": "Çorum",
+  "20": "Denizli",
+  "21": "Diyarbakır",
+  "22": "Edirne",
+  "23": "Elazığ",
+  "24": "Erzincan",
+  "25": "Erzurum",
+  "26": "Eskişehir",
+  "27": "Gaziantep",
+  "28": "Giresun",
+  "29": "Gümüşhane",
+  "30": "Hakkari",
+  "31": "Hatay",
+  "32": "Isparta",
+  "33": "Mersin",
+  "34": "Istanbul",
+  "35": "Izmir",
+  "36": "Kars",
+  "37": "Kastamonu",
+  "38": "Kayseri",
+  "39": "Kırklareli",
+  "40": "Kırşehir",
+  "41": "Kocaeli",
+  "42": "Konya",
+  "43": "Kütahya",
+  "44": "Malatya",
+  "45": "Manisa",
+  "46": "Kahramanmaraş",
+  "47": "Mardin",
+  "48": "Muğla",
+  "49": "Muş",
+  "50": "Nevşehir",
+  "51": "Niğde",
+  "52": "Ordu",
+  "53": "Rize",
+  "54": "Sakarya",
+  "55": "Samsun",
+  "56": "Siirt",
+  "57": "Sinop",
+  "58": "Sivas",
+  "59": "Tekirdağ",
+  "60": "Tokat",
+  "61": "Trabzon",
+  "62": "Tunceli",
+  "63": "Şanlıurfa",
+  "64": "Uşak",
+  "65": "Van",
+  "66": "Yozgat",
+  "67": "Zonguldak",
+  "68": "Aksaray",
+  "69": "Bayburt",
+  "70": "Karaman",
+  "71": "Kırıkkale",
+  "72": "Batman",
+  "73": "Şırnak",
+  "74": "Bartın",
+  "75": "Ardahan",
+  "76": "Iğdır",
+  "77": "Yalova",
+  "78": "Karabük",
+  "79": "Kilis",
+  "80": "Osmaniye",
+  "81": "Düzce",
+};
+
+// Approximate [latitude, longitude] of each province capital
+const regionCoordinates = {
+  "01": [37.0, 35.32],
+  "02": [37.76, 38.28],
+  "03": [38.76, 30.54],
+  "04": [39.72, 43.05],
+  "05": [40.65, 35.83],
+  "06": [39.93, 32.86],
+  "07": [36.89, 30.71],
+  "08": [41.18, 41.82],
+  "09": [37.84, 27.84],
+  "10": [39.65, 27.88],
+  "11": [40.14, 29.98],
+  "12": [38.88, 40.5],
+  "13": [38.4, 42.11],
+  "14": [40.74, 31.61],
+  "15": [37.72, 30.29],
+  "16": [40.18, 29.07],
+  "17": [40.15, 26.41],
+  "18": [40.6, 33.62],
+  "19": [40.55, 34.95],
+  "20": [37.78, 29.09],
+  "21": [37.91, 40.24],
+  "22": [41.68, 26.56],
+  "23": [38.67, 39.22],
+  "24": [39.75, 39.49],
+  "25": [39.9, 41.27],
+  "26": [39.78, 30.52],
+  "27": [37.07, 37.38],
+  "28": [40.91, 38.39],
+  "29": [40.46, 39.48],
+  "30": [37.58, 43.74],
+  "31": [36.2, 36.16],
+  "32": [37.76, 30.55],
+  "33": [36.8, 34.63],
+  "34": [41.01, 28.98],
+  "35": [38.42, 27.14],
+  "36": [40.6, 43.1],
+  "37": [41.38, 33.78],
+  "38": [38.73, 35.48],
+  "39": [41.73, 27.22],
+  "40": [39.15, 34.16],
+  "41": [40.77, 29.92],
+  "42": [37.87, 32.48],
+  "43": [39.42, 29.98],
+  "44": [38.35, 38.31],
+  "45": [38.61, 27.43],
+  "46": [37.58, 36.94],
+  "47": [37.31, 40.74],
+  "48": [37.22, 28.36],
+  "49": [38.75, 41.5],
+  "50": [38.62, 34.71],
+  "51": [37.97, 34.68],
+  "52": [40.98, 37.88],
+  "53": [41.02, 40.52],
+  "54": [40.78, 30.4],
+  "55": [41.29, 36.33],
+  "56": [37.93, 41.94],
+  "57": [42.03, 35.15],
+  "58": [39.75, 37.02],
+  "59": [40.98, 27.51],
+  "60": [40.31, 36.55],
+  "61": [41.0, 39.72],
+  "62": [39.11, 39.55],
+  "63": [37.16, 38.79],
+  "64": [38.68, 29.41],
+  "65": [38.49, 43.38],
+  "66": [39.82, 34.81],
+  "67": [41.45, 31.79],
+  "68": [38.37, 34.03],
+  "69": [40.26, 40.23],
+  "70": [37.18, 33.22],
+  "71": [39.85, 33.51],
+  "72": [37.89, 41.13],
+  "73": [37.52, 42.46],
+  "74": [41.63, 32.34],
+  "75": [41.11, 42.7],
+  "76": [39.92, 44.05],
+  "77": [40.65, 29.27],
+  "78": [41.2, 32.62],
+  "79": [36.72, 37.12],
+  "80": [37.07, 36.25],
+  "81": [40.84, 31.16],
+};
+
+// The seven geographic regions
+const geographicRegions = {
+  MARMARA: "Marmara",
+  EGE: "Aegean",
+  AKDENIZ: "Mediterranean",
+  IC_ANADOLU: "Central Anatolia",
+  KARADENIZ: "Black Sea",
+  DOGU_ANADOLU: "Eastern Anatolia",
+  GUNEYDOGU_ANADOLU: "Southeastern Anatolia",
+};
+
+// Geographic region of each province, by plate code
+const regionGeography = {
+  "01": "AKDENIZ",
+  "02": "GUNEYDOGU_ANADOLU",
+  "03": "EGE",
+  "04": "DOGU_ANADOLU",
+  "05": "KARADENIZ",
+  "06": "IC_ANADOLU",
+  "07": "AKDENIZ",
+  "08": "KARADENIZ",
+  "09": "EGE",
+  "10": "MARMARA",
+  "11": "MARMARA",
+  "12": "DOGU_ANADOLU",
+  "13": "DOGU_ANADOLU",
+  "14": "KARADENIZ",
+  "15": "AKDENIZ",
+  "16": "MARMARA",
+  "17": "MARMARA",
+  "18": "IC_ANADOLU",
+  "19": "KARADENIZ",
+  "20": "EGE",
+  "21": "GUNEYDOGU_ANADOLU",
+  "22": "MARMARA",
+  "23": "DOGU_ANADOLU",
+  "24": "DOGU_ANADOLU",
+  "25": "DOGU_ANADOLU",
+  "26": "IC_ANADOLU",
+  "27": "GUNEYDOGU_ANADOLU",
+  "28": "KARADENIZ",
+  "29": "KARADENIZ",
+  "30": "DOGU_ANADOLU",
+  "31": "AKDENIZ",
+  "32": "AKDENIZ",
+  "33": "AKDENIZ",
+  "34": "MARMARA",
+  "35": "EGE",
+  "36": "DOGU_ANADOLU",
+  "37": "KARADENIZ",
+  "38": "IC_ANADOLU",
+  "39": "MARMARA",
+  "40": "IC_ANADOLU",
+  "41": "MARMARA",
+  "42": "IC_ANADOLU",
+  "43": "EGE",
+  "44": "DOGU_ANADOLU",
+  "45": "EGE",
+  "46": "AKDENIZ",
+  "47": "GUNEYDOGU_ANADOLU",
+  "48": "EGE",
+  "49": "DOGU_ANADOLU",
+  "50": "IC_ANADOLU",
+  "51": "IC_ANADOLU",
+  "52": "KARADENIZ",
+  "53": "KARADENIZ",
+  "54": "MARMARA",
+  "55": "KARADENIZ",
+  "56": "GUNEYDOGU_ANADOLU",
+  "57": "KARADENIZ",
+  "58": "IC_ANADOLU",
+  "59": "MARMARA",
+  "60": "KARADENIZ",
+  "61": "KARADENIZ",
+  "62": "DOGU_ANADOLU",
+  "63": "GUNEYDOGU_ANADOLU",
+  "64": "EGE",
+  "65": "DOGU_ANADOLU",
+  "66": "IC_ANADOLU",
+  "67": "KARADENIZ",
+  "68": "IC_ANADOLU",
+  "69": "KARADENIZ",
+  "70": "IC_ANADOLU",
+  "71": "IC_ANADOLU",
+  "72": "GUNEYDOGU_ANADOLU",
+  "73": "GUNEYDOGU_ANADOLU",
+  "74": "KARADENIZ",
+  "75": "DOGU_ANADOLU",
+  "76": "DOGU_ANADOLU",
+  "77": "MARMARA",
+  "78": "KARADENIZ",
+  "79": "GUNEYDOGU_ANADOLU",
+  "80": "AKDENIZ",
+  "81": "KARADENIZ",
+};
+
+// Provinces sharing a land border, by plate code
+const regionNeighbours = {
+  "01": ["31", "33", "38", "46", "51", "80"],
+  "02": ["21", "27", "44", "46", "63"],
+  "03": ["15", "20", "26", "32", "42", "43", "64"],
+  "04": ["13", "25", "36", "49", "65", "76"],
+  "05": ["19", "55", "60"],
+  "06": ["14", "18", "26", "40", "42", "68", "71"],
+  "07": ["15", "32", "33", "42", "48", "70"],
+  "08": ["25", "53", "75"],
+  "09": ["20", "35", "45", "48"],
+  "10": ["16", "17", "35", "43", "45"],
+  "11": ["14", "16", "26", "43", "54"],
+  "12": ["21", "23", "24", "25", "49", "62"],
+  "13": ["04", "49", "56", "65", "72"],
+  "14": ["06", "11", "18", "26", "54", "67", "78", "81"],
+  "15": ["03", "07", "20", "32", "48"],
+  "16": ["10", "11", "41", "43", "54", "77"],
+  "17": ["10", "22", "59"],
+  "18": ["06", "14", "19", "37", "71", "78"],
+  "19": ["05", "18", "37", "55", "57", "60", "66", "71"],
+  "20": ["03", "09", "15", "45", "48", "64"],
+  "21": ["02", "12", "23", "44", "47", "49", "63", "72"],
+  "22": ["17", "39", "59"],
+  "23": ["12", "21", "44", "62"],
+  "24": ["12", "25", "28", "29", "44", "58", "62", "69"],
+  "25": ["04", "08", "12", "24", "36", "49", "53", "69", "75"],
+  "26": ["03", "06", "11", "14", "42", "43"],
+  "27": ["02", "31", "46", "63", "79", "80"],
+  "28": ["24", "29", "52", "58", "61"],
+  "29": ["24", "28", "61", "69"],
+  "30": ["65", "73"],
+  "31": ["01", "27", "80"],
+  "32": ["03", "07", "15", "42"],
+  "33": ["01", "07", "42", "51", "70"],
+  "34": ["41", "59"],
+  "35": ["09", "10", "45"],
+  "36": ["04", "25", "75", "76"],
+  "37": ["18", "19", "57", "74", "78"],
+  "38": ["01", "46", "50", "51", "58", "66"],
+  "39": ["22", "59"],
+  "40": ["06", "50", "66", "68", "71"],
+  "41": ["16", "34", "54", "77"],
+  "42": ["03", "06", "07", "26", "32", "33", "51", "68", "70"],
+  "43": ["03", "10", "11", "16", "26", "45", "64"],
+  "44": ["02", "21", "23", "24", "46", "58", "62"],
+  "45": ["09", "10", "20", "35", "43", "64"],
+  "46": ["01", "02", "27", "38", "44", "58", "80"],
+  "47": ["21", "56", "63", "72", "73"],
+  "48": ["07", "09", "15", "20"],
+  "49": ["04", "12", "13", "21", "25", "72"],
+  "50": ["38", "40", "51", "66", "68"],
+  "51": ["01", "33", "38", "42", "50", "68"],
+  "52": ["28", "55", "58", "60"],
+  "53": ["08", "25", "61", "69"],
+  "54": ["11", "14", "16", "41", "81"],
+  "55": ["05", "19", "52", "57", "60"],
+  "56": ["13", "47", "65", "72", "73"],
+  "57": ["19", "37", "55"],
+  "58": ["24", "28", "38", "44", "46", "52", "60", "66"],
+  "59": ["17", "22", "34", "39"],
+  "60": ["05", "19", "52", "55", "58", "66"],
+  "61": ["28", "29", "53", "69"],
+  "62": ["12", "23", "24", "44"],
+  "63": ["02", "21", "27", "47"],
+  "64": ["03", "20", "43", "45"],
+  "65": ["04", "13", "30", "56", "73"],
+  "66": ["19", "38", "40", "50", "58", "60", "71"],
+  "67": ["14", "74", "78", "81"],
+  "68": ["06", "40", "42", "50", "51"],
+  "69": ["24", "25", "29", "53", "61"],
+  "70": ["07", "33", "42"],
+  "71": ["06", "18", "19", "40", "66"],
+  "72": ["13", "21", "47", "49", "56"],
+  "73": ["30", "47", "56", "65"],
+  "74": ["37", "67", "78"],
+  "75": ["08", "25", "36"],
+  "76": ["04", "36"],
+  "77": ["16", "41"],
+  "78": ["14", "18", "37", "67", "74"],
+  "79": ["27"],
+  "80": ["01", "27", "31", "46"],
+  "81": ["14", "54", "67"],
+};
+
+// Human-readable plate type names
+const typeNames = {
+  STANDARD: "Standard Civilian",
+  UNIVERSITY: "University/Rectorate",
+  POLICE: "Police",
+  GENDARMERIE: "Gendarmerie",
+  COAST_GUARD: "Coast Guard",
+  DIPLOMATIC: "Diplomatic Corps",
+  CONSULATE: "Consulate",
+  FOREIGN: "Foreign Resident",
+  TAXI: "Taxi",
+};
+
+const PROVINCE_COUNT = Object.keys(regions).length;
+
+// Letters that never appear on Turkish plates
+const EXCLUDED_LETTERS = /[QWX]/;
+
+// Digit counts allowed after each number of letters, per the official
+// formats: 99 X 9999, 99 X 99999, 99 XX 999, 99 XX 9999, 99 XXX 99, 99 XXX 999
+const DIGIT_COUNTS = {
+  1: [4, 5],
+  2: [3, 4],
+  3: [2, 3],
+};
+
+/**
+ * Parse a Turkish license plate into its components
+ * @param {string} plateText - Full plate text (e.g., "34AB123", "06ABC01")
+ * @returns {Object} Parsed components { provinceCode, letters, digits }
+ * @throws {PlateParseError} If the plate breaks the Turkish format rules
+ */
+function parseTurkishPlate(plateText) {
+  // Remove spaces, hyphens or other separators
+  const text = plateText.replace(/[\s-]/g, "").toUpperCase();
+
+  if (!text) throw new PlateParseError("EMPTY", "format", "the plate is empty");
+
+  const unknown = text.match(/[^A-Z0-9]/);
+  if (unknown) {
+    throw new PlateParseError(
+      "INVALID_CHARACTER",
+      "format",
+      `"${unknown[0]}" can't appear on a Turkish plate`,
+      { character: unknown[0] }
+    );
+  }
+
+  // Province code, letters, digits and anything left over
+  const [, province, letters, digits, rest] = text.match(
+    /^(\d*)([A-Z]*)(\d*)(.*)$/
+  );
+  const provinceCode = province.padStart(2, "0");
+
+  if (!province) {
+    throw new PlateParseError(
+      "MISSING_PROVINCE",
+      "province",
+      `it must start with the province code (01-${PROVINCE_COUNT})`,
+      { max: PROVINCE_COUNT }
+    );
+  }
+  if (!letters) {
+    throw new PlateParseError(
+      "MISSING_LETTERS",
+      "letters",
+      "1 to 3 letters must follow the province code"
+    );
+  }
+  if (province.length > 2 || !regions[provinceCode]) {
+    throw new PlateParseError(
+      "UNKNOWN_PROVINCE",
+      "province",
+      `province code ${province} doesn't exist, Turkish provinces run from 01 to ${PROVINCE_COUNT}`,
+      { province, max: PROVINCE_COUNT }
+    );
+  }
+  if (!digits) {
+    throw new PlateParseError(
+      "MISSING_DIGITS",
+      "digits",
+      "it must end with 2 to 5 digits"
+    );
+  }
+  if (rest) {
+    throw new PlateParseError(
+      "TRAILING_CHARACTERS",
+      "format",
+      `"${rest}" after the digits doesn't belong there`,
+      { rest }
+    );
+  }
+
+  const excluded = letters.match(EXCLUDED_LETTERS);
+  if (excluded) {
+    throw new PlateParseError(
+      "EXCLUDED_LETTER",
+      "letters",
+      `Turkish plates don't use the letter ${excluded[0]}`,
+      { letter: excluded[0] }
+    );
+  }
+  if (!DIGIT_COUNTS[letters.length]) {
+    throw new PlateParseError(
+      "LETTER_COUNT",
+      "letters",
+      `it has ${letters.length} letters (${letters}), Turkish plates have 1 to 3`,
+      { letterCount: letters.length, letters }
+    );
+  }
+  if (!DIGIT_COUNTS[letters.length].includes(digits.length)) {
+    throw new PlateParseError(
+      "DIGIT_COUNT",
+      "digits",
+      `it has ${digits.length} digits (${digits}), but plates with ${
+        letters.length
+      } letter${letters.length === 1 ? "" : "s"} have ${DIGIT_COUNTS[
+        letters.length
+      ].join(" or ")}`,
+      {
+        digitCount: digits.length,
+        digits,
+        count: letters.length,
+        min: DIGIT_COUNTS[letters.length][0],
+        max: DIGIT_COUNTS[letters.length][1],
+      }
+    );
+  }
+
+  return { provinceCode, letters, digits };
+}
+
+/**
+ * Read a cleaned plate with look-alike characters swapped, trying every
+ * official format with a 2-digit province
+ * @param {string} text - Plate from cleanPlateInput()
+ * @param {Object} [swaps] - Characters that may be swapped, see input.js
+ * @returns {Object|null} { parsed, corrections } for the reading needing the
+ * fewest swaps
+ */
+function readWithCorrections(text, swaps) {
+  let best = null;
+
+  Object.entries(DIGIT_COUNTS).forEach(([letterCount, digitCounts]) => {
+    digitCounts.forEach((digitCount) => {
+      const reading = applyShape(
+        text,
+        "DD" + "L".repeat(letterCount) + "D".repeat(digitCount),
+        swaps
+      );
+      if (
+        !reading ||
+        (best && reading.corrections.length >= best.corrections.length)
+      ) {
+        return;
+      }
+
+      try {
+        best = { ...reading, parsed: parseTurkishPlate(reading.text) };
+      } catch (err) {
+        if (!(err instanceof PlateParseError)) throw err;
+      }
+    });
+  });
+
+  return best;
+}
+
+/**
+ * Check a plate as typed and explain which part is wrong if it's invalid.
+ * Lowercase, separators, Turkish letters and look-alike characters
+ * ("34 ABC 12O") are accepted. Other mixed-up characters ("34ABCD12") are
+ * not swapped, but the reading they'd give is suggested in the error.
+ * @param {string} input - Plate as typed by the user
+ * @returns {Object} { plateText, corrections } if valid, with a { from, to }
+ * per look-alike character swapped, otherwise
+ * { error: { code, part, message, details, suggestion } } with the suggested
+ * plate or null
+ */
+function validate(input) {
+  const text = cleanPlateInput(input);
+  let reading;
+
+  try {
+    reading = { parsed: parseTurkishPlate(text), corrections: [] };
+  } catch (err) {
+    if (!(err instanceof PlateParseError)) throw err;
+
+    // Look-alike characters are only swapped in plates that have letters at all
+    reading = /[A-Z]/.test(text) && readWithCorrections(text);
+    if (!reading) {
+      const suggestion =
+        /[A-Z]/.test(text) && readWithCorrections(text, MIX_UPS);
+      return {
+        error: {
+          code: err.code,
+          part: err.part,
+          message: err.message,
+          details: err.details,
+          suggestion: suggestion
+            ? suggestion.parsed.provinceCode +
+              suggestion.parsed.letters +
+              suggestion.parsed.digits
+            : null,
+        },
+      };
+    }
+  }
+
+  const { parsed, corrections } = reading;
+  return {
+    plateText: parsed.provinceCode + parsed.letters + parsed.digits,
+    corrections,
+  };
+}
+
+/**
+ * Check the plate format and bring it into the stored form
+ * @param {string} input - Plate as typed by the user
+ * @returns {string|null} Plate without separators (e.g., "34ABC123"), or null if invalid
+ */
+function normalize(input) {
+  return validate(input).plateText || null;
+}
+
+/**
+ * Detect the plate type based on letter patterns
+ * @param {string} letters - The letter portion of the plate
+ * @returns {string} The detected plate type
+ */
+function detectPlateType(letters) {
+  // Check for special types
+  if (letters === "AA") {
+    return "UNIVERSITY"; // Universities/Rectorates
+  } else if (letters === "A" || letters === "AAA") {
+    return "POLICE"; // Police
+  } else if (letters === "JAA") {
+    return "GENDARMERIE"; // Gendarmerie
+  } else if (letters === "SGH") {
+    return "COAST_GUARD"; // Coast Guard
+  } else if (letters === "CD") {
+    return "DIPLOMATIC"; // Diplomatic Corps
+  } else if (letters === "CC") {
+    return "CONSULATE"; // Consulates
+  } else if (letters.length === 2 && letters >= "MA" && letters <= "MZ") {
+    return "FOREIGN"; // Foreign residents
+  } else if (letters.length === 3 && letters >= "TAA" && letters <= "TKZ") {
+    return "TAXI"; // Taxis
+  }
+
+  return "STANDARD"; // Regular civilian plate
+}
+
+module.exports = {
+  code: "TR",
+  name: "Turkey",
+  flag: "🇹🇷",
+  example: "34ABC123",
+  regionLabel: "province",
+  // Turkish alphabet as used on plates (no Q, W or X)
+  alphabet: "ABCDEFGHIJKLMNOPRSTUVYZ",
+  regions,
+  regionCoordinates,
+  geographicRegions,
+  regionGeography,
+  regionNeighbours,
+  typeNames,
+  normalize,
+  validate,
+  parse: parseTurkishPlate,
+  detectType: (parsed) => detectPlateType(parsed.letters),
+  parseTurkishPlate,
+  detectPlateType,
+};
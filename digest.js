@@ -0,0 +1,197 @@
+// digest.js
+// Weekly recap of a server's collecting: plates added, the find of the week,
+// provinces reached for the first time, leaderboard movers and streaks
+
+const { EmbedBuilder } = require("discord.js");
+const {
+  getCollectorActivity,
+  getLeaderboard,
+  getNewProvinces,
+  getTopPlates,
+} = require("./plates");
+const { formatSeasonDates } = require("./seasons");
+const { getLongestStreak } = require("./streaks");
+const { getCountry, getRegionDisplay } = require("./countries");
+const { t } = require("./i18n");
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Most entries listed per section of the recap
+const DIGEST_LIST_SIZE = 3;
+
+// Places on the leaderboard a collector must reach to count as a mover
+const MOVERS_RANKING_SIZE = 10;
+
+/**
+ * Get the last week a guild's recap covers: the seven days before the most
+ * recent recap time
+ * @param {Object} settings - The guild settings document
+ * @param {Date} now - The current time
+ * @returns {Object} { start, end } with an exclusive end
+ */
+function getDigestWeek(settings, now) {
+  const end = new Date(
+    Date.UTC(
+      now.getUTCFullYear(),
+      now.getUTCMonth(),
+      now.getUTCDate(),
+      settings.digestHour
+    )
+  );
+  // getUTCDay() is 0 on Sunday, like digestDay
+  end.setUTCDate(
+    end.getUTCDate() - ((end.getUTCDay() - settings.digestDay + 7) % 7)
+  );
+  if (end > now) end.setUTCDate(end.getUTCDate() - 7);
+
+  return { start: new Date(end.getTime() - 7 * DAY), end };
+}
+
+/**
+ * Find the collectors who climbed the all-time leaderboard during a week
+ * @param {Object[]} before - Leaderboard at the start of the week
+ * @param {Object[]} after - Leaderboard at the end of the week
+ * @returns {Object[]} { username, from, to, climb } with from null for
+ * newcomers, biggest climb first
+ */
+function getLeaderboardMovers(before, after) {
+  const previous = {};
+  before.forEach((entry, i) => {
+    previous[entry._id.userId] = i + 1;
+  });
+
+  return after
+    .slice(0, MOVERS_RANKING_SIZE)
+    .map((entry, i) => {
+      const from = previous[entry._id.userId] || null;
+      // Newcomers climb from just below the old leaderboard
+      const climb = (from || before.length + 1) - (i + 1);
+      return { username: entry._id.username, from, to: i + 1, climb };
+    })
+    .filter((mover) => mover.from === null || mover.climb > 0)
+    .sort((a, b) => b.climb - a.climb)
+    .slice(0, DIGEST_LIST_SIZE);
+}
+
+/**
+ * Build a guild's recap of a week
+ * @param {string} guildId - The Discord guild ID
+ * @param {Object} week - { start, end } from getDigestWeek()
+ * @param {string} locale - Locale code of the recap
+ * @returns {Promise<EmbedBuilder|null>} The recap, or null if no plates were
+ * added that week
+ */
+async function buildDigest(guildId, week, locale) {
+  const scope = { guildId };
+  const thisWeek = {
+    ...scope,
+    dateSpotted: { $gte: week.start, $lt: week.end },
+  };
+
+  const activity = await getCollectorActivity(thisWeek);
+  if (activity.length === 0) return null;
+
+  const [topPlate] = await getTopPlates(thisWeek, 1);
+  const newProvinces = (await getNewProvinces(scope, week.start)).filter(
+    (province) => province.firstSpotted < week.end
+  );
+  const movers = getLeaderboardMovers(
+    await getLeaderboard({ ...scope, dateSpotted: { $lt: week.start } }),
+    await getLeaderboard({ ...scope, dateSpotted: { $lt: week.end } })
+  );
+  const streaks = activity
+    .map((entry) => ({
+      username: entry._id.username,
+      days: getLongestStreak(entry.days),
+    }))
+    .filter((streak) => streak.days > 1)
+    .sort((a, b) => b.days - a.days)
+    .slice(0, DIGEST_LIST_SIZE);
+
+  const plateCount = activity.reduce((sum, entry) => sum + entry.plateCount, 0);
+  const totalScore = activity.reduce((sum, entry) => sum + entry.totalScore, 0);
+
+  const embed = new EmbedBuilder()
+    .setTitle(t(locale, "digest.title"))
+    .setDescription(
+      t(locale, "digest.description", {
+        dates: formatSeasonDates({ startDate: week.start, endDate: week.end }),
+        plates: t(locale, "common.plateCount", { count: plateCount }),
+        collectors: t(locale, "common.collectorCount", {
+          count: activity.length,
+        }),
+        score: Math.round(totalScore * 100) / 100,
+      })
+    )
+    .addFields({
+      name: t(locale, "digest.topFind"),
+      value: t(locale, "digest.topFindLine", {
+        flag: getCountry(topPlate.country).flag,
+        plate: topPlate.plateText,
+        username: topPlate.username,
+        score: topPlate.totalScore,
+      }),
+    })
+    .setFooter({ text: t(locale, "digest.footer") })
+    .setColor("#1ABC9C");
+
+  if (newProvinces.length > 0) {
+    const lines = newProvinces.slice(0, DIGEST_LIST_SIZE).map((province) =>
+      t(locale, "digest.newProvinceLine", {
+        flag: getCountry(province._id.country).flag,
+        province: getRegionDisplay(
+          province._id.country,
+          province._id.provinceCode,
+          locale
+        ),
+        username: province.username,
+      })
+    );
+    if (newProvinces.length > DIGEST_LIST_SIZE) {
+      lines.push(
+        t(locale, "common.andMore", {
+          count: newProvinces.length - DIGEST_LIST_SIZE,
+        })
+      );
+    }
+    embed.addFields({
+      name: t(locale, "digest.newProvinces"),
+      value: lines.join("\n"),
+    });
+  }
+
+  if (movers.length > 0) {
+    embed.addFields({
+      name: t(locale, "digest.movers"),
+      value: movers
+        .map((mover) =>
+          mover.from
+            ? t(locale, "digest.moverLine", mover)
+            : t(locale, "digest.newcomerLine", mover)
+        )
+        .join("\n"),
+    });
+  }
+
+  if (streaks.length > 0) {
+    embed.addFields({
+      name: t(locale, "digest.streaks"),
+      value: streaks
+        .map((streak) =>
+          t(locale, "digest.streakLine", {
+            username: streak.username,
+            count: streak.days,
+          })
+        )
+        .join("\n"),
+    });
+  }
+
+  return embed;
+}
+
+module.exports = {
+  getDigestWeek,
+  getLeaderboardMovers,
+  buildDigest,
+};
@@ -0,0 +1,624 @@
+// i18n/en.js
+// English messages. Every other catalogue falls back to these.
+
+const messages = {
+  common: {
+    guildOnly: "Plate commands can only be used inside a server.",
+    none: "None",
+    points: "{score} points",
+    pts: "{score} pts",
+    plateCount: { one: "{count} plate", other: "{count} plates" },
+    collectorCount: { one: "{count} collector", other: "{count} collectors" },
+    countryCount: { one: "{count} country", other: "{count} countries" },
+    dayCount: { one: "{count} day", other: "{count} days" },
+    noPlatesYet: "You haven't collected any plates yet!",
+    noPlatesCollected: "No plates have been collected yet!",
+    countryDisabled: "{country} plates aren't collected on this server.",
+    browseAll: "Browse all",
+    andMore: "and {count} more",
+    ownCollection: "your collection",
+    userCollection: "{user}'s collection",
+    notInCollection:
+      "There's no {country} plate {plate} in {collection} on this server.",
+    cancel: "Cancel",
+    cancelled: "Cancelled, nothing was changed.",
+    noAnswer: "No answer received, nothing was changed.",
+  },
+  scope: {
+    global: "all servers",
+    server: "this server",
+  },
+  // What a country calls its regions, see regionLabel in countries/
+  regionLabels: {
+    province: { one: "province", other: "provinces" },
+    district: { one: "district", other: "districts" },
+    region: { one: "region", other: "regions" },
+  },
+  fields: {
+    totalScore: "Total Score",
+    score: "Score",
+    plateType: "Plate Type",
+    plateTypes: "Plate Types",
+    countries: "Countries",
+    scoreBreakdown: "Score Breakdown",
+    scoreCalculation: "Score Calculation",
+  },
+  maps: {
+    footer: {
+      count: "Map coloured by plate count per province",
+      score: "Map coloured by total score per province",
+    },
+  },
+  // Why a plate doesn't match its country's format, by error code (see
+  // countries/)
+  plateErrors: {
+    invalid:
+      "{input} isn't a valid {country} license plate: {reason}. Valid example: {example}",
+    suggestion: "Did you mean {plate}?",
+    INVALID_FORMAT: "it doesn't match the {country} plate format",
+    EMPTY: "the plate is empty",
+    INVALID_CHARACTER: '"{character}" can\'t appear on a Turkish plate',
+    MISSING_PROVINCE: "it must start with the province code (01-{max})",
+    MISSING_LETTERS: "1 to 3 letters must follow the province code",
+    UNKNOWN_PROVINCE:
+      "province code {province} doesn't exist, Turkish provinces run from 01 to {max}",
+    MISSING_DIGITS: "it must end with 2 to 5 digits",
+    TRAILING_CHARACTERS: '"{rest}" after the digits doesn\'t belong there',
+    EXCLUDED_LETTER: "Turkish plates don't use the letter {letter}",
+    LETTER_COUNT:
+      "it has {letterCount} letters ({letters}), Turkish plates have 1 to 3",
+    DIGIT_COUNT: {
+      one: "it has {digitCount} digits ({digits}), but plates with {count} letter have {min} or {max}",
+      other:
+        "it has {digitCount} digits ({digits}), but plates with {count} letters have {min} or {max}",
+    },
+  },
+  addplate: {
+    badPhoto: "The photo must be an image file (PNG, JPG, ...).",
+    noSubmitRole:
+      "You don't have a role that can add plates on this server. Ask an admin to check `/config show`.",
+    typeDisabled: "{type} plates aren't collected on this server.",
+    pending:
+      "Your plate {plate} is still waiting for a moderator to verify it.",
+    spottedAgain:
+      "👀 You spotted {plate} again! That's sighting #{count} of this plate. Only the first catch earns points, so your score stays at {score}.",
+    photoRequired:
+      "This server requires a photo of the plate. Add one with the `photo` option.",
+    noReviewChannel:
+      "This server requires verification but has no review channel set up. Ask an admin to run `/config channel`.",
+    submitted:
+      "📸 {plate} was submitted for verification. It will count toward the leaderboard once a moderator approves it.",
+    corrected: "✏️ Read {input} as {plate}, swapping look-alikes: {swaps}",
+    title: "🚗 New Plate Added: {flag} {plate}",
+    description: "You spotted a plate from {regionLabel} {region}!",
+    breakdown:
+      "🏙️ Region: {region}\n🔤 Letters: {letters}\n🔢 Digit Mult: {digits}\n🔢 Digit Sum: {digitSum}\n✨ Type Mult: {special}",
+    breakdownFarFromHome: "🧭 Far From Home: {farFromHome}",
+    footer: "Happy collecting! • Scoring rules v{version}",
+    challengeComplete: "🎯 Challenge Complete!",
+    challengeBonus: "{challenge}: +{bonus} bonus points",
+    streak: "🔥 Streak Bonus",
+    streakBonus: "{days} days in a row: +{bonus} bonus points",
+    farFromHome: "🧭 Far From Home",
+    farFromHomeValue:
+      "Spotted in {province}, about {distance} km from home. Bonus: ×{multiplier}",
+    review: {
+      title: "🔎 Verification Needed: {flag} {plate}",
+      description: "Submitted by {user}",
+      approve: "Approve",
+      reject: "Reject",
+      moderatorsOnly: "Only moderators can verify plates.",
+      notPending: "This plate is no longer pending.",
+      approvedBy: "Approved by {user}",
+      rejectedBy: "Rejected by {user}",
+      approved:
+        "✅ Your plate {plate} was approved and now counts for {score} points!",
+      rejected:
+        "❌ Your plate {plate} was rejected by a moderator. You can submit it again with a clearer photo.",
+      error: "There was an error verifying this plate. Please try again.",
+    },
+    error: "There was an error adding your plate. Please try again.",
+  },
+  removeplate: {
+    moderatorsOnly:
+      "Only moderators can remove plates from someone else's collection.",
+    title: "🗑️ Remove {flag} {plate}?",
+    description:
+      "This removes the plate and its {score} points from {collection}. It can't be undone.",
+    confirm: "Remove",
+    alreadyRemoved: "That plate has already been removed.",
+    removed: "🗑️ Removed {plate} ({score} pts) from {collection}.",
+    notification:
+      "🗑️ A moderator removed {plate} from your plate collection in {server}.",
+    error: "There was an error removing the plate. Please try again.",
+  },
+  editplate: {
+    moderatorsOnly:
+      "Only moderators can correct plates in someone else's collection.",
+    unchanged: "The corrected plate is the same as the current one.",
+    duplicate:
+      "{plate} is already in {collection}. Remove one of the two plates instead.",
+    title: "✏️ Change {flag} {plate} to {newFlag} {newPlate}?",
+    scoreChange: "{before} → {after} points",
+    footer: "The spotting date and photo are kept",
+    confirm: "Save",
+    removed: "That plate has been removed in the meantime.",
+    saved: "✏️ {plate} is now {newPlate} ({score} pts).",
+    notification:
+      "✏️ A moderator corrected your plate {plate} to {newPlate} in {server}.",
+    addedMeanwhile: "{plate} was added to {collection} in the meantime.",
+    error: "There was an error correcting the plate. Please try again.",
+  },
+  mycollection: {
+    onlyPending: {
+      one: "You don't have any verified plates yet. {count} plate is waiting for a moderator.",
+      other:
+        "You don't have any verified plates yet. {count} plates are waiting for a moderator.",
+    },
+    title: "{user}'s License Plate Collection",
+    description:
+      "Scope: {scope}\nTotal Plates: {count}\nTotal Score: {score}\nAverage Score: {average}",
+    pending: "Pending Verification: {count}",
+    streak: "Streak: {current} (best: {longest})",
+    recent: "Recent Additions",
+    highest: "Highest Scoring Plates",
+    error: "There was an error retrieving your collection. Please try again.",
+  },
+  leaderboard: {
+    emptySeason:
+      "No plates have been collected in {season} yet! Use `all_time` to see the all-time leaderboard.",
+    title: "🏆 License Plate Collection Leaderboard",
+    seasonTitle: "🏆 {season} Leaderboard",
+    description: "Top collectors ranked by score in {scope}",
+    forCountry: " for {flag} {country}",
+    seasonEnds: "Season ends {time}",
+    allTime: " (all time)",
+    rank: "Rank",
+    user: "User",
+    stats: "Stats",
+    footer: "Updated as of {time}",
+    error: "There was an error retrieving the leaderboard. Please try again.",
+  },
+  plateinfo: {
+    notCollected:
+      "No one has collected the {plate} plate in {scope} yet! You could be the first with `/addplate`.\nEstimated score: {score} points ({type})",
+    title: "License Plate Info: {flag} {plate}",
+    description: {
+      one: "This plate has been spotted by {count} collector in {scope}.",
+      other: "This plate has been spotted by {count} collectors in {scope}.",
+    },
+    firstSpottedBy: "First Spotted By",
+    firstSpottedOn: "Date First Spotted",
+    sightings: "Sightings",
+    sightingCount: "{count} (last seen {date})",
+    recentSightings: "Recent Sightings",
+    autocompleteLabel: {
+      one: "{flag} {plate} (collected once)",
+      other: "{flag} {plate} (collected {count}×)",
+    },
+    error:
+      "There was an error retrieving information for this plate. Please try again.",
+  },
+  provinces: {
+    empty: "You haven't collected any {country} plates yet!",
+    title: "{user}'s {flag} {regionLabel} Statistics",
+    description:
+      "You've collected plates from {collected} out of {total} {regionLabel} ({percent}%) in {scope}.",
+    top: "Top {regionLabel}",
+    missing: "Missing {regionLabel} ({count})",
+    error:
+      "There was an error retrieving province statistics. Please try again.",
+  },
+  region: {
+    title: "{user}'s Regions of Turkey",
+    description:
+      "You've collected plates from {collected} out of {total} provinces ({percent}%) in {scope}.",
+    regionTitle: "{user}'s {region} Provinces",
+    regionDescription:
+      "You've collected plates from {collected} out of {total} provinces of the {region} region ({percent}%) in {scope}.",
+    collected: "Collected ({count})",
+    missing: "Missing ({count})",
+    bordering: "Bordering Your Collection",
+    error: "There was an error retrieving region statistics. Please try again.",
+  },
+  heatmap: {
+    empty: "No Turkish plates have been collected yet!",
+    title: "🗺️ Community Plate Heatmap",
+    description:
+      "Plates spotted in {scope} cover {collected} out of {total} provinces.",
+    hotspots: "Hotspots",
+    hotspot: "{plates} ({score}) by {collectors}",
+    error: "There was an error rendering the heatmap. Please try again.",
+  },
+  types: {
+    title: "{user}'s Plate Types",
+    description: {
+      one: "You've collected {count} type of plate in {scope}.",
+      other: "You've collected {count} different types of plates in {scope}.",
+    },
+    error: "There was an error retrieving plate types. Please try again.",
+  },
+  rare: {
+    title: "💎 Rarest License Plates",
+    description: "The highest-scoring plates collected so far in {scope}:",
+    top: "Top 10 Plates",
+    collectedBy: "{type}, collected by {user}",
+    error: "There was an error retrieving the rarest plates. Please try again.",
+  },
+  farfromhome: {
+    empty:
+      "{user} hasn't caught any plates outside their home province in {scope} yet. Add a `location` with /addplate to count them.",
+    title: "🧭 {user}'s Far From Home Plates",
+    description: {
+      one: "{count} plate caught outside its home province in {scope}, earning {bonus} bonus points.",
+      other:
+        "{count} plates caught outside their home province in {scope}, earning {bonus} bonus points.",
+    },
+    furthest: "Furthest From Home",
+    line: "{plate} from {home}, spotted in {spotted}",
+    error:
+      "There was an error retrieving far from home plates. Please try again.",
+  },
+  config: {
+    title: "⚙️ Server Settings",
+    channelsField: "Channels",
+    channels: {
+      announcements: "Season results",
+      challenges: "Challenges",
+      digest: "Weekly recap",
+      review: "Plate review",
+    },
+    notSet: "Not set",
+    digest: "Weekly Recap",
+    digestSchedule:
+      "Every {day} at {hour}:00 UTC, in the weekly recap channel. Change it with `/config digest`.",
+    verification: "Verification",
+    verificationModes: {
+      required:
+        "Required - a photo is mandatory and moderators approve every plate",
+      optional: "Optional - plates count straight away, photos are welcome",
+    },
+    language: "Language",
+    submitters: "Who Can Add Plates",
+    everyone: "Everyone",
+    disabledTypes: "Disabled Plate Types",
+    streakBonus: "Streak Bonus",
+    streakBonusValue:
+      "+{bonus} points per day of a streak, up to {max} days, on each day's first plate",
+    streakBonusOff: "Off",
+    reviewChannelRequired:
+      "Verification is required, so the review channel can't be cleared. Make verification optional first.",
+    needsReviewChannel:
+      "Pick a review channel with `/config channel setting:Plate review` before making verification required.",
+    needsRole: "Pick the role to allow or disallow with the `role` option.",
+    lastCountry: "At least one country has to stay enabled.",
+    error: "There was an error updating the server settings. Please try again.",
+  },
+  digest: {
+    title: "📰 Weekly Recap",
+    description:
+      "{dates}\n{plates} added by {collectors}, worth {score} points.",
+    topFind: "Find of the Week",
+    topFindLine: "{flag} **{plate}** by {username} - {score} pts",
+    newProvinces: "Reached for the First Time",
+    newProvinceLine: "{flag} {province} - {username}",
+    movers: "Leaderboard Movers",
+    moverLine: "🔼 {username} #{from} → #{to}",
+    newcomerLine: "🆕 {username} → #{to}",
+    streaks: "Streaks",
+    streakLine: {
+      one: "🔥 {username} - {count} day in a row",
+      other: "🔥 {username} - {count} days in a row",
+    },
+    footer: "Keep spotting! Admins set the recap time with /config digest.",
+  },
+  stats: {
+    title: "📈 {user}'s Spotting Stats",
+    description:
+      "Scope: {scope}\nThe chart shows plates per day, the calendar below every day of the last six months.",
+    currentStreak: "Current Streak",
+    longestStreak: "Longest Streak",
+    activeDays: "Days Spotting",
+    recent: { one: "Last {count} Day", other: "Last {count} Days" },
+    busiestDay: "Busiest Day",
+    empty: "{user} hasn't collected any plates yet!",
+    footer: "Add a plate every day to keep your streak going!",
+    streakBonus:
+      "Streaks earn bonus points here: +{bonus} per day of a streak, up to {max} days",
+    error: "There was an error retrieving the stats. Please try again.",
+  },
+  browse: {
+    title: "{user}'s Plates in {scope}",
+    sorts: {
+      score: "Highest score",
+      newest: "Newest first",
+      oldest: "Oldest first",
+      province: "Province",
+    },
+    sortedBy: "Sorted by {sort}",
+    filteredTo: "Filtered to {filters}",
+    noMatches: "No plates match these filters.",
+    page: "Page {page} of {count}",
+    sortPlaceholder: "Sort by...",
+    typePlaceholder: "Filter by plate type...",
+    allTypes: "All plate types",
+    provincePlaceholder: "Filter by province...",
+    provincePlaceholderTop: "Filter by province (top {count})...",
+    allProvinces: "All provinces",
+    notYours: "Use /browse to open your own plate browser.",
+    expired: "This browser has expired. Run /browse to open a new one.",
+    error: "There was an error opening your plates. Please try again.",
+  },
+  achievements: {
+    title: "🏅 {user}'s Achievements",
+    description: "Unlocked {unlocked} of {count} achievements in {server}.",
+    unlocked: "Unlocked",
+    inProgress: "In Progress",
+    noneYet: "None yet",
+    allUnlocked: "All achievements unlocked! 🎉",
+    announcement: "🏅 Achievement Unlocked!",
+    earned: "{user} earned:",
+    line: "{emoji} **{name}** - {description}",
+    // Names and goals by achievement ID, see achievements.js
+    list: {
+      first_plate: {
+        name: "First Catch",
+        description: "Collect your first plate",
+      },
+      collector_50: { name: "Collector", description: "Collect 50 plates" },
+      busy_day: {
+        name: "Busy Day",
+        description: "Collect 10 plates in a single day",
+      },
+      palindrome: {
+        name: "Palindrome",
+        description:
+          "Collect a plate that reads the same backwards (e.g. 12A21)",
+      },
+      marmara: {
+        name: "Marmara Explorer",
+        description: "Collect a plate from every Marmara province",
+      },
+      special_types: {
+        name: "Special Forces",
+        description: "Collect every special Turkish plate type",
+      },
+      all_provinces: {
+        name: "Around Turkey",
+        description: "Collect a plate from all 81 provinces",
+      },
+      globetrotter: {
+        name: "Globetrotter",
+        description: "Collect plates from 3 different countries",
+      },
+    },
+    error: "There was an error retrieving achievements. Please try again.",
+  },
+  language: {
+    set: "🌐 I'll reply to you in {language} from now on.",
+    server: "🌐 I'll reply to you in this server's language, {language}.",
+    error: "There was an error saving your language. Please try again.",
+  },
+  season: {
+    managersOnly: "Only server managers can change seasons.",
+    ends: "Ends {time}",
+    standings: "Standings So Far",
+    footer: "Use /leaderboard for the full ranking",
+    noArchive: "No season has finished on this server yet!",
+    archiveTitle: "🗄️ Past Seasons",
+    badDate: "Dates need to look like 2025-06-30.",
+    endInPast: "The season has to end in the future.",
+    scheduled: "📅 Season **{name}** is scheduled for {dates}.",
+    ended:
+      "🏁 Season **{name}** has ended. The results are in /season archive.",
+    // Why a season couldn't be scheduled, by code (see seasons.js)
+    errors: {
+      ENDS_BEFORE_START: "The season has to end after it starts.",
+      STARTS_BEFORE_CURRENT:
+        "The new season can't start before the current one began ({dates}).",
+      OVERLAPS:
+        'That overlaps with the season "{name}". End it first or pick other dates.',
+    },
+    podiumEmpty: "Nobody collected a plate this season.",
+    podiumLine: "{medal} {username} - {score} pts ({plates})",
+    overTitle: "🏁 Season Over: {name}",
+    overDescription:
+      "{dates}\n\nEveryone's plates stay in their collections. Scores start from zero in the new season!",
+    finalStandings: "Final Standings",
+    nextSeason: "Next Season",
+    nextSeasonValue: "**{name}** runs {dates}",
+    error: "There was an error handling the season. Please try again.",
+  },
+  challenges: {
+    title: "🎯 Current Challenges",
+    description:
+      "Add a matching plate with `/addplate` to earn the bonus. Each challenge can be completed once per collector.",
+    periods: { daily: "Daily", weekly: "Weekly" },
+    heading: "{period} • +{bonus} pts",
+    details: "{challenge}\nEnds {time}\nCompleted by: {completions}",
+    nobody: "nobody yet",
+    footer: {
+      one: "You've completed {count} challenge on this server",
+      other: "You've completed {count} challenges on this server",
+    },
+    // What each kind of challenge asks for, see challenges.js
+    kinds: {
+      province: "A plate from {province}",
+      type: "A {type} plate",
+      digitSum: "A plate whose digits add up to {target}",
+      palindrome:
+        "A plate number with {target}+ digits that reads the same backwards (e.g. {example})",
+    },
+    postedTitle: "🎯 New Challenge",
+    postedDescription:
+      "Add a matching plate with `/addplate` to earn the bonus. See all challenges with `/challenges current`.",
+    postedHeading: "{period} Challenge • +{bonus} pts",
+    postedDetails: "{challenge}\nEnds {time}",
+    error: "There was an error loading the challenges. Please try again.",
+  },
+  export: {
+    dm: {
+      one: "📦 Here is your {count} plate from {scope}, with its score breakdown.",
+      other:
+        "📦 Here are your {count} plates from {scope}, with their score breakdown.",
+    },
+    sent: "📬 I sent your collection to your DMs.",
+    dmClosed: "I couldn't DM you, so here is your collection instead.",
+    error: "There was an error exporting your collection. Please try again.",
+  },
+  import: {
+    verificationRequired:
+      "This server requires photo verification, so plates can't be imported. Add them one by one with `/addplate photo:`.",
+    tooLarge: "The file is too large. Import files of up to {size} KB.",
+    badFile: {
+      EMPTY: "There are no plates in the file.",
+      BAD_JSON: "The file isn't a JSON list of plates: {reason}",
+      NO_PLATE_COLUMN:
+        "The file needs a `plate` column. `country`, `date`, `location` and `note` columns are optional.",
+      TOO_MANY_ROWS:
+        "The file lists {count} plates. Import at most {max} at a time.",
+    },
+    title: "📥 Import Finished",
+    description:
+      "Added {plates} to your collection in {scope}, worth {score} points. Imported plates count toward all-time scores, but not seasons, streaks or achievements.",
+    imported: "Imported",
+    skipped: "Already Collected",
+    rejected: "Rejected",
+    report: "Rows that weren't imported are listed in the attached report.",
+    reportColumns: { row: "row", plate: "plate", reason: "reason" },
+    reasons: {
+      MISSING_PLATE: "no plate given",
+      UNKNOWN_COUNTRY: "unknown country {country}",
+      COUNTRY_DISABLED: "{country} plates aren't collected on this server",
+      INVALID_PLATE: "{reason}",
+      BAD_DATE: "{date} isn't a date in the past",
+      TYPE_DISABLED: "{type} plates aren't collected on this server",
+      ALREADY_COLLECTED: "already in your collection",
+      DUPLICATE_ROW: "listed earlier in the file",
+    },
+    error: "There was an error importing your plates. Please try again.",
+  },
+  trade: {
+    pickCollector: "Pick another collector to trade with.",
+    nothingToGive: "List at least one plate to give.",
+    // Why a trade can't be made or completed, by code (see trades.js)
+    errors: {
+      TOO_MANY_PLATES: "A trade can hold at most {max} plates per side.",
+      NOT_OWNED: "{plates} isn't in your verified collection.",
+      NOT_THEIRS: "{plates} isn't in {user}'s verified collection.",
+      ALREADY_THEIRS: "{user} already has {plates}.",
+      ALREADY_YOURS: "You already have {plates}.",
+      NOT_OPEN: "This trade is no longer open.",
+      NO_LONGER_OWNED: "{plates} is no longer in {user}'s collection.",
+    },
+    accept: "Accept",
+    decline: "Decline",
+    withdraw: "Withdraw",
+    giftTitle: "🎁 Plate Gift",
+    offerTitle: "🔄 Trade Offer",
+    giftDescription:
+      "**{from}** wants to give **{to}** these plates. Expires {time}.",
+    offerDescription: "**{from}** offers **{to}** a swap. Expires {time}.",
+    gets: "{user} gets",
+    gives: "{user} gives",
+    gift: "Nothing, it's a gift",
+    plate: "{plate} ({score} pts)",
+    nothing: "nothing",
+    missing: "This trade no longer exists.",
+    onlyOfferer: "Only {user} can withdraw this offer.",
+    notForYou: "This offer is for {user}.",
+    closed: "{emoji} This trade is {status}.",
+    statuses: {
+      pending: "pending",
+      accepted: "accepted",
+      declined: "declined",
+      cancelled: "cancelled",
+      expired: "expired",
+      failed: "failed",
+    },
+    answered: "This trade was answered in the meantime.",
+    declinedBy: "❌ Declined by {user}",
+    withdrawnBy: "🚫 Withdrawn by {user}",
+    failed: "⚠️ The trade failed: {reason}",
+    acceptedBy: "✅ Accepted by {user}",
+    emptyLog: "{user} hasn't traded any plates on this server yet.",
+    logTitle: "🔄 {user}'s Trades",
+    logOfferTo:
+      "{emoji} {time} Offer to **{partner}**: gives {gave}, gets {got} ({status})",
+    logOfferFrom:
+      "{emoji} {time} Offer from **{partner}**: gives {gave}, gets {got} ({status})",
+    error: "There was an error with the trade. Please try again.",
+  },
+  auditlog: {
+    empty: "No plates have been removed or corrected yet.",
+    title: "📋 Plate Audit Log",
+    remove: "{time} **{actor}** removed {plate} ({score} pts)",
+    removeOther:
+      "{time} **{actor}** removed {plate} ({score} pts) in {user}'s collection",
+    edit: "{time} **{actor}** changed {plate} → {newPlate} ({score} → {newScore} pts)",
+    editOther:
+      "{time} **{actor}** changed {plate} → {newPlate} ({score} → {newScore} pts) in {user}'s collection",
+    error: "There was an error retrieving the audit log. Please try again.",
+  },
+  invalidplates: {
+    allValid: "✅ Every plate stored on this server follows the format rules.",
+    line: "{flag} {plate} ({user}, {score} pts): {reason}",
+    nowRead: "now read as {plate}",
+    title: "🚫 Plates Breaking the Format Rules",
+    footer: "{plates} • Fix them with /editplate or /removeplate and user:",
+    error: "There was an error checking the stored plates. Please try again.",
+  },
+  rescore: {
+    title: "🧮 Rescored with Ruleset v{version}",
+    description:
+      "{name}\nChecked {plates} in this server, {updated} had their score changed.",
+    invalid: {
+      one: "{count} plate breaks the plate format rules and kept its score, see /invalidplates.",
+      other:
+        "{count} plates break the plate format rules and kept their score, see /invalidplates.",
+    },
+    rankingChanges: "Ranking Changes in This Server",
+    rankingLine: "#{rank} {username} - {before} → {after} pts ({movement})",
+    error: "There was an error rescoring plates. Please try again.",
+  },
+  help: {
+    title: "License Plate Collector - Help",
+    description:
+      "Collect Turkish license plates you spot and earn points based on rarity!",
+    footer: "Happy plate hunting!",
+    error: "There was an error loading the help. Please try again.",
+    countries:
+      "Add `country:` to /addplate or /plateinfo for plates from abroad. Collection and ranking commands can filter by country too.",
+    example: "e.g. {example}",
+    specialTypes: {
+      name: "Special Plate Types",
+      value:
+        "The bot automatically detects Turkish plate types based on letter patterns:\n• AA - Universities\n• A/AAA - Police\n• JAA - Gendarmerie\n• SGH - Coast Guard\n• CD - Diplomatic\n• CC - Consulates\n• MA-MZ - Foreign residents\n• TAA-TKZ - Taxis",
+    },
+    scoring: {
+      name: "Scoring System",
+      value:
+        "Points are based on province rarity, letter patterns, low digits, and special plate types. Current rules: v{version} ({name}).",
+    },
+    verification: {
+      name: "Photo Verification",
+      required:
+        "This server requires verification: attach a photo with `/addplate photo:`, and plates only count toward /leaderboard and /rare once a moderator approves them. Admins change this and the other server settings with /config.",
+      optional:
+        "Photos are optional on this server: attach one with `/addplate photo:` if you like. Admins change this and the other server settings with /config.",
+    },
+    scope: {
+      name: "Server & Global View",
+      value:
+        "Collections, leaderboards and plate history are kept per server. Add `global:True` to /mycollection, /leaderboard, /plateinfo, /provinces, /region, /types or /rare to see every server the bot is in.",
+    },
+  },
+};
+
+module.exports = {
+  code: "en",
+  name: "English",
+  discordLocales: ["en-US", "en-GB"],
+  countForm: (count) => (count === 1 ? "one" : "other"),
+  messages,
+};
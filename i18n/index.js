@@ -0,0 +1,198 @@
+// i18n/index.js
+// Message catalogues for the bot's replies and slash commands. Each locale module supplies:
+//   code, name                     - locale code and the language's own name
+//   discordLocales                 - Discord client locales the catalogue serves
+//   countForm(count)               - "one" or "other", the noun form used after a number
+//   messages                       - reply texts by dotted key, with {placeholders}
+//   commands, sharedOptions        - slash command name, description and choice translations
+//   countries, regions, plateTypes - optional translated names, keyed like the country modules
+//   geographicRegions              - optional translated geographic region names, likewise
+
+// Locale used for new servers and for messages a catalogue doesn't translate
+const DEFAULT_LOCALE = "en";
+
+const locales = {};
+
+/**
+ * Add a locale to the registry
+ * @param {Object} locale - The locale module
+ */
+function registerLocale(locale) {
+  locales[locale.code] = locale;
+}
+
+[require("./en"), require("./tr")].forEach(registerLocale);
+
+/**
+ * Look up a locale by code
+ * @param {string} [code] - Locale code such as "tr", defaults to DEFAULT_LOCALE
+ * @returns {Object} The locale module, or the default one if unsupported
+ */
+function getLocale(code) {
+  return locales[code] || locales[DEFAULT_LOCALE];
+}
+
+/**
+ * List every supported locale
+ * @returns {Object[]} Locale modules in registration order
+ */
+function listLocales() {
+  return Object.values(locales);
+}
+
+/**
+ * Read a nested catalogue entry by dotted key
+ * @param {Object} object - The catalogue section
+ * @param {string} key - e.g. "addplate.title"
+ * @returns {*} The entry, or undefined if missing
+ */
+function lookup(object, key) {
+  return key
+    .split(".")
+    .reduce((value, part) => (value == null ? undefined : value[part]), object);
+}
+
+/**
+ * Translate a message, falling back to English for untranslated keys
+ * @param {string} code - Locale code
+ * @param {string} key - Message key, e.g. "addplate.title"
+ * @param {Object} [vars] - Placeholder values. A count picks between the
+ * "one" and "other" forms of messages that have them.
+ * @returns {string} The message, or the key itself if no catalogue has it
+ */
+function t(code, key, vars = {}) {
+  const locale = getLocale(code);
+  let message = lookup(locale.messages, key);
+  if (message === undefined) {
+    message = lookup(locales[DEFAULT_LOCALE].messages, key);
+  }
+  if (message === undefined) return key;
+
+  // Without a count, e.g. in headings, nouns take their plural form
+  if (typeof message === "object") {
+    message =
+      message[
+        vars.count === undefined ? "other" : locale.countForm(vars.count)
+      ];
+  }
+
+  return message.replace(/\{(\w+)\}/g, (match, name) =>
+    name in vars ? String(vars[name]) : match
+  );
+}
+
+/**
+ * Get a translated name of a country, region or plate type
+ * @param {string} code - Locale code
+ * @param {string} group - "countries", "regions", "geographicRegions" or "plateTypes"
+ * @param {...string} keys - e.g. "GR", "THE" for a region
+ * @returns {string|undefined} The name, or undefined if not translated
+ */
+function getLocalizedName(code, group, ...keys) {
+  return lookup(getLocale(code)[group], keys.join("."));
+}
+
+/**
+ * Find the locale serving a Discord client locale
+ * @param {string} discordLocale - e.g. "en-US" or "tr"
+ * @returns {Object|null} The locale module, or null if unsupported
+ */
+function findDiscordLocale(discordLocale) {
+  return (
+    listLocales().find((locale) =>
+      locale.discordLocales.includes(discordLocale)
+    ) || null
+  );
+}
+
+/**
+ * Build a Discord localization map from a translation getter
+ * @param {Function} getText - Called with each non-default locale module,
+ * returns the text or undefined
+ * @returns {Object|undefined} e.g. { tr: "..." }, or undefined if nothing is translated
+ */
+function getDiscordLocalizations(getText) {
+  const localizations = {};
+
+  listLocales()
+    .filter((locale) => locale.code !== DEFAULT_LOCALE)
+    .forEach((locale) => {
+      const text = getText(locale);
+      if (text === undefined) return;
+      locale.discordLocales.forEach((discordLocale) => {
+        localizations[discordLocale] = text;
+      });
+    });
+
+  return Object.keys(localizations).length > 0 ? localizations : undefined;
+}
+
+/**
+ * Add name and description localizations to a command, its options and
+ * their choices, keeping localizations the command already sets
+ * @param {Object} data - Command or option JSON
+ * @param {Function} getEntry - Returns the catalogue entry for a locale
+ */
+function applyLocalizations(data, getEntry) {
+  const entryText = (field) => (locale) => {
+    const entry = getEntry(locale);
+    return entry ? entry[field] : undefined;
+  };
+
+  for (const field of ["name", "description"]) {
+    const localizations = getDiscordLocalizations(entryText(field));
+    if (localizations) {
+      data[`${field}_localizations`] = {
+        ...localizations,
+        ...data[`${field}_localizations`],
+      };
+    }
+  }
+
+  for (const option of data.options || []) {
+    applyLocalizations(option, (locale) => {
+      const entry = getEntry(locale);
+      return (
+        (entry && entry.options && entry.options[option.name]) ||
+        (locale.sharedOptions && locale.sharedOptions[option.name])
+      );
+    });
+  }
+
+  for (const choice of data.choices || []) {
+    const localizations = getDiscordLocalizations((locale) => {
+      const entry = getEntry(locale);
+      return entry && entry.choices ? entry.choices[choice.value] : undefined;
+    });
+    if (localizations) {
+      choice.name_localizations = {
+        ...localizations,
+        ...choice.name_localizations,
+      };
+    }
+  }
+}
+
+/**
+ * Translate a slash command for Discord clients in every supported language
+ * @param {Object} data - Command JSON from SlashCommandBuilder#toJSON()
+ * @returns {Object} The same command JSON with localizations added
+ */
+function localizeCommand(data) {
+  applyLocalizations(
+    data,
+    (locale) => locale.commands && locale.commands[data.name]
+  );
+  return data;
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  getLocale,
+  listLocales,
+  t,
+  getLocalizedName,
+  findDiscordLocale,
+  getDiscordLocalizations,
+  localizeCommand,
+};
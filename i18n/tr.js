@@ -0,0 +1,1118 @@
+// i18n/tr.js
+// Turkish messages, slash command translations and place names
+
+const messages = {
+  common: {
+    guildOnly: "Plaka komutları yalnızca bir sunucu içinde kullanılabilir.",
+    none: "Yok",
+    points: "{score} puan",
+    pts: "{score} puan",
+    plateCount: "{count} plaka",
+    collectorCount: "{count} koleksiyoncu",
+    countryCount: "{count} ülke",
+    dayCount: "{count} gün",
+    noPlatesYet: "Henüz hiç plaka toplamadın!",
+    noPlatesCollected: "Henüz hiç plaka toplanmadı!",
+    countryDisabled: "Bu sunucuda {country} plakaları toplanmıyor.",
+    browseAll: "Tümüne göz at",
+    andMore: "ve {count} tane daha",
+    ownCollection: "koleksiyonun",
+    userCollection: "{user} kullanıcısının koleksiyonu",
+    notInCollection:
+      "Bu sunucuda {collection} içinde {country} plakası {plate} yok.",
+    cancel: "Vazgeç",
+    cancelled: "Vazgeçildi, hiçbir şey değişmedi.",
+    noAnswer: "Yanıt gelmedi, hiçbir şey değişmedi.",
+  },
+  scope: {
+    global: "tüm sunucular",
+    server: "bu sunucu",
+  },
+  regionLabels: {
+    province: { one: "il", other: "iller" },
+    district: { one: "ilçe", other: "ilçeler" },
+    region: { one: "bölge", other: "bölgeler" },
+  },
+  fields: {
+    totalScore: "Toplam Puan",
+    score: "Puan",
+    plateType: "Plaka Türü",
+    plateTypes: "Plaka Türleri",
+    countries: "Ülkeler",
+    scoreBreakdown: "Puan Dağılımı",
+    scoreCalculation: "Puan Hesabı",
+  },
+  maps: {
+    footer: {
+      count: "Harita illere göre plaka sayısıyla renklendirildi",
+      score: "Harita illere göre toplam puanla renklendirildi",
+    },
+  },
+  plateErrors: {
+    invalid:
+      "{input} geçerli bir {country} plakası değil: {reason}. Geçerli örnek: {example}",
+    suggestion: "{plate} mi demek istediniz?",
+    INVALID_FORMAT: "{country} plaka biçimine uymuyor",
+    EMPTY: "plaka boş",
+    INVALID_CHARACTER: '"{character}" Türkiye plakalarında bulunamaz',
+    MISSING_PROVINCE: "il koduyla (01-{max}) başlamalı",
+    MISSING_LETTERS: "il kodundan sonra 1 ile 3 arası harf gelmeli",
+    UNKNOWN_PROVINCE:
+      "{province} diye bir il kodu yok, Türkiye'de il kodları 01 ile {max} arasındadır",
+    MISSING_DIGITS: "2 ile 5 arası rakamla bitmeli",
+    TRAILING_CHARACTERS: 'rakamlardan sonraki "{rest}" plakaya ait değil',
+    EXCLUDED_LETTER: "Türkiye plakalarında {letter} harfi kullanılmaz",
+    LETTER_COUNT:
+      "{letterCount} harfi var ({letters}), Türkiye plakalarında 1 ile 3 arası harf olur",
+    DIGIT_COUNT:
+      "{digitCount} rakamı var ({digits}), ama {count} harfli plakalarda {min} ya da {max} rakam olur",
+  },
+  addplate: {
+    badPhoto: "Fotoğraf bir resim dosyası olmalı (PNG, JPG, ...).",
+    noSubmitRole:
+      "Bu sunucuda plaka ekleyebilen bir role sahip değilsin. Bir yöneticiden `/ayarlar göster` ile kontrol etmesini iste.",
+    typeDisabled: "Bu sunucuda {type} plakaları toplanmıyor.",
+    pending: "{plate} plakan hâlâ bir moderatörün onayını bekliyor.",
+    spottedAgain:
+      "👀 {plate} plakasını yine gördün! Bu, plakanın {count}. görülüşü. Yalnızca ilk yakalayış puan kazandırır, puanın {score} olarak kalıyor.",
+    photoRequired:
+      "Bu sunucu plakanın fotoğrafını istiyor. `fotoğraf` seçeneğiyle bir fotoğraf ekle.",
+    noReviewChannel:
+      "Bu sunucu doğrulama istiyor ama bir inceleme kanalı ayarlanmamış. Bir yöneticiden `/ayarlar kanal` komutunu çalıştırmasını iste.",
+    submitted:
+      "📸 {plate} doğrulamaya gönderildi. Bir moderatör onayladığında sıralamaya sayılacak.",
+    corrected:
+      "✏️ {input}, benzer karakterler değiştirilerek {plate} olarak okundu: {swaps}",
+    title: "🚗 Yeni Plaka Eklendi: {flag} {plate}",
+    description: "Yeni bir plaka yakaladın: {region} ({regionLabel})!",
+    breakdown:
+      "🏙️ Bölge: {region}\n🔤 Harfler: {letters}\n🔢 Rakam Çarpanı: {digits}\n🔢 Rakam Toplamı: {digitSum}\n✨ Tür Çarpanı: {special}",
+    breakdownFarFromHome: "🧭 Memleketinden Uzak: {farFromHome}",
+    footer: "İyi koleksiyonlar! • Puanlama kuralları v{version}",
+    challengeComplete: "🎯 Görev Tamamlandı!",
+    challengeBonus: "{challenge}: +{bonus} bonus puan",
+    streak: "🔥 Seri Bonusu",
+    streakBonus: "Üst üste {days} gün: +{bonus} bonus puan",
+    farFromHome: "🧭 Memleketinden Uzak",
+    farFromHomeValue:
+      "{province} içinde görüldü, memleketinden yaklaşık {distance} km uzakta. Bonus: ×{multiplier}",
+    review: {
+      title: "🔎 Doğrulama Gerekiyor: {flag} {plate}",
+      description: "Gönderen: {user}",
+      approve: "Onayla",
+      reject: "Reddet",
+      moderatorsOnly: "Plakaları yalnızca moderatörler doğrulayabilir.",
+      notPending: "Bu plaka artık onay beklemiyor.",
+      approvedBy: "Onaylayan: {user}",
+      rejectedBy: "Reddeden: {user}",
+      approved: "✅ {plate} plakan onaylandı ve artık {score} puan değerinde!",
+      rejected:
+        "❌ {plate} plakan bir moderatör tarafından reddedildi. Daha net bir fotoğrafla yeniden gönderebilirsin.",
+      error: "Plaka doğrulanırken bir hata oluştu. Lütfen tekrar dene.",
+    },
+    error: "Plakan eklenirken bir hata oluştu. Lütfen tekrar dene.",
+  },
+  removeplate: {
+    moderatorsOnly:
+      "Başkasının koleksiyonundan yalnızca moderatörler plaka silebilir.",
+    title: "🗑️ {flag} {plate} silinsin mi?",
+    description:
+      "Bu işlem plakayı ve {score} puanını {collection} içinden siler. Geri alınamaz.",
+    confirm: "Sil",
+    alreadyRemoved: "Bu plaka zaten silinmiş.",
+    removed: "🗑️ {plate} ({score} puan) {collection} içinden silindi.",
+    notification:
+      "🗑️ Bir moderatör {server} sunucusundaki plaka koleksiyonundan {plate} plakasını sildi.",
+    error: "Plaka silinirken bir hata oluştu. Lütfen tekrar dene.",
+  },
+  editplate: {
+    moderatorsOnly:
+      "Başkasının koleksiyonundaki plakaları yalnızca moderatörler düzeltebilir.",
+    unchanged: "Düzeltilmiş plaka şimdikiyle aynı.",
+    duplicate:
+      "{plate} zaten {collection} içinde. Bunun yerine iki plakadan birini sil.",
+    title: "✏️ {flag} {plate}, {newFlag} {newPlate} olarak değiştirilsin mi?",
+    scoreChange: "{before} → {after} puan",
+    footer: "Görülme tarihi ve fotoğraf korunur",
+    confirm: "Kaydet",
+    removed: "Bu plaka bu arada silinmiş.",
+    saved: "✏️ {plate} artık {newPlate} ({score} puan).",
+    notification:
+      "✏️ Bir moderatör {server} sunucusundaki {plate} plakanı {newPlate} olarak düzeltti.",
+    addedMeanwhile: "{plate} bu arada {collection} içine eklendi.",
+    error: "Plaka düzeltilirken bir hata oluştu. Lütfen tekrar dene.",
+  },
+  mycollection: {
+    onlyPending:
+      "Henüz doğrulanmış plakan yok. {count} plaka moderatör onayı bekliyor.",
+    title: "{user} - Plaka Koleksiyonu",
+    description:
+      "Kapsam: {scope}\nToplam Plaka: {count}\nToplam Puan: {score}\nOrtalama Puan: {average}",
+    pending: "Onay Bekleyen: {count}",
+    streak: "Seri: {current} (en iyi: {longest})",
+    recent: "Son Eklenenler",
+    highest: "En Yüksek Puanlı Plakalar",
+    error: "Koleksiyonun alınırken bir hata oluştu. Lütfen tekrar dene.",
+  },
+  leaderboard: {
+    emptySeason:
+      "{season} sezonunda henüz hiç plaka toplanmadı! Tüm zamanların sıralaması için `tüm_zamanlar` seçeneğini kullan.",
+    title: "🏆 Plaka Koleksiyonu Sıralaması",
+    seasonTitle: "🏆 {season} Sıralaması",
+    description: "{scope} içinde puana göre en iyi koleksiyoncular",
+    forCountry: " ({flag} {country})",
+    seasonEnds: "Sezonun bitişi: {time}",
+    allTime: " (tüm zamanlar)",
+    rank: "Sıra",
+    user: "Kullanıcı",
+    stats: "İstatistikler",
+    footer: "Son güncelleme: {time}",
+    error: "Sıralama alınırken bir hata oluştu. Lütfen tekrar dene.",
+  },
+  plateinfo: {
+    notCollected:
+      "{scope} içinde henüz kimse {plate} plakasını toplamadı! `/plakaekle` ile ilk sen olabilirsin.\nTahmini puan: {score} puan ({type})",
+    title: "Plaka Bilgisi: {flag} {plate}",
+    description: "Bu plakayı {scope} içinde {count} koleksiyoncu gördü.",
+    firstSpottedBy: "İlk Gören",
+    firstSpottedOn: "İlk Görülme Tarihi",
+    sightings: "Görülmeler",
+    sightingCount: "{count} (son görülme {date})",
+    recentSightings: "Son Görülmeler",
+    autocompleteLabel: "{flag} {plate} ({count} kez toplandı)",
+    error:
+      "Bu plakanın bilgileri alınırken bir hata oluştu. Lütfen tekrar dene.",
+  },
+  provinces: {
+    empty: "Henüz hiç {country} plakası toplamadın!",
+    title: "{user} - {flag} {regionLabel} İstatistikleri",
+    description:
+      "{scope} içinde {total} {regionLabel} arasından {collected} tanesinden plaka topladın (%{percent}).",
+    top: "En Çok Toplanan {regionLabel}",
+    missing: "Eksik {regionLabel} ({count})",
+    error: "İl istatistikleri alınırken bir hata oluştu. Lütfen tekrar dene.",
+  },
+  region: {
+    title: "{user} - Türkiye'nin Bölgeleri",
+    description:
+      "{scope} içinde {total} ilin {collected} tanesinden plaka topladın (%{percent}).",
+    regionTitle: "{user} - {region} Bölgesi İlleri",
+    regionDescription:
+      "{scope} içinde {region} Bölgesi'nin {total} ilinin {collected} tanesinden plaka topladın (%{percent}).",
+    collected: "Toplanan ({count})",
+    missing: "Eksik ({count})",
+    bordering: "Koleksiyonuna Komşu İller",
+    error:
+      "Bölge istatistikleri alınırken bir hata oluştu. Lütfen tekrar dene.",
+  },
+  heatmap: {
+    empty: "Henüz hiç Türkiye plakası toplanmadı!",
+    title: "🗺️ Topluluk Plaka Isı Haritası",
+    description:
+      "{scope} içinde görülen plakalar {total} ilin {collected} tanesini kapsıyor.",
+    hotspots: "Sıcak Noktalar",
+    hotspot: "{plates} ({score}), {collectors}",
+    error: "Isı haritası oluşturulurken bir hata oluştu. Lütfen tekrar dene.",
+  },
+  types: {
+    title: "{user} - Plaka Türleri",
+    description: "{scope} içinde {count} farklı türde plaka topladın.",
+    error: "Plaka türleri alınırken bir hata oluştu. Lütfen tekrar dene.",
+  },
+  rare: {
+    title: "💎 En Nadir Plakalar",
+    description:
+      "{scope} içinde şimdiye kadar toplanan en yüksek puanlı plakalar:",
+    top: "İlk 10 Plaka",
+    collectedBy: "{type}, toplayan: {user}",
+    error: "En nadir plakalar alınırken bir hata oluştu. Lütfen tekrar dene.",
+  },
+  farfromhome: {
+    empty:
+      "{user}, {scope} içinde henüz memleketi dışında hiç plaka yakalamadı. Saymak için /plakaekle ile bir `konum` ekle.",
+    title: "🧭 {user} - Memleketinden Uzak Plakalar",
+    description:
+      "{scope} içinde memleketi dışında {count} plaka yakalandı ve {bonus} bonus puan kazanıldı.",
+    furthest: "Memleketinden En Uzak",
+    line: "{plate}: {home} plakası, {spotted} içinde görüldü",
+    error:
+      "Memleketinden uzak plakalar alınırken bir hata oluştu. Lütfen tekrar dene.",
+  },
+  config: {
+    title: "⚙️ Sunucu Ayarları",
+    channelsField: "Kanallar",
+    channels: {
+      announcements: "Sezon sonuçları",
+      challenges: "Görevler",
+      digest: "Haftalık özet",
+      review: "Plaka incelemesi",
+    },
+    notSet: "Ayarlanmadı",
+    digest: "Haftalık Özet",
+    digestSchedule:
+      "Her {day} saat {hour}:00 UTC'de, haftalık özet kanalında. `/ayarlar özet` ile değiştir.",
+    verification: "Doğrulama",
+    verificationModes: {
+      required:
+        "Zorunlu - fotoğraf gerekli ve her plakayı moderatörler onaylar",
+      optional: "İsteğe bağlı - plakalar hemen sayılır, fotoğraf eklenebilir",
+    },
+    language: "Dil",
+    submitters: "Kimler Plaka Ekleyebilir",
+    everyone: "Herkes",
+    disabledTypes: "Kapalı Plaka Türleri",
+    streakBonus: "Seri Bonusu",
+    streakBonusValue:
+      "Her günün ilk plakasına, serinin her günü için +{bonus} puan (en fazla {max} gün)",
+    streakBonusOff: "Kapalı",
+    reviewChannelRequired:
+      "Doğrulama zorunlu olduğu için inceleme kanalı kaldırılamaz. Önce doğrulamayı isteğe bağlı yap.",
+    needsReviewChannel:
+      "Doğrulamayı zorunlu yapmadan önce `/ayarlar kanal ayar:Plaka incelemesi` ile bir inceleme kanalı seç.",
+    needsRole: "İzin verilecek ya da kaldırılacak rolü `rol` seçeneğiyle seç.",
+    lastCountry: "En az bir ülke açık kalmalı.",
+    error:
+      "Sunucu ayarları güncellenirken bir hata oluştu. Lütfen tekrar dene.",
+  },
+  digest: {
+    title: "📰 Haftalık Özet",
+    description: "{dates}\n{collectors} {plates} ekledi, toplam {score} puan.",
+    topFind: "Haftanın Bulgusu",
+    topFindLine: "{flag} **{plate}** - {username} - {score} puan",
+    newProvinces: "İlk Kez Ulaşılanlar",
+    newProvinceLine: "{flag} {province} - {username}",
+    movers: "Sıralamada Yükselenler",
+    moverLine: "🔼 {username} #{from} → #{to}",
+    newcomerLine: "🆕 {username} → #{to}",
+    streaks: "Seriler",
+    streakLine: "🔥 {username} - üst üste {count} gün",
+    footer:
+      "Plaka avına devam! Yöneticiler özet zamanını /ayarlar özet ile ayarlar.",
+  },
+  stats: {
+    title: "📈 {user} - Plaka İstatistikleri",
+    description:
+      "Kapsam: {scope}\nGrafik günlük plaka sayısını, altındaki takvim son altı ayın her gününü gösterir.",
+    currentStreak: "Güncel Seri",
+    longestStreak: "En Uzun Seri",
+    activeDays: "Plaka Bulunan Günler",
+    recent: "Son {count} Gün",
+    busiestDay: "En Yoğun Gün",
+    empty: "{user} henüz hiç plaka toplamadı!",
+    footer: "Serini sürdürmek için her gün bir plaka ekle!",
+    streakBonus:
+      "Bu sunucuda seriler bonus kazandırır: serinin her günü için +{bonus} puan (en fazla {max} gün)",
+    error: "İstatistikler alınırken bir hata oluştu. Lütfen tekrar dene.",
+  },
+  browse: {
+    title: "{user} - {scope} içindeki plakalar",
+    sorts: {
+      score: "En yüksek puan",
+      newest: "Önce en yeni",
+      oldest: "Önce en eski",
+      province: "İl",
+    },
+    sortedBy: "Sıralama: {sort}",
+    filteredTo: "Filtre: {filters}",
+    noMatches: "Bu filtrelere uyan plaka yok.",
+    page: "Sayfa {page}/{count}",
+    sortPlaceholder: "Sırala...",
+    typePlaceholder: "Plaka türüne göre filtrele...",
+    allTypes: "Tüm plaka türleri",
+    provincePlaceholder: "İle göre filtrele...",
+    provincePlaceholderTop: "İle göre filtrele (ilk {count})...",
+    allProvinces: "Tüm iller",
+    notYours: "Kendi plaka tarayıcını açmak için /göz-at komutunu kullan.",
+    expired:
+      "Bu tarayıcının süresi doldu. Yenisini açmak için /göz-at komutunu çalıştır.",
+    error: "Plakaların açılırken bir hata oluştu. Lütfen tekrar dene.",
+  },
+  achievements: {
+    title: "🏅 {user} - Başarımlar",
+    description: "{server} içinde {count} başarımın {unlocked} tanesi açıldı.",
+    unlocked: "Açılanlar",
+    inProgress: "Devam Edenler",
+    noneYet: "Henüz yok",
+    allUnlocked: "Tüm başarımlar açıldı! 🎉",
+    announcement: "🏅 Başarım Açıldı!",
+    earned: "{user} kazandı:",
+    line: "{emoji} **{name}** - {description}",
+    list: {
+      first_plate: { name: "İlk Av", description: "İlk plakanı topla" },
+      collector_50: { name: "Koleksiyoncu", description: "50 plaka topla" },
+      busy_day: {
+        name: "Yoğun Gün",
+        description: "Tek bir günde 10 plaka topla",
+      },
+      palindrome: {
+        name: "Palindrom",
+        description: "Tersten de aynı okunan bir plaka topla (örn. 12A21)",
+      },
+      marmara: {
+        name: "Marmara Kaşifi",
+        description: "Marmara'nın her ilinden bir plaka topla",
+      },
+      special_types: {
+        name: "Özel Kuvvetler",
+        description: "Türkiye'nin tüm özel plaka türlerini topla",
+      },
+      all_provinces: {
+        name: "Türkiye Turu",
+        description: "81 ilin hepsinden bir plaka topla",
+      },
+      globetrotter: {
+        name: "Dünya Gezgini",
+        description: "3 farklı ülkeden plaka topla",
+      },
+    },
+    error: "Başarımlar alınırken bir hata oluştu. Lütfen tekrar dene.",
+  },
+  language: {
+    set: "🌐 Bundan sonra sana {language} yanıt vereceğim.",
+    server: "🌐 Sana bu sunucunun dilinde ({language}) yanıt vereceğim.",
+    error: "Dil tercihin kaydedilirken bir hata oluştu. Lütfen tekrar dene.",
+  },
+  season: {
+    managersOnly: "Sezonları yalnızca sunucu yöneticileri değiştirebilir.",
+    ends: "Bitiş: {time}",
+    standings: "Şimdiki Puan Durumu",
+    footer: "Sıralamanın tamamı için /sıralama komutunu kullan",
+    noArchive: "Bu sunucuda henüz biten bir sezon yok!",
+    archiveTitle: "🗄️ Geçmiş Sezonlar",
+    badDate: "Tarihler 2025-06-30 biçiminde olmalı.",
+    endInPast: "Sezon gelecekte bitmeli.",
+    scheduled: "📅 **{name}** sezonu {dates} için planlandı.",
+    ended: "🏁 **{name}** sezonu bitti. Sonuçlar /sezon arşiv içinde.",
+    errors: {
+      ENDS_BEFORE_START: "Sezon başladıktan sonra bitmeli.",
+      STARTS_BEFORE_CURRENT:
+        "Yeni sezon, şimdiki sezonun başlangıcından önce başlayamaz ({dates}).",
+      OVERLAPS:
+        '"{name}" sezonuyla çakışıyor. Önce onu bitir ya da başka tarihler seç.',
+    },
+    podiumEmpty: "Bu sezon kimse plaka toplamadı.",
+    podiumLine: "{medal} {username} - {score} puan ({plates})",
+    overTitle: "🏁 Sezon Bitti: {name}",
+    overDescription:
+      "{dates}\n\nHerkesin plakaları koleksiyonunda kalır. Yeni sezonda puanlar sıfırdan başlıyor!",
+    finalStandings: "Son Puan Durumu",
+    nextSeason: "Sonraki Sezon",
+    nextSeasonValue: "**{name}**: {dates}",
+    error: "Sezon işlenirken bir hata oluştu. Lütfen tekrar dene.",
+  },
+  challenges: {
+    title: "🎯 Güncel Görevler",
+    description:
+      "Bonusu kazanmak için `/plakaekle` ile uyan bir plaka ekle. Her görev her koleksiyoncu için bir kez tamamlanabilir.",
+    periods: { daily: "Günlük", weekly: "Haftalık" },
+    heading: "{period} • +{bonus} puan",
+    details: "{challenge}\nBitiş: {time}\nTamamlayanlar: {completions}",
+    nobody: "henüz kimse",
+    footer: "Bu sunucuda {count} görev tamamladın",
+    kinds: {
+      province: "{province} plakası",
+      type: "{type} plakası",
+      digitSum: "Rakamlarının toplamı {target} olan bir plaka",
+      palindrome:
+        "Tersten de aynı okunan, en az {target} rakamlı bir plaka numarası (örn. {example})",
+    },
+    postedTitle: "🎯 Yeni Görev",
+    postedDescription:
+      "Bonusu kazanmak için `/plakaekle` ile uyan bir plaka ekle. Tüm görevler için `/görevler güncel` komutuna bak.",
+    postedHeading: "{period} Görev • +{bonus} puan",
+    postedDetails: "{challenge}\nBitiş: {time}",
+    error: "Görevler yüklenirken bir hata oluştu. Lütfen tekrar dene.",
+  },
+  export: {
+    dm: "📦 {scope} içindeki {count} plakan, puan ayrıntılarıyla birlikte burada.",
+    sent: "📬 Koleksiyonunu özel mesaj olarak gönderdim.",
+    dmClosed: "Sana özel mesaj gönderemedim, koleksiyonunu buraya bırakıyorum.",
+    error:
+      "Koleksiyonun dışa aktarılırken bir hata oluştu. Lütfen tekrar dene.",
+  },
+  import: {
+    verificationRequired:
+      "Bu sunucu fotoğraflı doğrulama istiyor, bu yüzden plaka içe aktarılamaz. Plakaları tek tek `/plakaekle fotoğraf:` ile ekle.",
+    tooLarge:
+      "Dosya çok büyük. En fazla {size} KB boyutunda dosyalar içe aktarılabilir.",
+    badFile: {
+      EMPTY: "Dosyada hiç plaka yok.",
+      BAD_JSON: "Dosya bir JSON plaka listesi değil: {reason}",
+      NO_PLATE_COLUMN:
+        "Dosyada bir `plate` sütunu olmalı. `country`, `date`, `location` ve `note` sütunları isteğe bağlı.",
+      TOO_MANY_ROWS:
+        "Dosyada {count} plaka var. Tek seferde en fazla {max} plaka içe aktarılabilir.",
+    },
+    title: "📥 İçe Aktarma Tamamlandı",
+    description:
+      "{scope} içindeki koleksiyonuna {score} puan değerinde {plates} eklendi. İçe aktarılan plakalar tüm zamanların puanına sayılır, ama sezonlara, serilere ve başarımlara sayılmaz.",
+    imported: "İçe Aktarılan",
+    skipped: "Zaten Toplanmış",
+    rejected: "Reddedilen",
+    report: "İçe aktarılmayan satırlar ekteki raporda listeleniyor.",
+    reportColumns: { row: "satır", plate: "plaka", reason: "neden" },
+    reasons: {
+      MISSING_PLATE: "plaka yok",
+      UNKNOWN_COUNTRY: "bilinmeyen ülke: {country}",
+      COUNTRY_DISABLED: "bu sunucuda {country} plakaları toplanmıyor",
+      INVALID_PLATE: "{reason}",
+      BAD_DATE: "{date} geçmişte bir tarih değil",
+      TYPE_DISABLED: "bu sunucuda {type} plakaları toplanmıyor",
+      ALREADY_COLLECTED: "zaten koleksiyonunda",
+      DUPLICATE_ROW: "dosyada daha önce listelenmiş",
+    },
+    error: "Plakalar içe aktarılırken bir hata oluştu. Lütfen tekrar dene.",
+  },
+  trade: {
+    pickCollector: "Takas için başka bir koleksiyoncu seç.",
+    nothingToGive: "Vereceğin en az bir plaka yaz.",
+    errors: {
+      TOO_MANY_PLATES:
+        "Bir takasın her tarafında en fazla {max} plaka olabilir.",
+      NOT_OWNED: "{plates} doğrulanmış koleksiyonunda yok.",
+      NOT_THEIRS:
+        "{plates}, {user} kullanıcısının doğrulanmış koleksiyonunda yok.",
+      ALREADY_THEIRS: "{user} zaten {plates} plakasına sahip.",
+      ALREADY_YOURS: "{plates} zaten sende var.",
+      NOT_OPEN: "Bu takas artık açık değil.",
+      NO_LONGER_OWNED:
+        "{plates} artık {user} kullanıcısının koleksiyonunda değil.",
+    },
+    accept: "Kabul et",
+    decline: "Reddet",
+    withdraw: "Geri çek",
+    giftTitle: "🎁 Plaka Hediyesi",
+    offerTitle: "🔄 Takas Teklifi",
+    giftDescription:
+      "**{from}**, **{to}** kullanıcısına bu plakaları vermek istiyor. Süre dolumu: {time}.",
+    offerDescription:
+      "**{from}**, **{to}** kullanıcısına bir takas öneriyor. Süre dolumu: {time}.",
+    gets: "{user} alır",
+    gives: "{user} verir",
+    gift: "Hiçbir şey, bu bir hediye",
+    plate: "{plate} ({score} puan)",
+    nothing: "hiçbir şey",
+    missing: "Bu takas artık yok.",
+    onlyOfferer: "Bu teklifi yalnızca {user} geri çekebilir.",
+    notForYou: "Bu teklif {user} için.",
+    closed: "{emoji} Bu takasın durumu: {status}.",
+    statuses: {
+      pending: "bekliyor",
+      accepted: "kabul edildi",
+      declined: "reddedildi",
+      cancelled: "geri çekildi",
+      expired: "süresi doldu",
+      failed: "başarısız",
+    },
+    answered: "Bu takas bu arada yanıtlandı.",
+    declinedBy: "❌ {user} reddetti",
+    withdrawnBy: "🚫 {user} geri çekti",
+    failed: "⚠️ Takas başarısız oldu: {reason}",
+    acceptedBy: "✅ {user} kabul etti",
+    emptyLog: "{user} bu sunucuda henüz hiç plaka takas etmedi.",
+    logTitle: "🔄 {user} - Takaslar",
+    logOfferTo:
+      "{emoji} {time} **{partner}** kullanıcısına teklif: verir {gave}, alır {got} ({status})",
+    logOfferFrom:
+      "{emoji} {time} **{partner}** kullanıcısından teklif: verir {gave}, alır {got} ({status})",
+    error: "Takasta bir hata oluştu. Lütfen tekrar dene.",
+  },
+  auditlog: {
+    empty: "Henüz hiç plaka silinmedi ya da düzeltilmedi.",
+    title: "📋 Plaka Denetim Kaydı",
+    remove: "{time} **{actor}**, {plate} ({score} puan) plakasını sildi",
+    removeOther:
+      "{time} **{actor}**, {user} kullanıcısının koleksiyonundan {plate} ({score} puan) plakasını sildi",
+    edit: "{time} **{actor}**, {plate} plakasını {newPlate} olarak değiştirdi ({score} → {newScore} puan)",
+    editOther:
+      "{time} **{actor}**, {user} kullanıcısının koleksiyonunda {plate} plakasını {newPlate} olarak değiştirdi ({score} → {newScore} puan)",
+    error: "Denetim kaydı alınırken bir hata oluştu. Lütfen tekrar dene.",
+  },
+  invalidplates: {
+    allValid: "✅ Bu sunucuda kayıtlı her plaka biçim kurallarına uyuyor.",
+    line: "{flag} {plate} ({user}, {score} puan): {reason}",
+    nowRead: "artık {plate} olarak okunuyor",
+    title: "🚫 Biçim Kurallarına Uymayan Plakalar",
+    footer: "{plates} • /plakadüzelt ya da /plakasil ve kullanıcı: ile düzelt",
+    error:
+      "Kayıtlı plakalar kontrol edilirken bir hata oluştu. Lütfen tekrar dene.",
+  },
+  rescore: {
+    title: "🧮 Kurallar v{version} ile Yeniden Puanlandı",
+    description:
+      "{name}\nBu sunucudaki {plates} kontrol edildi, {updated} plakanın puanı değişti.",
+    invalid:
+      "{count} plaka plaka kurallarına uymadığı için puanını korudu, bkz. /geçersiz-plakalar.",
+    rankingChanges: "Bu Sunucudaki Sıralama Değişiklikleri",
+    rankingLine: "#{rank} {username} - {before} → {after} puan ({movement})",
+    error: "Plakalar yeniden puanlanırken bir hata oluştu. Lütfen tekrar dene.",
+  },
+  help: {
+    title: "Plaka Koleksiyoncusu - Yardım",
+    description:
+      "Gördüğün Türkiye plakalarını topla, nadirliklerine göre puan kazan!",
+    footer: "İyi plaka avları!",
+    error: "Yardım yüklenirken bir hata oluştu. Lütfen tekrar dene.",
+    countries:
+      "Yurt dışı plakaları için /plakaekle ya da /plakabilgi komutuna `ülke:` ekle. Koleksiyon ve sıralama komutları da ülkeye göre filtrelenebilir.",
+    example: "örn. {example}",
+    specialTypes: {
+      name: "Özel Plaka Türleri",
+      value:
+        "Bot, Türkiye plakalarının türünü harf düzenine göre kendiliğinden tanır:\n• AA - Üniversiteler\n• A/AAA - Polis\n• JAA - Jandarma\n• SGH - Sahil Güvenlik\n• CD - Kordiplomatik\n• CC - Konsolosluklar\n• MA-MZ - Yabancı uyruklular\n• TAA-TKZ - Taksiler",
+    },
+    scoring: {
+      name: "Puanlama Sistemi",
+      value:
+        "Puanlar ilin nadirliğine, harf düzenine, küçük rakamlara ve özel plaka türlerine göre verilir. Geçerli kurallar: v{version} ({name}).",
+    },
+    verification: {
+      name: "Fotoğraf Doğrulaması",
+      required:
+        "Bu sunucu doğrulama istiyor: `/plakaekle fotoğraf:` ile bir fotoğraf ekle. Plakalar ancak bir moderatör onayladıktan sonra /sıralama ve /nadir listelerine sayılır. Yöneticiler bunu ve diğer sunucu ayarlarını /ayarlar ile değiştirir.",
+      optional:
+        "Bu sunucuda fotoğraf isteğe bağlı: dilersen `/plakaekle fotoğraf:` ile ekleyebilirsin. Yöneticiler bunu ve diğer sunucu ayarlarını /ayarlar ile değiştirir.",
+    },
+    scope: {
+      name: "Sunucu ve Küresel Görünüm",
+      value:
+        "Koleksiyonlar, sıralamalar ve plaka geçmişi her sunucu için ayrı tutulur. Botun bulunduğu tüm sunucuları görmek için /koleksiyonum, /sıralama, /plakabilgi, /iller, /bölge, /türler ya da /nadir komutlarına `küresel:True` ekle.",
+    },
+  },
+};
+
+// Options that several commands share, unless a command translates its own
+const sharedOptions = {
+  global: {
+    name: "küresel",
+    description: "Botun bulunduğu tüm sunuculardaki plakaları dahil et",
+  },
+  country: {
+    name: "ülke",
+    description: "Plaka ülkesi (varsayılan: Türkiye)",
+  },
+  metric: {
+    name: "ölçüt",
+    description:
+      "Haritayı plaka sayısına ya da toplam puana göre renklendir (varsayılan: sayı)",
+    choices: { count: "Plaka sayısı", score: "Toplam puan" },
+  },
+  user: {
+    name: "kullanıcı",
+    description: "Bakılacak koleksiyoncu (varsayılan: sen)",
+  },
+};
+
+// Filter variant of the shared country option
+const countryFilter = {
+  name: "ülke",
+  description: "Yalnızca bu ülkenin plakalarını dahil et",
+};
+
+const commands = {
+  addplate: {
+    name: "plakaekle",
+    description: "Koleksiyonuna bir plaka ekle",
+    options: {
+      plate: { name: "plaka", description: "Plaka (örn. 34ABC123)" },
+      photo: {
+        name: "fotoğraf",
+        description: "Kanıt olarak plakanın fotoğrafı",
+      },
+      location: {
+        name: "konum",
+        description: 'Plakayı gördüğün il, "İl, yer" ya da koordinatlar',
+      },
+      note: {
+        name: "not",
+        description: "Bu görülmeyle ilgili hatırlamaya değer bir şey",
+      },
+    },
+  },
+  removeplate: {
+    name: "plakasil",
+    description: "Koleksiyonundan bir plakayı sil",
+    options: {
+      plate: { name: "plaka", description: "Silinecek plaka" },
+      user: {
+        name: "kullanıcı",
+        description: "Plakayı bu koleksiyoncudan sil (yalnızca moderatörler)",
+      },
+      reason: {
+        name: "sebep",
+        description: "Plakanın neden silindiği, denetim kaydında tutulur",
+      },
+    },
+  },
+  editplate: {
+    name: "plakadüzelt",
+    description: "Koleksiyonundaki bir plakayı düzelt",
+    options: {
+      plate: { name: "plaka", description: "Plakanın eklendiği hali" },
+      new_plate: {
+        name: "yeni_plaka",
+        description: "Plakanın düzeltilmiş hali",
+      },
+      new_country: {
+        name: "yeni_ülke",
+        description: "Düzeltilmiş plaka ülkesi (varsayılan: şimdiki)",
+      },
+      user: {
+        name: "kullanıcı",
+        description:
+          "Bu koleksiyoncunun plakasını düzelt (yalnızca moderatörler)",
+      },
+      reason: {
+        name: "sebep",
+        description: "Plakanın neden düzeltildiği, denetim kaydında tutulur",
+      },
+    },
+  },
+  mycollection: {
+    name: "koleksiyonum",
+    description: "Plaka koleksiyonunu ve istatistiklerini gör",
+    options: { country: countryFilter },
+  },
+  leaderboard: {
+    name: "sıralama",
+    description: "En iyi plaka koleksiyoncularını gör",
+    options: {
+      country: countryFilter,
+      all_time: {
+        name: "tüm_zamanlar",
+        description:
+          "Bu sezon yerine şimdiye kadar toplanan tüm plakalara göre sırala",
+      },
+    },
+  },
+  plateinfo: {
+    name: "plakabilgi",
+    description: "Bir plaka hakkında bilgi al",
+    options: {
+      plate: { name: "plaka", description: "Bakılacak plaka (örn. 34ABC123)" },
+    },
+  },
+  provinces: {
+    name: "iller",
+    description: "Plakalarını illere göre gruplanmış gör",
+  },
+  region: {
+    name: "bölge",
+    description: "Türkiye'nin her bölgesinden kaç il topladığını gör",
+    options: {
+      region: { name: "bölge", description: "Bir bölgenin illerini listele" },
+    },
+  },
+  heatmap: {
+    name: "ısıharitası",
+    description:
+      "Sunucudaki herkesin Türkiye plakalarını nerede gördüğünün haritası",
+  },
+  types: {
+    name: "türler",
+    description: "Plakalarını plaka türüne göre gruplanmış gör",
+    options: { country: countryFilter },
+  },
+  rare: {
+    name: "nadir",
+    description: "Şimdiye kadar toplanan en yüksek puanlı plakaları gör",
+    options: { country: countryFilter },
+  },
+  farfromhome: {
+    name: "uzaktan-gelenler",
+    description: "Memleketi dışında yakalanan plakaları gör",
+    options: {
+      user: {
+        name: "kullanıcı",
+        description: "Senin yerine bu koleksiyoncuyu göster",
+      },
+    },
+  },
+  stats: {
+    name: "istatistik",
+    description: "Plaka serilerini ve günlük plaka grafiğini gör",
+    options: {
+      user: {
+        name: "kullanıcı",
+        description: "Senin yerine bu koleksiyoncuyu göster",
+      },
+      days: {
+        name: "gün",
+        description: "Grafiğin kapsadığı gün sayısı (varsayılan: 30)",
+      },
+    },
+  },
+  browse: {
+    name: "göz-at",
+    description: "Tüm koleksiyonunda sıralama ve filtrelerle sayfa sayfa gezin",
+    options: {
+      sort: {
+        name: "sıralama",
+        description: "Başlangıç sıralaması (varsayılan: en yüksek puan)",
+        choices: {
+          score: "En yüksek puan",
+          newest: "Önce en yeni",
+          oldest: "Önce en eski",
+          province: "İl",
+        },
+      },
+      country: countryFilter,
+    },
+  },
+  achievements: {
+    name: "başarımlar",
+    description: "Başarımları ve kilitli olanlara olan ilerlemeyi gör",
+  },
+  config: {
+    name: "ayarlar",
+    description: "Botu bu sunucu için ayarla (yalnızca yöneticiler)",
+    options: {
+      show: { name: "göster", description: "Geçerli sunucu ayarlarını göster" },
+      channel: {
+        name: "kanal",
+        description: "Botun kanallarından birini ayarla ya da kaldır",
+        options: {
+          setting: {
+            name: "ayar",
+            description: "Hangi kanalın ayarlanacağı",
+            choices: {
+              announcements: "Sezon sonuçları",
+              challenges: "Görevler",
+              digest: "Haftalık özet",
+              review: "Plaka incelemesi",
+            },
+          },
+          channel: {
+            name: "kanal",
+            description: "Kanal (ayarı kaldırmak için boş bırak)",
+          },
+        },
+      },
+      streak: {
+        name: "seri",
+        description: "Günlük plaka serilerini bonus puanla ödüllendir",
+        options: {
+          bonus: {
+            name: "bonus",
+            description:
+              "Her günün ilk plakasına serinin her günü için bonus puan (0 kapatır)",
+          },
+        },
+      },
+      digest: {
+        name: "özet",
+        description: "Haftalık özetin ne zaman paylaşılacağını seç",
+        options: {
+          day: {
+            name: "gün",
+            description: "Haftanın günü",
+            choices: {
+              0: "Pazar",
+              1: "Pazartesi",
+              2: "Salı",
+              3: "Çarşamba",
+              4: "Perşembe",
+              5: "Cuma",
+              6: "Cumartesi",
+            },
+          },
+          hour: { name: "saat", description: "Günün saati, UTC" },
+        },
+      },
+      verification: {
+        name: "doğrulama",
+        description:
+          "Plakalar için fotoğraf ve moderatör onayı gereksin mi seç",
+        options: {
+          mode: {
+            name: "mod",
+            description: "Doğrulama modu",
+            choices: { optional: "İsteğe bağlı", required: "Zorunlu" },
+          },
+        },
+      },
+      locale: {
+        name: "dil",
+        description: "Botun yanıt vereceği dili seç",
+        options: {
+          language: { name: "dil", description: "Yanıt dili" },
+        },
+      },
+      submitters: {
+        name: "ekleyenler",
+        description: "Hangi rollerin plaka ekleyebileceğini seç",
+        options: {
+          action: {
+            name: "işlem",
+            description:
+              "Bir role izin ver ya da izni kaldır, veya herkese izin ver",
+            choices: {
+              add: "Role izin ver",
+              remove: "Rolün iznini kaldır",
+              everyone: "Herkese izin ver",
+            },
+          },
+          role: {
+            name: "rol",
+            description: "İzin verilecek ya da kaldırılacak rol",
+          },
+        },
+      },
+      country: {
+        name: "ülke",
+        description: "Bir ülkenin plakalarını aç ya da kapat",
+        options: {
+          country: { name: "ülke", description: "Plaka ülkesi" },
+          enabled: { name: "açık", description: "Bu plakalar eklenebilsin mi" },
+        },
+      },
+      type: {
+        name: "tür",
+        description: "Bir plaka türünü aç ya da kapat",
+        options: {
+          type: { name: "tür", description: "Plaka türü" },
+          enabled: { name: "açık", description: "Bu plakalar eklenebilsin mi" },
+        },
+      },
+    },
+  },
+  language: {
+    name: "dil",
+    description: "Botun sana hangi dilde yanıt vereceğini seç",
+    options: {
+      language: {
+        name: "dil",
+        description: "Yanıt dili",
+        choices: { server: "Sunucunun dili" },
+      },
+    },
+  },
+  season: {
+    name: "sezon",
+    description: "Sıralama sezonları: puan durumu, geçmiş kürsüler ve planlama",
+    options: {
+      current: {
+        name: "güncel",
+        description: "Süren sezonu ve şimdiye kadarki puan durumunu göster",
+      },
+      archive: {
+        name: "arşiv",
+        description: "Geçmiş sezonların kürsülerini göster",
+      },
+      start: {
+        name: "başlat",
+        description: "Özel tarihlerle bir sezon planla (yalnızca yöneticiler)",
+        options: {
+          name: { name: "ad", description: "Sezonun adı (örn. Yaz Yolculuğu)" },
+          end: {
+            name: "bitiş",
+            description: "Sezonun son günü, YYYY-AA-GG (UTC)",
+          },
+          start: {
+            name: "başlangıç",
+            description:
+              "Sezonun ilk günü, YYYY-AA-GG (UTC, varsayılan: şimdi)",
+          },
+        },
+      },
+      end: {
+        name: "bitir",
+        description:
+          "Süren sezonu şimdi bitir ve sonuçları duyur (yalnızca yöneticiler)",
+      },
+    },
+  },
+  challenges: {
+    name: "görevler",
+    description: "Bonus puan kazandıran günlük ve haftalık görevler",
+    options: {
+      current: {
+        name: "güncel",
+        description: "Süren görevleri ve kimlerin tamamladığını göster",
+      },
+    },
+  },
+  export: {
+    name: "dışaaktar",
+    description:
+      "Plakalarını tüm puan ayrıntılarıyla bir dosya olarak özel mesajla al",
+    options: {
+      format: {
+        name: "biçim",
+        description: "Dosya biçimi (varsayılan CSV)",
+        choices: { csv: "CSV (tablolar)" },
+      },
+    },
+  },
+  import: {
+    name: "içeaktar",
+    description: "Bir CSV ya da JSON dosyasındaki plakaları koleksiyonuna ekle",
+    options: {
+      file: {
+        name: "dosya",
+        description:
+          "plate, country, date, location ve note sütunlu CSV ya da bir JSON listesi",
+      },
+    },
+  },
+  trade: {
+    name: "takas",
+    description: "Diğer koleksiyoncularla plaka takas et ya da hediye et",
+    options: {
+      offer: {
+        name: "teklif",
+        description:
+          "Bir koleksiyoncuya plaka teklif et, istersen onun plakaları karşılığında",
+        options: {
+          user: {
+            name: "kullanıcı",
+            description: "Takas yapılacak koleksiyoncu",
+          },
+          give: {
+            name: "ver",
+            description: "Vereceğin plakalar, virgülle ayrılmış",
+          },
+          want: {
+            name: "iste",
+            description:
+              "Karşılığında istediğin plakaları, virgülle ayrılmış (hediye için boş bırak)",
+          },
+        },
+      },
+      log: {
+        name: "geçmiş",
+        description: "Son takasları göster",
+      },
+    },
+  },
+  auditlog: {
+    name: "denetim-kaydı",
+    description:
+      "Son plaka silme ve düzeltmelerini gör (yalnızca moderatörler)",
+    options: {
+      user: {
+        name: "kullanıcı",
+        description:
+          "Yalnızca bu koleksiyoncunun plakalarındaki değişiklikleri göster",
+      },
+    },
+  },
+  invalidplates: {
+    name: "geçersiz-plakalar",
+    description:
+      "Geçerli plaka kurallarına uymayan kayıtlı plakaları listele (yalnızca moderatörler)",
+  },
+  rescore: {
+    name: "yeniden-puanla",
+    description:
+      "Bu sunucunun plakalarını geçerli kurallarla yeniden puanla (yalnızca yöneticiler)",
+  },
+  platehelp: {
+    name: "plakayardım",
+    description: "Plaka Koleksiyoncusu botunun kullanımıyla ilgili yardım al",
+  },
+};
+
+const countries = {
+  TR: "Türkiye",
+  DE: "Almanya",
+  GR: "Yunanistan",
+  BG: "Bulgaristan",
+  GE: "Gürcistan",
+};
+
+// Turkish names where they differ from the ones in countries/
+const regions = {
+  TR: {
+    "34": "İstanbul",
+    "35": "İzmir",
+  },
+  DE: {
+    M: "Münih",
+  },
+  GR: {
+    ATT: "Atina (Attika)",
+    THE: "Selanik",
+    CHA: "Hanya",
+    CHI: "Sakız",
+    COR: "Korfu",
+    DOD: "Onikiadalar",
+    EUB: "Eğriboz",
+    EVR: "Meriç",
+    HER: "Kandiye",
+    IOA: "Yanya",
+    LAR: "Yenişehir",
+    LES: "Midilli",
+    RET: "Resmo",
+    SAM: "Sisam",
+    SER: "Serez",
+    TRI: "Tırhala",
+  },
+  BG: {
+    BGS: "Burgaz",
+    HKV: "Hasköy",
+    KRZ: "Kırcaali",
+    PAZ: "Pazarcık",
+    PDV: "Filibe",
+    RAZ: "Hezargrad",
+    RSE: "Rusçuk",
+    SHU: "Şumnu",
+    SLS: "Silistre",
+    SLV: "İslimye",
+    SOF: "Sofya (şehir)",
+    SFO: "Sofya ili",
+    SZR: "Eski Zağra",
+    TGV: "Eski Cuma",
+    VTR: "Tırnova",
+    JAM: "Yanbolu",
+  },
+  GE: {
+    GE: "Gürcistan",
+  },
+};
+
+const geographicRegions = {
+  TR: {
+    MARMARA: "Marmara",
+    EGE: "Ege",
+    AKDENIZ: "Akdeniz",
+    IC_ANADOLU: "İç Anadolu",
+    KARADENIZ: "Karadeniz",
+    DOGU_ANADOLU: "Doğu Anadolu",
+    GUNEYDOGU_ANADOLU: "Güneydoğu Anadolu",
+  },
+};
+
+const plateTypes = {
+  STANDARD: "Standart Sivil",
+  UNIVERSITY: "Üniversite/Rektörlük",
+  POLICE: "Polis",
+  GENDARMERIE: "Jandarma",
+  COAST_GUARD: "Sahil Güvenlik",
+  DIPLOMATIC: "Kordiplomatik",
+  CONSULATE: "Konsolosluk",
+  FOREIGN: "Yabancı Uyruklu",
+  TAXI: "Taksi",
+  ELECTRIC: "Elektrikli Araç",
+  HISTORIC: "Klasik Araç",
+  BUNDESWEHR: "Bundeswehr (Alman Ordusu)",
+  FEDERAL_POLICE: "Federal Polis",
+  THW: "Teknik Yardım (THW)",
+  MACHINERY: "İş Makinesi",
+  MILITARY: "Askeri",
+};
+
+module.exports = {
+  code: "tr",
+  name: "Türkçe",
+  discordLocales: ["tr"],
+  // Nouns stay singular after a number: "81 il"
+  countForm: () => "one",
+  messages,
+  commands,
+  sharedOptions,
+  countries,
+  regions,
+  geographicRegions,
+  plateTypes,
+};
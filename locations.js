@@ -0,0 +1,216 @@
+// locations.js
+// Where plates were spotted: /addplate locations, suggestions and distances
+
+const { getCountry, DEFAULT_COUNTRY } = require("./countries");
+
+// Locations are Turkish provinces, optionally followed by a place name
+// ("Istanbul, Kadıköy"), or coordinates ("41.01, 28.98")
+const COORDINATES_PATTERN =
+  /^(-?\d{1,2}(?:\.\d+)?)\s*[,\s]\s*(-?\d{1,3}(?:\.\d+)?)$/;
+
+// Rough bounding box of Turkey, coordinates outside it get no province
+const TURKEY_BOUNDS = {
+  minLatitude: 35.8,
+  maxLatitude: 42.2,
+  minLongitude: 25.6,
+  maxLongitude: 44.9,
+};
+
+// Discord shows at most 25 autocomplete choices of up to 100 characters
+const MAX_SUGGESTIONS = 25;
+const MAX_CHOICE_LENGTH = 100;
+
+const EARTH_RADIUS_KM = 6371;
+
+/**
+ * Lowercase text and strip Turkish and other diacritics for matching
+ * @param {string} text - Text to fold
+ * @returns {string} e.g. "Kırşehir" → "kirsehir"
+ */
+function foldText(text) {
+  return text
+    .replace(/İ/g, "i")
+    .replace(/I/g, "ı")
+    .toLowerCase()
+    .replace(/ı/g, "i")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .trim();
+}
+
+/**
+ * Find a Turkish province by plate code or name
+ * @param {string} text - e.g. "34", "6" or "istanbul"
+ * @returns {string|null} The province code
+ */
+function findProvince(text) {
+  const { regions } = getCountry(DEFAULT_COUNTRY);
+  const query = foldText(text);
+
+  if (/^\d{1,2}$/.test(query)) {
+    const code = query.padStart(2, "0");
+    return regions[code] ? code : null;
+  }
+
+  return (
+    Object.keys(regions).find((code) => foldText(regions[code]) === query) ||
+    null
+  );
+}
+
+/**
+ * Distance between two points along the earth's surface
+ * @param {number[]} from - [latitude, longitude]
+ * @param {number[]} to - [latitude, longitude]
+ * @returns {number} Distance in kilometres
+ */
+function getDistanceKm(from, to) {
+  const toRadians = (degrees) => (degrees * Math.PI) / 180;
+  const dLat = toRadians(to[0] - from[0]);
+  const dLon = toRadians(to[1] - from[1]);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from[0])) *
+      Math.cos(toRadians(to[0])) *
+      Math.sin(dLon / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Distance between the capitals of two regions of a country
+ * @param {Object} country - The country module
+ * @param {string} fromCode - Region code
+ * @param {string} toCode - Region code
+ * @returns {number|null} Distance in kilometres, or null if either is unknown
+ */
+function getRegionDistance(country, fromCode, toCode) {
+  const coordinates = country.regionCoordinates || {};
+  if (!coordinates[fromCode] || !coordinates[toCode]) return null;
+  return getDistanceKm(coordinates[fromCode], coordinates[toCode]);
+}
+
+/**
+ * Province whose capital is closest to a point in Turkey
+ * @param {number} latitude - Latitude in degrees
+ * @param {number} longitude - Longitude in degrees
+ * @returns {string|null} The province code, or null outside Turkey
+ */
+function findNearestProvince(latitude, longitude) {
+  if (
+    latitude < TURKEY_BOUNDS.minLatitude ||
+    latitude > TURKEY_BOUNDS.maxLatitude ||
+    longitude < TURKEY_BOUNDS.minLongitude ||
+    longitude > TURKEY_BOUNDS.maxLongitude
+  ) {
+    return null;
+  }
+
+  const { regionCoordinates } = getCountry(DEFAULT_COUNTRY);
+  let nearest = null;
+  let nearestDistance = Infinity;
+
+  Object.entries(regionCoordinates).forEach(([code, capital]) => {
+    const distance = getDistanceKm([latitude, longitude], capital);
+    if (distance < nearestDistance) {
+      nearest = code;
+      nearestDistance = distance;
+    }
+  });
+
+  return nearest;
+}
+
+/**
+ * Parse the location given to /addplate
+ * @param {string|null} input - Location as typed or picked
+ * @returns {Object|null} { label, provinceCode, latitude, longitude }, with
+ * provinceCode null when the location isn't in a known province
+ */
+function parseLocation(input) {
+  const label = (input || "").trim();
+  if (!label) return null;
+
+  const coordinates = label.match(COORDINATES_PATTERN);
+  if (coordinates) {
+    const latitude = parseFloat(coordinates[1]);
+    const longitude = parseFloat(coordinates[2]);
+
+    if (Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180) {
+      return {
+        label,
+        provinceCode: findNearestProvince(latitude, longitude),
+        latitude,
+        longitude,
+      };
+    }
+  }
+
+  const [province] = label.split(",");
+  return {
+    label,
+    provinceCode: findProvince(province),
+    latitude: null,
+    longitude: null,
+  };
+}
+
+/**
+ * Autocomplete choices for the /addplate location option
+ * @param {string} query - What the user has typed so far
+ * @returns {Object[]} Choices { name, value }
+ */
+function suggestLocations(query) {
+  const text = query.trim().slice(0, MAX_CHOICE_LENGTH);
+  const { regions } = getCountry(DEFAULT_COUNTRY);
+
+  // Coordinates are offered as typed, with the province they fall in
+  const coordinates = parseLocation(text);
+  if (coordinates && coordinates.latitude !== null) {
+    const province = coordinates.provinceCode
+      ? ` (${coordinates.provinceCode} ${regions[coordinates.provinceCode]})`
+      : " (outside Turkey)";
+    return [
+      {
+        name: `📍 ${text}${province}`.slice(0, MAX_CHOICE_LENGTH),
+        value: text,
+      },
+    ];
+  }
+
+  // Match provinces on the part before the comma and keep the place name
+  const [provinceQuery, ...rest] = text.split(",");
+  const place = rest.join(",").trim();
+  const folded = foldText(provinceQuery);
+
+  const choices = Object.keys(regions)
+    .filter(
+      (code) =>
+        !folded ||
+        code.startsWith(folded) ||
+        foldText(regions[code]).startsWith(folded)
+    )
+    .slice(0, MAX_SUGGESTIONS)
+    .map((code) => {
+      const value = (
+        place ? `${regions[code]}, ${place}` : regions[code]
+      ).slice(0, MAX_CHOICE_LENGTH);
+      return { name: `${code} ${value}`.slice(0, MAX_CHOICE_LENGTH), value };
+    });
+
+  // Free text is allowed too, it just doesn't count for location bonuses
+  if (choices.length === 0 && text) {
+    return [{ name: text, value: text }];
+  }
+
+  return choices;
+}
+
+module.exports = {
+  findProvince,
+  getDistanceKm,
+  getRegionDistance,
+  findNearestProvince,
+  parseLocation,
+  suggestLocations,
+};
@@ -0,0 +1,491 @@
+// models.js
+// Mongoose models shared by the bot's commands, kept by the storage backend
+// STORAGE_BACKEND selects (see storage/index.js)
+
+const mongoose = require("mongoose");
+const { model } = require("./storage");
+const { DEFAULT_COUNTRY } = require("./countries");
+const { DEFAULT_LOCALE, listLocales } = require("./i18n");
+
+// Codes of the languages the bot can reply in
+const LOCALE_CODES = listLocales().map((locale) => locale.code);
+
+// Define database schema for plates
+const PlateSchema = new mongoose.Schema({
+  guildId: { type: String, default: null },
+  // Channel /addplate was used in, for follow-up announcements
+  channelId: { type: String, default: null },
+  userId: { type: String, required: true },
+  username: { type: String, required: true },
+  country: { type: String, default: DEFAULT_COUNTRY },
+  plateText: { type: String, required: true, uppercase: true },
+  // Province for Turkish plates, the country's region code otherwise.
+  // Some special series (e.g. German Bundeswehr) carry no region or letters.
+  provinceCode: { type: String, default: "" },
+  letters: { type: String, default: "" },
+  digits: { type: String, required: true },
+  plateType: { type: String, required: true },
+  provinceScore: { type: Number, default: 0 },
+  letterScore: { type: Number, default: 0 },
+  digitScore: { type: Number, default: 0 },
+  specialScore: { type: Number, default: 0 },
+  // Turkish province the plate was first spotted in, and the bonus that
+  // earned for plates spotted outside their home province
+  spottedProvince: { type: String, default: null },
+  farFromHomeScore: { type: Number, default: 1 },
+  // Bonus points from completed challenges and spotting streaks (see
+  // challenges.js and streaks.js), already included in totalScore
+  bonusScore: { type: Number, default: 0 },
+  totalScore: { type: Number, default: 0 },
+  dateSpotted: { type: Date, default: Date.now },
+  // Scoring ruleset the score fields were calculated with
+  rulesetVersion: { type: Number, default: 1 },
+  // Added with /import, with a date the collector typed in
+  imported: { type: Boolean, default: false },
+
+  // Photo evidence and moderator verification
+  status: {
+    type: String,
+    enum: ["pending", "verified"],
+    default: "verified",
+  },
+  photoUrl: { type: String, default: null },
+  verifiedBy: { type: String, default: null },
+  verifiedAt: { type: Date, default: null },
+});
+
+// Create a unique compound index to prevent duplicate entries within a guild
+PlateSchema.index(
+  { guildId: 1, userId: 1, country: 1, plateText: 1 },
+  { unique: true }
+);
+PlateSchema.index({ guildId: 1, totalScore: -1 });
+
+/**
+ * Rank collectors by the summed score of their plates
+ * @param {Object} match - Filter for the plates to include
+ * @param {number} [limit] - Maximum number of collectors to return
+ * @returns {Promise<Object[]>} Collectors sorted by total score
+ */
+PlateSchema.statics.leaderboard = function (match, limit) {
+  const pipeline = [
+    { $match: match },
+    {
+      $group: {
+        _id: { userId: "$userId", username: "$username" },
+        plateCount: { $sum: 1 },
+        totalScore: { $sum: "$totalScore" },
+        uniqueProvinces: { $addToSet: "$provinceCode" },
+        uniqueCountries: {
+          $addToSet: { $ifNull: ["$country", DEFAULT_COUNTRY] },
+        },
+        uniqueTypes: { $addToSet: "$plateType" },
+        highestScore: { $max: "$totalScore" },
+      },
+    },
+    { $sort: { totalScore: -1 } },
+  ];
+  if (limit) pipeline.push({ $limit: limit });
+
+  return this.aggregate(pipeline);
+};
+
+/**
+ * Sum plate counts and scores per province
+ * @param {Object} match - Filter for the plates to include
+ * @returns {Promise<Object[]>} { _id: provinceCode, plateCount, totalScore, collectors }
+ */
+PlateSchema.statics.provinceTotals = function (match) {
+  return this.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: "$provinceCode",
+        plateCount: { $sum: 1 },
+        totalScore: { $sum: "$totalScore" },
+        collectors: { $addToSet: "$userId" },
+      },
+    },
+    { $addFields: { collectors: { $size: "$collectors" } } },
+    { $sort: { plateCount: -1 } },
+  ]);
+};
+
+/**
+ * Count the collectors of each plate text
+ * @param {Object} match - Filter for the plates to include
+ * @param {number} limit - Maximum number of plate texts to return
+ * @returns {Promise<Object[]>} { _id: plate text, collectors }, most collected
+ * first
+ */
+PlateSchema.statics.popularPlates = function (match, limit) {
+  return this.aggregate([
+    { $match: match },
+    { $group: { _id: "$plateText", collectors: { $sum: 1 } } },
+    { $sort: { collectors: -1, _id: 1 } },
+    { $limit: limit },
+  ]);
+};
+
+/**
+ * Sum each collector's plates and list the days they spotted plates on
+ * @param {Object} match - Filter for the plates to include
+ * @returns {Promise<Object[]>} { _id: { userId, username }, plateCount,
+ * totalScore, days } with days as UTC dates like "2026-10-19", most plates first
+ */
+PlateSchema.statics.collectorActivity = function (match) {
+  return this.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { userId: "$userId", username: "$username" },
+        plateCount: { $sum: 1 },
+        totalScore: { $sum: "$totalScore" },
+        days: {
+          $addToSet: {
+            $dateToString: { format: "%Y-%m-%d", date: "$dateSpotted" },
+          },
+        },
+      },
+    },
+    { $sort: { plateCount: -1 } },
+  ]);
+};
+
+/**
+ * Count plates and sum scores per day
+ * @param {Object} match - Filter for the plates to include
+ * @returns {Promise<Object[]>} { _id: UTC date like "2026-10-19", plateCount,
+ * totalScore }, earliest first
+ */
+PlateSchema.statics.dailyActivity = function (match) {
+  return this.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { $dateToString: { format: "%Y-%m-%d", date: "$dateSpotted" } },
+        plateCount: { $sum: 1 },
+        totalScore: { $sum: "$totalScore" },
+      },
+    },
+    { $sort: { _id: 1 } },
+  ]);
+};
+
+/**
+ * Find who first collected a plate from each province
+ * @param {Object} match - Filter for the plates to include
+ * @param {Date} since - Leave out provinces first reached before this date
+ * @returns {Promise<Object[]>} { _id: { country, provinceCode }, firstSpotted,
+ * username }, first reached first
+ */
+PlateSchema.statics.provinceFirsts = function (match, since) {
+  return this.aggregate([
+    { $match: match },
+    { $sort: { dateSpotted: 1 } },
+    {
+      $group: {
+        _id: {
+          country: { $ifNull: ["$country", DEFAULT_COUNTRY] },
+          provinceCode: "$provinceCode",
+        },
+        firstSpotted: { $first: "$dateSpotted" },
+        username: { $first: "$username" },
+      },
+    },
+    { $match: { firstSpotted: { $gte: since } } },
+    { $sort: { firstSpotted: 1 } },
+  ]);
+};
+
+const Plate = model("Plate", PlateSchema);
+
+// Every time a collector reports seeing a plate. The first sighting comes
+// with the plate itself; repeats are recorded without scoring again.
+const SightingSchema = new mongoose.Schema({
+  plateId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Plate",
+    required: true,
+  },
+  guildId: { type: String, default: null },
+  channelId: { type: String, default: null },
+  userId: { type: String, required: true },
+  username: { type: String, required: true },
+  spottedAt: { type: Date, default: Date.now },
+  location: { type: String, default: null },
+  // Province and coordinates the location resolved to, when it could be
+  provinceCode: { type: String, default: null },
+  latitude: { type: Number, default: null },
+  longitude: { type: Number, default: null },
+  note: { type: String, default: null },
+  photoUrl: { type: String, default: null },
+});
+
+SightingSchema.index({ plateId: 1, spottedAt: -1 });
+
+const Sighting = model("Sighting", SightingSchema);
+
+// Achievements unlocked by a collector in a guild
+const AchievementSchema = new mongoose.Schema({
+  guildId: { type: String, required: true },
+  userId: { type: String, required: true },
+  achievementId: { type: String, required: true },
+  unlockedAt: { type: Date, default: Date.now },
+});
+
+AchievementSchema.index(
+  { guildId: 1, userId: 1, achievementId: 1 },
+  { unique: true }
+);
+
+const Achievement = model("Achievement", AchievementSchema);
+
+// Per-guild settings, created on first use
+const GuildSettingsSchema = new mongoose.Schema({
+  guildId: { type: String, required: true, unique: true },
+  // "optional": plates count straight away, a photo can be attached
+  // "required": a photo is mandatory and a moderator must approve the plate
+  verificationMode: {
+    type: String,
+    enum: ["optional", "required"],
+    default: "optional",
+  },
+  reviewChannelId: { type: String, default: null },
+  // Where season results are announced
+  announcementChannelId: { type: String, default: null },
+  // Where new daily and weekly challenges are posted
+  challengeChannelId: { type: String, default: null },
+  // Where the weekly recap is posted, and when: day of the week (0 is Sunday)
+  // and hour in UTC
+  digestChannelId: { type: String, default: null },
+  digestDay: { type: Number, min: 0, max: 6, default: 1 },
+  digestHour: { type: Number, min: 0, max: 23, default: 9 },
+  // End of the last week a recap was posted for
+  lastDigestAt: { type: Date, default: null },
+  // Bonus points per day of a collector's streak, added to their first plate
+  // of each day; 0 turns streak bonuses off
+  streakBonus: { type: Number, min: 0, default: 0 },
+  // Language of the bot's replies
+  locale: { type: String, enum: LOCALE_CODES, default: DEFAULT_LOCALE },
+  // Roles allowed to add plates; everyone can when empty
+  submitRoleIds: { type: [String], default: [] },
+  // Countries and plate types that can't be added on this server
+  disabledCountries: { type: [String], default: [] },
+  disabledPlateTypes: { type: [String], default: [] },
+});
+
+/**
+ * Check whether plates from a country can be added
+ * @param {string} countryCode - The country code
+ * @returns {boolean} True unless the country is disabled
+ */
+GuildSettingsSchema.methods.isCountryEnabled = function (countryCode) {
+  return !this.disabledCountries.includes(countryCode);
+};
+
+/**
+ * Check whether plates of a type can be added
+ * @param {string} plateType - The plate type key
+ * @returns {boolean} True unless the type is disabled
+ */
+GuildSettingsSchema.methods.isPlateTypeEnabled = function (plateType) {
+  return !this.disabledPlateTypes.includes(plateType);
+};
+
+/**
+ * Check whether a member may add plates
+ * @param {GuildMember|Object} member - The member, as given on an interaction
+ * @returns {boolean} True if no roles are required or the member has one
+ */
+GuildSettingsSchema.methods.canSubmitPlates = function (member) {
+  if (this.submitRoleIds.length === 0) return true;
+
+  // Interactions from uncached guilds carry the role IDs as an array
+  const roleIds = Array.isArray(member.roles)
+    ? member.roles
+    : [...member.roles.cache.keys()];
+  return this.submitRoleIds.some((id) => roleIds.includes(id));
+};
+
+const GuildSettings = model("GuildSettings", GuildSettingsSchema);
+
+// Leaderboard seasons. Seasons in a guild never overlap; monthly seasons are
+// opened automatically whenever no admin-defined season is running.
+const SeasonSchema = new mongoose.Schema({
+  guildId: { type: String, required: true },
+  // Set for admin-defined seasons only. Monthly seasons are named after
+  // their month in the reader's language, see getSeasonName() in seasons.js.
+  name: { type: String, default: null },
+  kind: { type: String, enum: ["monthly", "custom"], default: "monthly" },
+  startDate: { type: Date, required: true },
+  // Exclusive: plates spotted at endDate belong to the next season
+  endDate: { type: Date, required: true },
+  createdBy: { type: String, default: null },
+
+  // Final standings, filled in when the season is archived
+  archivedAt: { type: Date, default: null },
+  podium: [
+    {
+      _id: false,
+      userId: String,
+      username: String,
+      totalScore: Number,
+      plateCount: Number,
+    },
+  ],
+});
+
+SeasonSchema.index({ guildId: 1, startDate: 1 }, { unique: true });
+SeasonSchema.index({ archivedAt: 1, endDate: 1 });
+
+const Season = model("Season", SeasonSchema);
+
+// Daily and weekly targets that award bonus points to the first plate of
+// each collector that meets them
+const ChallengeSchema = new mongoose.Schema({
+  guildId: { type: String, required: true },
+  period: { type: String, enum: ["daily", "weekly"], required: true },
+  // What a plate must match; see challenges.js for the kinds and targets
+  kind: { type: String, required: true },
+  target: { type: mongoose.Schema.Types.Mixed, required: true },
+  bonus: { type: Number, required: true },
+  startDate: { type: Date, required: true },
+  // Exclusive, like season end dates
+  endDate: { type: Date, required: true },
+  // When the challenge was announced in the challenge channel
+  postedAt: { type: Date, default: null },
+  completions: [
+    {
+      _id: false,
+      userId: String,
+      username: String,
+      plateId: mongoose.Schema.Types.ObjectId,
+      plateText: String,
+      completedAt: Date,
+    },
+  ],
+});
+
+ChallengeSchema.index(
+  { guildId: 1, period: 1, startDate: 1 },
+  { unique: true }
+);
+ChallengeSchema.index({ guildId: 1, endDate: 1 });
+
+const Challenge = model("Challenge", ChallengeSchema);
+
+// State of a plate before or after a change, kept in the audit log
+const PlateSnapshotSchema = new mongoose.Schema(
+  {
+    country: String,
+    plateText: String,
+    plateType: String,
+    totalScore: Number,
+    status: String,
+    dateSpotted: Date,
+  },
+  { _id: false }
+);
+
+// Removals and corrections of plates, newest first
+const AuditLogSchema = new mongoose.Schema({
+  guildId: { type: String, required: true },
+  action: { type: String, enum: ["remove", "edit"], required: true },
+  plateId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  // Who made the change and whose collection it was in
+  actorId: { type: String, required: true },
+  actorName: { type: String, required: true },
+  targetUserId: { type: String, required: true },
+  targetUsername: { type: String, required: true },
+  before: { type: PlateSnapshotSchema, required: true },
+  after: { type: PlateSnapshotSchema, default: null },
+  reason: { type: String, default: null },
+  createdAt: { type: Date, default: Date.now },
+});
+
+AuditLogSchema.index({ guildId: 1, createdAt: -1 });
+
+const AuditLog = model("AuditLog", AuditLogSchema);
+
+// Plates offered in a trade, as they were when the offer was made
+const TradedPlateSchema = new mongoose.Schema(
+  {
+    plateId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    country: String,
+    plateText: String,
+    totalScore: Number,
+  },
+  { _id: false }
+);
+
+// Plate swaps and gifts between collectors. The buttons on the offer stay
+// usable across restarts, so the offer lives here until it is answered.
+const TradeSchema = new mongoose.Schema({
+  guildId: { type: String, required: true },
+  channelId: { type: String, default: null },
+  fromUserId: { type: String, required: true },
+  fromUsername: { type: String, required: true },
+  toUserId: { type: String, required: true },
+  toUsername: { type: String, required: true },
+  // Plates the offering collector gives away and wants back; no requested
+  // plates makes the trade a gift
+  offered: { type: [TradedPlateSchema], default: [] },
+  requested: { type: [TradedPlateSchema], default: [] },
+  status: {
+    type: String,
+    enum: ["pending", "accepted", "declined", "cancelled", "expired", "failed"],
+    default: "pending",
+  },
+  createdAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+  resolvedAt: { type: Date, default: null },
+});
+
+TradeSchema.index({ guildId: 1, fromUserId: 1, createdAt: -1 });
+TradeSchema.index({ guildId: 1, toUserId: 1, createdAt: -1 });
+
+const Trade = model("Trade", TradeSchema);
+
+// Personal preferences that follow a user across servers
+const UserSettingsSchema = new mongoose.Schema({
+  userId: { type: String, required: true, unique: true },
+  // Reply language chosen with /language; null follows the server's
+  locale: { type: String, enum: [...LOCALE_CODES, null], default: null },
+});
+
+const UserSettings = model("UserSettings", UserSettingsSchema);
+
+// Plates that count toward scores and rankings. Plates saved before
+// verification existed have no status and are treated as verified.
+const verifiedFilter = { status: { $ne: "pending" } };
+
+// Plates added through the bot rather than imported from a file. Imported
+// dates can't be checked, so only these count toward seasons, streaks and
+// achievements.
+const spottedFilter = { imported: { $ne: true } };
+
+/**
+ * Get the settings for a guild, falling back to defaults when none are saved
+ * @param {string} guildId - The Discord guild ID
+ * @returns {Promise<Object>} The guild settings document
+ */
+async function getGuildSettings(guildId) {
+  const settings = await GuildSettings.findOne({ guildId });
+  return settings || new GuildSettings({ guildId });
+}
+
+module.exports = {
+  Plate,
+  Sighting,
+  Achievement,
+  GuildSettings,
+  Season,
+  Challenge,
+  AuditLog,
+  Trade,
+  UserSettings,
+  verifiedFilter,
+  spottedFilter,
+  getGuildSettings,
+};
@@ -0,0 +1,149 @@
+// plateEdits.js
+// Removing and correcting stored plates, with an audit trail
+
+const { AuditLog } = require("./models");
+const { deletePlate, findPlates } = require("./plates");
+const { calculatePlateScore } = require("./scoring");
+const { getCountry, validatePlate } = require("./countries");
+
+/**
+ * Capture the parts of a plate worth keeping in the audit log
+ * @param {Object} plate - The plate document
+ * @returns {Object} Snapshot of the plate
+ */
+function getPlateSnapshot(plate) {
+  return {
+    country: plate.country,
+    plateText: plate.plateText,
+    plateType: plate.plateType,
+    totalScore: plate.totalScore,
+    status: plate.status,
+    dateSpotted: plate.dateSpotted,
+  };
+}
+
+/**
+ * Record a change in the audit log
+ * @param {string} action - "remove" or "edit"
+ * @param {Object} plate - The plate as it is after the change
+ * @param {Object} before - Snapshot from before the change
+ * @param {Object|null} after - Snapshot from after the change
+ * @param {Object} change - { actor, reason } with the Discord user who made it
+ * @returns {Promise<Object>} The audit log entry
+ */
+function recordChange(action, plate, before, after, change) {
+  return AuditLog.create({
+    guildId: plate.guildId,
+    action,
+    plateId: plate._id,
+    actorId: change.actor.id,
+    actorName: change.actor.username,
+    targetUserId: plate.userId,
+    targetUsername: plate.username,
+    before,
+    after,
+    reason: change.reason || null,
+  });
+}
+
+/**
+ * Delete a plate and its sightings from its collection
+ * @param {Object} plate - The plate document
+ * @param {Object} change - { actor, reason } with the Discord user removing it
+ * @returns {Promise<Object>} The audit log entry
+ */
+async function removePlate(plate, change) {
+  const before = getPlateSnapshot(plate);
+  await deletePlate(plate);
+  return recordChange("remove", plate, before, null, change);
+}
+
+/**
+ * Score a plate as it would be after a correction: with the current ruleset,
+ * from where it was first spotted and keeping its challenge and streak bonuses
+ * @param {Object} plate - The plate document
+ * @param {Object} correction - { country, plateText } with the normalized plate
+ * @returns {Object} calculatePlateScore() result, with the bonus included in
+ * totalScore
+ */
+function scoreCorrection(plate, correction) {
+  const result = calculatePlateScore(correction.plateText, {
+    country: correction.country,
+    spottedIn: plate.spottedProvince,
+  });
+  return {
+    ...result,
+    totalScore: result.totalScore + (plate.bonusScore || 0),
+  };
+}
+
+/**
+ * Correct a plate's text or country and score it again with the current
+ * ruleset. The spotting date, photo, sightings, challenge and streak bonuses
+ * and verification state are kept.
+ * @param {Object} plate - The plate document
+ * @param {Object} correction - { country, plateText } with the normalized plate
+ * @param {Object} change - { actor, reason } with the Discord user editing it
+ * @returns {Promise<Object>} The audit log entry
+ */
+async function editPlate(plate, correction, change) {
+  const before = getPlateSnapshot(plate);
+  const { totalScore, plateType, breakdown, parsed, rulesetVersion } =
+    scoreCorrection(plate, correction);
+
+  plate.set({
+    country: correction.country,
+    plateText: correction.plateText,
+    provinceCode: parsed.provinceCode,
+    letters: parsed.letters,
+    digits: parsed.digits,
+    plateType,
+    provinceScore: breakdown.province,
+    letterScore: breakdown.letters,
+    digitScore: breakdown.digits,
+    specialScore: breakdown.special,
+    farFromHomeScore: breakdown.farFromHome,
+    totalScore,
+    rulesetVersion,
+  });
+  await plate.save();
+
+  return recordChange("edit", plate, before, getPlateSnapshot(plate), change);
+}
+
+/**
+ * Find stored plates that the current format rules reject, or would store
+ * differently. Plates saved before a rule was added can break it.
+ * @param {Object} filter - Filter for the plates to check
+ * @returns {Promise<Object[]>} { plate, error, plateText } per plate needing
+ * a fix, with either the rule it breaks or how it would be stored now
+ */
+async function findInvalidPlates(filter) {
+  const invalid = [];
+  const plates = findPlates(filter, { sort: { dateSpotted: 1 } }).cursor();
+
+  for await (const plate of plates) {
+    const { plateText, error } = validatePlate(
+      getCountry(plate.country),
+      plate.plateText
+    );
+
+    if (error || plateText !== plate.plateText) {
+      invalid.push({
+        plate,
+        error: error || null,
+        plateText: plateText || null,
+      });
+    }
+  }
+
+  return invalid;
+}
+
+module.exports = {
+  getPlateSnapshot,
+  removePlate,
+  scoreCorrection,
+  editPlate,
+  findInvalidPlates,
+};
@@ -0,0 +1,312 @@
+// plates.js
+// Queries on collected plates and their sightings. Commands, the API and the
+// other modules go through these rather than the models, so every storage
+// backend only has to answer this small set of queries (see
+// storage/index.js). Only the startup migrations in index.js use the models.
+
+const { Plate, Sighting, spottedFilter, verifiedFilter } = require("./models");
+
+/**
+ * Find a plate in one user's collection, whatever its review status
+ * @param {Object} owner - { guildId, userId }
+ * @param {string} country - Country code of the plate
+ * @param {string} plateText - The normalized plate
+ * @returns {Promise<Object|null>} The plate document
+ */
+function findCollectedPlate({ guildId, userId }, country, plateText) {
+  return Plate.findOne({ guildId, userId, country, plateText });
+}
+
+/**
+ * Find a plate by its ID
+ * @param {*} id - The plate's _id
+ * @returns {Promise<Object|null>} The plate document
+ */
+function findPlate(id) {
+  return Plate.findById(id);
+}
+
+/**
+ * Plates matching a filter, whatever their review status
+ * @param {Object} filter - Conditions on the plate fields
+ * @param {Object} [options] - { sort }
+ * @returns {Query} The plate documents when awaited; supports skip(), limit()
+ *   and cursor()
+ */
+function findPlates(filter, { sort } = {}) {
+  const query = Plate.find(filter);
+  return sort ? query.sort(sort) : query;
+}
+
+/**
+ * Count the plates matching a filter, whatever their review status
+ * @param {Object} filter - Conditions on the plate fields
+ * @returns {Promise<number>} The count
+ */
+function countPlates(filter) {
+  return Plate.countDocuments(filter);
+}
+
+/**
+ * Check whether a plate matching a filter exists
+ * @param {Object} filter - Conditions on the plate fields
+ * @param {Object} [session] - Transaction session the check is part of
+ * @returns {Promise<boolean>} True if one does
+ */
+async function hasPlate(filter, session) {
+  return Boolean(await Plate.exists(filter).session(session || null));
+}
+
+/**
+ * Add a plate to a collection together with its first sighting
+ * @param {Object} fields - The plate's fields, see PlateSchema
+ * @param {Object} sighting - The sighting's fields besides the plate and who
+ *   collected it, e.g. { channelId, location, note, photoUrl }
+ * @returns {Promise<Object>} The saved plate document
+ */
+async function addPlate(fields, sighting) {
+  const plate = await Plate.create(fields);
+  await addSighting(plate, { spottedAt: plate.dateSpotted, ...sighting });
+  return plate;
+}
+
+/**
+ * Add many plates at once, e.g. from an imported file, each with its first
+ * sighting
+ * @param {Object[]} entries - { plate, sighting } with the fields of each, see
+ *   addPlate()
+ * @param {Object} [session] - Transaction session the inserts are part of
+ * @returns {Promise<Object[]>} The saved plate documents, in entry order
+ */
+async function addPlates(entries, session) {
+  if (entries.length === 0) return [];
+
+  const plates = await Plate.insertMany(
+    entries.map(({ plate }) => plate),
+    { session }
+  );
+  await Sighting.insertMany(
+    plates.map((plate, index) => ({
+      plateId: plate._id,
+      guildId: plate.guildId,
+      userId: plate.userId,
+      username: plate.username,
+      spottedAt: plate.dateSpotted,
+      ...entries[index].sighting,
+    })),
+    { session }
+  );
+  return plates;
+}
+
+/**
+ * Give plates new field values, e.g. new scores
+ * @param {Object[]} updates - { id, fields } per plate
+ * @returns {Promise<void>}
+ */
+async function updatePlates(updates) {
+  if (updates.length === 0) return;
+
+  await Plate.bulkWrite(
+    updates.map(({ id, fields }) => ({
+      updateOne: { filter: { _id: id }, update: { $set: fields } },
+    }))
+  );
+}
+
+/**
+ * Move a plate to another collector's collection
+ * @param {*} id - The plate's _id
+ * @param {Object} collector - { userId, username } of the new owner
+ * @param {Object} [session] - Transaction session the move is part of
+ * @returns {Promise<void>}
+ */
+async function transferPlate(id, { userId, username }, session) {
+  await Plate.updateOne(
+    { _id: id },
+    { $set: { userId, username } },
+    { session }
+  );
+}
+
+/**
+ * Delete a plate and every sighting of it
+ * @param {Object} plate - The plate document
+ * @returns {Promise<void>}
+ */
+async function deletePlate(plate) {
+  await plate.deleteOne();
+  await Sighting.deleteMany({ plateId: plate._id });
+}
+
+/**
+ * Record that a collector saw one of their plates
+ * @param {Object} plate - The collected plate
+ * @param {Object} details - { channelId, location, note, photoUrl, spottedAt };
+ *   username defaults to the plate's collector
+ * @returns {Promise<number>} How many times the plate has been seen now
+ */
+async function addSighting(plate, details) {
+  await Sighting.create({
+    plateId: plate._id,
+    guildId: plate.guildId,
+    userId: plate.userId,
+    username: plate.username,
+    ...details,
+  });
+  return Sighting.countDocuments({ plateId: plate._id });
+}
+
+/**
+ * The plates a user has collected
+ * @param {string} userId - The collector
+ * @param {Object} filter - Scope and other conditions, e.g. { guildId, country }
+ * @param {Object} [options] - { sort, pending: true for plates awaiting review
+ *   instead of verified ones }
+ * @returns {Promise<Object[]>} The plate documents
+ */
+function getCollection(userId, filter, { sort, pending = false } = {}) {
+  const query = Plate.find({
+    ...filter,
+    ...(pending ? { status: "pending" } : verifiedFilter),
+    userId,
+  });
+  return sort ? query.sort(sort) : query;
+}
+
+/**
+ * Rank collectors by the summed score of their verified plates
+ * @param {Object} filter - Scope and other conditions, e.g. a season's dates
+ * @param {number} [limit] - Most collectors to return
+ * @returns {Promise<Object[]>} Entries { _id: { userId, username },
+ *   totalScore, plateCount, uniqueProvinces }, best first
+ */
+function getLeaderboard(filter, limit) {
+  return Plate.leaderboard({ ...filter, ...verifiedFilter }, limit);
+}
+
+/**
+ * Everyone who collected a plate and every time it was seen
+ * @param {Object} filter - Scope, e.g. { guildId }
+ * @param {string} country - Country code of the plate
+ * @param {string} plateText - The normalized plate
+ * @returns {Promise<Object>} { plates } first collected first, and
+ *   { sightings } newest first
+ */
+async function getPlateHistory(filter, country, plateText) {
+  const plates = await Plate.find({
+    ...filter,
+    ...verifiedFilter,
+    country,
+    plateText,
+  }).sort({ dateSpotted: 1 });
+
+  const sightings = plates.length
+    ? await Sighting.find({
+        plateId: { $in: plates.map((plate) => plate._id) },
+      }).sort({ spottedAt: -1 })
+    : [];
+
+  return { plates, sightings };
+}
+
+/**
+ * The highest-scoring verified plates
+ * @param {Object} filter - Scope and other conditions, e.g. { guildId }
+ * @param {number} [limit] - Most plates to return
+ * @returns {Promise<Object[]>} The plate documents, best first
+ */
+function getTopPlates(filter, limit = 10) {
+  return Plate.find({ ...filter, ...verifiedFilter })
+    .sort({ totalScore: -1 })
+    .limit(limit);
+}
+
+/**
+ * Plate counts and scores per region of the verified plates
+ * @param {Object} filter - Scope and other conditions, e.g. { country }
+ * @returns {Promise<Object[]>} Entries { _id: region code, plateCount,
+ *   totalScore, collectors }
+ */
+function getProvinceTotals(filter) {
+  return Plate.provinceTotals({ ...filter, ...verifiedFilter });
+}
+
+/**
+ * The verified plates whose text matches a pattern, most collected first
+ * @param {Object} filter - Scope and other conditions, e.g. { country }
+ * @param {string} pattern - Regular expression the plate text must match
+ * @param {number} [limit] - Most plates to return
+ * @returns {Promise<Object[]>} Entries { _id: plate text, collectors }
+ */
+function findPopularPlates(filter, pattern, limit = 25) {
+  return Plate.popularPlates(
+    { ...filter, ...verifiedFilter, plateText: { $regex: pattern } },
+    limit
+  );
+}
+
+/**
+ * What each collector spotted, and on which days. Imported plates are left
+ * out, their dates aren't when they were added.
+ * @param {Object} filter - Scope and other conditions, e.g. a week's dates
+ * @returns {Promise<Object[]>} Entries { _id: { userId, username },
+ *   plateCount, totalScore, days }, most plates first
+ */
+function getCollectorActivity(filter) {
+  return Plate.collectorActivity({
+    ...filter,
+    ...verifiedFilter,
+    ...spottedFilter,
+  });
+}
+
+/**
+ * How many plates a user spotted on each day, leaving out imported plates
+ * @param {string} userId - The collector
+ * @param {Object} filter - Scope and other conditions, e.g. { guildId }
+ * @returns {Promise<Object[]>} Entries { _id: UTC date like "2026-10-19",
+ *   plateCount, totalScore }, earliest first
+ */
+function getDailyActivity(userId, filter) {
+  return Plate.dailyActivity({
+    ...filter,
+    ...verifiedFilter,
+    ...spottedFilter,
+    userId,
+  });
+}
+
+/**
+ * Provinces nobody had collected a plate from before a date
+ * @param {Object} filter - Scope, e.g. { guildId }
+ * @param {Date} since - The date
+ * @returns {Promise<Object[]>} Entries { _id: { country, provinceCode },
+ *   firstSpotted, username }, first reached first
+ */
+function getNewProvinces(filter, since) {
+  return Plate.provinceFirsts({ ...filter, ...verifiedFilter }, since);
+}
+
+module.exports = {
+  findPlate,
+  findPlates,
+  countPlates,
+  hasPlate,
+  findCollectedPlate,
+  addPlate,
+  addPlates,
+  updatePlates,
+  transferPlate,
+  deletePlate,
+  addSighting,
+  getCollection,
+  getLeaderboard,
+  getPlateHistory,
+  getTopPlates,
+  getProvinceTotals,
+  findPopularPlates,
+  getCollectorActivity,
+  getDailyActivity,
+  getNewProvinces,
+};
@@ -0,0 +1,238 @@
+// png.js
+// Minimal raster drawing and PNG encoding, so images can be generated
+// without native dependencies
+
+const zlib = require("zlib");
+
+// 3x5 pixel glyphs, one string per row
+const FONT = {
+  0: ["111", "101", "101", "101", "111"],
+  1: ["010", "110", "010", "010", "111"],
+  2: ["111", "001", "111", "100", "111"],
+  3: ["111", "001", "111", "001", "111"],
+  4: ["101", "101", "111", "001", "001"],
+  5: ["111", "100", "111", "001", "111"],
+  6: ["111", "100", "111", "101", "111"],
+  7: ["111", "001", "001", "001", "001"],
+  8: ["111", "101", "111", "101", "111"],
+  9: ["111", "101", "111", "001", "111"],
+  K: ["101", "101", "110", "101", "101"],
+  M: ["101", "111", "111", "101", "101"],
+  " ": ["000", "000", "000", "000", "000"],
+  "-": ["000", "000", "111", "000", "000"],
+  ".": ["000", "000", "000", "000", "010"],
+  "+": ["000", "010", "111", "010", "000"],
+  "%": ["101", "001", "010", "100", "101"],
+};
+
+const GLYPH_WIDTH = 3;
+
+/**
+ * Parse a "#RRGGBB" colour
+ * @param {string} hex - The colour
+ * @returns {number[]} [r, g, b]
+ */
+function parseColor(hex) {
+  const value = parseInt(hex.replace("#", ""), 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
+
+/**
+ * Blend between colour stops
+ * @param {string[]} stops - "#RRGGBB" colours from low to high
+ * @param {number} t - Position between 0 and 1
+ * @returns {number[]} [r, g, b]
+ */
+function interpolateColor(stops, t) {
+  const clamped = Math.min(1, Math.max(0, t));
+  const position = clamped * (stops.length - 1);
+  const index = Math.min(Math.floor(position), stops.length - 2);
+  const from = parseColor(stops[index]);
+  const to = parseColor(stops[index + 1]);
+  const local = position - index;
+
+  return from.map((channel, i) =>
+    Math.round(channel + (to[i] - channel) * local)
+  );
+}
+
+/**
+ * Pick black or white text for readability on a background
+ * @param {number[]} background - [r, g, b]
+ * @returns {number[]} [r, g, b]
+ */
+function getContrastColor(background) {
+  const [r, g, b] = background;
+  const luminance = 0.299 * r + 0.587 * g + 0.114 * b;
+  return luminance > 140 ? [32, 34, 37] : [255, 255, 255];
+}
+
+/**
+ * Create an RGB image filled with one colour
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @param {number[]} color - Background [r, g, b]
+ * @returns {Object} Image { width, height, pixels }
+ */
+function createImage(width, height, color) {
+  const pixels = Buffer.alloc(width * height * 3);
+  for (let i = 0; i < pixels.length; i += 3) {
+    pixels[i] = color[0];
+    pixels[i + 1] = color[1];
+    pixels[i + 2] = color[2];
+  }
+  return { width, height, pixels };
+}
+
+/**
+ * Fill a rectangle, clipped to the image
+ * @param {Object} image - Image from createImage()
+ * @param {number} x - Left edge
+ * @param {number} y - Top edge
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @param {number[]} color - Fill [r, g, b]
+ */
+function fillRect(image, x, y, width, height, color) {
+  const left = Math.max(0, Math.round(x));
+  const top = Math.max(0, Math.round(y));
+  const right = Math.min(image.width, Math.round(x + width));
+  const bottom = Math.min(image.height, Math.round(y + height));
+
+  for (let row = top; row < bottom; row++) {
+    for (let col = left; col < right; col++) {
+      const offset = (row * image.width + col) * 3;
+      image.pixels[offset] = color[0];
+      image.pixels[offset + 1] = color[1];
+      image.pixels[offset + 2] = color[2];
+    }
+  }
+}
+
+/**
+ * Width of a text drawn with drawText()
+ * @param {string} text - Text made of FONT characters
+ * @param {number} scale - Size of one font pixel
+ * @returns {number} Width in pixels
+ */
+function measureText(text, scale) {
+  if (!text.length) return 0;
+  return (text.length * (GLYPH_WIDTH + 1) - 1) * scale;
+}
+
+/**
+ * Draw text with the built-in pixel font. Characters missing from the font
+ * are drawn as spaces.
+ * @param {Object} image - Image from createImage()
+ * @param {string} text - Text to draw
+ * @param {number} x - Left edge
+ * @param {number} y - Top edge
+ * @param {number} scale - Size of one font pixel
+ * @param {number[]} color - Text [r, g, b]
+ */
+function drawText(image, text, x, y, scale, color) {
+  [...String(text)].forEach((char, i) => {
+    const glyph = FONT[char] || FONT[" "];
+    const left = x + i * (GLYPH_WIDTH + 1) * scale;
+
+    glyph.forEach((row, rowIndex) => {
+      [...row].forEach((bit, colIndex) => {
+        if (bit === "1") {
+          fillRect(
+            image,
+            left + colIndex * scale,
+            y + rowIndex * scale,
+            scale,
+            scale,
+            color
+          );
+        }
+      });
+    });
+  });
+}
+
+// CRC-32 lookup table used by PNG chunks
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+/**
+ * Calculate the CRC-32 of a buffer
+ * @param {Buffer} buffer - The data
+ * @returns {number} Unsigned CRC
+ */
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 255] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Build a PNG chunk
+ * @param {string} type - Four letter chunk type
+ * @param {Buffer} data - Chunk contents
+ * @returns {Buffer} Length, type, data and CRC
+ */
+function createChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+
+  const typeAndData = Buffer.concat([Buffer.from(type, "ascii"), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(typeAndData));
+
+  return Buffer.concat([length, typeAndData, crc]);
+}
+
+/**
+ * Encode an image as a PNG file
+ * @param {Object} image - Image from createImage()
+ * @returns {Buffer} PNG file contents
+ */
+function encodePng(image) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(image.width, 0);
+  header.writeUInt32BE(image.height, 4);
+  header[8] = 8; // Bit depth
+  header[9] = 2; // Colour type: RGB
+  header[10] = 0; // Compression
+  header[11] = 0; // Filter
+  header[12] = 0; // Interlace
+
+  // Every scanline starts with its filter type, 0 (none)
+  const rowLength = image.width * 3;
+  const raw = Buffer.alloc((rowLength + 1) * image.height);
+  for (let row = 0; row < image.height; row++) {
+    image.pixels.copy(
+      raw,
+      row * (rowLength + 1) + 1,
+      row * rowLength,
+      (row + 1) * rowLength
+    );
+  }
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    createChunk("IHDR", header),
+    createChunk("IDAT", zlib.deflateSync(raw)),
+    createChunk("IEND", Buffer.alloc(0)),
+  ]);
+}
+
+module.exports = {
+  parseColor,
+  interpolateColor,
+  getContrastColor,
+  createImage,
+  fillRect,
+  measureText,
+  drawText,
+  encodePng,
+};
@@ -0,0 +1,232 @@
+// provinceMap.js
+// Renders Turkey's provinces as a tile map coloured by plate counts or scores
+
+const {
+  parseColor,
+  interpolateColor,
+  getContrastColor,
+  createImage,
+  fillRect,
+  measureText,
+  drawText,
+  encodePng,
+} = require("./png");
+
+// Tile position [column, row] of each province, laid out roughly where the
+// province lies on a map of Turkey
+const PROVINCE_GRID = {
+  22: [0, 0], // Edirne
+  39: [1, 0], // Kırklareli
+  74: [7, 0], // Bartın
+  57: [9, 0], // Sinop
+
+  59: [1, 1], // Tekirdağ
+  34: [2, 1], // Istanbul
+  41: [3, 1], // Kocaeli
+  54: [4, 1], // Sakarya
+  81: [5, 1], // Düzce
+  67: [6, 1], // Zonguldak
+  78: [7, 1], // Karabük
+  37: [8, 1], // Kastamonu
+  55: [10, 1], // Samsun
+  52: [11, 1], // Ordu
+  28: [12, 1], // Giresun
+  61: [13, 1], // Trabzon
+  53: [14, 1], // Rize
+  "08": [15, 1], // Artvin
+  75: [16, 1], // Ardahan
+
+  17: [0, 2], // Çanakkale
+  16: [2, 2], // Bursa
+  77: [3, 2], // Yalova
+  11: [4, 2], // Bilecik
+  14: [5, 2], // Bolu
+  18: [6, 2], // Çankırı
+  19: [7, 2], // Çorum
+  "05": [8, 2], // Amasya
+  60: [9, 2], // Tokat
+  29: [11, 2], // Gümüşhane
+  69: [12, 2], // Bayburt
+  25: [13, 2], // Erzurum
+  36: [15, 2], // Kars
+
+  10: [1, 3], // Balıkesir
+  43: [2, 3], // Kütahya
+  26: [3, 3], // Eskişehir
+  "06": [5, 3], // Ankara
+  71: [6, 3], // Kırıkkale
+  40: [7, 3], // Kırşehir
+  66: [8, 3], // Yozgat
+  58: [9, 3], // Sivas
+  24: [11, 3], // Erzincan
+  62: [12, 3], // Tunceli
+  "04": [14, 3], // Ağrı
+  76: [15, 3], // Iğdır
+
+  35: [0, 4], // İzmir
+  45: [1, 4], // Manisa
+  64: [2, 4], // Uşak
+  "03": [3, 4], // Afyonkarahisar
+  68: [6, 4], // Aksaray
+  50: [7, 4], // Nevşehir
+  38: [8, 4], // Kayseri
+  44: [10, 4], // Malatya
+  23: [11, 4], // Elazığ
+  12: [12, 4], // Bingöl
+  49: [13, 4], // Muş
+  13: [14, 4], // Bitlis
+  65: [15, 4], // Van
+
+  "09": [1, 5], // Aydın
+  20: [2, 5], // Denizli
+  15: [3, 5], // Burdur
+  32: [4, 5], // Isparta
+  42: [5, 5], // Konya
+  51: [7, 5], // Niğde
+  46: [9, 5], // Kahramanmaraş
+  "02": [10, 5], // Adıyaman
+  21: [11, 5], // Diyarbakır
+  72: [12, 5], // Batman
+  56: [13, 5], // Siirt
+  73: [14, 5], // Şırnak
+  30: [15, 5], // Hakkari
+
+  48: [1, 6], // Muğla
+  "07": [4, 6], // Antalya
+  70: [6, 6], // Karaman
+  33: [7, 6], // Mersin
+  "01": [8, 6], // Adana
+  80: [9, 6], // Osmaniye
+  27: [10, 6], // Gaziantep
+  63: [11, 6], // Şanlıurfa
+  47: [12, 6], // Mardin
+
+  31: [9, 7], // Hatay
+  79: [10, 7], // Kilis
+};
+
+const TILE_SIZE = 44;
+const TILE_GAP = 4;
+const MARGIN = 16;
+const LEGEND_HEIGHT = 40;
+
+const BACKGROUND = parseColor("#2B2D31");
+const EMPTY_TILE = parseColor("#4E5058");
+
+// Colour scale from few to many plates
+const HEAT_COLORS = ["#FFF3B0", "#F4A259", "#E05A47", "#8C1C3A"];
+
+/**
+ * Colour for a province value on the heat scale. Uses a square root scale
+ * so a single busy province doesn't wash out all the others.
+ * @param {number} value - The province's value
+ * @param {number} max - The highest value on the map
+ * @returns {number[]} [r, g, b]
+ */
+function getHeatColor(value, max) {
+  if (!value) return EMPTY_TILE;
+  return interpolateColor(HEAT_COLORS, Math.sqrt(value / max));
+}
+
+/**
+ * Render the province map as a PNG
+ * @param {Object} values - Count or score by province code (e.g. { "34": 5 })
+ * @returns {Buffer} PNG file contents
+ */
+function renderProvinceMap(values) {
+  const positions = Object.values(PROVINCE_GRID);
+  const columns = Math.max(...positions.map(([col]) => col)) + 1;
+  const rows = Math.max(...positions.map(([, row]) => row)) + 1;
+  const step = TILE_SIZE + TILE_GAP;
+
+  const width = MARGIN * 2 + columns * step - TILE_GAP;
+  const mapHeight = rows * step - TILE_GAP;
+  const height = MARGIN * 2 + mapHeight + LEGEND_HEIGHT;
+  const image = createImage(width, height, BACKGROUND);
+
+  const max = Math.max(0, ...Object.values(values));
+
+  Object.entries(PROVINCE_GRID).forEach(([code, [col, row]]) => {
+    const x = MARGIN + col * step;
+    const y = MARGIN + row * step;
+    const color = getHeatColor(values[code] || 0, max);
+    fillRect(image, x, y, TILE_SIZE, TILE_SIZE, color);
+
+    // Province code in the top half, its value below
+    const textColor = getContrastColor(color);
+    drawText(
+      image,
+      code,
+      x + (TILE_SIZE - measureText(code, 3)) / 2,
+      y + 5,
+      3,
+      textColor
+    );
+
+    if (values[code]) {
+      const label = formatValue(values[code]);
+      drawText(
+        image,
+        label,
+        x + (TILE_SIZE - measureText(label, 2)) / 2,
+        y + TILE_SIZE - 15,
+        2,
+        textColor
+      );
+    }
+  });
+
+  drawLegend(image, MARGIN, MARGIN + mapHeight + 14, max);
+
+  return encodePng(image);
+}
+
+/**
+ * Draw the colour scale from 0 to the map's highest value
+ * @param {Object} image - Image to draw on
+ * @param {number} x - Left edge
+ * @param {number} y - Top edge
+ * @param {number} max - The highest value on the map
+ */
+function drawLegend(image, x, y, max) {
+  const barWidth = 240;
+  const barHeight = 14;
+  const textColor = [220, 221, 222];
+
+  drawText(image, "0", x, y + 2, 2, textColor);
+  const barLeft = x + measureText("0", 2) + 8;
+
+  for (let i = 0; i < barWidth; i++) {
+    fillRect(
+      image,
+      barLeft + i,
+      y,
+      1,
+      barHeight,
+      interpolateColor(HEAT_COLORS, Math.sqrt(i / (barWidth - 1)))
+    );
+  }
+
+  drawText(
+    image,
+    formatValue(max),
+    barLeft + barWidth + 8,
+    y + 2,
+    2,
+    textColor
+  );
+}
+
+/**
+ * Shorten large values so they fit on a tile
+ * @param {number} value - The value
+ * @returns {string} e.g. "950", "12.5K" or "1.2M"
+ */
+function formatValue(value) {
+  const rounded = Math.round(value);
+  if (rounded < 10000) return String(rounded);
+  if (rounded < 1000000) return `${Math.round(rounded / 100) / 10}K`;
+  return `${Math.round(rounded / 100000) / 10}M`;
+}
+
+module.exports = { PROVINCE_GRID, renderProvinceMap };
@@ -0,0 +1,115 @@
+// rescore.js
+// Recalculate stored plate scores after the scoring ruleset changes
+
+const { findPlates, updatePlates } = require("./plates");
+const { calculatePlateScore } = require("./scoring");
+const { PlateParseError } = require("./countries/errors");
+const { t } = require("./i18n");
+
+// Number of plate updates written at once
+const BATCH_SIZE = 500;
+
+/**
+ * Rescore stored plates with the given ruleset
+ * @param {Object} ruleset - The scoring ruleset to apply
+ * @param {Object} filter - The plates to rescore, e.g. { guildId }
+ * @returns {Promise<Object>} Counts { scanned, updated, invalid }, where invalid
+ * plates break the format rules and keep their old score
+ */
+async function rescorePlates(ruleset, filter) {
+  let scanned = 0;
+  let updated = 0;
+  let invalid = 0;
+  let updates = [];
+
+  const flush = async () => {
+    await updatePlates(updates);
+    updates = [];
+  };
+
+  for await (const plate of findPlates(filter).cursor()) {
+    scanned++;
+
+    let score;
+    try {
+      score = calculatePlateScore(plate.plateText, {
+        country: plate.country,
+        ruleset,
+        spottedIn: plate.spottedProvince,
+      });
+    } catch (err) {
+      if (!(err instanceof PlateParseError)) throw err;
+      invalid++;
+      continue;
+    }
+
+    // Challenge and streak bonuses aren't part of the ruleset and are kept
+    const { plateType, breakdown } = score;
+    const totalScore = score.totalScore + (plate.bonusScore || 0);
+
+    const changed =
+      plate.totalScore !== totalScore ||
+      plate.plateType !== plateType ||
+      plate.rulesetVersion !== ruleset.version;
+    if (!changed) continue;
+
+    if (plate.totalScore !== totalScore) updated++;
+
+    updates.push({
+      id: plate._id,
+      fields: {
+        plateType,
+        provinceScore: breakdown.province,
+        letterScore: breakdown.letters,
+        digitScore: breakdown.digits,
+        specialScore: breakdown.special,
+        farFromHomeScore: breakdown.farFromHome,
+        totalScore,
+        rulesetVersion: ruleset.version,
+      },
+    });
+
+    if (updates.length >= BATCH_SIZE) await flush();
+  }
+
+  await flush();
+
+  return { scanned, updated, invalid };
+}
+
+/**
+ * Compare two leaderboards and describe how each collector moved
+ * @param {Object[]} before - Leaderboard from getLeaderboard() before rescoring
+ * @param {Object[]} after - Leaderboard from getLeaderboard() after rescoring
+ * @param {string} locale - Locale code of the lines
+ * @returns {string[]} One line per collector, in the new ranking order
+ */
+function describeRankingChanges(before, after, locale) {
+  const previous = {};
+  before.forEach((entry, i) => {
+    previous[entry._id.userId] = { rank: i + 1, totalScore: entry.totalScore };
+  });
+
+  return after.map((entry, i) => {
+    const rank = i + 1;
+    const old = previous[entry._id.userId];
+
+    let movement = "🆕";
+    if (old) {
+      const diff = old.rank - rank;
+      if (diff > 0) movement = `🔼 ${diff}`;
+      else if (diff < 0) movement = `🔽 ${-diff}`;
+      else movement = "➖";
+    }
+
+    return t(locale, "rescore.rankingLine", {
+      rank,
+      username: entry._id.username,
+      before: old ? old.totalScore : 0,
+      after: entry.totalScore,
+      movement,
+    });
+  });
+}
+
+module.exports = { rescorePlates, describeRankingChanges };
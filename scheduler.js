@@ -0,0 +1,226 @@
+// scheduler.js
+// Background jobs that run while the bot is online
+
+const { EmbedBuilder } = require("discord.js");
+const {
+  Season,
+  Challenge,
+  GuildSettings,
+  getGuildSettings,
+} = require("./models");
+const {
+  getActiveSeason,
+  archiveSeason,
+  formatSeasonDates,
+  formatPodium,
+  getSeasonName,
+} = require("./seasons");
+const { getActiveChallenges, describeChallenge } = require("./challenges");
+const { getDigestWeek, buildDigest } = require("./digest");
+const { t } = require("./i18n");
+
+// How often ended seasons are checked for
+const SEASON_CHECK_INTERVAL = 5 * 60 * 1000;
+
+// How often new challenges are looked for and posted
+const CHALLENGE_CHECK_INTERVAL = 5 * 60 * 1000;
+
+// How often guilds are checked for a weekly recap that is due
+const DIGEST_CHECK_INTERVAL = 5 * 60 * 1000;
+
+/**
+ * Archive every season that has ended, announce the results and open the
+ * next season. Also opens a first season in guilds that don't have one yet.
+ * @param {Client} client - The logged in Discord client
+ */
+async function rolloverSeasons(client) {
+  const ended = await Season.find({
+    archivedAt: null,
+    endDate: { $lte: new Date() },
+  }).sort({ endDate: 1 });
+
+  for (const season of ended) {
+    const archived = await archiveSeason(season);
+    // Already handled by an earlier run
+    if (!archived) continue;
+
+    const next = await getActiveSeason(season.guildId);
+    await announceSeasonResults(client, archived, next);
+  }
+
+  for (const guildId of client.guilds.cache.keys()) {
+    await getActiveSeason(guildId);
+  }
+}
+
+/**
+ * Post the final standings of a season in the guild's announcement channel,
+ * in the guild's language
+ * @param {Client} client - The logged in Discord client
+ * @param {Object} season - The archived season
+ * @param {Object} next - The season that follows it
+ */
+async function announceSeasonResults(client, season, next) {
+  const settings = await getGuildSettings(season.guildId);
+  if (!settings.announcementChannelId) return;
+
+  try {
+    const channel = await client.channels.fetch(settings.announcementChannelId);
+
+    const { locale } = settings;
+    const embed = new EmbedBuilder()
+      .setTitle(
+        t(locale, "season.overTitle", {
+          name: getSeasonName(season, locale),
+        })
+      )
+      .setDescription(
+        t(locale, "season.overDescription", {
+          dates: formatSeasonDates(season),
+        })
+      )
+      .addFields(
+        {
+          name: t(locale, "season.finalStandings"),
+          value: formatPodium(season.podium, locale),
+        },
+        {
+          name: t(locale, "season.nextSeason"),
+          value: t(locale, "season.nextSeasonValue", {
+            name: getSeasonName(next, locale),
+            dates: formatSeasonDates(next),
+          }),
+        }
+      )
+      .setColor("#FFD700");
+
+    await channel.send({ embeds: [embed] });
+  } catch (err) {
+    console.error(
+      `Error announcing season results in guild ${season.guildId}:`,
+      err
+    );
+  }
+}
+
+/**
+ * Open the day's and week's challenges in every guild and post the new ones
+ * in guilds with a challenge channel, in the guild's language
+ * @param {Client} client - The logged in Discord client
+ */
+async function postChallenges(client) {
+  for (const guildId of client.guilds.cache.keys()) {
+    const challenges = await getActiveChallenges(guildId);
+    const unposted = challenges.filter((challenge) => !challenge.postedAt);
+    if (unposted.length === 0) continue;
+
+    const settings = await getGuildSettings(guildId);
+    if (!settings.challengeChannelId) continue;
+
+    // Claim the challenges first so a slow post isn't repeated by the next run
+    await Challenge.updateMany(
+      { _id: { $in: unposted.map((c) => c._id) }, postedAt: null },
+      { $set: { postedAt: new Date() } }
+    );
+
+    try {
+      const channel = await client.channels.fetch(settings.challengeChannelId);
+
+      const { locale } = settings;
+      const embed = new EmbedBuilder()
+        .setTitle(t(locale, "challenges.postedTitle"))
+        .setDescription(t(locale, "challenges.postedDescription"))
+        .addFields(
+          unposted.map((challenge) => ({
+            name: t(locale, "challenges.postedHeading", {
+              period: t(locale, `challenges.periods.${challenge.period}`),
+              bonus: challenge.bonus,
+            }),
+            value: t(locale, "challenges.postedDetails", {
+              challenge: describeChallenge(challenge, locale),
+              time: `<t:${Math.floor(challenge.endDate.getTime() / 1000)}:R>`,
+            }),
+          }))
+        )
+        .setColor("#E67E22");
+
+      await channel.send({ embeds: [embed] });
+    } catch (err) {
+      console.error(`Error posting challenges in guild ${guildId}:`, err);
+    }
+  }
+}
+
+/**
+ * Post the weekly recap in every guild with a recap channel whose recap time
+ * has come since the last one
+ * @param {Client} client - The logged in Discord client
+ * @param {Date} [now] - The current time
+ */
+async function postDigests(client, now = new Date()) {
+  for (const guildId of client.guilds.cache.keys()) {
+    const settings = await getGuildSettings(guildId);
+    if (!settings.digestChannelId) continue;
+
+    const week = getDigestWeek(settings, now);
+    if (settings.lastDigestAt && settings.lastDigestAt >= week.end) continue;
+
+    // Claim the week first so a slow post isn't repeated by the next run
+    const claim = await GuildSettings.updateOne(
+      {
+        guildId,
+        $or: [{ lastDigestAt: null }, { lastDigestAt: { $lt: week.end } }],
+      },
+      { $set: { lastDigestAt: week.end } }
+    );
+    if (claim.modifiedCount === 0) continue;
+
+    try {
+      // Quiet weeks get no recap
+      const embed = await buildDigest(guildId, week, settings.locale);
+      if (!embed) continue;
+
+      const channel = await client.channels.fetch(settings.digestChannelId);
+      await channel.send({ embeds: [embed] });
+    } catch (err) {
+      console.error(`Error posting the weekly recap in guild ${guildId}:`, err);
+    }
+  }
+}
+
+/**
+ * Start the background jobs
+ * @param {Client} client - The logged in Discord client
+ */
+function startScheduler(client) {
+  const checkSeasons = () =>
+    rolloverSeasons(client).catch((err) =>
+      console.error("Error rolling over seasons:", err)
+    );
+
+  const checkChallenges = () =>
+    postChallenges(client).catch((err) =>
+      console.error("Error posting challenges:", err)
+    );
+
+  checkSeasons();
+  setInterval(checkSeasons, SEASON_CHECK_INTERVAL);
+
+  checkChallenges();
+  setInterval(checkChallenges, CHALLENGE_CHECK_INTERVAL);
+
+  const checkDigests = () =>
+    postDigests(client).catch((err) =>
+      console.error("Error posting weekly recaps:", err)
+    );
+
+  checkDigests();
+  setInterval(checkDigests, DIGEST_CHECK_INTERVAL);
+}
+
+module.exports = {
+  startScheduler,
+  rolloverSeasons,
+  postChallenges,
+  postDigests,
+};
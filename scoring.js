@@ -1,188 +1,186 @@
 // scoring.js
-// Turkish license plate scoring system with automatic plate type detection
-
-// Province rarity tiers based on population size and vehicle registrations
-const provinceTiers = {
-  // Tier 1 (Major Cities, High Registration): 0 points
-  "01": 1.5, // Adana
-  "06": 1.5, // Ankara (capital)
-  "07": 1.5, // Antalya
-  "16": 1.5, // Bursa
-  "34": 1.5, // Istanbul (largest city)
-  "35": 1.5, // Izmir
-
-  // Tier 2 (Mid-sized Provinces): 10 points
-  "02": 2.5, // Adıyaman
-  "04": 2.5, // Ağrı
-  "09": 2.5, // Aydın
-  "10": 2.5, // Balıkesir
-  "11": 2.5, // Bilecik
-  "20": 2.5, // Denizli
-  "21": 2.5, // Diyarbakır
-  "25": 2.5, // Erzurum
-  "26": 2.5, // Eskişehir
-  "27": 2.5, // Gaziantep
-  "31": 2.5, // Hatay
-  "38": 2.5, // Kayseri
-  "41": 2.5, // Kocaeli
-  "42": 2.5, // Konya
-  "43": 2.5, // Kütahya
-  "44": 2.5, // Malatya
-  "45": 2.5, // Manisa
-  "46": 2.5, // Kahramanmaraş
-  "47": 2.5, // Mardin
-  "48": 2.5, // Muğla
-  "54": 2.5, // Sakarya
-  "55": 2.5, // Samsun
-  "59": 2.5, // Tekirdağ
-  "61": 2.5, // Trabzon
-
-  // Tier 3 (Smaller Provinces): 25 points
-  "03": 5, // Afyonkarahisar
-  "05": 5, // Amasya
-  "08": 5, // Artvin
-  "12": 5, // Bingöl
-  "13": 5, // Bitlis
-  "14": 5, // Bolu
-  "15": 5, // Burdur
-  "17": 5, // Çanakkale
-  "18": 5, // Çankırı
-  "19": 5, // Çorum
-  "22": 5, // Edirne
-  "23": 5, // Elazığ
-  "24": 5, // Erzincan
-  "28": 5, // Giresun
-  "29": 5, // Gümüşhane
-  "30": 5, // Hakkari
-  "32": 5, // Isparta
-  "36": 5, // Kars
-  "37": 5, // Kastamonu
-  "39": 5, // Kırklareli
-  "40": 5, // Kırşehir
-  "49": 5, // Muş
-  "50": 5, // Nevşehir
-  "51": 5, // Niğde
-  "52": 5, // Ordu
-  "53": 5, // Rize
-  "56": 5, // Siirt
-  "57": 5, // Sinop
-  "58": 5, // Sivas
-  "60": 5, // Tokat
-  "62": 5, // Tunceli
-  "63": 5, // Şanlıurfa
-  "64": 5, // Uşak
-  "65": 5, // Van
-  "66": 5, // Yozgat
-  "67": 5, // Zonguldak
-  "68": 5, // Aksaray
-  "69": 5, // Bayburt
-  "70": 5, // Karaman
-  "71": 5, // Kırıkkale
-  "72": 5, // Batman
-  "73": 5, // Şırnak
-  "74": 5, // Bartın
-  "77": 5, // Yalova
-  "78": 5, // Karabük
-  "79": 5, // Kilis
-  "80": 5, // Osmaniye
-
-  // Tier 4 (Least Populated/Rural): 50 points
-  "33": 10, // Mersin
-  "75": 10, // Ardahan
-  "76": 10, // Iğdır
-  "81": 10, // Düzce
-
-  // Default value if province not found
-  default: 1,
-};
+// License plate scoring system with automatic plate type detection.
+// Country-specific parsing lives in countries/, rarity tables in the rulesets.
 
-// Special plate types with their scores
-const specialPlateTypes = {
-  STANDARD: 1, // Regular civilian plates
-  UNIVERSITY: 15, // University/Rectorate plates (AA)
-  POLICE: 20, // Police plates (A or AAA)
-  GENDARMERIE: 25, // Gendarmerie plates (JAA)
-  COAST_GUARD: 25, // Coast Guard plates (SGH)
-  DIPLOMATIC: 30, // Diplomatic plates (CD)
-  CONSULATE: 25, // Consulate plates (CC)
-  FOREIGN: 20, // Foreign resident plates (MA-MZ)
-  TAXI: 15, // Taxi plates (TAA-TKZ)
-};
+const fs = require("fs");
+const path = require("path");
+const { getCountry, listCountries, DEFAULT_COUNTRY } = require("./countries");
+const { getRegionDistance } = require("./locations");
+const { getLocalizedName } = require("./i18n");
+
+// Scoring weights live in versioned rulesets (rulesets/v<N>.json) so that
+// stored plates can record which rules scored them and be rescored later
+const RULESETS_DIR = path.join(__dirname, "rulesets");
 
 /**
- * Parse a Turkish license plate into its components
- * @param {string} plateText - Full plate text (e.g., "34AB123", "06ABC01")
- * @returns {Object} Parsed components { provinceCode, letters, digits }
+ * Load and validate every ruleset file
+ * @returns {Object} Rulesets keyed by version number
  */
-function parseTurkishPlate(plateText) {
-  // Remove spaces, hyphens or other separators
-  plateText = plateText.replace(/[\s-]/g, "").toUpperCase();
+function loadRulesets() {
+  const rulesets = {};
+
+  fs.readdirSync(RULESETS_DIR)
+    .filter((file) => file.endsWith(".json"))
+    .forEach((file) => {
+      const ruleset = JSON.parse(
+        fs.readFileSync(path.join(RULESETS_DIR, file), "utf8")
+      );
+
+      const missing = ["version", "letters", "digits"].filter(
+        (key) => ruleset[key] === undefined
+      );
+      if (missing.length > 0) {
+        throw new Error(
+          `Ruleset ${file} is missing required keys: ${missing.join(", ")}`
+        );
+      }
+      if (rulesets[ruleset.version]) {
+        throw new Error(`Duplicate scoring ruleset version ${ruleset.version}`);
+      }
+
+      // Rulesets published before other countries hold only Turkish tables
+      if (!ruleset.countries && ruleset.provinceTiers) {
+        ruleset.countries = {
+          [DEFAULT_COUNTRY]: {
+            regionTiers: ruleset.provinceTiers,
+            specialPlateTypes: ruleset.specialPlateTypes,
+          },
+        };
+      }
+
+      rulesets[ruleset.version] = ruleset;
+    });
+
+  return rulesets;
+}
+
+const rulesets = loadRulesets();
 
-  // Extract province code (first 1-2 digits)
-  const provinceMatch = plateText.match(/^(\d{1,2})/);
-  const provinceCode = provinceMatch ? provinceMatch[1].padStart(2, "0") : "";
+/**
+ * Get a ruleset by version
+ * @param {number} version - The ruleset version
+ * @returns {Object|null} The ruleset, or null if it doesn't exist
+ */
+function getRuleset(version) {
+  return rulesets[version] || null;
+}
 
-  // After province, extract letters (typically 1-3 letters)
-  let remainingText = plateText.substring(provinceCode.length);
-  const lettersMatch = remainingText.match(/^([A-Z]+)/);
-  const letters = lettersMatch ? lettersMatch[1] : "";
+/**
+ * List all known rulesets, oldest first
+ * @returns {Object[]} The rulesets
+ */
+function listRulesets() {
+  return Object.values(rulesets).sort((a, b) => a.version - b.version);
+}
 
-  // After letters, extract digits
-  remainingText = remainingText.substring(letters.length);
-  const digitsMatch = remainingText.match(/^(\d+)/);
-  const digits = digitsMatch ? digitsMatch[1] : "";
+// The active ruleset is SCORING_RULESET if set, otherwise the newest one
+const currentRuleset = process.env.SCORING_RULESET
+  ? getRuleset(Number(process.env.SCORING_RULESET))
+  : listRulesets().pop();
 
-  return { provinceCode, letters, digits };
+if (!currentRuleset) {
+  throw new Error(
+    `Unknown scoring ruleset version: ${process.env.SCORING_RULESET}`
+  );
 }
 
 /**
- * Detect the plate type based on letter patterns
- * @param {string} letters - The letter portion of the plate
- * @returns {string} The detected plate type
+ * Get the region tiers and special type multipliers a ruleset uses for a
+ * country, kept under countries.<CODE> in the ruleset file
+ * @param {Object} ruleset - The scoring ruleset
+ * @param {Object} country - The country module
+ * @returns {Object} Tables { regionTiers, specialPlateTypes }
+ * @throws {Error} If the ruleset doesn't score the country's plates
  */
-function detectPlateType(letters) {
-  // Check for special types
-  if (letters === "AA") {
-    return "UNIVERSITY"; // Universities/Rectorates
-  } else if (letters === "A" || letters === "AAA") {
-    return "POLICE"; // Police
-  } else if (letters === "JAA") {
-    return "GENDARMERIE"; // Gendarmerie
-  } else if (letters === "SGH") {
-    return "COAST_GUARD"; // Coast Guard
-  } else if (letters === "CD") {
-    return "DIPLOMATIC"; // Diplomatic Corps
-  } else if (letters === "CC") {
-    return "CONSULATE"; // Consulates
-  } else if (letters.length === 2 && letters >= "MA" && letters <= "MZ") {
-    return "FOREIGN"; // Foreign residents
-  } else if (letters.length === 3 && letters >= "TAA" && letters <= "TKZ") {
-    return "TAXI"; // Taxis
+function getCountryTables(ruleset, country) {
+  const tables = ruleset.countries && ruleset.countries[country.code];
+  if (!tables) {
+    throw new Error(
+      `Ruleset v${ruleset.version} has no scoring tables for ${country.name}`
+    );
   }
+  return tables;
+}
 
-  return "STANDARD"; // Regular civilian plate
+// Turkish tables of the active ruleset, kept as exports for existing callers
+const { regionTiers: provinceTiers, specialPlateTypes } = getCountryTables(
+  currentRuleset,
+  getCountry(DEFAULT_COUNTRY)
+);
+
+/**
+ * Build the province dataset of a country from its region tables
+ * @param {Object} country - The country module
+ * @returns {Object} Provinces keyed by code: { code, name, region, tier, neighbours }
+ * where region is a geographicRegions key and tier runs from 1 (most
+ * populated) to 4 (least populated)
+ */
+function buildProvinceDataset(country) {
+  const { regionTiers } = getCountryTables(currentRuleset, country);
+
+  // Less populated provinces carry higher rarity multipliers, so population
+  // tiers follow the active ruleset's multipliers in ascending order
+  const multipliers = [
+    ...new Set(
+      Object.entries(regionTiers)
+        .filter(([code]) => code !== "default")
+        .map(([, multiplier]) => multiplier)
+    ),
+  ].sort((a, b) => a - b);
+
+  const provinces = {};
+  Object.entries(country.regions).forEach(([code, name]) => {
+    provinces[code] = {
+      code,
+      name,
+      region: (country.regionGeography || {})[code] || null,
+      tier: multipliers.indexOf(regionTiers[code]) + 1 || null,
+      neighbours: (country.regionNeighbours || {})[code] || [],
+    };
+  });
+  return provinces;
 }
 
+// Turkish provinces with their names, geographic region, population tier
+// and neighbours
+const provinces = buildProvinceDataset(getCountry(DEFAULT_COUNTRY));
+
+const { parseTurkishPlate, detectPlateType } = getCountry("TR");
+
 /**
- * Calculate the score for a Turkish license plate
- * @param {string} plateText - The full plate text (e.g., "34AB123")
+ * Calculate the score for a license plate
+ * @param {string} plateText - The normalized plate text (e.g., "34AB123")
+ * @param {Object} [options] - Scoring options
+ * @param {string} [options.country] - Country code, defaults to Turkey
+ * @param {Object} [options.ruleset] - Ruleset to score with, defaults to the active one
+ * @param {string} [options.spottedIn] - Region code where the plate was spotted
  * @returns {Object} The calculated score and breakdown
+ * @throws {PlateParseError} If the plate breaks its country's format rules
  */
-function calculatePlateScore(plateText) {
+function calculatePlateScore(plateText, options = {}) {
+  const ruleset = options.ruleset || currentRuleset;
+  const country = getCountry(options.country);
+  if (!country) {
+    throw new Error(`Unsupported plate country: ${options.country}`);
+  }
+  const tables = getCountryTables(ruleset, country);
+
   // Initialize score components
   let provinceScore = 0;
-  let letterScore = 1;
+  let letterScore = ruleset.letters.base;
   let digitScore = 0;
   let specialScore = 0;
 
   // Parse the plate
-  const { provinceCode, letters, digits } = parseTurkishPlate(plateText);
+  const parsed = country.parse(plateText);
+  const { provinceCode, letters, digits } = parsed;
 
-  // Detect plate type based on letter pattern
-  const plateType = detectPlateType(letters);
+  // Detect plate type based on the country's special series
+  const plateType = country.detectType(parsed);
 
-  // 1. Calculate province rarity score
-  provinceScore = provinceTiers[provinceCode] || provinceTiers.default;
+  // 1. Calculate region rarity score
+  provinceScore =
+    tables.regionTiers[provinceCode] || tables.regionTiers.default;
 
   // 2. Calculate letter pattern score (only for standard plates)
   if (plateType === "STANDARD" && letters) {
@@ -190,36 +188,40 @@ function calculatePlateScore(plateText) {
     if (letters.length >= 2) {
       // All same letter (e.g., BB)
       if (new Set(letters.split("")).size === 1) {
-        letterScore = letters.length >= 3 ? 20 : 10; // Triple or double letters
+        letterScore =
+          letters.length >= 3
+            ? ruleset.letters.tripleLetters
+            : ruleset.letters.doubleLetters;
       }
 
       // Sequential letters (e.g., ABC, XYZ)
-      else if (isSequential(letters)) {
-        letterScore = 5;
+      else if (isSequential(letters, country.alphabet)) {
+        letterScore = ruleset.letters.sequential;
       }
 
       // Special case: All letters in plate are the same (e.g., AAA)
       if (letters.length >= 3 && new Set(letters.split("")).size === 1) {
-        letterScore = 7.5; // Boost for all same letter across plate
+        letterScore = ruleset.letters.allSameLetters; // Boost for all same letter across plate
       }
     }
   }
 
-  // 2. Calculate letter pattern score (original logic would be here)
-  // Then add this new letter sum calculation:
-  let letterSum = 1;
-  for (let i = 0; i < letters.length; i++) {
-    // Calculate position in alphabet (A=1, B=2, ..., Z=26)
-    const letterPosition = letters.charCodeAt(i) - 64; // 'A' is ASCII 65, so subtract 64 to get 1
+  // Multiply the alphabet positions of the letters on top of the pattern score
+  if (ruleset.letters.positionProduct) {
+    let letterSum = 1;
+    for (let i = 0; i < letters.length; i++) {
+      // Calculate position in alphabet (A=1, B=2, ..., Z=26)
+      const letterPosition = letters.charCodeAt(i) - 64; // 'A' is ASCII 65, so subtract 64 to get 1
 
-    // Only add if it's a valid letter (A-Z)
-    if (letterPosition >= 1 && letterPosition <= 26) {
-      letterSum *= letterPosition;
+      // Only add if it's a valid letter (A-Z)
+      if (letterPosition >= 1 && letterPosition <= 26) {
+        letterSum *= letterPosition;
+      }
     }
-  }
 
-  // Add letter sum to the existing letter score
-  letterScore += letterSum;
+    // Add letter sum to the existing letter score
+    letterScore += letterSum;
+  }
 
   // 3. Calculate digit pattern score
   const numDigits = parseInt(digits) || 1;
@@ -230,97 +232,137 @@ function calculatePlateScore(plateText) {
     digitSum += parseInt(digitString[i]) || 1;
   }
 
-  if (numDigits <= 9) {
-    digitScore = 10; // 001-009
-  } else if (numDigits <= 99) {
-    digitScore = 5; // 010-099
-  } else if (numDigits <= 999) {
-    digitScore = 2.5; // 100-999
-  } else {
-    digitScore = 1; // 1000+
-  }
+  // Lower numbers are rarer; tiers are checked in order
+  const digitTier = ruleset.digits.tiers.find((tier) => numDigits <= tier.max);
+  digitScore = digitTier
+    ? digitTier.multiplier
+    : ruleset.digits.defaultMultiplier;
 
   // 4. Calculate special plate type score
-  specialScore = specialPlateTypes[plateType] || 1;
+  specialScore = tables.specialPlateTypes[plateType] || 1;
+
+  // 5. Calculate far-from-home bonus for plates spotted outside their region
+  const distanceKm =
+    options.spottedIn && options.spottedIn !== provinceCode
+      ? getRegionDistance(country, provinceCode, options.spottedIn)
+      : null;
+  const farFromHomeScore = getFarFromHomeMultiplier(ruleset, distanceKm);
 
   // Total score calculation
   const totalScore =
-    (letterScore + digitSum) * digitScore * provinceScore * specialScore;
+    (letterScore + digitSum) *
+    digitScore *
+    provinceScore *
+    specialScore *
+    farFromHomeScore;
 
   return {
     totalScore,
     plateType,
+    country: country.code,
+    rulesetVersion: ruleset.version,
     breakdown: {
       province: provinceScore,
       letters: letterScore,
       digits: digitScore,
       digitsum: digitSum,
       special: specialScore,
+      farFromHome: farFromHomeScore,
     },
+    distanceKm,
     parsed: { provinceCode, letters, digits },
   };
 }
 
+/**
+ * Get the far-from-home multiplier for a spotting distance
+ * @param {Object} ruleset - The scoring ruleset
+ * @param {number|null} distanceKm - Distance from the plate's home region,
+ * or null if it wasn't spotted elsewhere or the distance is unknown
+ * @returns {number} The multiplier, 1 if there's no bonus
+ */
+function getFarFromHomeMultiplier(ruleset, distanceKm) {
+  if (!ruleset.farFromHome || distanceKm === null) return 1;
+
+  // Tiers are listed furthest first
+  const tier = ruleset.farFromHome.tiers.find((t) => distanceKm >= t.minKm);
+  return tier ? tier.multiplier : 1;
+}
+
 /**
  * Helper function to check if letters are sequential
  * @param {string} letters - Letter sequence to check
- * @returns {boolean} True if letters are sequential
+ * @param {string} alphabet - The country's plate alphabet, in order
+ * @returns {boolean} True if letters contain three consecutive letters of the alphabet
  */
-function isSequential(letters) {
-  // Special sequences to check
-  const sequentialPatterns = [
-    "ABC",
-    "BCD",
-    "CDE",
-    "DEF",
-    "EFG",
-    "FGH",
-    "GHI",
-    "HIJ",
-    "IJK",
-    "JKL",
-    "KLM",
-    "LMN",
-    "MNO",
-    "NOP",
-    "OPR",
-    "PRS",
-    "RST",
-    "STU",
-    "TUV",
-    "UVY",
-    "VYZ",
-  ];
-
-  return sequentialPatterns.some((pattern) => letters.includes(pattern));
+function isSequential(letters, alphabet) {
+  for (let i = 0; i + 3 <= letters.length; i++) {
+    if (alphabet.includes(letters.substring(i, i + 3))) return true;
+  }
+
+  return false;
 }
 
 /**
  * Get a human-readable name for plate type
  * @param {string} plateType - The plate type code
+ * @param {string} [countryCode] - Country the plate belongs to, defaults to Turkey
+ * @param {string} [locale] - Locale code, defaults to English
  * @returns {string} Human-readable plate type
  */
-function getPlateTypeDisplay(plateType) {
-  const displayNames = {
-    STANDARD: "Standard Civilian",
-    UNIVERSITY: "University/Rectorate",
-    POLICE: "Police",
-    GENDARMERIE: "Gendarmerie",
-    COAST_GUARD: "Coast Guard",
-    DIPLOMATIC: "Diplomatic Corps",
-    CONSULATE: "Consulate",
-    FOREIGN: "Foreign Resident",
-    TAXI: "Taxi",
-  };
+function getPlateTypeDisplay(plateType, countryCode, locale) {
+  const localized = getLocalizedName(locale, "plateTypes", plateType);
+  if (localized) return localized;
+
+  const country = getCountry(countryCode);
+  if (country && country.typeNames[plateType]) {
+    return country.typeNames[plateType];
+  }
+
+  // Fall back to any country that knows this type
+  const known = listCountries().find((c) => c.typeNames[plateType]);
+  return known ? known.typeNames[plateType] : plateType;
+}
 
-  return displayNames[plateType] || plateType;
+/**
+ * Get the emoji for a score's rarity band
+ * @param {number} score - The plate score
+ * @returns {string} Emoji shown next to scores
+ */
+function getScoreEmoji(score) {
+  if (score >= 1000) return "💎"; // Diamond - extremely rare
+  if (score >= 500) return "👑"; // Crown - very rare
+  if (score >= 250) return "🌟"; // Star with sparkles - rare
+  if (score >= 100) return "⭐"; // Star - uncommon
+  if (score >= 50) return "✨"; // Sparkles - slightly uncommon
+  return "🔹"; // Blue dot - common
+}
+
+/**
+ * Get the embed colour for a score's rarity band
+ * @param {number} score - The plate score
+ * @returns {string} Hex colour
+ */
+function getScoreColor(score) {
+  if (score >= 1000) return "#9C27B0"; // Purple - extremely rare
+  if (score >= 500) return "#673AB7"; // Deep Purple - very rare
+  if (score >= 250) return "#3F51B5"; // Indigo - rare
+  if (score >= 100) return "#2196F3"; // Blue - uncommon
+  if (score >= 50) return "#4CAF50"; // Green - slightly uncommon
+  return "#FF9800"; // Orange - common
 }
 
 module.exports = {
   calculatePlateScore,
+  getRuleset,
+  listRulesets,
+  currentRuleset,
   parseTurkishPlate,
   detectPlateType,
   getPlateTypeDisplay,
+  getScoreEmoji,
+  getScoreColor,
   provinceTiers,
+  provinces,
   specialPlateTypes,
 };
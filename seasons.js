@@ -0,0 +1,284 @@
+// seasons.js
+// Time-boxed leaderboard seasons: monthly by default, or admin-defined ranges
+
+const { Season, spottedFilter } = require("./models");
+const { getLeaderboard } = require("./plates");
+const { DEFAULT_LOCALE, t } = require("./i18n");
+
+// Number of collectors kept in a season's archived standings
+const PODIUM_SIZE = 3;
+
+const PODIUM_MEDALS = ["🥇", "🥈", "🥉"];
+
+/**
+ * Get the calendar month (UTC) containing a date
+ * @param {Date} date - Any moment in the month
+ * @returns {Object} { start, end } with an exclusive end
+ */
+function getMonthRange(date) {
+  const start = new Date(
+    Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1)
+  );
+  const end = new Date(
+    Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1)
+  );
+  return { start, end };
+}
+
+/**
+ * Work out the monthly season that would cover a time. It picks up where an
+ * earlier season ended mid-month and stops where a scheduled one begins.
+ * @param {string} guildId - The Discord guild ID
+ * @param {Date} now - Moment to cover
+ * @returns {Promise<Object>} { guildId, kind, startDate, endDate }, not saved
+ */
+async function getMonthlySeason(guildId, now) {
+  const { start, end } = getMonthRange(now);
+  const [previous, next] = await Promise.all([
+    Season.findOne({ guildId, endDate: { $lte: now } }).sort({ endDate: -1 }),
+    Season.findOne({ guildId, startDate: { $gt: now } }).sort({
+      startDate: 1,
+    }),
+  ]);
+
+  return {
+    guildId,
+    kind: "monthly",
+    startDate: previous && previous.endDate > start ? previous.endDate : start,
+    endDate: next && next.startDate < end ? next.startDate : end,
+  };
+}
+
+/**
+ * Look up the season running in a guild without opening one, for readers
+ * that must not write
+ * @param {string} guildId - The Discord guild ID
+ * @param {Date} [now] - Moment to look up, defaults to the current time
+ * @returns {Promise<Object>} The season document, or the monthly season
+ *   getActiveSeason() would open
+ */
+async function findCurrentSeason(guildId, now = new Date()) {
+  const season = await Season.findOne({
+    guildId,
+    startDate: { $lte: now },
+    endDate: { $gt: now },
+  });
+  return season || getMonthlySeason(guildId, now);
+}
+
+/**
+ * Get the season running in a guild, opening a monthly season when no
+ * admin-defined season covers the current time
+ * @param {string} guildId - The Discord guild ID
+ * @param {Date} [now] - Moment to look up, defaults to the current time
+ * @returns {Promise<Object>} The active season document
+ */
+async function getActiveSeason(guildId, now = new Date()) {
+  const monthly = await findCurrentSeason(guildId, now);
+  // Stored seasons have an ID, the monthly one is opened here
+  if (monthly._id) return monthly;
+
+  try {
+    return await Season.create(monthly);
+  } catch (err) {
+    // Another command opened the same season first
+    if (err.code !== 11000) throw err;
+    return Season.findOne({ guildId, startDate: monthly.startDate });
+  }
+}
+
+/**
+ * Schedule an admin-defined season. A monthly season running at its start
+ * is cut short; overlapping admin-defined seasons are refused.
+ * @param {string} guildId - The Discord guild ID
+ * @param {Object} options - Season details
+ * @param {string} options.name - Display name
+ * @param {Date} options.startDate - First moment of the season
+ * @param {Date} options.endDate - End of the season (exclusive)
+ * @param {string} options.createdBy - User ID of the admin
+ * @returns {Promise<Object>} { season } on success, otherwise
+ * { error: { code, ... } } with a code from season.errors in i18n/; OVERLAPS
+ * holds the overlapping { season }
+ */
+async function createCustomSeason(guildId, options) {
+  const { name, startDate, endDate, createdBy } = options;
+
+  if (endDate <= startDate) {
+    return { error: { code: "ENDS_BEFORE_START" } };
+  }
+
+  // Monthly seasons only exist up to the current time, so at most the
+  // active one has to make room
+  const active = await getActiveSeason(guildId);
+  const replacesMonthly =
+    active.kind === "monthly" && active.endDate > startDate;
+
+  if (replacesMonthly && startDate < active.startDate) {
+    return {
+      error: {
+        code: "STARTS_BEFORE_CURRENT",
+        dates: formatSeasonDates(active),
+      },
+    };
+  }
+
+  const overlapping = await Season.findOne({
+    guildId,
+    _id: { $ne: active._id },
+    startDate: { $lt: endDate },
+    endDate: { $gt: startDate },
+  });
+  if (overlapping || (!replacesMonthly && active.endDate > startDate)) {
+    const season = overlapping || active;
+    return { error: { code: "OVERLAPS", season } };
+  }
+
+  if (replacesMonthly && startDate.getTime() === active.startDate.getTime()) {
+    await Season.deleteOne({ _id: active._id });
+  } else if (replacesMonthly) {
+    active.endDate = startDate;
+    await active.save();
+  }
+
+  const season = await Season.create({
+    guildId,
+    name,
+    kind: "custom",
+    startDate,
+    endDate,
+    createdBy,
+  });
+
+  return { season };
+}
+
+/**
+ * End the active season of a guild immediately
+ * @param {string} guildId - The Discord guild ID
+ * @returns {Promise<Object>} The season that was ended
+ */
+async function endActiveSeason(guildId) {
+  const season = await getActiveSeason(guildId);
+  season.endDate = new Date();
+  await season.save();
+  return season;
+}
+
+/**
+ * Mongo filter selecting the plates that count toward a season
+ * @param {Object} season - The season document
+ * @returns {Object} Filter to merge into plate queries
+ */
+function getSeasonFilter(season) {
+  return {
+    guildId: season.guildId,
+    dateSpotted: { $gte: season.startDate, $lt: season.endDate },
+    ...spottedFilter,
+  };
+}
+
+/**
+ * Freeze the final standings of an ended season
+ * @param {Object} season - The ended season document
+ * @returns {Promise<Object|null>} The archived season, or null if it was
+ * already archived by someone else
+ */
+async function archiveSeason(season) {
+  const standings = await getLeaderboard(getSeasonFilter(season), PODIUM_SIZE);
+
+  return Season.findOneAndUpdate(
+    { _id: season._id, archivedAt: null },
+    {
+      $set: {
+        archivedAt: new Date(),
+        podium: standings.map((entry) => ({
+          userId: entry._id.userId,
+          username: entry._id.username,
+          totalScore: entry.totalScore,
+          plateCount: entry.plateCount,
+        })),
+      },
+    },
+    { new: true }
+  );
+}
+
+/**
+ * Name a season: admins name their own seasons, monthly ones are called
+ * after their month
+ * @param {Object} season - The season document
+ * @param {string} [locale] - Locale code, defaults to English
+ * @returns {string} e.g. "Summer Road Trip" or "October 2026"
+ */
+function getSeasonName(season, locale) {
+  if (season.kind !== "monthly") return season.name;
+
+  // A monthly season may start mid-month, after an admin-defined one
+  return season.startDate.toLocaleString(locale || DEFAULT_LOCALE, {
+    month: "long",
+    year: "numeric",
+    timeZone: "UTC",
+  });
+}
+
+/**
+ * Format a season's date range with Discord timestamps
+ * @param {Object} season - The season document
+ * @returns {string} e.g. "<t:...:D> – <t:...:D>"
+ */
+function formatSeasonDates(season) {
+  // endDate is exclusive, so show the last moment that still counts
+  const lastMoment = new Date(season.endDate.getTime() - 1000);
+  return `<t:${Math.floor(
+    season.startDate.getTime() / 1000
+  )}:D> – <t:${Math.floor(lastMoment.getTime() / 1000)}:D>`;
+}
+
+/**
+ * Format standings as a medal list
+ * @param {Object[]} podium - Entries with { username, totalScore, plateCount }
+ * @param {string} [locale] - Locale code, defaults to English
+ * @returns {string} One line per collector
+ */
+function formatPodium(podium, locale) {
+  if (podium.length === 0) return t(locale, "season.podiumEmpty");
+
+  return podium
+    .map((entry, i) =>
+      t(locale, "season.podiumLine", {
+        medal: PODIUM_MEDALS[i] || `#${i + 1}`,
+        username: entry.username,
+        score: entry.totalScore,
+        plates: t(locale, "common.plateCount", { count: entry.plateCount }),
+      })
+    )
+    .join("\n");
+}
+
+/**
+ * Parse a YYYY-MM-DD date given to /season, as midnight UTC
+ * @param {string} text - The date as typed
+ * @returns {Date|null} The date, or null if it isn't a valid day
+ */
+function parseSeasonDate(text) {
+  const match = (text || "").trim().match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!match) return null;
+
+  const [, year, month, day] = match.map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCMonth() === month - 1 ? date : null;
+}
+
+module.exports = {
+  PODIUM_SIZE,
+  findCurrentSeason,
+  getActiveSeason,
+  createCustomSeason,
+  endActiveSeason,
+  getSeasonFilter,
+  archiveSeason,
+  getSeasonName,
+  formatSeasonDates,
+  formatPodium,
+  parseSeasonDate,
+};
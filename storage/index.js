@@ -0,0 +1,52 @@
+// storage/index.js
+// Registry of storage backends. Each backend module supplies:
+//   name                 - value of STORAGE_BACKEND that selects it
+//   label                - what the startup log says it connected to
+//   model(name, schema)  - compiles a mongoose schema into a model with the
+//                          mongoose Model API the bot uses
+//   connect()            - resolves once the store can be used
+//   startSession()       - resolves to a session whose withTransaction(fn)
+//                          applies all of fn's writes made with { session }
+//                          or none
+//   flush()              - optional, resolves once every write so far is
+//                          stored, e.g. before shutting down
+// The backend in use is STORAGE_BACKEND if set, otherwise MongoDB. Commands
+// query plates through plates.js rather than these models directly.
+
+const backends = {};
+
+/**
+ * Add a storage backend to the registry
+ * @param {Object} backend - The backend module
+ */
+function registerBackend(backend) {
+  backends[backend.name] = backend;
+}
+
+[require("./mongo"), require("./json"), require("./memory")].forEach(
+  registerBackend
+);
+
+/**
+ * Look up a storage backend by name
+ * @param {string} name - e.g. "memory"
+ * @returns {Object|null} The backend, or null if unknown
+ */
+function getBackend(name) {
+  return backends[name] || null;
+}
+
+const backend = getBackend(process.env.STORAGE_BACKEND || "mongo");
+
+if (!backend) {
+  throw new Error(`Unknown storage backend: ${process.env.STORAGE_BACKEND}`);
+}
+
+module.exports = {
+  backend,
+  getBackend,
+  model: backend.model,
+  connect: backend.connect,
+  startSession: backend.startSession,
+  flush: backend.flush || (async () => {}),
+};
@@ -0,0 +1,93 @@
+// storage/json.js
+// JSON file storage backend, for small servers without MongoDB. Documents
+// are kept in memory (see storage/memory.js) and the whole store is written
+// to STORAGE_FILE (default data/plates.json) after every change. The file is
+// Extended JSON, so dates and object IDs come back as they were saved.
+
+const fs = require("fs/promises");
+const path = require("path");
+const { EJSON } = require("mongoose").mongo.BSON;
+const memory = require("./memory");
+
+const DEFAULT_FILE = "data/plates.json";
+
+// The write in progress, and whether another change came in meanwhile
+let saving = null;
+let changedWhileSaving = false;
+
+/**
+ * Path of the file the documents are kept in
+ * @returns {string} The absolute path
+ */
+function getFile() {
+  return path.resolve(process.env.STORAGE_FILE || DEFAULT_FILE);
+}
+
+/**
+ * Write every stored document to the file. The file is replaced in one step,
+ * so a crash while writing leaves the previous version intact.
+ */
+async function save() {
+  const file = getFile();
+  const temporary = `${file}.tmp`;
+
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(temporary, EJSON.stringify(memory.exportData()));
+  await fs.rename(temporary, file);
+}
+
+/**
+ * Save after a change. Changes made while a write is running are saved
+ * together once it finishes.
+ */
+function scheduleSave() {
+  if (saving) {
+    changedWhileSaving = true;
+    return;
+  }
+
+  saving = save()
+    .catch((err) => console.error("Error saving to the storage file:", err))
+    .finally(() => {
+      saving = null;
+      if (changedWhileSaving) {
+        changedWhileSaving = false;
+        scheduleSave();
+      }
+    });
+}
+
+/**
+ * Load the documents saved in the file, and save every change from then on
+ */
+async function connect() {
+  let text = null;
+  try {
+    text = await fs.readFile(getFile(), "utf8");
+  } catch (err) {
+    // No file yet means nothing has been collected
+    if (err.code !== "ENOENT") throw err;
+  }
+
+  memory.importData(text ? EJSON.parse(text) : {});
+  memory.onChange(scheduleSave);
+}
+
+/**
+ * Wait until every change so far is in the file, e.g. before shutting down
+ * @returns {Promise<void>}
+ */
+async function flush() {
+  while (saving) await saving;
+}
+
+module.exports = {
+  name: "json",
+  get label() {
+    return `JSON file ${getFile()}`;
+  },
+  model: memory.model,
+  connect,
+  startSession: memory.startSession,
+  flush,
+};
@@ -0,0 +1,878 @@
+// storage/memory.js
+// In-memory storage backend, for tests and trying the bot out without MongoDB.
+// Models keep their mongoose schemas, so documents get the same defaults,
+// casting, validation and methods as with MongoDB; only the queries run here.
+// The query and update operators are the ones the bot uses.
+
+const mongoose = require("mongoose");
+
+// Models are compiled on a connection that is never opened
+const connection = mongoose.createConnection();
+connection.set("autoIndex", false);
+connection.set("autoCreate", false);
+
+// Stored documents as plain objects, by model name
+const collections = {};
+
+// Functions called after every write, e.g. to save the documents to a file
+const listeners = [];
+
+/**
+ * Call a function after every change to the stored documents
+ * @param {Function} listener - Called with no arguments
+ */
+function onChange(listener) {
+  listeners.push(listener);
+}
+
+/**
+ * Tell the listeners the stored documents changed
+ */
+function notify() {
+  listeners.forEach((listener) => listener());
+}
+
+/**
+ * Copy a stored value, keeping dates and object IDs intact
+ * @param {*} value - A document or one of its values
+ * @returns {*} The copy
+ */
+function clone(value) {
+  if (value instanceof Date) return new Date(value);
+  if (value instanceof mongoose.Types.ObjectId) {
+    return new mongoose.Types.ObjectId(value);
+  }
+  if (Array.isArray(value)) return value.map(clone);
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, clone(item)])
+    );
+  }
+  return value;
+}
+
+/**
+ * Turn a value into one that compares with === and <, so that object IDs
+ * match their hex strings and dates compare by time
+ * @param {*} value - A stored or queried value
+ * @returns {*} The comparable value
+ */
+function normalize(value) {
+  if (value instanceof Date) return value.getTime();
+  if (value instanceof mongoose.Types.ObjectId) return value.toHexString();
+  return value === undefined ? null : value;
+}
+
+/**
+ * Compare two values the way a sort does, with null and missing values first
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {number} Negative, zero or positive
+ */
+function compareValues(a, b) {
+  const x = normalize(a);
+  const y = normalize(b);
+  if (x === y) return 0;
+  if (x === null) return -1;
+  if (y === null) return 1;
+  if (typeof x === "object" || typeof y === "object") {
+    return compareValues(JSON.stringify(x), JSON.stringify(y));
+  }
+  return x < y ? -1 : 1;
+}
+
+/**
+ * Check two values for equality
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True if they are equal
+ */
+function isEqual(a, b) {
+  return compareValues(a, b) === 0;
+}
+
+/**
+ * Check two documents for equality, field by field in any order
+ * @param {*} a - First document or value
+ * @param {*} b - Second document or value
+ * @returns {boolean} True if every field is equal
+ */
+function isSameDocument(a, b) {
+  const x = normalize(a);
+  const y = normalize(b);
+  if (Array.isArray(x) || Array.isArray(y)) {
+    return (
+      Array.isArray(x) &&
+      Array.isArray(y) &&
+      x.length === y.length &&
+      x.every((item, i) => isSameDocument(item, y[i]))
+    );
+  }
+  if (x && y && typeof x === "object" && typeof y === "object") {
+    const keys = new Set([...Object.keys(x), ...Object.keys(y)]);
+    return [...keys].every((key) => isSameDocument(x[key], y[key]));
+  }
+  return x === y;
+}
+
+/**
+ * Read a field, e.g. "completions.userId". Like MongoDB, a path through an
+ * array reads the field of each element.
+ * @param {Object} doc - The document
+ * @param {string} path - Dotted field path
+ * @returns {Array} The values found; arrays are listed along with their elements
+ */
+function getValues(doc, path) {
+  let values = [doc];
+  for (const key of path.split(".")) {
+    values = values
+      .flatMap((value) => (Array.isArray(value) ? value : [value]))
+      .map((value) => (value == null ? undefined : value[key]));
+  }
+  return values.flatMap((value) =>
+    Array.isArray(value) ? [value, ...value] : [value]
+  );
+}
+
+/**
+ * Read a field as a single value, for expressions and sorting
+ * @param {Object} doc - The document
+ * @param {string} path - Dotted field path
+ * @returns {*} The value, or undefined
+ */
+function getValue(doc, path) {
+  return path
+    .split(".")
+    .reduce((value, key) => (value == null ? undefined : value[key]), doc);
+}
+
+/**
+ * Check whether a value is an object of query operators, e.g. { $gt: 5 }
+ * @param {*} value - A value from a filter
+ * @returns {boolean} True for an operator object
+ */
+function isOperatorObject(value) {
+  return (
+    value !== null &&
+    typeof value === "object" &&
+    !Array.isArray(value) &&
+    !(value instanceof Date) &&
+    !(value instanceof RegExp) &&
+    !(value instanceof mongoose.Types.ObjectId) &&
+    Object.keys(value).some((key) => key.startsWith("$"))
+  );
+}
+
+/**
+ * Evaluate an aggregation expression, e.g. { $ne: ["$a", "$b"] }
+ * @param {*} expr - The expression
+ * @param {Object} doc - The document field paths refer to
+ * @returns {*} The result
+ */
+function evaluate(expr, doc) {
+  if (typeof expr === "string" && expr.startsWith("$")) {
+    return getValue(doc, expr.slice(1));
+  }
+  if (Array.isArray(expr)) return expr.map((item) => evaluate(item, doc));
+  if (!isOperatorObject(expr)) {
+    if (expr && expr.constructor === Object) {
+      return Object.fromEntries(
+        Object.entries(expr).map(([key, item]) => [key, evaluate(item, doc)])
+      );
+    }
+    return expr;
+  }
+
+  const [operator, args] = Object.entries(expr)[0];
+  const values = evaluate(args, doc);
+  switch (operator) {
+    case "$eq":
+      return isEqual(values[0], values[1]);
+    case "$ne":
+      return !isEqual(values[0], values[1]);
+    case "$concat":
+      return values.some((value) => value == null) ? null : values.join("");
+    case "$ifNull":
+      return values[0] == null ? values[1] : values[0];
+    case "$size":
+      return values.length;
+    case "$dateToString":
+      return values.date == null
+        ? null
+        : formatDate(new Date(values.date), values.format);
+    default:
+      throw new Error(`Unsupported expression operator: ${operator}`);
+  }
+}
+
+/**
+ * Format a date like $dateToString, in UTC
+ * @param {Date} date - The date
+ * @param {string} format - e.g. "%Y-%m-%d"
+ * @returns {string} The formatted date
+ */
+function formatDate(date, format) {
+  // Where each specifier's digits are in an ISO 8601 string
+  const parts = {
+    Y: [0, 4],
+    m: [5, 7],
+    d: [8, 10],
+    H: [11, 13],
+    M: [14, 16],
+    S: [17, 19],
+  };
+  const iso = date.toISOString();
+  return format.replace(/%([YmdHMS%])/g, (match, specifier) =>
+    specifier === "%" ? "%" : iso.slice(...parts[specifier])
+  );
+}
+
+/**
+ * Check a field against one query operator
+ * @param {Array} values - The field's values, from getValues()
+ * @param {string} operator - e.g. "$gt"
+ * @param {*} operand - The value after the operator
+ * @returns {boolean} True if the field matches
+ */
+function matchesOperator(values, operator, operand) {
+  switch (operator) {
+    case "$eq":
+      return values.some((value) => isEqual(value, operand));
+    case "$ne":
+      return !values.some((value) => isEqual(value, operand));
+    case "$in":
+      return values.some((value) =>
+        operand.some((item) =>
+          item instanceof RegExp
+            ? typeof value === "string" && item.test(value)
+            : isEqual(value, item)
+        )
+      );
+    case "$nin":
+      return !matchesOperator(values, "$in", operand);
+    case "$gt":
+      return values.some((v) => v != null && compareValues(v, operand) > 0);
+    case "$gte":
+      return values.some((v) => v != null && compareValues(v, operand) >= 0);
+    case "$lt":
+      return values.some((v) => v != null && compareValues(v, operand) < 0);
+    case "$lte":
+      return values.some((v) => v != null && compareValues(v, operand) <= 0);
+    case "$exists":
+      return values.some((value) => value !== undefined) === Boolean(operand);
+    case "$regex": {
+      const regex = operand instanceof RegExp ? operand : new RegExp(operand);
+      return values.some(
+        (value) => typeof value === "string" && regex.test(value)
+      );
+    }
+    default:
+      throw new Error(`Unsupported query operator: ${operator}`);
+  }
+}
+
+/**
+ * Check whether a document matches a query filter
+ * @param {Object} doc - The stored document
+ * @param {Object} filter - A MongoDB query filter
+ * @returns {boolean} True if it matches
+ */
+function matches(doc, filter = {}) {
+  return Object.entries(filter).every(([key, condition]) => {
+    if (key === "$or") return condition.some((part) => matches(doc, part));
+    if (key === "$and") return condition.every((part) => matches(doc, part));
+    if (key === "$nor") return !condition.some((part) => matches(doc, part));
+    if (key === "$expr") return Boolean(evaluate(condition, doc));
+
+    const values = getValues(doc, key);
+    if (condition instanceof RegExp) {
+      return matchesOperator(values, "$regex", condition);
+    }
+    if (!isOperatorObject(condition)) {
+      return matchesOperator(values, "$eq", condition);
+    }
+    return Object.entries(condition)
+      .filter(([operator]) => operator !== "$options")
+      .every(([operator, operand]) =>
+        operator === "$regex" && condition.$options
+          ? matchesOperator(
+              values,
+              operator,
+              new RegExp(operand, condition.$options)
+            )
+          : matchesOperator(values, operator, operand)
+      );
+  });
+}
+
+/**
+ * Sort documents by a sort specification, e.g. { totalScore: -1 }
+ * @param {Object[]} docs - The documents
+ * @param {Object} spec - Directions by field path
+ * @returns {Object[]} A sorted copy
+ */
+function sortDocuments(docs, spec) {
+  const fields = Object.entries(spec);
+  return [...docs].sort((a, b) => {
+    for (const [path, direction] of fields) {
+      const order = compareValues(getValue(a, path), getValue(b, path));
+      if (order !== 0) return direction < 0 ? -order : order;
+    }
+    return 0;
+  });
+}
+
+/**
+ * Run an aggregation pipeline
+ * @param {Object[]} docs - The collection's documents
+ * @param {Object[]} pipeline - The stages
+ * @returns {Object[]} The resulting documents
+ */
+function runPipeline(docs, pipeline) {
+  return pipeline.reduce((results, stage) => {
+    const [name, spec] = Object.entries(stage)[0];
+    switch (name) {
+      case "$match":
+        return results.filter((doc) => matches(doc, spec));
+      case "$sort":
+        return sortDocuments(results, spec);
+      case "$skip":
+        return results.slice(spec);
+      case "$limit":
+        return results.slice(0, spec);
+      case "$set":
+      case "$addFields":
+        return results.map((doc) => ({
+          ...doc,
+          ...evaluate(spec, doc),
+        }));
+      case "$group":
+        return groupDocuments(results, spec);
+      default:
+        throw new Error(`Unsupported aggregation stage: ${name}`);
+    }
+  }, docs);
+}
+
+/**
+ * Run a $group stage
+ * @param {Object[]} docs - The documents to group
+ * @param {Object} spec - { _id: expression, field: { $accumulator: expression } }
+ * @returns {Object[]} One document per group, in order of first appearance
+ */
+function groupDocuments(docs, spec) {
+  const { _id: key, ...fields } = spec;
+  const groups = new Map();
+
+  docs.forEach((doc) => {
+    const id = evaluate(key, doc);
+    const groupKey = JSON.stringify(normalize(id));
+    if (!groups.has(groupKey)) groups.set(groupKey, { _id: id, docs: [] });
+    groups.get(groupKey).docs.push(doc);
+  });
+
+  return [...groups.values()].map((group) => {
+    const result = { _id: group._id };
+    Object.entries(fields).forEach(([field, accumulator]) => {
+      const [operator, expr] = Object.entries(accumulator)[0];
+      const values = group.docs.map((doc) => evaluate(expr, doc));
+      switch (operator) {
+        case "$sum":
+          result[field] = values.reduce(
+            (sum, value) => sum + (typeof value === "number" ? value : 0),
+            0
+          );
+          break;
+        case "$max":
+          result[field] = values.reduce((max, value) =>
+            compareValues(value, max) > 0 ? value : max
+          );
+          break;
+        case "$min":
+          result[field] = values.reduce((min, value) =>
+            compareValues(value, min) < 0 ? value : min
+          );
+          break;
+        case "$addToSet":
+          result[field] = values.filter(
+            (value, index) =>
+              values.findIndex((other) => isEqual(other, value)) === index
+          );
+          break;
+        case "$push":
+          result[field] = values;
+          break;
+        case "$first":
+          result[field] = values[0];
+          break;
+        default:
+          throw new Error(`Unsupported accumulator: ${operator}`);
+      }
+    });
+    return result;
+  });
+}
+
+/**
+ * Apply an update to a document. Plain fields are set, like with mongoose.
+ * @param {Document} doc - The mongoose document to change
+ * @param {Object|Object[]} update - Update operators, or a pipeline of $set stages
+ */
+function applyUpdate(doc, update) {
+  if (Array.isArray(update)) {
+    update.forEach((stage) => {
+      const [name, spec] = Object.entries(stage)[0];
+      if (name !== "$set" && name !== "$addFields") {
+        throw new Error(`Unsupported update stage: ${name}`);
+      }
+      const current = doc.toObject();
+      Object.entries(spec).forEach(([path, expr]) => {
+        doc.set(path, evaluate(expr, current));
+      });
+    });
+    return;
+  }
+
+  Object.entries(update).forEach(([operator, fields]) => {
+    if (!operator.startsWith("$")) {
+      doc.set(operator, fields);
+      return;
+    }
+    Object.entries(fields).forEach(([path, value]) => {
+      switch (operator) {
+        case "$set":
+          doc.set(path, value);
+          break;
+        case "$unset":
+          doc.set(path, undefined);
+          break;
+        case "$inc":
+          doc.set(path, (doc.get(path) || 0) + value);
+          break;
+        case "$push":
+          doc.get(path).push(value);
+          break;
+        default:
+          throw new Error(`Unsupported update operator: ${operator}`);
+      }
+    });
+  });
+}
+
+/**
+ * Build the error MongoDB reports for a unique index violation, so code
+ * checking for err.code 11000 behaves the same
+ * @param {string} name - The model name
+ * @param {Object} fields - The unique index's fields
+ * @returns {Error} The error
+ */
+function duplicateKeyError(name, fields) {
+  const error = new Error(
+    `E11000 duplicate key error collection: ${name} index: ${Object.keys(
+      fields
+    ).join("_")}`
+  );
+  error.code = 11000;
+  return error;
+}
+
+/**
+ * A query on a memory model, run when awaited. Supports the chained calls
+ * the bot makes on mongoose queries; select() keeps every field.
+ */
+class Query {
+  /**
+   * @param {Function} Model - The memory model
+   * @param {Function} getDocuments - Returns the model's stored documents
+   * @param {Object} filter - The query filter
+   * @param {Function} finish - Turns the matching documents into the result
+   */
+  constructor(Model, getDocuments, filter, finish) {
+    this.Model = Model;
+    this.getDocuments = getDocuments;
+    this.filter = filter || {};
+    this.finish = finish;
+    this.options = { sort: null, skip: 0, limit: 0, lean: false };
+  }
+
+  sort(spec) {
+    this.options.sort = spec;
+    return this;
+  }
+
+  skip(count) {
+    this.options.skip = count;
+    return this;
+  }
+
+  limit(count) {
+    this.options.limit = count;
+    return this;
+  }
+
+  lean() {
+    this.options.lean = true;
+    return this;
+  }
+
+  select() {
+    return this;
+  }
+
+  session() {
+    return this;
+  }
+
+  /**
+   * Run the query
+   * @returns {Promise<*>} The result
+   */
+  async exec() {
+    const { sort, skip, limit, lean } = this.options;
+    let docs = this.getDocuments().filter((doc) => matches(doc, this.filter));
+    if (sort) docs = sortDocuments(docs, sort);
+    docs = docs.slice(skip, limit ? skip + limit : undefined);
+
+    return this.finish(
+      docs.map((doc) => (lean ? clone(doc) : this.Model.hydrate(clone(doc))))
+    );
+  }
+
+  then(resolve, reject) {
+    return this.exec().then(resolve, reject);
+  }
+
+  catch(reject) {
+    return this.exec().catch(reject);
+  }
+
+  /**
+   * Iterate over the results with for await
+   * @returns {AsyncGenerator} The documents
+   */
+  async *cursor() {
+    yield* await this.exec();
+  }
+}
+
+/**
+ * Compile a model whose documents are kept in memory
+ * @param {string} name - The model name, e.g. "Plate"
+ * @param {Schema} schema - The mongoose schema
+ * @returns {Function} A model with the mongoose Model API the bot uses
+ */
+function model(name, schema) {
+  const Model = connection.model(name, schema);
+  collections[name] = collections[name] || [];
+
+  const uniqueIndexes = schema
+    .indexes()
+    .filter(([, options]) => options && options.unique)
+    .map(([fields]) => fields);
+
+  const documents = () => collections[name];
+
+  /**
+   * Note a change in the journal of the session's transaction, if any, so it
+   * can be undone
+   * @param {Object} [session] - The session the change was made in
+   * @param {Object} previous - The stored document before, null if inserted
+   * @param {number} index - Its position in the collection
+   * @param {*} id - The _id of the changed document
+   */
+  const record = (session, previous, index, id) => {
+    if (session && session.journal) {
+      session.journal.push({ name, previous, index, id });
+    }
+  };
+
+  /**
+   * Store a document, replacing the stored version with the same _id
+   * @param {Document} doc - The mongoose document
+   * @param {Object} [session] - The session the write belongs to
+   */
+  const store = async (doc, session) => {
+    await doc.validate();
+    const stored = clone(doc.toObject());
+    const others = collections[name].filter(
+      (other) => !isEqual(other._id, stored._id)
+    );
+
+    uniqueIndexes.forEach((fields) => {
+      const taken = others.some((other) =>
+        Object.keys(fields).every((path) =>
+          isEqual(getValue(other, path), getValue(stored, path))
+        )
+      );
+      if (taken) throw duplicateKeyError(name, fields);
+    });
+
+    // A replaced document keeps its place, like MongoDB's natural order
+    const index = collections[name].findIndex((other) =>
+      isEqual(other._id, stored._id)
+    );
+    record(
+      session,
+      index === -1 ? null : collections[name][index],
+      index,
+      stored._id
+    );
+    collections[name] =
+      index === -1
+        ? [...others, stored]
+        : collections[name].map((other, i) => (i === index ? stored : other));
+    doc.isNew = false;
+    notify();
+    return doc;
+  };
+
+  /**
+   * Remove the stored documents matching a filter
+   * @param {Object} filter - The query filter
+   * @param {boolean} [many] - Remove every match rather than the first
+   * @param {Object} [session] - The session the write belongs to
+   * @returns {Object} { deletedCount }
+   */
+  const remove = (filter, many, session) => {
+    const targets = collections[name].filter((doc) => matches(doc, filter));
+    const removed = many ? targets : targets.slice(0, 1);
+    removed.forEach((doc) => {
+      record(session, doc, collections[name].indexOf(doc), doc._id);
+      collections[name] = collections[name].filter((other) => other !== doc);
+    });
+    if (removed.length > 0) notify();
+    return { deletedCount: removed.length };
+  };
+
+  /**
+   * Update the stored documents matching a filter
+   * @param {Object} filter - The query filter
+   * @param {Object|Object[]} update - The update
+   * @param {Object} [options] - { upsert, many, session }
+   * @returns {Promise<Object>} { matchedCount, modifiedCount, upsertedCount, before, after }
+   */
+  const update = async (filter, changes, options = {}) => {
+    const targets = collections[name].filter((doc) => matches(doc, filter));
+    const selected = options.many ? targets : targets.slice(0, 1);
+
+    if (selected.length === 0 && options.upsert) {
+      // The equality conditions of the filter become fields of the new document
+      const fields = Object.fromEntries(
+        Object.entries(filter).filter(
+          ([key, value]) => !key.startsWith("$") && !isOperatorObject(value)
+        )
+      );
+      const doc = new Model(fields);
+      applyUpdate(doc, changes);
+      await store(doc, options.session);
+      return {
+        matchedCount: 0,
+        modifiedCount: 0,
+        upsertedCount: 1,
+        after: [doc],
+      };
+    }
+
+    const before = [];
+    const after = [];
+    let modifiedCount = 0;
+    for (const stored of selected) {
+      before.push(Model.hydrate(clone(stored)));
+      const doc = Model.hydrate(clone(stored));
+      applyUpdate(doc, changes);
+      // Like MongoDB, an update that changes nothing isn't written
+      if (!isSameDocument(doc.toObject(), stored)) {
+        await store(doc, options.session);
+        modifiedCount++;
+      }
+      after.push(doc);
+    }
+    return {
+      matchedCount: selected.length,
+      modifiedCount,
+      upsertedCount: 0,
+      before,
+      after,
+    };
+  };
+
+  const first = (docs) => docs[0] || null;
+
+  Object.assign(Model, {
+    find: (filter) => new Query(Model, documents, filter, (docs) => docs),
+    findOne: (filter) => new Query(Model, documents, filter, first).limit(1),
+    findById: (id) => Model.findOne({ _id: id }),
+    exists: (filter) =>
+      new Query(Model, documents, filter, (docs) =>
+        docs[0] ? { _id: docs[0]._id } : null
+      )
+        .limit(1)
+        .lean(),
+    countDocuments: (filter) =>
+      new Query(Model, documents, filter, (docs) => docs.length).lean(),
+    distinct: async (path, filter) => {
+      const values = collections[name]
+        .filter((doc) => matches(doc, filter))
+        .flatMap((doc) => getValues(doc, path))
+        .filter((value) => value !== undefined && !Array.isArray(value));
+      return values.filter(
+        (value, index) =>
+          values.findIndex((other) => isEqual(other, value)) === index
+      );
+    },
+    create: async (docs, options = {}) => {
+      const created = [];
+      for (const fields of Array.isArray(docs) ? docs : [docs]) {
+        created.push(await store(new Model(fields), options.session));
+      }
+      return Array.isArray(docs) ? created : created[0];
+    },
+    insertMany: (docs, options) => Model.create([...docs], options),
+    updateOne: async (filter, changes, options) => {
+      const { before, after, ...counts } = await update(
+        filter,
+        changes,
+        options
+      );
+      return counts;
+    },
+    updateMany: async (filter, changes, options) => {
+      const { before, after, ...counts } = await update(filter, changes, {
+        ...options,
+        many: true,
+      });
+      return counts;
+    },
+    findOneAndUpdate: async (filter, changes, options = {}) => {
+      const { before, after } = await update(filter, changes, options);
+      const returnAfter = options.new || options.returnDocument === "after";
+      return (returnAfter ? after[0] : before && before[0]) || null;
+    },
+    deleteOne: async (filter, options = {}) =>
+      remove(filter, false, options.session),
+    deleteMany: async (filter, options = {}) =>
+      remove(filter, true, options.session),
+    bulkWrite: async (operations, options = {}) => {
+      const { session } = options;
+      for (const operation of operations) {
+        const [type, spec] = Object.entries(operation)[0];
+        if (type === "insertOne") {
+          await Model.create([spec.document], { session });
+        } else if (type === "updateOne") {
+          await Model.updateOne(spec.filter, spec.update, { ...spec, session });
+        } else if (type === "updateMany") {
+          await Model.updateMany(spec.filter, spec.update, {
+            ...spec,
+            session,
+          });
+        } else if (type === "deleteOne") remove(spec.filter, false, session);
+        else if (type === "deleteMany") remove(spec.filter, true, session);
+        else throw new Error(`Unsupported bulk write operation: ${type}`);
+      }
+      return { ok: 1 };
+    },
+    aggregate: async (pipeline) =>
+      runPipeline(clone(collections[name]), pipeline),
+    syncIndexes: async () => [],
+  });
+
+  Model.prototype.save = function (options = {}) {
+    return store(this, options.session);
+  };
+  Model.prototype.deleteOne = async function (options = {}) {
+    return remove({ _id: this._id }, false, options.session);
+  };
+
+  return Model;
+}
+
+/**
+ * Put back the documents a journal recorded, newest change first
+ * @param {Object[]} journal - { name, previous, index, id } per change
+ */
+function undoChanges(journal) {
+  [...journal].reverse().forEach(({ name, previous, index, id }) => {
+    const docs = collections[name];
+    const current = docs.findIndex((doc) => isEqual(doc._id, id));
+
+    if (current !== -1) {
+      // Inserted documents go, replaced ones get their old version back
+      collections[name] = previous
+        ? docs.map((doc, i) => (i === current ? previous : doc))
+        : docs.filter((doc, i) => i !== current);
+    } else if (previous) {
+      collections[name] = [
+        ...docs.slice(0, index),
+        previous,
+        ...docs.slice(index),
+      ];
+    }
+  });
+}
+
+/**
+ * Start a session. Writes made with { session } inside withTransaction() are
+ * journaled, and undone when the transaction function throws. Writes made
+ * outside the session in the meantime are kept.
+ * @returns {Promise<Object>} The session
+ */
+async function startSession() {
+  const session = {
+    journal: null,
+    async withTransaction(fn) {
+      session.journal = [];
+      try {
+        return await fn();
+      } catch (err) {
+        undoChanges(session.journal);
+        if (session.journal.length > 0) notify();
+        throw err;
+      } finally {
+        session.journal = null;
+      }
+    },
+    async endSession() {},
+  };
+  return session;
+}
+
+/**
+ * Remove every stored document, e.g. between tests
+ */
+function clear() {
+  Object.keys(collections).forEach((name) => {
+    collections[name] = [];
+  });
+  notify();
+}
+
+/**
+ * Copy every stored document, e.g. to save them
+ * @returns {Object} Arrays of plain documents by model name
+ */
+function exportData() {
+  return clone(collections);
+}
+
+/**
+ * Replace the stored documents, e.g. with ones loaded from a file.
+ * Models not in the data are left empty.
+ * @param {Object} data - Arrays of plain documents by model name
+ */
+function importData(data) {
+  Object.keys(collections).forEach((name) => {
+    collections[name] = clone((data && data[name]) || []);
+  });
+}
+
+module.exports = {
+  name: "memory",
+  label: "in-memory storage",
+  model,
+  connect: async () => {},
+  startSession,
+  clear,
+  onChange,
+  exportData,
+  importData,
+};
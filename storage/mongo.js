@@ -0,0 +1,12 @@
+// storage/mongo.js
+// MongoDB storage backend, through mongoose. Connects to MONGODB_URI.
+
+const mongoose = require("mongoose");
+
+module.exports = {
+  name: "mongo",
+  label: "MongoDB",
+  model: (name, schema) => mongoose.model(name, schema),
+  connect: () => mongoose.connect(process.env.MONGODB_URI),
+  startSession: () => mongoose.startSession(),
+};
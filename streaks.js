@@ -0,0 +1,103 @@
+// streaks.js
+// Daily spotting streaks: the days in a row a collector added at least one
+// plate, counted in UTC days. Servers can reward streaks with bonus points.
+
+const { getDailyActivity } = require("./plates");
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Longest streak the bonus keeps growing for
+const STREAK_BONUS_MAX_DAYS = 7;
+
+/**
+ * Get the UTC day of a date, as the activity queries key days
+ * @param {Date} date - Any moment of the day
+ * @returns {string} e.g. "2026-10-19"
+ */
+function toDayKey(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Count the most days in a row a collector spotted plates on
+ * @param {string[]} days - UTC dates like "2026-10-19", in any order
+ * @returns {number} The length of the longest run
+ */
+function getLongestStreak(days) {
+  const times = days.map((day) => Date.parse(day)).sort((a, b) => a - b);
+
+  let longest = 0;
+  let current = 0;
+  times.forEach((time, i) => {
+    current = i > 0 && time - times[i - 1] === DAY ? current + 1 : 1;
+    longest = Math.max(longest, current);
+  });
+  return longest;
+}
+
+/**
+ * Get a collector's current and longest streak. A streak still counts until
+ * a whole day passes without a plate, so one that reached yesterday is
+ * current until today ends.
+ * @param {string[]} days - UTC dates like "2026-10-19" with plates
+ * @param {Date} [now] - The current time
+ * @returns {Object} { current, longest } in days
+ */
+function getStreaks(days, now = new Date()) {
+  const spotted = new Set(days);
+
+  let time = Date.parse(toDayKey(now));
+  if (!spotted.has(toDayKey(new Date(time)))) time -= DAY;
+
+  let current = 0;
+  while (spotted.has(toDayKey(new Date(time)))) {
+    current++;
+    time -= DAY;
+  }
+
+  return { current, longest: getLongestStreak(days) };
+}
+
+/**
+ * Award the streak bonus for a newly counted plate, if the guild gives one.
+ * Only the collector's first plate of a day earns it, growing by the guild's
+ * bonus for each day the streak has run.
+ * @param {Object} plate - The saved, verified plate document
+ * @param {Object} settings - The guild settings document
+ * @returns {Promise<Object>} { days, bonus } with the streak the plate
+ * extends and the points added, 0 if none
+ */
+async function awardStreakBonus(plate, settings) {
+  const activity = await getDailyActivity(plate.userId, {
+    guildId: plate.guildId,
+    dateSpotted: { $lte: plate.dateSpotted },
+  });
+  const day = toDayKey(plate.dateSpotted);
+  const days = getStreaks(
+    activity.map((entry) => entry._id),
+    plate.dateSpotted
+  ).current;
+
+  const today = activity.find((entry) => entry._id === day);
+  if (!settings.streakBonus || !today || today.plateCount > 1) {
+    return { days, bonus: 0 };
+  }
+
+  const bonus =
+    settings.streakBonus * Math.min(days - 1, STREAK_BONUS_MAX_DAYS);
+  if (bonus > 0) {
+    plate.bonusScore = (plate.bonusScore || 0) + bonus;
+    plate.totalScore += bonus;
+    await plate.save();
+  }
+
+  return { days, bonus };
+}
+
+module.exports = {
+  STREAK_BONUS_MAX_DAYS,
+  toDayKey,
+  getLongestStreak,
+  getStreaks,
+  awardStreakBonus,
+};
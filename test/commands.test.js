@@ -0,0 +1,468 @@
+// test/commands.test.js
+// Command handlers driven by fake interactions, with plates kept in memory
+
+process.env.STORAGE_BACKEND = "memory";
+
+const { describe, it, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { handleInteraction } = require("../commands");
+const {
+  Plate,
+  Sighting,
+  Challenge,
+  AuditLog,
+  GuildSettings,
+  UserSettings,
+} = require("../models");
+const { calculatePlateScore } = require("../scoring");
+const { getActiveChallenges } = require("../challenges");
+const { clear } = require("../storage/memory");
+const {
+  createUser,
+  createChannel,
+  createInteraction,
+  createAutocomplete,
+  lastReply,
+} = require("./fakes");
+
+/**
+ * Run a slash command through the registry, like a user typing it
+ * @param {string} commandName - e.g. "addplate"
+ * @param {Object} [options] - Option values by name
+ * @param {Object} [overrides] - See createInteraction()
+ * @returns {Promise<Object>} The interaction, with what it sent in replies
+ */
+async function run(commandName, options, overrides) {
+  const interaction = createInteraction(commandName, options, overrides);
+  await handleInteraction(interaction);
+  return interaction;
+}
+
+beforeEach(() => {
+  clear();
+  // Handlers log the errors they recover from
+  mock.method(console, "error", () => {});
+  // Challenges are picked at random. The highest pick makes every period a
+  // palindrome challenge, which none of the plates below complete.
+  mock.method(Math, "random", () => 0.99);
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe("interaction routing", () => {
+  it("refuses commands in DMs", async () => {
+    const interaction = await run("mycollection", {}, { guildId: null });
+    assert.equal(
+      lastReply(interaction).content,
+      "Plate commands can only be used inside a server."
+    );
+  });
+
+  it("ignores unknown commands", async () => {
+    const interaction = await run("nosuchcommand");
+    assert.equal(interaction.replies.length, 0);
+  });
+
+  it("answers autocomplete requests", async () => {
+    const interaction = createAutocomplete("addplate", {
+      name: "location",
+      value: "Ank",
+    });
+    await handleInteraction(interaction);
+    assert.deepEqual(interaction.choices, [
+      { name: "06 Ankara", value: "Ankara" },
+    ]);
+  });
+});
+
+describe("/addplate", () => {
+  it("adds a new plate with its score and first sighting", async () => {
+    const interaction = await run("addplate", { plate: "34 abc 123" });
+
+    const reply = lastReply(interaction);
+    assert.match(reply.embeds[0].title, /34ABC123/);
+
+    const plates = await Plate.find({ userId: "100" });
+    assert.equal(plates.length, 1);
+    assert.equal(plates[0].guildId, "guild-1");
+    assert.equal(
+      plates[0].totalScore,
+      calculatePlateScore("34ABC123").totalScore
+    );
+    assert.equal(plates[0].bonusScore, 0);
+    assert.equal(await Sighting.countDocuments({ plateId: plates[0]._id }), 1);
+  });
+
+  it("says which look-alike characters it swapped", async () => {
+    const interaction = await run("addplate", { plate: "34ABC12O" });
+    const [embed] = lastReply(interaction).embeds;
+    assert.match(embed.description, /Read 34ABC12O as 34ABC120.*O → 0/);
+  });
+
+  it("rejects other mix-ups and suggests the plate instead", async () => {
+    const interaction = await run("addplate", { plate: "34ABCD12" });
+    const reply = lastReply(interaction);
+    assert.match(reply.content, /has 4 letters.*Did you mean 34ABC012\?/);
+    assert.equal(await Plate.countDocuments({ userId: "100" }), 0);
+  });
+
+  it("adds the bonus of a completed challenge", async () => {
+    await getActiveChallenges("guild-1");
+    await Challenge.updateOne(
+      { guildId: "guild-1", period: "daily" },
+      { $set: { kind: "province", target: "34" } }
+    );
+
+    const interaction = await run("addplate", { plate: "34ABC123" });
+
+    const plate = await Plate.findOne({ plateText: "34ABC123" });
+    assert.equal(plate.bonusScore, 25);
+    assert.match(
+      JSON.stringify(lastReply(interaction).embeds[0].fields),
+      /A plate from 34 Istanbul/
+    );
+  });
+
+  it("explains why an invalid plate is rejected", async () => {
+    const interaction = await run("addplate", { plate: "99ABC12" });
+
+    const reply = lastReply(interaction);
+    assert.equal(reply.ephemeral, true);
+    assert.match(reply.content, /province code 99 doesn't exist/);
+    assert.equal(await Plate.countDocuments(), 0);
+  });
+
+  it("records a duplicate plate as another sighting without scoring it", async () => {
+    await run("addplate", { plate: "06BYZ789" });
+    const interaction = await run("addplate", {
+      plate: "06BYZ789",
+      note: "Parked outside the bakery",
+    });
+
+    assert.match(lastReply(interaction).content, /sighting #2/);
+    assert.equal(await Plate.countDocuments(), 1);
+    assert.equal(await Sighting.countDocuments(), 2);
+  });
+
+  it("keeps collections apart per server", async () => {
+    await run("addplate", { plate: "06BYZ789" });
+    await run("addplate", { plate: "06BYZ789" }, { guildId: "guild-2" });
+
+    assert.equal(await Plate.countDocuments(), 2);
+  });
+
+  it("requires a photo when the server verifies plates", async () => {
+    await GuildSettings.create({
+      guildId: "guild-1",
+      verificationMode: "required",
+      reviewChannelId: "review-1",
+    });
+
+    const interaction = await run("addplate", { plate: "34ABC123" });
+    assert.match(lastReply(interaction).content, /requires a photo/);
+    assert.equal(await Plate.countDocuments(), 0);
+  });
+
+  it("queues photographed plates for review", async () => {
+    await GuildSettings.create({
+      guildId: "guild-1",
+      verificationMode: "required",
+      reviewChannelId: "review-1",
+    });
+
+    const photo = {
+      url: "https://cdn.discordapp.com/attachments/plate.jpg",
+      name: "plate.jpg",
+      contentType: "image/jpeg",
+    };
+    await run("addplate", { plate: "34ABC123", photo });
+
+    const plate = await Plate.findOne({ plateText: "34ABC123" });
+    assert.equal(plate.status, "pending");
+    assert.equal(plate.photoUrl, photo.url);
+  });
+
+  it("drops the plate if the review request can't be posted", async () => {
+    await GuildSettings.create({
+      guildId: "guild-1",
+      verificationMode: "required",
+      reviewChannelId: "review-1",
+    });
+
+    const photo = {
+      url: "https://cdn.discordapp.com/attachments/plate.jpg",
+      name: "plate.jpg",
+      contentType: "image/jpeg",
+    };
+    const interaction = createInteraction("addplate", {
+      plate: "34ABC123",
+      photo,
+    });
+    const reviewChannel = createChannel("review-1");
+    reviewChannel.send = async () => {
+      throw new Error("Missing Permissions");
+    };
+    interaction.guild.channels.fetch = async () => reviewChannel;
+    await handleInteraction(interaction);
+
+    assert.match(lastReply(interaction).content, /error adding your plate/);
+    assert.equal(await Plate.countDocuments(), 0);
+    assert.equal(await Sighting.countDocuments(), 0);
+  });
+
+  it("checks the roles allowed to add plates", async () => {
+    await GuildSettings.create({
+      guildId: "guild-1",
+      submitRoleIds: ["role-spotter"],
+    });
+
+    const refused = await run("addplate", { plate: "34ABC123" });
+    assert.match(lastReply(refused).content, /don't have a role/);
+
+    await run("addplate", { plate: "34ABC123" }, { roles: ["role-spotter"] });
+    assert.equal(await Plate.countDocuments(), 1);
+  });
+
+  it("reports database errors", async () => {
+    mock.method(Plate, "findOne", async () => {
+      throw new Error("connection lost");
+    });
+
+    const interaction = await run("addplate", { plate: "34ABC123" });
+    const reply = lastReply(interaction);
+    assert.equal(reply.ephemeral, true);
+    assert.equal(
+      reply.content,
+      "There was an error adding your plate. Please try again."
+    );
+  });
+});
+
+describe("/mycollection", () => {
+  it("says when nothing has been collected", async () => {
+    const interaction = await run("mycollection");
+    assert.equal(
+      lastReply(interaction).content,
+      "You haven't collected any plates yet!"
+    );
+  });
+
+  it("sums the collection", async () => {
+    await run("addplate", { plate: "34ABC123" });
+    await run("addplate", { plate: "06AA1234" });
+
+    const interaction = await run("mycollection");
+    const { description } = lastReply(interaction).embeds[0];
+    const total = (await Plate.find()).reduce(
+      (sum, plate) => sum + plate.totalScore,
+      0
+    );
+
+    assert.match(description, /Total Plates: 2/);
+    assert.match(description, new RegExp(`Total Score: ${total}\\b`));
+    assert.match(description, /Streak: 1 day \(best: 1 day\)/);
+  });
+
+  it("reports database errors", async () => {
+    mock.method(Plate, "find", () => Promise.reject(new Error("timed out")));
+
+    const interaction = await run("mycollection");
+    assert.equal(
+      lastReply(interaction).content,
+      "There was an error retrieving your collection. Please try again."
+    );
+  });
+});
+
+describe("/stats", () => {
+  it("shows streaks with a chart of plates per day", async () => {
+    await run("addplate", { plate: "34ABC123" });
+    await run("addplate", { plate: "06AA1234" });
+
+    const interaction = await run("stats");
+    const reply = lastReply(interaction);
+    const fields = Object.fromEntries(
+      reply.embeds[0].fields.map((field) => [field.name, field.value])
+    );
+
+    assert.equal(fields["Current Streak"], "🔥 1 day");
+    assert.equal(fields["Last 30 Days"], "2 plates");
+    assert.equal(reply.files[0].name, "stats.png");
+    assert.ok(
+      reply.files[0].attachment.subarray(1, 4).equals(Buffer.from("PNG"))
+    );
+  });
+
+  it("adds the server's streak bonus to the first plate of a day", async () => {
+    await GuildSettings.create({ guildId: "guild-1", streakBonus: 5 });
+    await run("addplate", { plate: "34ABC123" });
+    await Plate.updateOne(
+      { plateText: "34ABC123" },
+      { $set: { dateSpotted: new Date(Date.now() - 24 * 60 * 60 * 1000) } }
+    );
+
+    const interaction = await run("addplate", { plate: "06AA1234" });
+
+    assert.match(
+      JSON.stringify(lastReply(interaction).embeds[0].fields),
+      /2 days in a row: \+5 bonus points/
+    );
+  });
+});
+
+describe("/leaderboard", () => {
+  it("ranks collectors by their total score", async () => {
+    const mehmet = createUser("200", "mehmet");
+    await run("addplate", { plate: "34ABC123" });
+    await run("addplate", { plate: "06CD123" }, { user: mehmet });
+
+    const interaction = await run("leaderboard", { all_time: true });
+    const [, users] = lastReply(interaction).embeds[0].fields;
+    assert.equal(users.value, "mehmet\nayse");
+  });
+});
+
+describe("/plateinfo", () => {
+  it("shows who collected a plate", async () => {
+    await run("addplate", { plate: "34ABC123" });
+
+    const interaction = await run("plateinfo", { plate: "34abc123" });
+    assert.match(JSON.stringify(lastReply(interaction).embeds), /ayse/);
+  });
+
+  it("keeps other servers' sightings out of the global timeline", async () => {
+    await run(
+      "addplate",
+      { plate: "34ABC123", location: "Kadıköy", note: "outside my house" },
+      { user: createUser("200", "mehmet"), guildId: "guild-2" }
+    );
+
+    const interaction = await run("plateinfo", {
+      plate: "34abc123",
+      global: true,
+    });
+    const embeds = JSON.stringify(lastReply(interaction).embeds);
+    assert.match(embeds, /34ABC123/);
+    assert.doesNotMatch(embeds, /Kadıköy|outside my house/);
+  });
+
+  it("suggests collected plates in the user's language", async () => {
+    await run("addplate", { plate: "34ABC123" });
+
+    const english = createAutocomplete("plateinfo", {
+      name: "plate",
+      value: "34a",
+    });
+    await handleInteraction(english);
+    assert.deepEqual(english.choices, [
+      { name: "🇹🇷 34ABC123 (collected once)", value: "34ABC123" },
+    ]);
+
+    await UserSettings.create({ userId: "100", locale: "tr" });
+    const turkish = createAutocomplete("plateinfo", {
+      name: "plate",
+      value: "34a",
+    });
+    await handleInteraction(turkish);
+    assert.equal(turkish.choices[0].name, "🇹🇷 34ABC123 (1 kez toplandı)");
+  });
+});
+
+describe("/removeplate", () => {
+  it("removes a plate once confirmed and logs it", async () => {
+    await run("addplate", { plate: "34ABC123" });
+
+    const interaction = await run(
+      "removeplate",
+      { plate: "34ABC123", reason: "typo" },
+      { clicks: ["confirm"] }
+    );
+
+    assert.match(lastReply(interaction).content, /Removed 34ABC123/);
+    assert.equal(await Plate.countDocuments(), 0);
+    assert.equal(await Sighting.countDocuments(), 0);
+
+    const [entry] = await AuditLog.find();
+    assert.equal(entry.action, "remove");
+    assert.equal(entry.reason, "typo");
+  });
+
+  it("keeps the plate when cancelled", async () => {
+    await run("addplate", { plate: "34ABC123" });
+    await run("removeplate", { plate: "34ABC123" }, { clicks: ["cancel"] });
+
+    assert.equal(await Plate.countDocuments(), 1);
+  });
+
+  it("only lets moderators change someone else's collection", async () => {
+    const mehmet = createUser("200", "mehmet");
+    await run("addplate", { plate: "34ABC123" }, { user: mehmet });
+
+    const refused = await run("removeplate", {
+      plate: "34ABC123",
+      user: mehmet,
+    });
+    assert.match(lastReply(refused).content, /Only moderators/);
+
+    await run(
+      "removeplate",
+      { plate: "34ABC123", user: mehmet },
+      { permissions: ["ManageMessages"], clicks: ["confirm"] }
+    );
+    assert.equal(await Plate.countDocuments(), 0);
+    assert.match(mehmet.dms[0], /A moderator removed 34ABC123/);
+  });
+});
+
+describe("/rescore", () => {
+  it("only rescores the server it is run in", async () => {
+    await run("addplate", { plate: "34ABC123" });
+    await run("addplate", { plate: "34ABC123" }, { guildId: "guild-2" });
+    await Plate.updateMany({}, { $set: { totalScore: 1 } });
+
+    const interaction = await run(
+      "rescore",
+      {},
+      { permissions: ["Administrator"] }
+    );
+    assert.match(
+      lastReply(interaction).embeds[0].description,
+      /Checked 1 plate in this server/
+    );
+
+    const [here] = await Plate.find({ guildId: "guild-1" });
+    const [other] = await Plate.find({ guildId: "guild-2" });
+    assert.equal(here.totalScore, calculatePlateScore("34ABC123").totalScore);
+    assert.equal(other.totalScore, 1);
+  });
+});
+
+describe("/language", () => {
+  it("replies in the chosen language from then on", async () => {
+    await run("language", { language: "tr" });
+    assert.equal((await UserSettings.findOne({ userId: "100" })).locale, "tr");
+
+    const interaction = await run("mycollection");
+    assert.equal(lastReply(interaction).content, "Henüz hiç plaka toplamadın!");
+  });
+});
+
+describe("/platehelp", () => {
+  it("lists the commands members can use", async () => {
+    const interaction = await run("platehelp");
+    const { description } = lastReply(interaction).embeds[0];
+
+    assert.match(description, /`\/addplate <plate> \[photo\]/);
+    assert.doesNotMatch(description, /\/rescore/);
+  });
+
+  it("leaves the server's channels to /config", async () => {
+    const interaction = await run("platehelp");
+    const { description } = lastReply(interaction).embeds[0];
+
+    assert.match(description, /`\/challenges current`/);
+    assert.doesNotMatch(description, /channel/);
+  });
+});
@@ -0,0 +1,159 @@
+// test/digest.test.js
+// The weekly recap and when the scheduler posts it
+
+process.env.STORAGE_BACKEND = "memory";
+
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { GuildSettings, Plate } = require("../models");
+const {
+  getDigestWeek,
+  getLeaderboardMovers,
+  buildDigest,
+} = require("../digest");
+const { postDigests } = require("../scheduler");
+const { clear } = require("../storage/memory");
+const { createChannel } = require("./fakes");
+
+// Monday 19 October 2026, 09:00 UTC, and the week before it
+const RECAP_TIME = new Date("2026-10-19T09:00:00Z");
+const WEEK = {
+  start: new Date("2026-10-12T09:00:00Z"),
+  end: RECAP_TIME,
+};
+
+/**
+ * Store a plate with just the fields the recap needs
+ * @param {Object} fields - Fields to set
+ * @returns {Promise<Object>} The plate document
+ */
+function addPlate(fields) {
+  return Plate.create({
+    guildId: "guild-1",
+    userId: "100",
+    username: "ayse",
+    plateText: "34ABC123",
+    provinceCode: "34",
+    digits: "123",
+    plateType: "STANDARD",
+    totalScore: 10,
+    dateSpotted: new Date("2026-10-14T12:00:00Z"),
+    ...fields,
+  });
+}
+
+/**
+ * Build a fake client in one guild whose channels keep what is sent to them
+ * @returns {Object} The client; the recap channel is in digestChannel
+ */
+function createClient() {
+  const digestChannel = createChannel("digest-1");
+  return {
+    digestChannel,
+    guilds: { cache: new Map([["guild-1", {}]]) },
+    channels: { fetch: async () => digestChannel },
+  };
+}
+
+beforeEach(() => {
+  clear();
+});
+
+describe("getDigestWeek", () => {
+  const settings = { digestDay: 1, digestHour: 9 };
+
+  it("ends at the most recent recap time", () => {
+    assert.deepEqual(
+      getDigestWeek(settings, new Date("2026-10-22T18:00:00Z")),
+      WEEK
+    );
+    assert.deepEqual(getDigestWeek(settings, RECAP_TIME), WEEK);
+  });
+
+  it("goes back a week until the recap hour", () => {
+    const { end } = getDigestWeek(settings, new Date("2026-10-19T08:59:00Z"));
+    assert.deepEqual(end, new Date("2026-10-12T09:00:00Z"));
+  });
+});
+
+describe("getLeaderboardMovers", () => {
+  it("lists collectors who climbed, newcomers included", () => {
+    const entry = (userId) => ({ _id: { userId, username: `user${userId}` } });
+    const movers = getLeaderboardMovers(
+      [entry("1"), entry("2"), entry("3")],
+      [entry("3"), entry("4"), entry("1"), entry("2")]
+    );
+
+    assert.deepEqual(
+      movers.map(({ username, from, to }) => [username, from, to]),
+      [
+        ["user3", 3, 1],
+        ["user4", null, 2],
+      ]
+    );
+  });
+});
+
+describe("buildDigest", () => {
+  it("sums up the week", async () => {
+    await addPlate({ dateSpotted: new Date("2026-09-01T12:00:00Z") });
+    await addPlate({
+      plateText: "06CD123",
+      provinceCode: "06",
+      totalScore: 50,
+    });
+    await addPlate({
+      userId: "200",
+      username: "mehmet",
+      plateText: "06AB123",
+      provinceCode: "06",
+      totalScore: 20,
+      dateSpotted: new Date("2026-10-15T12:00:00Z"),
+    });
+    await addPlate({
+      userId: "200",
+      username: "mehmet",
+      plateText: "06AC123",
+      provinceCode: "06",
+      dateSpotted: new Date("2026-10-16T12:00:00Z"),
+    });
+
+    const recap = (await buildDigest("guild-1", WEEK, "en")).toJSON();
+    const fields = Object.fromEntries(
+      recap.fields.map((field) => [field.name, field.value])
+    );
+
+    assert.match(recap.description, /3 plates added by 2 collectors, worth 80/);
+    assert.match(fields["Find of the Week"], /06CD123\*\* by ayse - 50 pts/);
+    assert.match(fields["Reached for the First Time"], /Ankara - ayse/);
+    assert.equal(fields["Leaderboard Movers"], "🆕 mehmet → #2");
+    assert.equal(fields.Streaks, "🔥 mehmet - 2 days in a row");
+  });
+
+  it("skips quiet weeks", async () => {
+    await addPlate({ dateSpotted: new Date("2026-09-01T12:00:00Z") });
+    assert.equal(await buildDigest("guild-1", WEEK, "en"), null);
+  });
+});
+
+describe("postDigests", () => {
+  it("posts each week's recap once", async () => {
+    await GuildSettings.create({
+      guildId: "guild-1",
+      digestChannelId: "digest-1",
+    });
+    await addPlate({});
+    const client = createClient();
+
+    await postDigests(client, new Date("2026-10-19T10:00:00Z"));
+    await postDigests(client, new Date("2026-10-19T10:05:00Z"));
+
+    assert.equal(client.digestChannel.messages.length, 1);
+    assert.equal(
+      (
+        await GuildSettings.findOne({ guildId: "guild-1" })
+      ).lastDigestAt.getTime(),
+      RECAP_TIME.getTime()
+    );
+  });
+});
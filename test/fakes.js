@@ -0,0 +1,228 @@
+// test/fakes.js
+// Fake Discord objects for driving the command handlers without Discord.
+// Everything the bot sends is recorded so tests can check it.
+
+const { PermissionFlagsBits } = require("discord.js");
+
+/**
+ * Build a fake Discord user
+ * @param {string} id - The user ID
+ * @param {string} username - The username
+ * @returns {Object} The user; messages sent to it are kept in dms
+ */
+function createUser(id, username) {
+  const user = {
+    id,
+    username,
+    bot: false,
+    dms: [],
+    send: async (message) => {
+      user.dms.push(message);
+    },
+    displayAvatarURL: () => `https://cdn.discordapp.com/avatars/${id}.png`,
+    toString: () => `<@${id}>`,
+  };
+  return user;
+}
+
+/**
+ * Build a fake text channel
+ * @param {string} id - The channel ID
+ * @returns {Object} The channel; messages sent to it are kept in messages
+ */
+function createChannel(id) {
+  const channel = {
+    id,
+    messages: [],
+    isTextBased: () => true,
+    send: async (message) => {
+      channel.messages.push(message);
+      return message;
+    },
+    toString: () => `<#${id}>`,
+  };
+  return channel;
+}
+
+/**
+ * Bring anything passed to reply() and friends into one shape
+ * @param {string} type - "reply", "editReply", "followUp" or "update"
+ * @param {string|Object} payload - The message
+ * @returns {Object} { type, content, embeds, components, files, ephemeral }
+ */
+function record(type, payload) {
+  const message = typeof payload === "string" ? { content: payload } : payload;
+  return {
+    type,
+    content: message.content,
+    embeds: (message.embeds || []).map((embed) =>
+      embed.toJSON ? embed.toJSON() : embed
+    ),
+    components: message.components || [],
+    files: message.files || [],
+    ephemeral: Boolean(message.ephemeral),
+  };
+}
+
+/**
+ * Build a fake button click answering a confirmation question
+ * @param {Object} interaction - The interaction that asked
+ * @param {string} customId - "confirm" or "cancel"
+ * @returns {Object} The button interaction
+ */
+function createClick(interaction, customId) {
+  return {
+    customId,
+    user: interaction.user,
+    update: async (payload) => {
+      interaction.replies.push(record("update", payload));
+    },
+  };
+}
+
+/**
+ * Build a fake slash command interaction
+ * @param {string} commandName - e.g. "addplate"
+ * @param {Object} [options] - Option values by name; subcommand names the subcommand
+ * @param {Object} [overrides] - Anything to change:
+ *   user, guildId (null for a DM), locale (Discord locale),
+ *   permissions (names of PermissionFlagsBits the member has),
+ *   roles (IDs of the member's roles),
+ *   clicks (customIds of buttons clicked on the reply, in order; none means
+ *   the question times out)
+ * @returns {Object} The interaction; what it sends is kept in replies
+ */
+function createInteraction(commandName, options = {}, overrides = {}) {
+  const {
+    user = createUser("100", "ayse"),
+    guildId = "guild-1",
+    locale = "en-US",
+    permissions = [],
+    roles = [],
+    clicks = [],
+  } = overrides;
+  const channel = createChannel("channel-1");
+  const users = new Map([[user.id, user]]);
+
+  const get = (name) => (options[name] === undefined ? null : options[name]);
+
+  const interaction = {
+    commandName,
+    guildId,
+    channelId: channel.id,
+    locale,
+    user,
+    channel,
+    member: guildId ? { user, roles } : null,
+    memberPermissions: guildId
+      ? {
+          has: (flag) =>
+            permissions.some((name) => PermissionFlagsBits[name] === flag),
+        }
+      : null,
+    guild: guildId
+      ? {
+          id: guildId,
+          name: "Plate Spotters",
+          channels: { fetch: async (id) => createChannel(id) },
+        }
+      : null,
+    client: {
+      users: {
+        fetch: async (id) => users.get(id) || createUser(id, `user${id}`),
+        send: async (id, message) => {
+          const target = users.get(id);
+          if (target) await target.send(message);
+        },
+      },
+      channels: { fetch: async (id) => createChannel(id) },
+    },
+    replies: [],
+    replied: false,
+    deferred: false,
+
+    options: {
+      getString: get,
+      getBoolean: get,
+      getInteger: get,
+      getNumber: get,
+      getUser: get,
+      getChannel: get,
+      getRole: get,
+      getAttachment: get,
+      getSubcommand: () => options.subcommand,
+      getFocused: (full) => (full ? options.focused : options.focused.value),
+    },
+
+    isButton: () => false,
+    isAutocomplete: () => false,
+    isCommand: () => true,
+    isChatInputCommand: () => true,
+    inGuild: () => guildId !== null,
+
+    reply: async (payload) => {
+      interaction.replies.push(record("reply", payload));
+      interaction.replied = true;
+      return {
+        awaitMessageComponent: async () => {
+          if (clicks.length === 0) throw new Error("Collector timed out");
+          return createClick(interaction, clicks.shift());
+        },
+      };
+    },
+    deferReply: async (payload = {}) => {
+      interaction.deferred = true;
+      interaction.ephemeral = Boolean(payload.ephemeral);
+    },
+    editReply: async (payload) => {
+      interaction.replies.push(record("editReply", payload));
+    },
+    followUp: async (payload) => {
+      interaction.replies.push(record("followUp", payload));
+    },
+  };
+
+  // Other users passed as options can be fetched and sent messages too
+  Object.values(options)
+    .filter((value) => value && value.id && value.username)
+    .forEach((other) => users.set(other.id, other));
+
+  return interaction;
+}
+
+/**
+ * Build a fake autocomplete interaction
+ * @param {string} commandName - The command being typed
+ * @param {Object} focused - The option being typed, { name, value }
+ * @param {Object} [overrides] - As for createInteraction()
+ * @returns {Object} The interaction; the choices it answered with are in choices
+ */
+function createAutocomplete(commandName, focused, overrides) {
+  const interaction = createInteraction(commandName, { focused }, overrides);
+  return Object.assign(interaction, {
+    isAutocomplete: () => true,
+    isCommand: () => false,
+    isChatInputCommand: () => false,
+    choices: null,
+    respond: async (choices) => {
+      interaction.choices = choices;
+    },
+  });
+}
+
+/**
+ * The last message an interaction sent
+ * @param {Object} interaction - A fake interaction
+ * @returns {Object|undefined} The recorded message
+ */
+function lastReply(interaction) {
+  return interaction.replies[interaction.replies.length - 1];
+}
+
+module.exports = {
+  createUser,
+  createChannel,
+  createInteraction,
+  createAutocomplete,
+  lastReply,
+};
@@ -0,0 +1,198 @@
+// test/plates.test.js
+// The plate and season queries the commands run, answered by the in-memory
+// backend
+
+process.env.STORAGE_BACKEND = "memory";
+
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  addPlate,
+  addPlates,
+  addSighting,
+  deletePlate,
+  findCollectedPlate,
+  getCollection,
+  getDailyActivity,
+  getLeaderboard,
+  getPlateHistory,
+  getProvinceTotals,
+  getTopPlates,
+} = require("../plates");
+const { importPlates } = require("../collectionFiles");
+const { Plate, Season, Sighting, getGuildSettings } = require("../models");
+const { findCurrentSeason, getSeasonName } = require("../seasons");
+const { clear } = require("../storage/memory");
+
+/**
+ * Collect a plate with just the fields the queries need
+ * @param {Object} fields - Fields to set
+ * @returns {Promise<Object>} The plate document
+ */
+function collect(fields) {
+  return addPlate(
+    {
+      guildId: "guild-1",
+      userId: "100",
+      username: "ayse",
+      plateText: "34ABC123",
+      provinceCode: "34",
+      digits: "123",
+      plateType: "STANDARD",
+      totalScore: 10,
+      ...fields,
+    },
+    { channelId: "channel-1" }
+  );
+}
+
+beforeEach(() => {
+  clear();
+});
+
+describe("plates", () => {
+  it("records the first sighting with a new plate", async () => {
+    const plate = await collect({});
+    const found = await findCollectedPlate(
+      { guildId: "guild-1", userId: "100" },
+      "TR",
+      "34ABC123"
+    );
+
+    assert.ok(found._id.equals(plate._id));
+    assert.equal(await addSighting(plate, { note: "Again" }), 2);
+  });
+
+  it("keeps pending plates out of collections and rankings", async () => {
+    await collect({ totalScore: 10 });
+    await collect({ plateText: "06CD123", totalScore: 50, status: "pending" });
+
+    const collection = await getCollection("100", { guildId: "guild-1" });
+    const pending = await getCollection(
+      "100",
+      { guildId: "guild-1" },
+      { pending: true }
+    );
+    const [entry] = await getLeaderboard({ guildId: "guild-1" });
+
+    assert.deepEqual(
+      collection.map((plate) => plate.plateText),
+      ["34ABC123"]
+    );
+    assert.equal(pending.length, 1);
+    assert.equal(entry.totalScore, 10);
+  });
+
+  it("ranks the top plates and tells a plate's history", async () => {
+    await collect({ plateText: "34ABC123", totalScore: 10 });
+    await collect({ plateText: "06CD123", totalScore: 50 });
+    await collect({ userId: "200", username: "mehmet", totalScore: 10 });
+
+    const top = await getTopPlates({ guildId: "guild-1" }, 2);
+    assert.deepEqual(
+      top.map((plate) => plate.plateText),
+      ["06CD123", "34ABC123"]
+    );
+
+    const { plates, sightings } = await getPlateHistory(
+      { guildId: "guild-1" },
+      "TR",
+      "34ABC123"
+    );
+    assert.deepEqual(
+      plates.map((plate) => plate.username),
+      ["ayse", "mehmet"]
+    );
+    assert.equal(sightings.length, 2);
+  });
+
+  it("counts imported plates all-time but not toward activity", async () => {
+    const dateSpotted = new Date("2026-10-19T12:00:00Z");
+    await collect({ plateText: "34ABC123", dateSpotted });
+    await collect({ plateText: "06CD123", dateSpotted, imported: true });
+
+    const [entry] = await getLeaderboard({ guildId: "guild-1" });
+    assert.equal(entry.plateCount, 2);
+
+    const activity = await getDailyActivity("100", { guildId: "guild-1" });
+    assert.deepEqual(
+      activity.map((day) => [day._id, day.plateCount]),
+      [["2026-10-19", 1]]
+    );
+  });
+
+  it("adds plates in bulk and deletes them with their sightings", async () => {
+    const fields = {
+      guildId: "guild-1",
+      userId: "100",
+      username: "ayse",
+      provinceCode: "34",
+      digits: "123",
+      plateType: "STANDARD",
+    };
+    const [plate] = await addPlates([
+      { plate: { ...fields, plateText: "34ABC123" }, sighting: { note: "a" } },
+      { plate: { ...fields, plateText: "34ABD123" }, sighting: { note: "b" } },
+    ]);
+
+    const [istanbul] = await getProvinceTotals({ guildId: "guild-1" });
+    assert.equal(istanbul.plateCount, 2);
+
+    await deletePlate(plate);
+    assert.equal(await Plate.countDocuments(), 1);
+    assert.deepEqual(
+      (await Sighting.find()).map((sighting) => sighting.note),
+      ["b"]
+    );
+  });
+
+  it("imports none of the plates when their sightings can't be saved", async () => {
+    const insertSightings = Sighting.insertMany;
+    Sighting.insertMany = async () => {
+      throw new Error("Write failed");
+    };
+
+    try {
+      await assert.rejects(
+        importPlates(
+          [
+            { row: 2, plate: "34ABC123", country: "TR" },
+            { row: 3, plate: "06ABC123", country: "TR" },
+          ],
+          {
+            guildId: "guild-1",
+            channelId: "channel-1",
+            user: { id: "100", username: "ayse" },
+          },
+          await getGuildSettings("guild-1")
+        ),
+        /Write failed/
+      );
+    } finally {
+      Sighting.insertMany = insertSightings;
+    }
+
+    assert.equal(await Plate.countDocuments(), 0);
+  });
+});
+
+describe("seasons", () => {
+  it("looks up the monthly season of a guild without opening it", async () => {
+    const season = await findCurrentSeason(
+      "guild-1",
+      new Date("2026-10-19T12:00:00Z")
+    );
+    assert.equal(season.guildId, "guild-1");
+    assert.equal(season.kind, "monthly");
+    assert.equal(await Season.countDocuments(), 0);
+  });
+
+  it("names monthly seasons in the reader's language", async () => {
+    const season = await findCurrentSeason(
+      "guild-1",
+      new Date("2026-10-19T12:00:00Z")
+    );
+    assert.equal(getSeasonName(season), "October 2026");
+    assert.equal(getSeasonName(season, "tr"), "Ekim 2026");
+  });
+});
@@ -0,0 +1,201 @@
+// test/scoring.test.js
+// Plate parsing, type detection and scoring against real Turkish plates
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  calculatePlateScore,
+  parseTurkishPlate,
+  detectPlateType,
+  getRuleset,
+} = require("../scoring");
+const { getCountry, validatePlate } = require("../countries");
+const { PlateParseError } = require("../countries/errors");
+
+// Plate as typed, and how it is read
+const parsedPlates = [
+  ["34ABC123", { provinceCode: "34", letters: "ABC", digits: "123" }],
+  ["06A1234", { provinceCode: "06", letters: "A", digits: "1234" }],
+  ["35AB1234", { provinceCode: "35", letters: "AB", digits: "1234" }],
+  ["6AB123", { provinceCode: "06", letters: "AB", digits: "123" }],
+  ["34 abc 123", { provinceCode: "34", letters: "ABC", digits: "123" }],
+  ["34-AB-1234", { provinceCode: "34", letters: "AB", digits: "1234" }],
+  ["81BB1234", { provinceCode: "81", letters: "BB", digits: "1234" }],
+];
+
+// Plates breaking the format rules, with the code and part of the error
+const invalidPlates = [
+  ["", "EMPTY", "format"],
+  ["34AB*12", "INVALID_CHARACTER", "format"],
+  ["ABC123", "MISSING_PROVINCE", "province"],
+  ["34123", "MISSING_LETTERS", "letters"],
+  ["99ABC12", "UNKNOWN_PROVINCE", "province"],
+  ["34ABC", "MISSING_DIGITS", "digits"],
+  ["34AB123C", "TRAILING_CHARACTERS", "format"],
+  ["34QAB12", "EXCLUDED_LETTER", "letters"],
+  ["34ABCD12", "LETTER_COUNT", "letters"],
+  ["34AB12", "DIGIT_COUNT", "digits"],
+];
+
+// Letters and the plate type they stand for
+const plateTypes = [
+  ["AB", "STANDARD"],
+  ["ABC", "STANDARD"],
+  ["AA", "UNIVERSITY"],
+  ["A", "POLICE"],
+  ["AAA", "POLICE"],
+  ["JAA", "GENDARMERIE"],
+  ["JA", "STANDARD"],
+  ["SGH", "COAST_GUARD"],
+  ["CD", "DIPLOMATIC"],
+  ["CC", "CONSULATE"],
+  ["MA", "FOREIGN"],
+  ["MZ", "FOREIGN"],
+  ["TAA", "TAXI"],
+  ["TKZ", "TAXI"],
+  ["TLA", "STANDARD"],
+];
+
+// Plate, where it was spotted, and its score under rulesets v1 and v2
+const scoredPlates = [
+  // (5 sequential + 1×2×3 letters + 6 digit sum) × 2.5 digits × 1.5 Istanbul
+  ["34ABC123", null, "STANDARD", 63.75, 63.75],
+  // (1 + 1×1 letters + 10 digit sum) × 1 digits × 1.5 Ankara × 15 university
+  ["06AA1234", null, "UNIVERSITY", 270, 270],
+  ["34A1234", null, "POLICE", 360, 360],
+  ["34AAA12", null, "POLICE", 750, 750],
+  ["34JAA123", null, "GENDARMERIE", 1593.75, 1593.75],
+  ["06CD123", null, "DIPLOMATIC", 2137.5, 2137.5],
+  ["06CC1234", null, "CONSULATE", 750, 750],
+  ["34MA1234", null, "FOREIGN", 720, 720],
+  ["34TAA12", null, "TAXI", 2700, 2700],
+  // (10 double letters + 2×2 + 10) × 1 × 10 for rare Düzce
+  ["81BB1234", null, "STANDARD", 240, 240],
+  ["62ABC12", null, "STANDARD", 350, 350],
+  // v2 adds a bonus for plates spotted far from home: Van is over 900 km
+  // from Istanbul, Kocaeli under 250 km, and home earns nothing
+  ["34ABC123", "65", "STANDARD", 63.75, 127.5],
+  ["34ABC123", "41", "STANDARD", 63.75, 70.125],
+  ["34ABC123", "34", "STANDARD", 63.75, 63.75],
+];
+
+describe("parseTurkishPlate", () => {
+  parsedPlates.forEach(([input, expected]) => {
+    it(`reads ${JSON.stringify(input)}`, () => {
+      assert.deepEqual(parseTurkishPlate(input), expected);
+    });
+  });
+
+  invalidPlates.forEach(([input, code, part]) => {
+    it(`rejects ${JSON.stringify(input)} with ${code}`, () => {
+      assert.throws(
+        () => parseTurkishPlate(input),
+        (err) =>
+          err instanceof PlateParseError &&
+          err.code === code &&
+          err.part === part
+      );
+    });
+  });
+});
+
+describe("validatePlate", () => {
+  it("reports the look-alike characters it swapped", () => {
+    assert.deepEqual(validatePlate(getCountry("TR"), "34ABC12O"), {
+      plateText: "34ABC120",
+      corrections: [{ from: "O", to: "0" }],
+    });
+  });
+
+  it("only suggests readings that need other swaps", () => {
+    const { plateText, error } = validatePlate(getCountry("TR"), "34ABCD12");
+    assert.equal(plateText, undefined);
+    assert.equal(error.code, "LETTER_COUNT");
+    assert.equal(error.suggestion, "34ABC012");
+  });
+
+  it("reports no swaps for a plate typed correctly", () => {
+    assert.deepEqual(validatePlate(getCountry("TR"), "34 abc 123"), {
+      plateText: "34ABC123",
+      corrections: [],
+    });
+  });
+});
+
+describe("detectPlateType", () => {
+  plateTypes.forEach(([letters, type]) => {
+    it(`detects ${letters} as ${type}`, () => {
+      assert.equal(detectPlateType(letters), type);
+    });
+  });
+});
+
+describe("calculatePlateScore", () => {
+  const v1 = getRuleset(1);
+  const v2 = getRuleset(2);
+
+  scoredPlates.forEach(([plate, spottedIn, type, v1Score, v2Score]) => {
+    const where = spottedIn ? ` spotted in ${spottedIn}` : "";
+
+    it(`scores ${plate}${where}`, () => {
+      const first = calculatePlateScore(plate, { ruleset: v1, spottedIn });
+      const second = calculatePlateScore(plate, { ruleset: v2, spottedIn });
+
+      assert.equal(first.plateType, type);
+      assert.equal(first.totalScore, v1Score);
+      assert.equal(second.totalScore, v2Score);
+      assert.equal(second.rulesetVersion, 2);
+    });
+  });
+
+  it("multiplies the breakdown into the total", () => {
+    const { totalScore, breakdown } = calculatePlateScore("06CD123", {
+      ruleset: v2,
+    });
+    assert.deepEqual(breakdown, {
+      province: 1.5,
+      letters: 13,
+      digits: 2.5,
+      digitsum: 6,
+      special: 30,
+      farFromHome: 1,
+    });
+    assert.equal(
+      totalScore,
+      (breakdown.letters + breakdown.digitsum) *
+        breakdown.digits *
+        breakdown.province *
+        breakdown.special
+    );
+  });
+
+  it("scores plates of other countries by their own rules", () => {
+    const { country, plateType } = calculatePlateScore("B-AB1234", {
+      country: "DE",
+    });
+    assert.equal(country, "DE");
+    assert.equal(plateType, "STANDARD");
+  });
+
+  it("only scores the countries a ruleset has tables for", () => {
+    assert.throws(
+      () =>
+        calculatePlateScore("B-AB1234", {
+          country: "DE",
+          ruleset: getRuleset(1),
+        }),
+      /no scoring tables for Germany/
+    );
+  });
+
+  it("throws for plates breaking the format rules", () => {
+    assert.throws(() => calculatePlateScore("34QAB12"), PlateParseError);
+  });
+
+  it("throws for unsupported countries", () => {
+    assert.throws(
+      () => calculatePlateScore("34ABC123", { country: "XX" }),
+      /Unsupported plate country/
+    );
+  });
+});
@@ -0,0 +1,220 @@
+// test/storage.test.js
+// The in-memory storage backend answers queries the way MongoDB does
+
+process.env.STORAGE_BACKEND = "memory";
+
+const { describe, it, beforeEach, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Plate, Challenge, GuildSettings } = require("../models");
+const { startSession } = require("../storage");
+const { clear, importData } = require("../storage/memory");
+const json = require("../storage/json");
+
+/**
+ * Store a plate with just the fields a query needs
+ * @param {Object} fields - Fields to set
+ * @returns {Promise<Object>} The plate document
+ */
+function addPlate(fields) {
+  return Plate.create({
+    guildId: "guild-1",
+    userId: "100",
+    username: "ayse",
+    plateText: "34ABC123",
+    provinceCode: "34",
+    digits: "123",
+    plateType: "STANDARD",
+    totalScore: 10,
+    ...fields,
+  });
+}
+
+beforeEach(() => {
+  clear();
+});
+
+describe("memory storage", () => {
+  it("applies schema defaults and casting", async () => {
+    const plate = await addPlate({ plateText: "06byz789" });
+
+    assert.equal(plate.plateText, "06BYZ789");
+    assert.equal(plate.status, "verified");
+    assert.ok(plate.dateSpotted instanceof Date);
+  });
+
+  it("rejects documents breaking a unique index like MongoDB", async () => {
+    await addPlate({});
+    await assert.rejects(addPlate({}), (err) => err.code === 11000);
+    await addPlate({ guildId: "guild-2" });
+
+    assert.equal(await Plate.countDocuments(), 2);
+  });
+
+  it("filters, sorts and limits", async () => {
+    await addPlate({ plateText: "34ABC123", totalScore: 10 });
+    await addPlate({ plateText: "06CD123", totalScore: 30 });
+    await addPlate({
+      plateText: "35AB1234",
+      totalScore: 20,
+      status: "pending",
+    });
+
+    const plates = await Plate.find({ status: { $ne: "pending" } })
+      .sort({ totalScore: -1 })
+      .limit(1);
+    assert.deepEqual(
+      plates.map((plate) => plate.plateText),
+      ["06CD123"]
+    );
+    assert.equal(
+      await Plate.countDocuments({ plateText: { $regex: "^3" } }),
+      2
+    );
+  });
+
+  it("compares fields with $expr", async () => {
+    await addPlate({ plateText: "34ABC123", spottedProvince: "34" });
+    await addPlate({ plateText: "34ABD123", spottedProvince: "65" });
+
+    const plates = await Plate.find({
+      $expr: { $ne: ["$spottedProvince", "$provinceCode"] },
+    });
+    assert.deepEqual(
+      plates.map((plate) => plate.plateText),
+      ["34ABD123"]
+    );
+  });
+
+  it("groups plates for the leaderboard", async () => {
+    await addPlate({ plateText: "34ABC123", totalScore: 10 });
+    await addPlate({
+      plateText: "06CD123",
+      provinceCode: "06",
+      totalScore: 30,
+    });
+    await addPlate({ userId: "200", username: "mehmet", totalScore: 25 });
+
+    const [first, second] = await Plate.leaderboard({ guildId: "guild-1" });
+    assert.deepEqual(first._id, { userId: "100", username: "ayse" });
+    assert.equal(first.totalScore, 40);
+    assert.deepEqual(first.uniqueProvinces, ["34", "06"]);
+    assert.equal(second.totalScore, 25);
+  });
+
+  it("upserts and updates with operators", async () => {
+    await GuildSettings.updateOne(
+      { guildId: "guild-1" },
+      { $set: { locale: "tr" } },
+      { upsert: true }
+    );
+    const settings = await GuildSettings.findOne({ guildId: "guild-1" });
+
+    assert.equal(settings.locale, "tr");
+    assert.equal(settings.isCountryEnabled("DE"), true);
+  });
+
+  it("matches array fields element by element", async () => {
+    const challenge = await Challenge.create({
+      guildId: "guild-1",
+      period: "daily",
+      kind: "province",
+      target: "34",
+      bonus: 25,
+      startDate: new Date("2026-10-19T00:00:00Z"),
+      endDate: new Date("2026-10-20T00:00:00Z"),
+    });
+    const complete = () =>
+      Challenge.findOneAndUpdate(
+        { _id: challenge._id, "completions.userId": { $ne: "100" } },
+        { $push: { completions: { userId: "100", username: "ayse" } } },
+        { new: true }
+      );
+
+    assert.equal((await complete()).completions.length, 1);
+    assert.equal(await complete(), null);
+  });
+
+  it("counts only the documents an update changed", async () => {
+    await addPlate({ plateText: "34ABC123", totalScore: 10 });
+    await addPlate({ plateText: "06CD123", totalScore: 30 });
+
+    const result = await Plate.updateMany({}, { $set: { totalScore: 30 } });
+    assert.equal(result.matchedCount, 2);
+    assert.equal(result.modifiedCount, 1);
+  });
+
+  it("undoes the writes of a failed transaction, and only those", async () => {
+    await addPlate({ plateText: "34ABC123" });
+    await addPlate({ plateText: "06CD123" });
+    const session = await startSession();
+
+    await assert.rejects(
+      session.withTransaction(async () => {
+        await Plate.updateMany(
+          { plateText: "34ABC123" },
+          { $set: { userId: "200" } },
+          { session }
+        );
+        await Plate.deleteOne({ plateText: "06CD123" }, { session });
+        await Plate.create(
+          [
+            {
+              userId: "100",
+              username: "ayse",
+              plateText: "35AB1234",
+              digits: "1234",
+              plateType: "STANDARD",
+            },
+          ],
+          { session }
+        );
+        // Another command writing meanwhile
+        await addPlate({ plateText: "01AB123" });
+        throw new Error("plate no longer available");
+      })
+    );
+    await session.endSession();
+
+    const plates = await Plate.find();
+    assert.deepEqual(
+      plates.map((plate) => [plate.plateText, plate.userId]),
+      [
+        ["34ABC123", "100"],
+        ["06CD123", "100"],
+        ["01AB123", "100"],
+      ]
+    );
+  });
+});
+
+describe("JSON file storage", () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), "plates-"));
+  process.env.STORAGE_FILE = path.join(directory, "store", "plates.json");
+
+  after(async () => {
+    await json.flush();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it("starts empty when there is no file yet", async () => {
+    await json.connect();
+    assert.equal(await Plate.countDocuments(), 0);
+  });
+
+  it("saves changes and loads them back", async () => {
+    const saved = await addPlate({ plateText: "06BYZ789" });
+    await json.flush();
+
+    // Forget everything, as if the bot restarted
+    importData({});
+    await json.connect();
+
+    const [loaded] = await Plate.find();
+    assert.equal(loaded.plateText, "06BYZ789");
+    assert.ok(loaded._id.equals(saved._id));
+    assert.equal(loaded.dateSpotted.getTime(), saved.dateSpotted.getTime());
+  });
+});
@@ -0,0 +1,112 @@
+// test/streaks.test.js
+// Daily spotting streaks and the streak bonus
+
+process.env.STORAGE_BACKEND = "memory";
+
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { GuildSettings, Plate } = require("../models");
+const {
+  STREAK_BONUS_MAX_DAYS,
+  getLongestStreak,
+  getStreaks,
+  awardStreakBonus,
+} = require("../streaks");
+const { clear } = require("../storage/memory");
+
+const NOW = new Date("2026-10-19T15:00:00Z");
+
+/**
+ * Store a plate spotted on a day
+ * @param {string} day - UTC date like "2026-10-19"
+ * @param {Object} [fields] - Other fields to set
+ * @returns {Promise<Object>} The plate document
+ */
+function addPlate(day, fields) {
+  return Plate.create({
+    guildId: "guild-1",
+    userId: "100",
+    username: "ayse",
+    plateText: "34ABC123",
+    provinceCode: "34",
+    digits: "123",
+    plateType: "STANDARD",
+    totalScore: 10,
+    dateSpotted: new Date(`${day}T12:00:00Z`),
+    ...fields,
+  });
+}
+
+beforeEach(() => {
+  clear();
+});
+
+describe("getStreaks", () => {
+  it("counts the longest run of days", () => {
+    const days = ["2026-10-15", "2026-10-12", "2026-10-13", "2026-10-17"];
+    assert.equal(getLongestStreak(days), 2);
+    assert.equal(getLongestStreak([]), 0);
+  });
+
+  it("keeps a streak that reached yesterday going until today ends", () => {
+    const days = ["2026-10-16", "2026-10-17", "2026-10-18"];
+    assert.deepEqual(getStreaks(days, NOW), { current: 3, longest: 3 });
+    assert.deepEqual(getStreaks([...days, "2026-10-19"], NOW), {
+      current: 4,
+      longest: 4,
+    });
+  });
+
+  it("breaks a streak after a day without plates", () => {
+    const days = ["2026-10-10", "2026-10-11", "2026-10-12", "2026-10-17"];
+    assert.deepEqual(getStreaks(days, NOW), { current: 0, longest: 3 });
+  });
+});
+
+describe("awardStreakBonus", () => {
+  it("gives nothing unless the server turned it on", async () => {
+    await addPlate("2026-10-18");
+    const plate = await addPlate("2026-10-19", { plateText: "34ABC124" });
+    const settings = new GuildSettings({ guildId: "guild-1" });
+
+    assert.deepEqual(await awardStreakBonus(plate, settings), {
+      days: 2,
+      bonus: 0,
+    });
+  });
+
+  it("grows with the streak on the first plate of the day", async () => {
+    const settings = new GuildSettings({ guildId: "guild-1", streakBonus: 5 });
+    await addPlate("2026-10-17");
+    await addPlate("2026-10-18", { plateText: "34ABC124" });
+    const first = await addPlate("2026-10-19", { plateText: "34ABC125" });
+
+    assert.deepEqual(await awardStreakBonus(first, settings), {
+      days: 3,
+      bonus: 10,
+    });
+    assert.equal(first.totalScore, 20);
+    assert.equal((await Plate.findById(first._id)).bonusScore, 10);
+
+    const second = await addPlate("2026-10-19", {
+      plateText: "34ABC126",
+      dateSpotted: new Date("2026-10-19T13:00:00Z"),
+    });
+    assert.equal((await awardStreakBonus(second, settings)).bonus, 0);
+  });
+
+  it("stops growing after a week", async () => {
+    const settings = new GuildSettings({ guildId: "guild-1", streakBonus: 5 });
+    let plate;
+    for (let day = 1; day <= 12; day++) {
+      plate = await addPlate(`2026-10-${String(day).padStart(2, "0")}`, {
+        plateText: `34ABC${100 + day}`,
+      });
+    }
+
+    assert.deepEqual(await awardStreakBonus(plate, settings), {
+      days: 12,
+      bonus: 5 * STREAK_BONUS_MAX_DAYS,
+    });
+  });
+});
@@ -0,0 +1,328 @@
+// trades.js
+// Swapping and gifting plates between collectors
+
+const { Trade, verifiedFilter } = require("./models");
+const { findPlates, hasPlate, transferPlate } = require("./plates");
+const { startSession } = require("./storage");
+const { validatePlate } = require("./countries");
+const { t } = require("./i18n");
+
+// How long an offer can be answered
+const TRADE_LIFETIME = 24 * 60 * 60 * 1000;
+
+// Most plates one side of a trade can hold
+const MAX_TRADE_PLATES = 10;
+
+const STATUS_EMOJIS = {
+  pending: "⏳",
+  accepted: "✅",
+  declined: "❌",
+  cancelled: "🚫",
+  expired: "⌛",
+  failed: "⚠️",
+};
+
+// Raised inside the trade transaction to abort it with a reason for the user,
+// a code of the trade.errors messages and its placeholder values
+class TradeError extends Error {
+  constructor(code, vars = {}) {
+    super(code);
+    this.code = code;
+    this.vars = vars;
+  }
+}
+
+/**
+ * Read a comma-separated list of plates typed by a user
+ * @param {Object} country - The country module the plates belong to
+ * @param {string|null} input - e.g. "34ABC123, 06 BYZ 789"
+ * @returns {Object} { plateTexts } with normalized plates, or { error } with
+ * the code TOO_MANY_PLATES or INVALID_PLATE; the latter holds the typed
+ * { input } and the { plateError } from validatePlate()
+ */
+function parsePlateList(country, input) {
+  const entries = (input || "")
+    .split(/[,;]/)
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+
+  if (entries.length > MAX_TRADE_PLATES) {
+    return { error: { code: "TOO_MANY_PLATES", max: MAX_TRADE_PLATES } };
+  }
+
+  const plateTexts = [];
+  for (const entry of entries) {
+    const { plateText, error } = validatePlate(country, entry);
+    if (error) {
+      return {
+        error: { code: "INVALID_PLATE", input: entry, plateError: error },
+      };
+    }
+    if (!plateTexts.includes(plateText)) plateTexts.push(plateText);
+  }
+
+  return { plateTexts };
+}
+
+/**
+ * Offer plates to another collector, optionally asking for plates back
+ * @param {Object} options - Trade details
+ * @param {string} options.guildId - The guild both collections are in
+ * @param {string} options.channelId - Where the offer is posted
+ * @param {User} options.from - The offering collector
+ * @param {User} options.to - The collector receiving the offer
+ * @param {string} options.country - Country code of all plates in the trade
+ * @param {string[]} options.offered - Normalized plates the offerer gives
+ * @param {string[]} options.requested - Normalized plates the offerer wants
+ * @returns {Promise<Object>} { trade } or { error } with a code of the
+ * trade.errors messages and its placeholder values
+ */
+async function createTrade(options) {
+  const { guildId, from, to, country, offered, requested } = options;
+
+  // Plates must be verified to be traded, but any plate blocks a duplicate
+  const findOwned = (userId, plateTexts, conditions) =>
+    findPlates({
+      guildId,
+      userId,
+      country,
+      plateText: { $in: plateTexts },
+      ...conditions,
+    });
+
+  const [offeredPlates, requestedPlates, recipientDuplicates, ownDuplicates] =
+    await Promise.all([
+      findOwned(from.id, offered, verifiedFilter),
+      findOwned(to.id, requested, verifiedFilter),
+      findOwned(to.id, offered),
+      findOwned(from.id, requested),
+    ]);
+
+  const missing = (plateTexts, plates) =>
+    plateTexts.filter((text) => !plates.some((p) => p.plateText === text));
+
+  const list = (plates) => plates.map((p) => p.plateText).join(", ");
+
+  const notOwned = missing(offered, offeredPlates);
+  if (notOwned.length > 0) {
+    return { error: { code: "NOT_OWNED", plates: notOwned.join(", ") } };
+  }
+
+  const notTheirs = missing(requested, requestedPlates);
+  if (notTheirs.length > 0) {
+    return {
+      error: {
+        code: "NOT_THEIRS",
+        plates: notTheirs.join(", "),
+        user: to.username,
+      },
+    };
+  }
+
+  // Each collector can hold a plate only once
+  if (recipientDuplicates.length > 0) {
+    return {
+      error: {
+        code: "ALREADY_THEIRS",
+        plates: list(recipientDuplicates),
+        user: to.username,
+      },
+    };
+  }
+  if (ownDuplicates.length > 0) {
+    return { error: { code: "ALREADY_YOURS", plates: list(ownDuplicates) } };
+  }
+
+  const snapshot = (plate) => ({
+    plateId: plate._id,
+    country: plate.country,
+    plateText: plate.plateText,
+    totalScore: plate.totalScore,
+  });
+
+  const trade = await Trade.create({
+    guildId,
+    channelId: options.channelId,
+    fromUserId: from.id,
+    fromUsername: from.username,
+    toUserId: to.id,
+    toUsername: to.username,
+    offered: offeredPlates.map(snapshot),
+    requested: requestedPlates.map(snapshot),
+    expiresAt: new Date(Date.now() + TRADE_LIFETIME),
+  });
+
+  return { trade };
+}
+
+/**
+ * Get the status of a trade, counting unanswered offers past their
+ * lifetime as expired
+ * @param {Object} trade - The trade document
+ * @returns {string} The status
+ */
+function getTradeStatus(trade) {
+  return trade.status === "pending" && trade.expiresAt <= new Date()
+    ? "expired"
+    : trade.status;
+}
+
+/**
+ * Close an open trade without swapping anything
+ * @param {Object} trade - The trade document
+ * @param {string} status - "declined", "cancelled" or "expired"
+ * @returns {Promise<Object|null>} The updated trade, or null if it was
+ * answered in the meantime
+ */
+function closeTrade(trade, status) {
+  return Trade.findOneAndUpdate(
+    { _id: trade._id, status: "pending" },
+    { $set: { status, resolvedAt: new Date() } },
+    { new: true }
+  );
+}
+
+/**
+ * Swap the plates of an accepted trade. Ownership moves in one transaction,
+ * so either every plate changes hands or none does.
+ * @param {Object} trade - The trade document
+ * @returns {Promise<Object>} { trade } with the accepted trade, or { error }
+ * with a code of the trade.errors messages and its placeholder values
+ */
+async function executeTrade(trade) {
+  const session = await startSession();
+  let accepted;
+
+  try {
+    await session.withTransaction(async () => {
+      const now = new Date();
+      accepted = await Trade.findOneAndUpdate(
+        { _id: trade._id, status: "pending", expiresAt: { $gt: now } },
+        { $set: { status: "accepted", resolvedAt: now } },
+        { new: true, session }
+      );
+      if (!accepted) throw new TradeError("NOT_OPEN");
+
+      const moves = [
+        ...accepted.offered.map((plate) => ({
+          plate,
+          fromId: accepted.fromUserId,
+          fromName: accepted.fromUsername,
+          toId: accepted.toUserId,
+          toName: accepted.toUsername,
+        })),
+        ...accepted.requested.map((plate) => ({
+          plate,
+          fromId: accepted.toUserId,
+          fromName: accepted.toUsername,
+          toId: accepted.fromUserId,
+          toName: accepted.fromUsername,
+        })),
+      ];
+
+      // Collections may have changed since the offer was made. Operations
+      // in a transaction must run one at a time.
+      for (const { plate, fromId, fromName, toId, toName } of moves) {
+        const owned = await hasPlate(
+          { _id: plate.plateId, userId: fromId, ...verifiedFilter },
+          session
+        );
+        const duplicate = await hasPlate(
+          {
+            guildId: accepted.guildId,
+            userId: toId,
+            country: plate.country,
+            plateText: plate.plateText,
+          },
+          session
+        );
+
+        if (!owned) {
+          throw new TradeError("NO_LONGER_OWNED", {
+            plates: plate.plateText,
+            user: fromName,
+          });
+        }
+        if (duplicate) {
+          throw new TradeError("ALREADY_THEIRS", {
+            plates: plate.plateText,
+            user: toName,
+          });
+        }
+      }
+
+      for (const { plate, toId, toName } of moves) {
+        await transferPlate(
+          plate.plateId,
+          { userId: toId, username: toName },
+          session
+        );
+      }
+    });
+  } catch (err) {
+    if (!(err instanceof TradeError)) throw err;
+
+    await Trade.updateOne(
+      { _id: trade._id, status: "pending" },
+      { $set: { status: "failed", resolvedAt: new Date() } }
+    );
+    return { error: { code: err.code, ...err.vars } };
+  } finally {
+    await session.endSession();
+  }
+
+  return { trade: accepted };
+}
+
+/**
+ * Describe one side of a trade
+ * @param {Object[]} plates - Plates from trade.offered or trade.requested
+ * @param {string} [locale] - Locale code, defaults to English
+ * @returns {string} "34ABC123 (63.75 pts), ..." or "nothing"
+ */
+function formatTradePlates(plates, locale) {
+  return plates.length > 0
+    ? plates
+        .map((p) =>
+          t(locale, "trade.plate", { plate: p.plateText, score: p.totalScore })
+        )
+        .join(", ")
+    : t(locale, "trade.nothing");
+}
+
+/**
+ * Describe a trade from one collector's point of view for the trade log
+ * @param {Object} trade - The trade document
+ * @param {string} userId - The collector reading the log
+ * @param {string} [locale] - Locale code, defaults to English
+ * @returns {string} One log line
+ */
+function formatTradeLogEntry(trade, userId, locale) {
+  const status = getTradeStatus(trade);
+  const time = `<t:${Math.floor(trade.createdAt.getTime() / 1000)}:d>`;
+  const offering = trade.fromUserId === userId;
+
+  const gave = offering ? trade.offered : trade.requested;
+  const got = offering ? trade.requested : trade.offered;
+  const partner = offering ? trade.toUsername : trade.fromUsername;
+
+  return t(locale, offering ? "trade.logOfferTo" : "trade.logOfferFrom", {
+    emoji: STATUS_EMOJIS[status],
+    time,
+    partner,
+    gave: formatTradePlates(gave, locale),
+    got: formatTradePlates(got, locale),
+    status: t(locale, `trade.statuses.${status}`),
+  });
+}
+
+module.exports = {
+  STATUS_EMOJIS,
+  parsePlateList,
+  createTrade,
+  getTradeStatus,
+  closeTrade,
+  executeTrade,
+  formatTradePlates,
+  formatTradeLogEntry,
+};